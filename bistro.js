@@ -41,13 +41,21 @@ var MILLIS_PER_DAY = 24 * 3600 * 1000;
 var MIN_NEW_DAY_REPORT_HOUR = 3;
 var MAX_NEW_DAY_REPORT_HOUR = 24;
 
-// The maximum number of accounts within the manager account that can be
-// processed in a given day.
+// The number of accounts processed in each run, the most executeInParallel
+// allows. Each account returns all the dates it is missing at once, so manager
+// accounts with more accounts are processed over several runs: scheduled
+// hourly, the script completes a day once every (number of accounts /
+// MAX_PARALLEL_ACCOUNTS) hours, catching up on all dates queued meanwhile.
 var MAX_PARALLEL_ACCOUNTS = 50;
-var MAX_ACCOUNTS_IN_MANAGER_ACCOUNT = MAX_PARALLEL_ACCOUNTS * 24;
-var MAX_ACCOUNTS_EXCEEDED_ERROR_MSG = 'There are too many accounts within ' +
-    'this manager account structure for this script to be used, please ' +
-    'consider alternatives for manager account reporting.';
+// The number of recent runs used to estimate when the backlog will be done.
+var PROGRESS_HISTORY_RUNS = 24;
+
+// A managed account that fails to return its report for a date is retried on
+// later runs, waiting RETRY_BACKOFF_HOURS after the first failure and twice as
+// long after each further one. After MAX_ACCOUNT_FAILURES failures the account
+// is excluded from that date, which is then reported as partial data.
+var MAX_ACCOUNT_FAILURES = 3;
+var RETRY_BACKOFF_HOURS = 1;
 
 // Take a copy (File -> Make a copy ...) from http://goo.gl/yFkbH6
 var SPREADSHEET_URL = 'https://docs.google.com/spreadsheets/d/1v9BmO1AYPGyKpQYaH6ksptD50WlUot4xCIsGvDjwJMw/edit?usp=sharing';
@@ -58,16 +66,313 @@ var REPORTING_OPTIONS = {
 
 var DEFAULT_EMPTY_EMAIL = 'foo@example.com';
 
-// The metrics to be pulled back from Account Report.
-var QUERY_FIELDS = ['Date', 'Cost', 'Impressions', 'Clicks', 'AveragePosition'];
+/**
+ * Where to keep the date queue and the results of each account between
+ * executions:
+ *   'drive'  - JSON files named <manager customer ID>-account-state.*.json in
+ *              the Drive root folder.
+ *   'sheet'  - a hidden tab of the report spreadsheet, named STATE_SHEET_NAME.
+ *   'memory' - nowhere; the state is lost when the execution ends. For tests.
+ * State saved by earlier versions of this script is moved to the selected
+ * store on the first run.
+ */
+var STATE_STORE = 'drive';
+var STATE_SHEET_NAME = 'Report State';
+
+/**
+ * Where to send the report. The 'email' channel sends to the address in the
+ * spreadsheet. Add entries to also post the report as JSON, e.g.
+ *   {type: 'webhook', url: 'https://example.com/adwords-report'}
+ *   {type: 'chat', format: 'slack', url: 'https://hooks.slack.com/...'}
+ * Chat formats are 'slack', 'googleChat' and 'teams'.
+ */
+var NOTIFICATION_CHANNELS = [
+  {type: 'email'}
+];
+
+/**
+ * The columns pulled back from the Account Performance Report of each account,
+ * besides Date, and the type of their values (see METRICS). Values of
+ * 'currency' columns are converted to REPORT_CURRENCY when it is used.
+ */
+var QUERY_FIELDS = [
+  {name: 'Cost', type: 'currency'},
+  {name: 'Impressions', type: 'integer'},
+  {name: 'Clicks', type: 'integer'},
+  {name: 'AveragePosition', type: 'decimal'}
+];
+
+/**
+ * Language of the report labels, and conventions for numbers, currencies and
+ * dates in the email and the spreadsheet: 'pt-BR', 'en-US', 'en-GB' or
+ * 'es-ES'. 'en-GB' has no labels of its own and uses the 'en-US' ones.
+ */
+var LOCALE = 'en-US';
+
+/**
+ * The metrics that can be presented in the report, and how each is calculated
+ * for the whole manager account from the QUERY_FIELDS of every account:
+ *   'sum'             - the sum of column.
+ *   'ratio'           - the sum of numerator divided by the sum of
+ *                       denominator, e.g. CTR is total clicks divided by
+ *                       total impressions, not the sum of the accounts' CTRs.
+ *   'weightedAverage' - the average of column weighted by weight, e.g. the
+ *                       average position weighted by impressions.
+ *   'share'           - a share in percent, such as impression share: the sum
+ *                       of weight divided by the sum of weight / column.
+ *
+ * type is one of 'currency', 'percent', 'integer' or 'decimal', and sets how
+ * values are formatted. Percentages are in percent, so ratios of type
+ * 'percent' are multiplied by 100. Metrics calculated from 'currency' columns
+ * are shown as 'N/A' when the accounts have different currencies, unless
+ * REPORT_CURRENCY is set.
+ *
+ * higherIsBetter sets how changes are colored in the email: green when the
+ * metric moves in the better direction, red otherwise.
+ */
+var METRICS = {
+  Cost: {
+    aggregation: 'sum', column: 'Cost',
+    type: 'currency', higherIsBetter: false
+  },
+  AverageCpc: {
+    aggregation: 'ratio', numerator: 'Cost', denominator: 'Clicks',
+    type: 'currency', higherIsBetter: false
+  },
+  Ctr: {
+    aggregation: 'ratio', numerator: 'Clicks', denominator: 'Impressions',
+    type: 'percent', higherIsBetter: true
+  },
+  AveragePosition: {
+    aggregation: 'weightedAverage', column: 'AveragePosition',
+    weight: 'Impressions', type: 'decimal', higherIsBetter: false
+  },
+  Impressions: {
+    aggregation: 'sum', column: 'Impressions',
+    type: 'integer', higherIsBetter: true
+  },
+  Clicks: {
+    aggregation: 'sum', column: 'Clicks',
+    type: 'integer', higherIsBetter: true
+  },
+  Conversions: {
+    aggregation: 'sum', column: 'Conversions',
+    type: 'decimal', higherIsBetter: true
+  },
+  ConversionValue: {
+    aggregation: 'sum', column: 'ConversionValue',
+    type: 'currency', higherIsBetter: true
+  },
+  Cpa: {
+    aggregation: 'ratio', numerator: 'Cost', denominator: 'Conversions',
+    type: 'currency', higherIsBetter: false
+  },
+  Roas: {
+    aggregation: 'ratio', numerator: 'ConversionValue', denominator: 'Cost',
+    type: 'decimal', higherIsBetter: true
+  },
+  SearchImpressionShare: {
+    aggregation: 'share', column: 'SearchImpressionShare',
+    weight: 'Impressions', type: 'percent', higherIsBetter: true
+  }
+};
+
+/**
+ * The METRICS presented in the spreadsheet report, in column order. To add a
+ * metric, e.g. 'Conversions', add the columns it is calculated from to
+ * QUERY_FIELDS, e.g. {name: 'Conversions', type: 'decimal'}, and a column to
+ * the spreadsheet, following the instructions at the link in the header
+ * above. New metrics also need an entry in METRICS and labels in STRINGS.
+ */
+var DISPLAY_FIELDS = [
+  'Cost', 'AverageCpc', 'Ctr', 'AveragePosition', 'Impressions', 'Clicks'
+];
+
+/**
+ * The currency to report costs in when the managed accounts have different
+ * currencies, e.g. 'BRL'. Each account's costs are converted with the rates in
+ * the RATES_SHEET_NAME tab of the spreadsheet before they are added up. Leave
+ * empty to show 'N/A' for costs of mixed-currency manager accounts instead.
+ *
+ * The tab has one row per currency and date: the date, the currency code, the
+ * value of one unit of it in REPORT_CURRENCY, and where the rate comes from.
+ * The rate of the latest date on or before each report date is used.
+ */
+var REPORT_CURRENCY = '';
+var RATES_SHEET_NAME = 'Exchange Rates';
+
+/**
+ * The sheet that keeps the daily QUERY_FIELDS of each managed account, with
+ * the account name and currency.
+ */
+var ACCOUNT_SHEET_NAME = 'Accounts';
+
+/**
+ * Sheets with the DISPLAY_FIELDS of each ISO week (Monday to Sunday) and
+ * calendar month, created if missing. They are calculated from the rows of
+ * ACCOUNT_SHEET_NAME the same way as the daily rows, and a period is updated
+ * whenever one of its days is reported, also when the day arrives late. Remove
+ * an entry to leave its sheet out.
+ */
+var ROLLUP_SHEETS = {WEEK: 'Weekly', MONTH: 'Monthly'};
+
+/**
+ * Values of DISPLAY_FIELDS that are unusual for the manager account are listed
+ * in the email and highlighted in the Report sheet, with the expected range in
+ * a note. Each day is compared with the days of the ANOMALY_WEEKS weeks before
+ * it: the same weekday ('SAME_WEEKDAY') or every day ('ALL_DAYS'). Values
+ * more than ANOMALY_SENSITIVITY standard deviations from the median of those
+ * days, estimated from their median absolute deviation, are flagged. Set
+ * ANOMALY_SENSITIVITY to 0 to leave the check out.
+ */
+var ANOMALY_MODEL = 'SAME_WEEKDAY';
+var ANOMALY_WEEKS = 8;
+var ANOMALY_SENSITIVITY = 3;
+
+/**
+ * The email shows, for each of these QUERY_FIELDS, the CONTRIBUTORS_COUNT
+ * accounts that contributed most to the change in the manager account total
+ * since the day before. Set CONTRIBUTORS_COUNT to 0 to leave them out.
+ */
+var CONTRIBUTOR_FIELDS = ['Cost', 'Clicks'];
+var CONTRIBUTORS_COUNT = 5;
+
+/**
+ * User-facing labels of the report in each language, keyed by LOCALE. Locales
+ * without a table, such as 'en-GB', use the table of their language, and
+ * labels missing from a table are taken from 'en-US'.
+ */
+var STRINGS = {
+  'en-US': {
+    title: 'Account Summary report',
+    poweredBy: 'Powered by AdWords Scripts',
+    subject: 'AdWords Account {0} Summary Report',
+    attachmentName: 'account-summary-{0}-{1}.csv',
+    metric: 'Metric',
+    change: 'Change',
+    percentChange: '% Change',
+    notApplicable: 'N/A',
+    notes: 'Notes',
+    date: 'Date',
+    customerId: 'Customer ID',
+    account: 'Account',
+    currency: 'Currency',
+    contributors: 'Biggest contributors to change: {0}',
+    contribution: 'Contribution',
+    rate: 'Rate',
+    source: 'Source',
+    convertedCosts: 'Costs converted to {0}: {1}.',
+    rateDescription: '{0} {1} ({2}, {3})',
+    period: 'Period',
+    start: 'Start',
+    end: 'End',
+    days: 'Days',
+    anomalies: 'Unusual values on {0}',
+    value: 'Value',
+    median: 'Median',
+    expectedRange: 'Expected range',
+    partialData: 'Partial data: accounts {0} excluded after repeated failures.',
+    Cost: 'Cost',
+    AverageCpc: 'Avg. CPC',
+    Ctr: 'CTR',
+    AveragePosition: 'Avg. Pos.',
+    Impressions: 'Impressions',
+    Clicks: 'Clicks',
+    Conversions: 'Conversions',
+    ConversionValue: 'Conv. value',
+    Cpa: 'CPA',
+    Roas: 'ROAS',
+    SearchImpressionShare: 'Search impr. share'
+  },
+  'pt-BR': {
+    title: 'Resumo das Contas',
+    poweredBy: 'Powered by AdWords Scripts',
+    subject: 'Resumo da Conta AdWords {0}',
+    attachmentName: 'resumo-contas-{0}-{1}.csv',
+    metric: 'Métrica',
+    change: 'Variação',
+    percentChange: 'Variação %',
+    notApplicable: 'N/D',
+    notes: 'Observações',
+    date: 'Data',
+    customerId: 'ID do cliente',
+    account: 'Conta',
+    currency: 'Moeda',
+    contributors: 'Contas que mais contribuíram para a variação: {0}',
+    contribution: 'Contribuição',
+    rate: 'Taxa',
+    source: 'Fonte',
+    convertedCosts: 'Custos convertidos para {0}: {1}.',
+    rateDescription: '{0} {1} ({2}, {3})',
+    period: 'Período',
+    start: 'Início',
+    end: 'Fim',
+    days: 'Dias',
+    anomalies: 'Valores fora do padrão em {0}',
+    value: 'Valor',
+    median: 'Mediana',
+    expectedRange: 'Faixa esperada',
+    partialData: 'Dados parciais: contas {0} excluídas após falhas repetidas.',
+    Cost: 'Custo',
+    AverageCpc: 'CPC médio',
+    Ctr: 'CTR',
+    AveragePosition: 'Posição média',
+    Impressions: 'Impressões',
+    Clicks: 'Cliques',
+    Conversions: 'Conversões',
+    ConversionValue: 'Valor conv.',
+    Cpa: 'CPA',
+    Roas: 'ROAS',
+    SearchImpressionShare: 'Parcela impr. pesquisa'
+  },
+  'es-ES': {
+    title: 'Resumen de las Cuentas',
+    poweredBy: 'Powered by AdWords Scripts',
+    subject: 'Resumen de la Cuenta AdWords {0}',
+    attachmentName: 'resumen-cuentas-{0}-{1}.csv',
+    metric: 'Métrica',
+    change: 'Variación',
+    percentChange: 'Variación %',
+    notApplicable: 'N/D',
+    notes: 'Notas',
+    date: 'Fecha',
+    customerId: 'ID de cliente',
+    account: 'Cuenta',
+    currency: 'Moneda',
+    contributors: 'Cuentas que más contribuyeron a la variación: {0}',
+    contribution: 'Contribución',
+    rate: 'Tipo',
+    source: 'Fuente',
+    convertedCosts: 'Costes convertidos a {0}: {1}.',
+    rateDescription: '{0} {1} ({2}, {3})',
+    period: 'Periodo',
+    start: 'Inicio',
+    end: 'Fin',
+    days: 'Días',
+    anomalies: 'Valores inusuales el {0}',
+    value: 'Valor',
+    median: 'Mediana',
+    expectedRange: 'Rango esperado',
+    partialData: 'Datos parciales: cuentas {0} excluidas tras varios fallos.',
+    Cost: 'Coste',
+    AverageCpc: 'CPC medio',
+    Ctr: 'CTR',
+    AveragePosition: 'Posición media',
+    Impressions: 'Impresiones',
+    Clicks: 'Clics',
+    Conversions: 'Conversiones',
+    ConversionValue: 'Valor conv.',
+    Cpa: 'CPA',
+    Roas: 'ROAS',
+    SearchImpressionShare: 'Cuota impr. búsqueda'
+  }
+};
 
 /**
- * The metrics to be presented in the spreadsheet report. To add additional
- * fields to the report, follow the instructions at the link in the header
- * above.
+ * Changes smaller than this percentage of the previous value are considered
+ * insignificant, and are left uncolored in the email.
  */
-var DISPLAY_FIELDS =
-    ['Cost', 'Avg. CPC', 'CTR', 'Avg. Pos.', 'Impressions', 'Clicks'];
+var NEUTRAL_CHANGE_PERCENT = 2;
 
 var reportState = null;
 var spreadsheetAccess = null;
@@ -80,8 +385,8 @@ function main() {
   spreadsheetAccess = new SpreadsheetAccess(SPREADSHEET_URL, 'Report');
   // Retrieve a list of dates for which to fetch and create new rows.
   var newDates = spreadsheetAccess.getNextDates();
-  // Initialise the object used to keep track of and collate report results on
-  // Drive.
+  // Initialise the object used to keep track of and collate report results
+  // between executions.
   reportState = new ReportState();
   reportState.addDatesToQueue(newDates);
 
@@ -89,6 +394,7 @@ function main() {
   if (nextAccounts.length) {
     var dateQueue = reportState.getDateQueue();
     if (dateQueue.length) {
+      reportState.recordRun(nextAccounts.length);
       MccApp.accounts()
           .withIds(nextAccounts)
           .executeInParallel(
@@ -115,6 +421,7 @@ function main() {
  * determines whether it is ready to request each of those dates: A sub account
  * of a manager accountcan have a different timezone to that of the manager
  * account, and therefore it is necessary to check on each account with the local timezone.
+ * The dates that are ready are retrieved with a single report.
  *
  * @param {string} dateQueueJson JSON string representing a list of dates to
  *     process, in ascending date order.
@@ -128,7 +435,7 @@ function processAccount(dateQueueJson) {
   var today = new Date();
   var yesterday = new Date((new Date()).getTime() - MILLIS_PER_DAY);
   var yesterdayString = Utilities.formatDate(yesterday, tz, 'yyyyMMdd');
-  var results = {};
+  var readyDates = [];
   for (var i = 0; i < dateQueue.length; i++) {
     var nextDate = dateQueue[i];
     // Only retrieve the report if either (a) the date in question is earlier
@@ -138,39 +445,58 @@ function processAccount(dateQueueJson) {
         (nextDate === yesterdayString &&
          parseInt(Utilities.formatDate(today, tz, 'H')) >=
              TRIGGER_NEW_DAY_REPORT_HOUR)) {
-      results[nextDate] = getReportRows(nextDate);
+      readyDates.push(nextDate);
     }
   }
-  return JSON.stringify(results);
+  return JSON.stringify(readyDates.length ? getReportRows(readyDates) : {});
 }
 
 /**
- * Retrieves a row from Account Performance Report for a specified date.
+ * Retrieves the rows from Account Performance Report for a list of dates, with
+ * one report covering all of them.
  *
- * @param {string} dateString The date in the form YYYYMMDD.
- * @return {ReportRow}
+ * @param {Array.<string>} dateStrings The dates in the form YYYYMMDD, in
+ *     ascending order.
+ * @return {Object.<ReportRow>} The row of each date, keyed by the date in the
+ *     form YYYYMMDD.
  */
-function getReportRows(dateString) {
-  var row = {};
+function getReportRows(dateStrings) {
+  var rowsByDate = {};
   var report = AdWordsApp.report(
-      'SELECT ' + QUERY_FIELDS.join(',') + ' ' +
+      'SELECT Date,' + QUERY_FIELDS.map(function(field) {
+        return field.name;
+      }).join(',') + ' ' +
           'FROM ACCOUNT_PERFORMANCE_REPORT ' +
-          'DURING ' + dateString + ',' + dateString,
+          'DURING ' + dateStrings[0] + ',' +
+          dateStrings[dateStrings.length - 1],
       REPORTING_OPTIONS);
-  if (report.rows().hasNext()) {
-    row = report.rows().next();
-  } else {
-    QUERY_FIELDS.forEach(function(metric) {
-      row[metric] = '0';
+  var rows = report.rows();
+  while (rows.hasNext()) {
+    var reportRow = rows.next();
+    var row = {Date: reportRow.Date};
+    QUERY_FIELDS.forEach(function(field) {
+      row[field.name] = reportRow[field.name];
     });
-    row.Date = separateDateString(dateString);
+    rowsByDate[reportRow.Date.replace(/-/g, '')] = row;
   }
-  return row;
+  var results = {};
+  dateStrings.forEach(function(dateString) {
+    var row = rowsByDate[dateString];
+    if (!row) {
+      // Days without impressions have no row.
+      row = {Date: separateDateString(dateString)};
+      QUERY_FIELDS.forEach(function(field) {
+        row[field.name] = '0';
+      });
+    }
+    results[dateString] = row;
+  });
+  return results;
 }
 
 /**
  * Callback function called on completion of executing managed accounts. Adds
- * all the returned results to the ReportState object and then stores to Drive.
+ * all the returned results to the ReportState object and then saves it.
  *
  * @param {Array.<MccApp.ExecutionResult>} executionResultsList
  */
@@ -183,6 +509,7 @@ function processIntermediateResults(executionResultsList) {
     if (error) {
       Logger.log(
           'Error encountered processing account ' + customerId + ': ' + error);
+      reportState.recordAccountFailure(customerId, error);
     } else {
       var results = JSON.parse(executionResult.getReturnValue());
       var completedDates = Object.keys(results);
@@ -193,8 +520,9 @@ function processIntermediateResults(executionResultsList) {
       }
     }
   }
-  // Save changes to object on Drive.
+  // Save the changed accounts and failures to the store.
   reportState.flush();
+  reportState.logProgress();
   if (reportState.getCompletedDates().length) {
     processFinalResults();
   }
@@ -209,114 +537,590 @@ function processFinalResults() {
   spreadsheetAccess = new SpreadsheetAccess(SPREADSHEET_URL, 'Report');
   var completedResults = reportState.getCompletedDates();
   if (completedResults.length) {
-    var isSingleCurrency = reportState.isSingleCurrency();
+    var currencyCode = reportState.getCurrencyCode();
+    // Costs in different currencies are converted to REPORT_CURRENCY, if set.
+    var exchangeRates = null;
+    if (REPORT_CURRENCY && !currencyCode) {
+      exchangeRates = spreadsheetAccess.getExchangeRates();
+      currencyCode = REPORT_CURRENCY;
+    }
+    var isSingleCurrency = currencyCode !== null;
+    var displayFields = getDisplayFields();
     for (var i = 0; i < completedResults.length; i++) {
       var rows = completedResults[i].reportData;
+      var dateString = completedResults[i].dateString;
+      var usedRates = [];
 
-      // Step 1: Running totals
-      // For each new row, set up variables to store running totals.
-      var result = {impressions: 0, clicks: 0, cost: 0, positionSum: 0};
+      // Step 1: Parse the values of each account
+      // Report values are strings such as '1,234.56', so parse them first, and
+      // convert amounts to REPORT_CURRENCY if needed.
+      var accountValues = [];
       for (var j = 0; j < rows.length; j++) {
         // Each row of data represents a different account.
         var row = rows[j];
-        // Cost, for example, requires only summing Cost across all accounts.
-        result.cost += row.Cost;
-        result.impressions += row.Impressions;
-        result.clicks += row.Clicks;
-        // To calculate Average Position, it must be weighted by impressions,
-        // then divided by impressions once all accounts have been added.
-        result.positionSum += row.Impressions * row.AveragePosition;
+        var rate = null;
+        if (exchangeRates) {
+          var accountCurrency =
+              reportState.getAccountInfo(completedResults[i].customerIds[j])
+                  .currencyCode;
+          rate = exchangeRates.getRate(accountCurrency, dateString);
+          if (accountCurrency != REPORT_CURRENCY &&
+              usedRates.indexOf(rate) == -1) {
+            usedRates.push(rate);
+          }
+        }
+        var values = {};
+        for (var k = 0; k < QUERY_FIELDS.length; k++) {
+          var field = QUERY_FIELDS[k];
+          var value = localeFormat.parseNumber(row[field.name]);
+          values[field.name] =
+              rate && field.type == 'currency' ? value * rate.rate : value;
+        }
+        accountValues.push(values);
       }
 
       // Step 2: Final aggregation and presentation
-      // Perform the final formatting to create a new row.
-      var formattedRow = [
-        separateDateString(completedResults[i].dateString),
+      // Perform the final formatting to create a new row, aggregating each
+      // metric as set in METRICS.
+      var notApplicable = localeFormat.string('notApplicable');
+      var formattedRow = [separateDateString(dateString)];
+      displayFields.forEach(function(field) {
         // Cost is an example where if different sub-accounts have different
         // currencies, adding them together is not meaningful. The below adds
         // "N/A" for "Not Applicable" in this case.
-        isSingleCurrency ? result.cost : 'N/A',
-        isSingleCurrency ? (result.cost / result.clicks).toFixed(2) : 'N/A',
-        // CTR is calculated from dividing total clicks by total impressions,
-        // not by summing CTRs from individual accounts.
-        (result.clicks * 100 / result.impressions).toFixed(2),
-        // Average position is calculated by dividing the sum of all the
-        // impression positions, by the number of impressions.
-        (result.positionSum / result.impressions).toFixed(1),
-        result.impressions, result.clicks
-      ];
-
-      spreadsheetAccess.writeNextEntry(formattedRow);
+        formattedRow.push(!isSingleCurrency && usesCurrency(field) ?
+            notApplicable : aggregateMetric(field, accountValues));
+      });
+
+      var notes = [];
+      var excludedAccounts = completedResults[i].excludedAccounts;
+      if (excludedAccounts.length) {
+        notes.push(
+            localeFormat.string('partialData', excludedAccounts.join(', ')));
+      }
+      if (usedRates.length) {
+        notes.push(localeFormat.string('convertedCosts', REPORT_CURRENCY,
+            usedRates.map(describeExchangeRate).join('; ')));
+      }
+      spreadsheetAccess.writeNextEntry(formattedRow, currencyCode,
+          notes.join(' '));
+      spreadsheetAccess.writeAccountRows(
+          completedResults[i].customerIds.map(function(customerId, k) {
+            var info = reportState.getAccountInfo(customerId);
+            return {
+              customerId: customerId,
+              name: info.name,
+              currencyCode: info.currencyCode,
+              row: rows[k]
+            };
+          }), dateString);
       spreadsheetAccess.sortReportRows();
       spreadsheetAccess.setDateComplete();
-      reportState.removeDateFromQueue(completedResults[i].dateString);
+      reportState.removeDateFromQueue(dateString);
     }
+    var dateStrings = completedResults.map(function(completedResult) {
+      return completedResult.dateString;
+    });
+    updateRollups(dateStrings, currencyCode, exchangeRates);
+    var anomalies = findAnomalies(currencyCode);
     var email = spreadsheetAccess.getEmail();
-    if (email) {
-      sendEmail(email);
+    if (notifier.hasRecipients(email)) {
+      sendReport(email, currencyCode, anomalies);
     }
   }
 }
 
 /**
- * Constructs and sends email summary.
+ * Rewrites the rows of ROLLUP_SHEETS for the periods containing any of the
+ * dates, from the rows of each account in ACCOUNT_SHEET_NAME.
+ *
+ * @param {Array.<string>} dateStrings The dates reported, in YYYYMMDD format.
+ * @param {?string} currencyCode The currency of the costs, as for
+ *     processFinalResults.
+ * @param {ExchangeRates} exchangeRates The rates to convert costs to
+ *     REPORT_CURRENCY with, or null if they are not converted.
+ */
+function updateRollups(dateStrings, currencyCode, exchangeRates) {
+  var displayFields = getDisplayFields();
+  var headings = displayFields.map(function(field) {
+    return localeFormat.string(field.name);
+  });
+  var numberFormats = displayFields.map(function(field) {
+    return localeFormat.getSheetNumberFormat(field.type, currencyCode);
+  });
+  var notApplicable = localeFormat.string('notApplicable');
+  Object.keys(ROLLUP_SHEETS).forEach(function(type) {
+    var periods = periodRollup.getPeriods(type, dateStrings);
+    if (!periods.length) {
+      return;
+    }
+    var rowsByDate = spreadsheetAccess.getAccountRowsBetween(
+        periods[0].start, periods[periods.length - 1].end);
+    var periodRows = periods.map(function(period) {
+      var days = Object.keys(rowsByDate).filter(function(date) {
+        return date >= period.start && date <= period.end;
+      });
+      // The values of each account and day, converted as the daily rows are.
+      // Days from before a rate was entered, e.g. when REPORT_CURRENCY was set
+      // partway through the period, cannot be converted, so the period's
+      // costs are shown as N/A rather than summed in different currencies.
+      var accountValues = [];
+      var isConverted = true;
+      days.forEach(function(date) {
+        rowsByDate[date].forEach(function(accountRow) {
+          var rate = 1;
+          if (exchangeRates) {
+            var exchangeRate =
+                exchangeRates.findRate(accountRow.currencyCode, date);
+            isConverted = isConverted && exchangeRate !== null;
+            rate = exchangeRate ? exchangeRate.rate : NaN;
+          }
+          var values = {};
+          QUERY_FIELDS.forEach(function(field) {
+            var value = accountRow.row[field.name];
+            // Blank cells, e.g. for ' --', are left out.
+            values[field.name] = typeof value != 'number' ? NaN :
+                field.type == 'currency' ? value * rate : value;
+          });
+          accountValues.push(values);
+        });
+      });
+      return {
+        period: period,
+        days: days.length,
+        values: displayFields.map(function(field) {
+          return (currencyCode === null || !isConverted) &&
+              usesCurrency(field) ? notApplicable : localeFormat.toSheetValue(
+                  aggregateMetric(field, accountValues), field.type);
+        })
+      };
+    });
+    periodRollup.writePeriods(spreadsheetAccess.getSpreadsheet(),
+        ROLLUP_SHEETS[type], headings, periodRows, numberFormats);
+  });
+}
+
+/**
+ * Constructs the summary and sends it through the configured notification
+ * channels.
  *
- * @param {string} email The recipient's email address.
+ * @param {string} email The recipient's email address, if any.
+ * @param {?string} currencyCode The currency of the accounts, REPORT_CURRENCY
+ *     if their costs are converted, or null if they have different
+ *     currencies.
+ * @param {!Object.<!Array.<Anomaly>>} anomalies The unusual values of the
+ *     dates reported, as returned by findAnomalies.
  */
-function sendEmail(email) {
+function sendReport(email, currencyCode, anomalies) {
   var yesterdayRow = spreadsheetAccess.getPreviousRow(1);
   var twoDaysAgoRow = spreadsheetAccess.getPreviousRow(2);
   var weekAgoRow = spreadsheetAccess.getPreviousRow(5);
 
-  var yesterdayColHeading = yesterdayRow ? yesterdayRow[0] : '-';
-  var twoDaysAgoColHeading = twoDaysAgoRow ? twoDaysAgoRow[0] : '-';
-  var weekAgoColHeading = weekAgoRow ? weekAgoRow[0] : '-';
+  var yesterdayColHeading =
+      yesterdayRow ? localeFormat.formatDate(yesterdayRow[0]) : '-';
+  var twoDaysAgoColHeading =
+      twoDaysAgoRow ? localeFormat.formatDate(twoDaysAgoRow[0]) : '-';
+  var weekAgoColHeading =
+      weekAgoRow ? localeFormat.formatDate(weekAgoRow[0]) : '-';
 
-  var html = [];
-  html.push(
-      '<html>', '<body>',
-      '<table width=800 cellpadding=0 border=0 cellspacing=0>', '<tr>',
-      '<td colspan=2 align=right>',
-      '<div style=\'font: italic normal 10pt Times New Roman, serif; ' +
-          'margin: 0; color: #666; padding-right: 5px;\'>' +
-          'Powered by AdWords Scripts</div>',
-      '</td>', '</tr>', '<tr bgcolor=\'#3c78d8\'>', '<td width=500>',
-      '<div style=\'font: normal 18pt verdana, sans-serif; ' +
-          'padding: 3px 10px; color: white\'>Account Summary report</div>',
-      '</td>', '<td align=right>',
-      '<div style=\'font: normal 18pt verdana, sans-serif; ' +
-          'padding: 3px 10px; color: white\'>',
-      AdWordsApp.currentAccount().getCustomerId(), '</h1>', '</td>', '</tr>',
-      '</table>', '<table width=800 cellpadding=0 border=0 cellspacing=0>',
-      '<tr bgcolor=\'#ddd\'>', '<td></td>',
-      '<td style=\'font: 12pt verdana, sans-serif; ' +
-          'padding: 5px 0px 5px 5px; background-color: #ddd; ' +
-          'text-align: left\'>',
-      yesterdayColHeading, '</td>',
-      '<td style=\'font: 12pt verdana, sans-serif; ' +
-          'padding: 5px 0px 5px 5px; background-color: #ddd; ' +
-          'text-align: left\'>',
-      twoDaysAgoColHeading, '</td>',
-      '<td style=\'font: 12pt verdana, sans-serif; ' +
-          'padding: 5px 0px 5x 5px; background-color: #ddd; ' +
-          'text-align: left\'>',
-      weekAgoColHeading, '</td>', '</tr>');
-  for (var d = 0; d < DISPLAY_FIELDS.length; d++) {
-    var fieldName = DISPLAY_FIELDS[d];
-    html.push(
-        emailRow(fieldName, d + 1, yesterdayRow, twoDaysAgoRow, weekAgoRow));
-  }
-  html.push('</table>', '</body>', '</html>');
-  MailApp.sendEmail(
-      email, 'AdWords Account ' + AdWordsApp.currentAccount().getCustomerId() +
-          ' Summary Report',
-      '', {htmlBody: html.join('\n')});
+  // Notes on the compared days, e.g. that some accounts are missing.
+  var notes = [];
+  [[yesterdayRow, 1], [twoDaysAgoRow, 2], [weekAgoRow, 5]].forEach(
+      function(entry) {
+        var note = entry[0] ? spreadsheetAccess.getPreviousNote(entry[1]) : '';
+        if (note) {
+          notes.push(localeFormat.formatDate(entry[0][0]) + ': ' + note);
+        }
+      });
+
+  var displayFields = getDisplayFields();
+  var rows = [];
+  for (var d = 0; d < displayFields.length; d++) {
+    rows.push(emailRow(displayFields[d], d + 1, yesterdayRow, twoDaysAgoRow,
+        weekAgoRow, currencyCode));
+  }
+  var contributors = yesterdayRow && twoDaysAgoRow ?
+      getContributors(yesterdayRow[0], twoDaysAgoRow[0], currencyCode) : [];
+  var contributorHeadings = [
+    yesterdayColHeading, twoDaysAgoColHeading,
+    localeFormat.string('contribution')
+  ];
+  var yesterdayAnomalies =
+      yesterdayRow && anomalies[yesterdayRow[0].replace(/-/g, '')] || [];
+  var anomalyTitle = localeFormat.string('anomalies', yesterdayColHeading);
+
+  var customerId = AdWordsApp.currentAccount().getCustomerId();
+  var title = localeFormat.string('title');
+  var html = reportTemplate.page([
+    reportTemplate.header(title, customerId, localeFormat.string('poweredBy')),
+    reportTemplate.comparisonTable(
+        [yesterdayColHeading, twoDaysAgoColHeading, weekAgoColHeading], rows)
+  ].concat(notes.map(reportTemplate.note), contributors.map(
+      function(contributor) {
+        return reportTemplate.comparisonTable(contributorHeadings,
+            contributor.accounts.map(function(account) {
+              return contributorRow(contributor, account);
+            }), localeFormat.string('contributors',
+                localeFormat.string(contributor.field.name)));
+      }), yesterdayAnomalies.length ? [
+    reportTemplate.comparisonTable(getAnomalyHeadings(),
+        yesterdayAnomalies.map(function(anomaly) {
+          return anomalyRow(anomaly, currencyCode);
+        }), anomalyTitle)
+  ] : []));
+
+  // The same comparison as plain text and as a CSV attachment, for mail
+  // systems that strip HTML.
+  var change = localeFormat.string('change');
+  var percentChange = localeFormat.string('percentChange');
+  var table = [[
+    localeFormat.string('metric'), yesterdayColHeading, twoDaysAgoColHeading,
+    change, percentChange, weekAgoColHeading, change, percentChange
+  ]];
+  if (yesterdayRow) {
+    for (var f = 0; f < displayFields.length; f++) {
+      table.push(comparisonRow(displayFields[f], f + 1, yesterdayRow,
+          twoDaysAgoRow, weekAgoRow, currencyCode));
+    }
+  }
+  var text = title + ' ' + customerId + '\n\n' +
+      reportTemplate.textTable(table);
+  if (notes.length) {
+    text += '\n\n' + notes.join('\n');
+  }
+  contributors.forEach(function(contributor) {
+    text += '\n\n' + localeFormat.string('contributors',
+        localeFormat.string(contributor.field.name)) + '\n' +
+        reportTemplate.textTable([
+          [localeFormat.string('account')].concat(
+              contributorHeadings.slice(0, 2), change, contributorHeadings[2])
+        ].concat(contributor.accounts.map(function(account) {
+          return contributorTextRow(contributor, account);
+        })));
+  });
+  if (yesterdayAnomalies.length) {
+    text += '\n\n' + anomalyTitle + '\n' + reportTemplate.textTable([
+      [localeFormat.string('metric')].concat(getAnomalyHeadings())
+    ].concat(yesterdayAnomalies.map(function(anomaly) {
+      return anomalyTextRow(anomaly, currencyCode);
+    })));
+  }
+  var csvName = localeFormat.string('attachmentName', customerId,
+      yesterdayRow ? yesterdayRow[0] : '-');
+
+  notifier.send({
+    recipient: email,
+    subject: localeFormat.string('subject', customerId),
+    html: html,
+    text: text,
+    attachments: [
+      Utilities.newBlob(reportTemplate.csv(table), 'text/csv', csvName)
+    ],
+    data: {
+      customerId: customerId,
+      currencyCode: currencyCode,
+      fields: ['Date'].concat(DISPLAY_FIELDS),
+      yesterday: yesterdayRow,
+      twoDaysAgo: twoDaysAgoRow,
+      weekAgo: weekAgoRow,
+      notes: notes,
+      contributors: contributors.map(function(contributor) {
+        return {
+          field: contributor.field.name,
+          totalChange: contributor.totalChange,
+          accounts: contributor.accounts
+        };
+      }),
+      anomalies: yesterdayAnomalies.map(function(anomaly) {
+        return {
+          field: anomaly.field.name,
+          value: anomaly.value,
+          median: anomaly.median,
+          low: anomaly.low,
+          high: anomaly.high
+        };
+      })
+    }
+  });
+}
+
+/**
+ * @typedef {Object} Anomaly
+ * @property {Object} field The metric, as returned by getDisplayFields.
+ * @property {number} value The value of the day.
+ * @property {number} median The median of the days compared with.
+ * @property {number} low The lowest expected value.
+ * @property {number} high The highest expected value.
+ */
+
+/**
+ * Finds the unusual values of DISPLAY_FIELDS on each date of the Report sheet,
+ * see ANOMALY_MODEL, and highlights them, clearing the highlights of the other
+ * values. All dates are checked, as dates reported late change the baselines
+ * of the dates after them and move the rows below them when sorted.
+ *
+ * @param {?string} currencyCode The currency of the costs, as for
+ *     processFinalResults.
+ * @return {!Object.<!Array.<Anomaly>>} The anomalies of each date, keyed by
+ *     the date in YYYYMMDD format.
+ */
+function findAnomalies(currencyCode) {
+  var anomalies = {};
+  if (!ANOMALY_SENSITIVITY) {
+    return anomalies;
+  }
+  var displayFields = getDisplayFields();
+  var dailyRows = spreadsheetAccess.getDailyRows();
+  var notesByRow = {};
+  Object.keys(dailyRows).forEach(function(dateString) {
+    anomalies[dateString] = [];
+    var dailyRow = dailyRows[dateString];
+    var notes = displayFields.map(function() {
+      return '';
+    });
+    notesByRow[dailyRow.rowNumber] = notes;
+    var baselineDates = anomalyDetector.getBaselineDates(ANOMALY_MODEL,
+        dateString, ANOMALY_WEEKS);
+    displayFields.forEach(function(field, i) {
+      var anomaly = anomalyDetector.detect(dailyRow.values[i],
+          baselineDates.map(function(baselineDate) {
+            return dailyRows[baselineDate] &&
+                dailyRows[baselineDate].values[i];
+          }), ANOMALY_SENSITIVITY);
+      if (anomaly && anomaly.isAnomaly) {
+        anomaly.field = field;
+        anomalies[dateString].push(anomaly);
+        notes[i] = localeFormat.string('expectedRange') + ': ' +
+            formatExpectedRange(anomaly, currencyCode);
+      }
+    });
+  });
+  spreadsheetAccess.highlightValues(notesByRow);
+  return anomalies;
+}
+
+/**
+ * @param {Anomaly} anomaly
+ * @param {?string} currencyCode The currency of the costs.
+ * @return {string} The expected range, e.g. '$10.00 – $20.00'.
+ */
+function formatExpectedRange(anomaly, currencyCode) {
+  var type = anomaly.field.type;
+  return localeFormat.format(anomaly.low, type, currencyCode) + ' – ' +
+      localeFormat.format(anomaly.high, type, currencyCode);
+}
+
+/**
+ * @return {Array.<string>} The headings of the anomaly table, after the
+ *     metric.
+ */
+function getAnomalyHeadings() {
+  return ['value', 'median', 'expectedRange'].map(function(key) {
+    return localeFormat.string(key);
+  });
+}
+
+/**
+ * Renders an unusual value as a row of the anomaly table of the email.
+ *
+ * @param {Anomaly} anomaly
+ * @param {?string} currencyCode The currency of the costs.
+ * @return {string} HTML of the row.
+ */
+function anomalyRow(anomaly, currencyCode) {
+  var field = anomaly.field;
+  return reportTemplate.row(localeFormat.string(field.name), [
+    reportTemplate.cell(
+        localeFormat.format(anomaly.value, field.type, currencyCode),
+        formatChangeString(anomaly.value, anomaly.median, field,
+            currencyCode)),
+    reportTemplate.cell(
+        localeFormat.format(anomaly.median, field.type, currencyCode)),
+    reportTemplate.cell(formatExpectedRange(anomaly, currencyCode))
+  ]);
+}
+
+/**
+ * @param {Anomaly} anomaly
+ * @param {?string} currencyCode The currency of the costs.
+ * @return {Array.<string>} An unusual value as a row of the plain text table:
+ *     the metric, value, median and expected range, formatted.
+ */
+function anomalyTextRow(anomaly, currencyCode) {
+  var field = anomaly.field;
+  return [
+    localeFormat.string(field.name),
+    localeFormat.format(anomaly.value, field.type, currencyCode),
+    localeFormat.format(anomaly.median, field.type, currencyCode),
+    formatExpectedRange(anomaly, currencyCode)
+  ];
+}
+
+/**
+ * @typedef {Object} AccountChange
+ * @property {string} customerId
+ * @property {string} name
+ * @property {string} currencyCode
+ * @property {number} current The value on the current date.
+ * @property {number} previous The value on the previous date.
+ * @property {number} change
+ */
+
+/**
+ * Finds the accounts that contributed most to the change in each of
+ * CONTRIBUTOR_FIELDS between two dates, from ACCOUNT_SHEET_NAME. When the
+ * accounts have different currencies, currency fields are converted to
+ * REPORT_CURRENCY, or left out if it is not set.
+ *
+ * @param {string} current The current date, as YYYY-MM-DD.
+ * @param {string} previous The date to compare to, as YYYY-MM-DD.
+ * @param {?string} currencyCode The currency of the accounts, if the same, or
+ *     REPORT_CURRENCY.
+ * @return {!Array.<{field: Object, totalChange: number,
+ *     accounts: !Array.<AccountChange>}>} For each field, the total change
+ *     and the CONTRIBUTORS_COUNT accounts with the largest changes.
+ */
+function getContributors(current, previous, currencyCode) {
+  if (CONTRIBUTORS_COUNT <= 0) {
+    return [];
+  }
+  var accounts = {};
+  var addRows = function(accountRows, key) {
+    accountRows.forEach(function(accountRow) {
+      var account = accounts[accountRow.customerId] || {
+        customerId: accountRow.customerId,
+        name: accountRow.name,
+        currencyCode: accountRow.currencyCode,
+        current: {},
+        previous: {}
+      };
+      account[key] = accountRow.row;
+      accounts[accountRow.customerId] = account;
+    });
+  };
+  addRows(spreadsheetAccess.getAccountRows(current), 'current');
+  addRows(spreadsheetAccess.getAccountRows(previous), 'previous');
+  var exchangeRates = REPORT_CURRENCY && !reportState.isSingleCurrency() ?
+      spreadsheetAccess.getExchangeRates() : null;
+  // Costs are only compared if both days can be converted; the previous day
+  // may be from before the first rate, e.g. when REPORT_CURRENCY was just set.
+  var isConvertible = !exchangeRates ||
+      Object.keys(accounts).every(function(customerId) {
+        var accountCurrency = accounts[customerId].currencyCode;
+        return exchangeRates.findRate(accountCurrency, current) !== null &&
+            exchangeRates.findRate(accountCurrency, previous) !== null;
+      });
+
+  var fields = getAccountFields();
+  return CONTRIBUTOR_FIELDS.map(function(name) {
+    var field = fields.filter(function(accountField) {
+      return accountField.name == name;
+    })[0];
+    if (!field) {
+      throw new Error('CONTRIBUTOR_FIELDS contains ' + name + ', which is ' +
+          'not in QUERY_FIELDS.');
+    }
+    return field;
+  }).filter(function(field) {
+    return field.type != 'currency' || currencyCode && isConvertible;
+  }).map(function(field) {
+    var totalChange = 0;
+    var changes = Object.keys(accounts).map(function(customerId) {
+      var account = accounts[customerId];
+      var currentValue = account.current[field.name] || 0;
+      var previousValue = account.previous[field.name] || 0;
+      var accountCurrency = account.currencyCode;
+      if (exchangeRates && field.type == 'currency') {
+        currentValue = exchangeRates.convert(
+            currentValue, accountCurrency, current);
+        previousValue = exchangeRates.convert(
+            previousValue, accountCurrency, previous);
+        accountCurrency = REPORT_CURRENCY;
+      }
+      totalChange += currentValue - previousValue;
+      return {
+        customerId: customerId,
+        name: account.name,
+        currencyCode: accountCurrency,
+        current: currentValue,
+        previous: previousValue,
+        change: currentValue - previousValue
+      };
+    }).filter(function(change) {
+      return change.change != 0;
+    });
+    changes.sort(function(a, b) {
+      return Math.abs(b.change) - Math.abs(a.change);
+    });
+    return {
+      field: field,
+      totalChange: totalChange,
+      accounts: changes.slice(0, CONTRIBUTORS_COUNT)
+    };
+  });
+}
+
+/**
+ * @param {{field: Object, totalChange: number}} contributor An entry returned
+ *     by getContributors.
+ * @param {AccountChange} account One of its accounts.
+ * @return {string} The account's share of the total change, as a formatted
+ *     percentage, or empty if the total didn't change.
+ */
+function formatContribution(contributor, account) {
+  if (!contributor.totalChange) {
+    return '';
+  }
+  return localeFormat.format(account.change / contributor.totalChange * 100,
+      'percent');
+}
+
+/**
+ * Constructs a row of a contributors table for the email message.
+ *
+ * @param {{field: Object, totalChange: number}} contributor An entry returned
+ *     by getContributors.
+ * @param {AccountChange} account One of its accounts.
+ * @return {string} HTML of the row.
+ */
+function contributorRow(contributor, account) {
+  var field = contributor.field;
+  return reportTemplate.row(account.name + ' (' + account.customerId + ')', [
+    reportTemplate.cell(
+        localeFormat.format(account.current, field.type, account.currencyCode)),
+    reportTemplate.cell(
+        localeFormat.format(account.previous, field.type,
+            account.currencyCode),
+        formatChangeString(account.current, account.previous, field,
+            account.currencyCode)),
+    reportTemplate.cell(formatContribution(contributor, account))
+  ]);
+}
+
+/**
+ * Constructs a row of a contributors table for the plain text summary.
+ *
+ * @param {{field: Object, totalChange: number}} contributor An entry returned
+ *     by getContributors.
+ * @param {AccountChange} account One of its accounts.
+ * @return {Array.<string>} The account, both values, the change and the
+ *     contribution to the total change.
+ */
+function contributorTextRow(contributor, account) {
+  var field = contributor.field;
+  return [
+    account.name + ' (' + account.customerId + ')',
+    localeFormat.format(account.current, field.type, account.currencyCode),
+    localeFormat.format(account.previous, field.type, account.currencyCode),
+    localeFormat.formatChange(account.change, field.type, account.currencyCode),
+    formatContribution(contributor, account)
+  ];
 }
 
 /**
  * Constructs a row for embedding in the email message.
  *
- * @param {string} title The title for the row.
+ * @param {Object} field The metric of the row, from getDisplayFields().
  * @param {number} column The index into each ReportRow object for the value to
  *     extract.
  * @param {ReportRow} yesterdayRow Statistics from yesterday, or the most recent
@@ -325,59 +1129,277 @@ function sendEmail(email) {
  *     recent day processed.
  * @param {ReportRow} weekAgoRow Statistics from a week ago, or the 7th most
  *     recent day processed.
+ * @param {?string} currencyCode The currency of the accounts, if the same.
  * @return {string} HTML representing a row of statistics.
  */
-function emailRow(title, column, yesterdayRow, twoDaysAgoRow, weekAgoRow) {
-  var html = [];
-  var twoDaysAgoCell = '<td></td>';
-  var weekAgoCell = '<td></td>';
+function emailRow(field, column, yesterdayRow, twoDaysAgoRow, weekAgoRow,
+    currencyCode) {
+  var format = function(value) {
+    return localeFormat.format(value, field.type, currencyCode);
+  };
+  var twoDaysAgoCell = reportTemplate.cell(null);
+  var weekAgoCell = reportTemplate.cell(null);
   if (twoDaysAgoRow) {
-    twoDaysAgoCell = '<td style=\'padding: 0px 10px\'>' +
-        twoDaysAgoRow[column] +
-        formatChangeString(yesterdayRow[column], twoDaysAgoRow[column]) +
-        '</td>';
+    twoDaysAgoCell = reportTemplate.cell(format(twoDaysAgoRow[column]),
+        formatChangeString(yesterdayRow[column], twoDaysAgoRow[column], field,
+            currencyCode));
   }
   if (weekAgoRow) {
-    weekAgoCell = '<td style=\'padding: 0px 10px\'>' + weekAgoRow[column] +
-        formatChangeString(yesterdayRow[column], weekAgoRow[column]) + '</td>';
+    weekAgoCell = reportTemplate.cell(format(weekAgoRow[column]),
+        formatChangeString(yesterdayRow[column], weekAgoRow[column], field,
+            currencyCode));
+  }
+  return reportTemplate.row(localeFormat.string(field.name), [
+    reportTemplate.cell(format(yesterdayRow[column])), twoDaysAgoCell,
+    weekAgoCell
+  ]);
+}
+
+/**
+ * Constructs a row for the plain text and CSV versions of the summary, from
+ * the same rows as the HTML version.
+ *
+ * @param {Object} field The metric of the row, from getDisplayFields().
+ * @param {number} column The index into each row for the value to extract.
+ * @param {Array.<*>} yesterdayRow Statistics from the most recent day.
+ * @param {Array.<*>} twoDaysAgoRow Statistics from the day before, or null.
+ * @param {Array.<*>} weekAgoRow Statistics from a week ago, or null.
+ * @param {?string} currencyCode The currency of the accounts, if the same.
+ * @return {Array.<string>} The title, then each value followed by its
+ *     absolute and percentage change from the most recent day.
+ */
+function comparisonRow(field, column, yesterdayRow, twoDaysAgoRow,
+    weekAgoRow, currencyCode) {
+  var format = function(value) {
+    return localeFormat.format(value, field.type, currencyCode);
+  };
+  var row = [localeFormat.string(field.name), format(yesterdayRow[column])];
+  [twoDaysAgoRow, weekAgoRow].forEach(function(previousRow) {
+    if (previousRow) {
+      var change = getChange(yesterdayRow[column], previousRow[column], field,
+          currencyCode);
+      row.push(format(previousRow[column]), change.text, change.percentText);
+    } else {
+      row.push('', '', '');
+    }
+  });
+  return row;
+}
+
+/**
+ * Calculates the change from an old to a new value, either of which may be
+ * 'N/A'.
+ *
+ * @param {number|string} newValue
+ * @param {number|string} oldValue
+ * @param {Object} field The metric the values belong to, from
+ *     getDisplayFields().
+ * @param {?string} currencyCode The currency of the accounts, if the same.
+ * @return {{value: number, text: string, percent: number,
+ *     percentText: string}} The absolute and relative change, each with its
+ *     signed display text; the texts are empty if the change can't be
+ *     calculated, e.g. if the values are not numeric (e.g. 'N/A') or the
+ *     relative change from zero.
+ */
+function getChange(newValue, oldValue, field, currencyCode) {
+  if (typeof newValue != 'number' || typeof oldValue != 'number') {
+    return {value: NaN, text: '', percent: NaN, percentText: ''};
   }
-  html.push(
-      '<tr>', '<td style=\'padding: 5px 10px\'>' + title + '</td>',
-      '<td style=\'padding: 0px 10px\'>' + yesterdayRow[column] + '</td>',
-      twoDaysAgoCell, weekAgoCell, '</tr>');
-  return html.join('\n');
+  var change = newValue - oldValue;
+  var percent = oldValue != 0 ? change / Math.abs(oldValue) * 100 : NaN;
+  return {
+    value: change,
+    text: localeFormat.formatChange(change, field.type, currencyCode),
+    percent: percent,
+    percentText: isNaN(percent) ? '' :
+        localeFormat.formatChange(percent, 'percent')
+  };
 }
 
 /**
  * Formats HTML representing the change from an old to a new value in the email
- * summary.
+ * summary, colored by whether it is an improvement.
  *
- * @param {number} newValue
- * @param {number} oldValue
- * @return {string} HTML representing the change.
+ * @param {number|string} newValue
+ * @param {number|string} oldValue
+ * @param {Object} field The metric the values belong to, from
+ *     getDisplayFields().
+ * @param {?string} currencyCode The currency of the accounts, if the same.
+ * @return {string} HTML representing the absolute and percentage change.
  */
-function formatChangeString(newValue, oldValue) {
-  var newValueString = newValue.toString();
-  var oldValueString = oldValue.toString();
-  var x = newValueString.indexOf('%');
-  if (x != -1) {
-    newValueString = newValueString.substring(0, x);
-    var y = oldValueString.indexOf('%');
-    oldValueString = oldValueString.substring(0, y);
+function formatChangeString(newValue, oldValue, field, currencyCode) {
+  var change = getChange(newValue, oldValue, field, currencyCode);
+  if (!change.text) {
+    return '';
   }
+  var text = change.text;
+  if (change.percentText) {
+    text += ', ' + change.percentText;
+  }
+  return reportTemplate.delta(text,
+      getChangeSentiment(change, field.higherIsBetter));
+}
 
-  var change = parseFloat(newValueString - oldValueString).toFixed(2);
-  var changeString = change;
-  if (x != -1) {
-    changeString = change + '%';
+/**
+ * Classifies a change as good, bad or insignificant.
+ *
+ * @param {{value: number, percent: number}} change As returned by getChange.
+ * @param {boolean=} higherIsBetter Whether an increase is an improvement.
+ * @return {number} 1 for an improvement, -1 for a deterioration and 0 if the
+ *     change is within NEUTRAL_CHANGE_PERCENT or has no direction.
+ */
+function getChangeSentiment(change, higherIsBetter) {
+  if (higherIsBetter === undefined || change.value == 0 ||
+      Math.abs(change.percent) < NEUTRAL_CHANGE_PERCENT) {
+    return 0;
   }
+  return (change.value > 0) == higherIsBetter ? 1 : -1;
+}
+
+/**
+ * Describes an exchange rate for the notes of the report.
+ *
+ * @param {ExchangeRate} rate
+ * @return {string} The currency, the rate, and its source and date.
+ */
+function describeExchangeRate(rate) {
+  return localeFormat.string('rateDescription', rate.currencyCode,
+      localeFormat.format(rate.rate, 'rate'), rate.source || '-',
+      localeFormat.formatDate(rate.date));
+}
+
+/**
+ * Returns QUERY_FIELDS, the values kept for each account, with the direction
+ * of the metric of the same name in METRICS, if any.
+ *
+ * @return {!Array.<{name: string, type: string, higherIsBetter: ?boolean}>}
+ */
+function getAccountFields() {
+  return QUERY_FIELDS.map(function(field) {
+    var metric = METRICS[field.name];
+    return {
+      name: field.name,
+      type: field.type,
+      higherIsBetter: metric ? metric.higherIsBetter : null
+    };
+  });
+}
+
+/**
+ * Looks up the METRICS named in DISPLAY_FIELDS.
+ *
+ * @return {!Array.<Object>} The metrics, in order, each with its name.
+ * @throws {Error} If a metric is unknown or uses a column missing from
+ *     QUERY_FIELDS.
+ */
+function getDisplayFields() {
+  return DISPLAY_FIELDS.map(function(name) {
+    var metric = METRICS[name];
+    if (!metric) {
+      throw new Error('DISPLAY_FIELDS contains ' + name + ', which is not ' +
+          'in METRICS.');
+    }
+    var field = {name: name};
+    Object.keys(metric).forEach(function(key) {
+      field[key] = metric[key];
+    });
+    getMetricColumns(field).forEach(function(column) {
+      if (!getQueryField(column)) {
+        throw new Error('The metric ' + name + ' is calculated from ' +
+            column + ', which is not in QUERY_FIELDS.');
+      }
+    });
+    return field;
+  });
+}
 
-  var color = 'cc0000';
-  var template = '<span style=\'color: #%s; font-size: 8pt\'> (%s)</span>';
-  if (change >= 0) {
-    color = '38761d';
+/**
+ * @param {Object} metric An entry of METRICS.
+ * @return {!Array.<string>} The QUERY_FIELDS the metric is calculated from.
+ */
+function getMetricColumns(metric) {
+  return [metric.column, metric.numerator, metric.denominator, metric.weight]
+      .filter(function(column) {
+        return column;
+      });
+}
+
+/**
+ * @param {string} name
+ * @return {Object} The entry of QUERY_FIELDS with the name, or null.
+ */
+function getQueryField(name) {
+  return QUERY_FIELDS.filter(function(field) {
+    return field.name == name;
+  })[0] || null;
+}
+
+/**
+ * @param {Object} metric An entry of METRICS.
+ * @return {boolean} True if the metric is calculated from amounts of money.
+ */
+function usesCurrency(metric) {
+  return getMetricColumns(metric).some(function(column) {
+    return getQueryField(column).type == 'currency';
+  });
+}
+
+/**
+ * Calculates a metric for the whole manager account, see METRICS.
+ *
+ * @param {Object} metric An entry of METRICS.
+ * @param {!Array.<Object.<number>>} accountValues The QUERY_FIELDS of each
+ *     account, parsed. Values that are not numbers, e.g. for ' --', are left
+ *     out.
+ * @return {number} The value of the metric.
+ */
+function aggregateMetric(metric, accountValues) {
+  var sum = function(getValue) {
+    return accountValues.reduce(function(total, values) {
+      var value = getValue(values);
+      return isFinite(value) ? total + value : total;
+    }, 0);
+  };
+  var column = function(name) {
+    return function(values) {
+      return values[name];
+    };
+  };
+  switch (metric.aggregation) {
+    case 'sum':
+      return sum(column(metric.column));
+    case 'ratio':
+      return divide(sum(column(metric.numerator)),
+          sum(column(metric.denominator))) *
+          (metric.type == 'percent' ? 100 : 1);
+    case 'weightedAverage':
+      return divide(sum(function(values) {
+        return values[metric.column] * values[metric.weight];
+      }), sum(function(values) {
+        return isFinite(values[metric.column]) ? values[metric.weight] : NaN;
+      }));
+    case 'share':
+      // Values of 0 are left out, as their share of the total is unknown.
+      return divide(sum(function(values) {
+        return values[metric.column] ? values[metric.weight] : NaN;
+      }), sum(function(values) {
+        return values[metric.weight] / values[metric.column];
+      }));
+    default:
+      throw new Error('Unknown aggregation \'' + metric.aggregation +
+          '\' for the metric ' + metric.name + '.');
   }
-  return Utilities.formatString(template, color, changeString);
+}
+
+/**
+ * Divides two totals, e.g. to calculate an average.
+ *
+ * @param {number} dividend
+ * @param {number} divisor
+ * @return {number} The quotient, or 0 if the divisor is 0.
+ */
+function divide(dividend, divisor) {
+  return divisor ? dividend / divisor : 0;
 }
 
 /**
@@ -392,8 +1414,19 @@ function separateDateString(date) {
 
 /**
  * @typedef {Object} AccountData
+ * @property {string} name
  * @property {string} currencyCode
  * @property {Object.<ReportRow>} records Results for individual dates.
+ * @property {Object.<Failure>=} failures Failures to return the results for
+ *     individual dates, until results are returned.
+ */
+
+/**
+ * @typedef {Object} Failure
+ * @property {number} count The number of consecutive failures.
+ * @property {number} lastFailure When the last failure happened, in
+ *     milliseconds since the epoch.
+ * @property {string} error The error of the last failure.
  */
 
 /**
@@ -402,43 +1435,79 @@ function separateDateString(date) {
  *    report entries.
  * @property {Object.<AccountData>} accounts Holds intermediate results for each
  *    account.
+ * @property {Progress} progress Holds the recent runs, to estimate when the
+ *    backlog will be done.
+ */
+
+/**
+ * @typedef {Object} Progress
+ * @property {!Array.<{time: number, accounts: number}>} runs The last
+ *     PROGRESS_HISTORY_RUNS runs that processed accounts: when they started, in
+ *     milliseconds since the epoch, and how many accounts they processed.
  */
 
 /**
  * ReportState coordinates the ordered retrieval of report data across CIDs, and
  * determines when data is ready for writing to the spreadsheet.
  *
+ * The state is saved as separate entries, the date queue and one entry per
+ * account, so that flush() only writes the entries that changed.
+ *
+ * @param {StateBackend=} opt_backend Where to save the state; defaults to the
+ *     backend selected by STATE_STORE.
  * @constructor
  */
-function ReportState() {
+function ReportState(opt_backend) {
+  this.store_ = new StateStore(opt_backend || createStateBackend());
+  this.changed_ = {};
+  this.removed_ = {};
   this.state_ = this.loadOrCreateState_();
 }
 
 /**
- * Either loads an existing state representation from Drive, or if one does not
- * exist, creates a new state representation.
+ * Either loads an existing state representation from the store, or if one
+ * does not exist, creates a new state representation.
  *
  * @return {State}
- * @private_
+ * @private
  */
 ReportState.prototype.loadOrCreateState_ = function() {
-  var reportStateFiles =
-      DriveApp.getRootFolder().getFilesByName(this.getFilename_());
-  if (reportStateFiles.hasNext()) {
-    var reportStateFile = reportStateFiles.next();
-    if (reportStateFiles.hasNext()) {
-      this.throwDuplicateFileException_();
-    }
-    reportState = JSON.parse(reportStateFile.getBlob().getDataAsString());
+  var entries = this.store_.load();
+  var reportState;
+  if (!entries) {
+    var legacyState = this.loadLegacyState_();
+    reportState = legacyState || this.createNewState_();
+    reportState.progress = reportState.progress || {runs: []};
+    this.markChanged_(this.getQueueEntryName_());
+    this.markChanged_(this.getProgressEntryName_());
+    Object.keys(reportState.accounts).forEach(function(customerId) {
+      this.markChanged_(this.getAccountEntryName_(customerId));
+    }, this);
     this.updateAccountsList_(reportState);
-  } else {
-    reportState = this.createNewState_();
+    this.state_ = reportState;
+    this.flush();
+    if (legacyState) {
+      this.trashLegacyFiles_();
+    }
+    return reportState;
   }
+  reportState = {
+    dateQueue: entries[this.getQueueEntryName_()] || [],
+    accounts: {},
+    progress: entries[this.getProgressEntryName_()] || {runs: []}
+  };
+  var prefix = this.getAccountEntryName_('');
+  Object.keys(entries).forEach(function(name) {
+    if (name.indexOf(prefix) === 0) {
+      reportState.accounts[name.substring(prefix.length)] = entries[name];
+    }
+  });
+  this.updateAccountsList_(reportState);
   return reportState;
 };
 
 /**
- * Creates a new state representation on Drive.
+ * Creates a new state representation.
  *
  * @return {State}
  * @private
@@ -450,22 +1519,52 @@ ReportState.prototype.createNewState_ = function() {
     var account = accounts.next();
     accountDict[account.getCustomerId()] = {
       records: {},
+      name: account.getName(),
       currencyCode: account.getCurrencyCode()
     };
   }
+  return {dateQueue: [], accounts: accountDict, progress: {runs: []}};
+};
 
-  var reportState = {dateQueue: [], accounts: accountDict};
-  DriveApp.getRootFolder().createFile(
-      this.getFilename_(), JSON.stringify(reportState));
-  return reportState;
+/**
+ * Reads the state saved by earlier versions of this script, as a single JSON
+ * file in the Drive root folder, so that no results are lost on upgrade.
+ *
+ * @return {?State} The state, or null if there is no such file.
+ * @private
+ */
+ReportState.prototype.loadLegacyState_ = function() {
+  var files =
+      DriveApp.getRootFolder().getFilesByName(this.getLegacyFilename_());
+  while (files.hasNext()) {
+    var file = files.next();
+    if (!file.isTrashed()) {
+      return JSON.parse(file.getBlob().getDataAsString());
+    }
+  }
+  return null;
+};
+
+/**
+ * Moves the state file of earlier versions of this script to the trash, once
+ * its contents are in the store.
+ *
+ * @private
+ */
+ReportState.prototype.trashLegacyFiles_ = function() {
+  var files =
+      DriveApp.getRootFolder().getFilesByName(this.getLegacyFilename_());
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+  }
 };
 
 /**
  * Updates the state object to reflect both accounts that are added to
  * the manager account and accounts that are removed.
  *
- * @param {State} reportState The state as loaded from Drive.
- * @private_
+ * @param {State} reportState The state as loaded from the store.
+ * @private
  */
 ReportState.prototype.updateAccountsList_ = function(reportState) {
   var accountState = reportState.accounts;
@@ -478,8 +1577,13 @@ ReportState.prototype.updateAccountsList_ = function(reportState) {
     if (!accountState.hasOwnProperty(customerId)) {
       accountState[customerId] = {
         records: {},
+        name: account.getName(),
         currencyCode: account.getCurrencyCode()
       };
+      this.markChanged_(this.getAccountEntryName_(customerId));
+    } else if (accountState[customerId].name !== account.getName()) {
+      accountState[customerId].name = account.getName();
+      this.markChanged_(this.getAccountEntryName_(customerId));
     }
   }
   var forRemoval = [];
@@ -489,7 +1593,10 @@ ReportState.prototype.updateAccountsList_ = function(reportState) {
       forRemoval.push(existingAccounts[i]);
     }
   }
-  forRemoval.forEach(function(customerId) { delete accountState[customerId]; });
+  forRemoval.forEach(function(customerId) {
+    delete accountState[customerId];
+    this.markRemoved_(this.getAccountEntryName_(customerId));
+  }, this);
 };
 
 /**
@@ -508,8 +1615,10 @@ ReportState.prototype.addDatesToQueue = function(dateList) {
     }
     // Ensure the date queue is sorted oldest to newest.
     this.state_.dateQueue.sort();
-    this.flush();
+    this.markChanged_(this.getQueueEntryName_());
   }
+  // Also saves accounts added to or removed from the manager account.
+  this.flush();
 };
 
 /**
@@ -524,7 +1633,7 @@ ReportState.prototype.getDateQueue = function() {
 /**
  * Removes a date from the list of dates remaining to have their reports pulled
  * and aggregated, and removes any associated saved statistics from the state
- * object also. Saves the state to Drive.
+ * object also. Saves the state to the store.
  *
  * @param {string} dateString Date in the format YYYYMMDD.
  */
@@ -532,14 +1641,19 @@ ReportState.prototype.removeDateFromQueue = function(dateString) {
   var index = this.state_.dateQueue.indexOf(dateString);
   if (index > -1) {
     this.state_.dateQueue.splice(index, 1);
+    this.markChanged_(this.getQueueEntryName_());
   }
   var accounts = this.state_.accounts;
   var accountKeys = Object.keys(accounts);
   for (var i = 0; i < accountKeys.length; i++) {
     var customerId = accountKeys[i];
     var records = accounts[customerId].records;
-    if (records.hasOwnProperty(dateString)) {
+    var failures = accounts[customerId].failures || {};
+    if (records.hasOwnProperty(dateString) ||
+        failures.hasOwnProperty(dateString)) {
       delete records[dateString];
+      delete failures[dateString];
+      this.markChanged_(this.getAccountEntryName_(customerId));
     }
   }
   this.flush();
@@ -547,7 +1661,7 @@ ReportState.prototype.removeDateFromQueue = function(dateString) {
 
 /**
  * Stores results for a given account in the state object. Does not save to
- * Drive: As this may be called ~50 times in succession for each managed
+ * the store: As this may be called ~50 times in succession for each managed
  * account, call .flush() after all calls to save only once.
  *
  * @param {string} customerId The customerId for the results.
@@ -560,70 +1674,151 @@ ReportState.prototype.updateAccountResult = function(
   if (accounts.hasOwnProperty(customerId)) {
     var records = accounts[customerId].records;
     records[dateString] = results;
+    if (accounts[customerId].failures) {
+      delete accounts[customerId].failures[dateString];
+    }
+    this.markChanged_(this.getAccountEntryName_(customerId));
   }
 };
 
 /**
- * Saves the report state object to Drive.
+ * Saves the entries of the state that changed since the last save.
  */
 ReportState.prototype.flush = function() {
-  var reportStateFilename = this.getFilename_();
-  var reportFiles =
-      DriveApp.getRootFolder().getFilesByName(reportStateFilename);
-  if (reportFiles.hasNext()) {
-    var reportFile = reportFiles.next();
-    if (reportFiles.hasNext()) {
-      this.throwDuplicateFileException_();
-    }
-    reportFile.setContent(JSON.stringify(this.state_));
-  } else {
-    this.throwNoReportFileFoundException_();
+  var changedNames = Object.keys(this.changed_);
+  var removedNames = Object.keys(this.removed_);
+  if (!changedNames.length && !removedNames.length) {
+    return;
   }
+  var changes = {};
+  changedNames.forEach(function(name) {
+    changes[name] = this.getEntry_(name);
+  }, this);
+  this.store_.commit(changes, removedNames);
+  this.changed_ = {};
+  this.removed_ = {};
 };
 
 /**
- * Retrieves the list of accounts to process next. Return accounts in an
- * ordering where those accounts with the oldest incomplete date return first.
+ * Retrieves the list of accounts to process next, at most
+ * MAX_PARALLEL_ACCOUNTS. Return accounts in an ordering where those accounts
+ * with the oldest incomplete date return first. Each account is asked for all
+ * its missing dates at once.
  *
  * @return {Array.<string>} A list of CustomerId values.
  */
 ReportState.prototype.getNextAccounts = function() {
-  var nextAccounts = [];
-  var accounts = this.state_.accounts;
-  // Sort only to make it easier to test.
-  var accountKeys = Object.keys(accounts).sort();
-  // dateQueue is ordered from oldest to newest
-  var dates = this.state_.dateQueue;
-  var i = 0;
-  var j = 0;
-  while (i < dates.length && nextAccounts.length < MAX_PARALLEL_ACCOUNTS) {
-    var date = dates[i];
-    while (j < accountKeys.length &&
-           nextAccounts.length < MAX_PARALLEL_ACCOUNTS) {
-      var customerId = accountKeys[j];
-      var records = accounts[customerId].records;
-      if (!records.hasOwnProperty(date)) {
-        nextAccounts.push(customerId);
-      }
-      j++;
+  var candidates = this.getDueAccounts_();
+  candidates.sort(function(a, b) {
+    if (a.oldestDate != b.oldestDate) {
+      return a.oldestDate < b.oldestDate ? -1 : 1;
     }
-    i++;
-  }
-  return nextAccounts;
+    // Sort only to make it easier to test.
+    return a.customerId < b.customerId ? -1 : 1;
+  });
+  return candidates.slice(0, MAX_PARALLEL_ACCOUNTS).map(function(candidate) {
+    return candidate.customerId;
+  });
 };
 
 /**
- * @typedef {object} CompletedDate
- * @property {!string} dateString The date of the report data, in YYYYMMDD
+ * Finds the accounts that are due to report any date in the queue.
+ *
+ * @return {!Array.<{customerId: string, oldestDate: string}>} Each account
+ *     and the oldest date it is due to report.
+ * @private
+ */
+ReportState.prototype.getDueAccounts_ = function() {
+  var dueAccounts = [];
+  // dateQueue is ordered from oldest to newest
+  var dates = this.state_.dateQueue;
+  var now = new Date().getTime();
+  Object.keys(this.state_.accounts).forEach(function(customerId) {
+    for (var i = 0; i < dates.length; i++) {
+      if (this.isReportDue_(customerId, dates[i], now)) {
+        dueAccounts.push({customerId: customerId, oldestDate: dates[i]});
+        return;
+      }
+    }
+  }, this);
+  return dueAccounts;
+};
+
+/**
+ * Records a run that processes accounts, for estimating when the backlog will
+ * be done.
+ *
+ * @param {number} accountCount The number of accounts processed by the run.
+ */
+ReportState.prototype.recordRun = function(accountCount) {
+  var runs = this.state_.progress.runs;
+  runs.push({time: new Date().getTime(), accounts: accountCount});
+  this.state_.progress.runs = runs.slice(-PROGRESS_HISTORY_RUNS);
+  this.markChanged_(this.getProgressEntryName_());
+  this.flush();
+};
+
+/**
+ * Estimates when the accounts that are still due will have been processed,
+ * from the number of accounts and the interval of the recent runs.
+ *
+ * @return {?Date} The estimate, or null if there are not enough runs yet.
+ */
+ReportState.prototype.estimateCompletion = function() {
+  var runs = this.state_.progress.runs;
+  var dueCount = this.getDueAccounts_().length;
+  if (!dueCount) {
+    return new Date();
+  }
+  if (runs.length < 2) {
+    return null;
+  }
+  var first = runs[0];
+  var last = runs[runs.length - 1];
+  var interval = (last.time - first.time) / (runs.length - 1);
+  var accountsPerRun = runs.reduce(function(total, run) {
+    return total + run.accounts;
+  }, 0) / runs.length;
+  var remainingRuns = Math.ceil(dueCount / accountsPerRun);
+  return new Date(last.time + remainingRuns * interval);
+};
+
+/**
+ * Logs how many accounts are still due for the queued dates, and when they
+ * are estimated to be done.
+ */
+ReportState.prototype.logProgress = function() {
+  var dates = this.state_.dateQueue;
+  var dueCount = this.getDueAccounts_().length;
+  if (!dates.length || !dueCount) {
+    return;
+  }
+  var estimate = this.estimateCompletion();
+  Logger.log('Backlog: %s of %s accounts still to report for %s to %s. %s',
+      dueCount, Object.keys(this.state_.accounts).length, dates[0],
+      dates[dates.length - 1], estimate ?
+          'Estimated to be done by ' + Utilities.formatDate(estimate,
+              AdWordsApp.currentAccount().getTimeZone(),
+              'yyyy-MM-dd HH:mm') + '.' :
+          'Not enough runs yet to estimate when it will be done.');
+};
+
+/**
+ * @typedef {object} CompletedDate
+ * @property {!string} dateString The date of the report data, in YYYYMMDD
  *     format.
  * @property {Array.<ReportRow>} reportData Rows of report data taken from each
  *     account within the manager account.
+ * @property {!Array.<string>} customerIds The account of each row of
+ *     reportData.
+ * @property {!Array.<string>} excludedAccounts The accounts without data,
+ *     excluded after MAX_ACCOUNT_FAILURES failures.
  */
 
 /**
  * Gets a list of the dates, and associated report data in the State object for
- * which all accounts have data (and are therefore ready for aggregation and
- * writing to a Spreadsheet).
+ * which all accounts have data or are excluded (and are therefore ready for
+ * aggregation and writing to a Spreadsheet).
  *
  * @return {!Array.<CompletedDate>} An array of CompletedDate objects, ordered
  *     from the oldest date to the most recent.
@@ -632,36 +1827,102 @@ ReportState.prototype.getCompletedDates = function() {
   var completedDates = [];
   var dateQueue = this.state_.dateQueue;
   for (var i = 0; i < dateQueue.length; i++) {
-    completedDates.push({dateString: dateQueue[i], reportData: []});
+    completedDates.push({
+      dateString: dateQueue[i],
+      reportData: [],
+      customerIds: [],
+      excludedAccounts: []
+    });
   }
   var accounts = this.state_.accounts;
   var accountKeys = Object.keys(accounts);
   for (var j = 0; j < accountKeys.length; j++) {
     var customerId = accountKeys[j];
     var records = accounts[customerId].records;
-    var forRemoval = [];
-    for (var k = 0; k < completedDates.length; k++) {
-      var dateString = completedDates[k].dateString;
+    completedDates = completedDates.filter(function(completedDate) {
+      var dateString = completedDate.dateString;
       if (records.hasOwnProperty(dateString)) {
-        completedDates[k].reportData.push(records[dateString]);
-      } else {
-        forRemoval.push(k);
+        completedDate.reportData.push(records[dateString]);
+        completedDate.customerIds.push(customerId);
+        return true;
       }
-    }
-    forRemoval.forEach(function(index) { completedDates.splice(index, 1); });
+      if (this.isExcluded_(customerId, dateString)) {
+        completedDate.excludedAccounts.push(customerId);
+        return true;
+      }
+      return false;
+    }, this);
   }
   return completedDates;
 };
 
 /**
- * Generate a filename unique to this manager account for saving the
- * intermediate data on Drive.
+ * Records that an account failed to return its results, for each queued date
+ * it has no results for.
  *
- * @return {string} The filename.
+ * @param {string} customerId
+ * @param {string} error The error of the execution.
+ */
+ReportState.prototype.recordAccountFailure = function(customerId, error) {
+  var account = this.state_.accounts[customerId];
+  if (!account) {
+    return;
+  }
+  account.failures = account.failures || {};
+  var now = new Date().getTime();
+  this.state_.dateQueue.forEach(function(dateString) {
+    if (account.records.hasOwnProperty(dateString) ||
+        this.isExcluded_(customerId, dateString)) {
+      return;
+    }
+    var failure = account.failures[dateString] || {count: 0};
+    failure.count++;
+    failure.lastFailure = now;
+    failure.error = String(error);
+    account.failures[dateString] = failure;
+    if (failure.count >= MAX_ACCOUNT_FAILURES) {
+      Logger.log('Excluding account ' + customerId + ' from ' + dateString +
+          ' after ' + failure.count + ' failures.');
+    }
+  }, this);
+  this.markChanged_(this.getAccountEntryName_(customerId));
+};
+
+/**
+ * @param {string} customerId
+ * @param {string} dateString Date in the format YYYYMMDD.
+ * @return {boolean} True if the account is excluded from the date after
+ *     failing MAX_ACCOUNT_FAILURES times.
  * @private
  */
-ReportState.prototype.getFilename_ = function() {
-  return AdWordsApp.currentAccount().getCustomerId() + '-account-report.json';
+ReportState.prototype.isExcluded_ = function(customerId, dateString) {
+  var failures = this.state_.accounts[customerId].failures || {};
+  return failures.hasOwnProperty(dateString) &&
+      failures[dateString].count >= MAX_ACCOUNT_FAILURES;
+};
+
+/**
+ * Returns whether an account should be asked for its results for a date: it
+ * has none, is not excluded, and any wait after its last failure is over.
+ *
+ * @param {string} customerId
+ * @param {string} dateString Date in the format YYYYMMDD.
+ * @param {number} now The current time, in milliseconds since the epoch.
+ * @return {boolean}
+ * @private
+ */
+ReportState.prototype.isReportDue_ = function(customerId, dateString, now) {
+  var account = this.state_.accounts[customerId];
+  if (account.records.hasOwnProperty(dateString) ||
+      this.isExcluded_(customerId, dateString)) {
+    return false;
+  }
+  var failure = (account.failures || {})[dateString];
+  if (!failure) {
+    return true;
+  }
+  var backoffHours = RETRY_BACKOFF_HOURS * Math.pow(2, failure.count - 1);
+  return now >= failure.lastFailure + backoffHours * 3600 * 1000;
 };
 
 /**
@@ -683,6 +1944,30 @@ ReportState.prototype.isSingleCurrency = function() {
   return true;
 };
 
+/**
+ * Returns the currency of the accounts, for formatting aggregated costs.
+ *
+ * @return {?string} The currency code, e.g. 'USD', or null if the accounts
+ *     have different currencies.
+ */
+ReportState.prototype.getCurrencyCode = function() {
+  var accountKeys = Object.keys(this.state_.accounts);
+  if (!accountKeys.length || !this.isSingleCurrency()) {
+    return null;
+  }
+  return this.state_.accounts[accountKeys[0]].currencyCode;
+};
+
+/**
+ * @param {string} customerId
+ * @return {{name: string, currencyCode: string}} The name and currency of the
+ *     account.
+ */
+ReportState.prototype.getAccountInfo = function(customerId) {
+  var account = this.state_.accounts[customerId];
+  return {name: account.name || '', currencyCode: account.currencyCode};
+};
+
 /**
  * Sets the currency code for a given account.
  *
@@ -693,28 +1978,514 @@ ReportState.prototype.setCurrencyCode = function(customerId, currencyCode) {
   var accounts = this.state_.accounts;
   if (accounts.hasOwnProperty(customerId)) {
     accounts[customerId].currencyCode = currencyCode;
+    this.markChanged_(this.getAccountEntryName_(customerId));
+  }
+};
+
+/**
+ * Generate the name of the file in which earlier versions of this script saved
+ * the intermediate data on Drive.
+ *
+ * @return {string} The filename.
+ * @private
+ */
+ReportState.prototype.getLegacyFilename_ = function() {
+  return AdWordsApp.currentAccount().getCustomerId() + '-account-report.json';
+};
+
+/**
+ * @return {string} The name of the store entry holding the date queue.
+ * @private
+ */
+ReportState.prototype.getQueueEntryName_ = function() {
+  return 'queue';
+};
+
+/**
+ * @return {string} The name of the store entry holding the progress.
+ * @private
+ */
+ReportState.prototype.getProgressEntryName_ = function() {
+  return 'progress';
+};
+
+/**
+ * @param {string} customerId
+ * @return {string} The name of the store entry holding an account's data.
+ * @private
+ */
+ReportState.prototype.getAccountEntryName_ = function(customerId) {
+  return 'account-' + customerId;
+};
+
+/**
+ * @param {string} name The name of a store entry.
+ * @return {Object} The part of the state saved in the entry.
+ * @private
+ */
+ReportState.prototype.getEntry_ = function(name) {
+  if (name === this.getQueueEntryName_()) {
+    return this.state_.dateQueue;
+  }
+  if (name === this.getProgressEntryName_()) {
+    return this.state_.progress;
+  }
+  var prefix = this.getAccountEntryName_('');
+  return this.state_.accounts[name.substring(prefix.length)];
+};
+
+/**
+ * Marks a store entry to be saved on the next flush().
+ *
+ * @param {string} name The name of the entry.
+ * @private
+ */
+ReportState.prototype.markChanged_ = function(name) {
+  this.changed_[name] = true;
+  delete this.removed_[name];
+};
+
+/**
+ * Marks a store entry to be deleted on the next flush().
+ *
+ * @param {string} name The name of the entry.
+ * @private
+ */
+ReportState.prototype.markRemoved_ = function(name) {
+  this.removed_[name] = true;
+  delete this.changed_[name];
+};
+
+/**
+ * @typedef {Object} StateBackend
+ * Saves strings by key. Implemented by DriveStateBackend, SheetStateBackend
+ * and MemoryStateBackend.
+ * @property {function(string): ?string} get Returns the value of a key, or
+ *     null if it is not set.
+ * @property {function(string, string)} put Sets the value of a key.
+ * @property {function(string)} remove Deletes a key.
+ * @property {function(): !Array.<string>} list Returns all keys.
+ */
+
+/**
+ * Creates the backend selected by STATE_STORE.
+ *
+ * @return {StateBackend}
+ */
+function createStateBackend() {
+  switch (STATE_STORE) {
+    case 'drive':
+      return new DriveStateBackend(
+          AdWordsApp.currentAccount().getCustomerId() + '-account-state.');
+    case 'sheet':
+      return new SheetStateBackend(
+          validateAndGetSpreadsheet(SPREADSHEET_URL), STATE_SHEET_NAME);
+    case 'memory':
+      return new MemoryStateBackend();
+    default:
+      throw new Error('Unknown STATE_STORE \'' + STATE_STORE + '\'. Use ' +
+          '\'drive\', \'sheet\' or \'memory\'.');
+  }
+}
+
+/**
+ * Saves named JSON entries in a StateBackend, writing only the entries that
+ * changed. Every commit writes the changed entries under a new version, then
+ * replaces the manifest listing the version of each entry. Until the manifest
+ * is written the previous versions stay untouched, so a run that stops midway
+ * leaves the last committed state intact.
+ *
+ * @param {StateBackend} backend
+ * @constructor
+ */
+function StateStore(backend) {
+  this.MANIFEST_KEY_ = 'manifest';
+  this.backend_ = backend;
+  this.manifest_ = {version: 0, entries: {}};
+}
+
+/**
+ * Loads the last committed entries, and deletes anything left over from
+ * commits that did not complete.
+ *
+ * @return {Object.<Object>} The entries by name, or null if nothing was ever
+ *     committed.
+ */
+StateStore.prototype.load = function() {
+  var manifest = this.backend_.get(this.MANIFEST_KEY_);
+  if (manifest === null) {
+    return null;
   }
+  this.manifest_ = JSON.parse(manifest);
+  var entries = {};
+  var committedKeys = {};
+  committedKeys[this.MANIFEST_KEY_] = true;
+  Object.keys(this.manifest_.entries).forEach(function(name) {
+    var key = this.getKey_(name, this.manifest_.entries[name]);
+    var value = this.backend_.get(key);
+    if (value === null) {
+      throw new Error('The saved report state is missing ' + key + '.');
+    }
+    entries[name] = JSON.parse(value);
+    committedKeys[key] = true;
+  }, this);
+  this.backend_.list().forEach(function(key) {
+    if (!committedKeys.hasOwnProperty(key)) {
+      this.backend_.remove(key);
+    }
+  }, this);
+  return entries;
 };
 
 /**
- * Throws an exception if there are multiple files with the same name.
+ * Saves a new version of the state.
  *
+ * @param {Object.<Object>} changes The entries to save, by name.
+ * @param {Array.<string>} removedNames The names of entries to delete.
+ */
+StateStore.prototype.commit = function(changes, removedNames) {
+  var version = this.manifest_.version + 1;
+  var entries = {};
+  var obsoleteKeys = [];
+  Object.keys(this.manifest_.entries).forEach(function(name) {
+    entries[name] = this.manifest_.entries[name];
+  }, this);
+  Object.keys(changes).forEach(function(name) {
+    this.backend_.put(this.getKey_(name, version),
+        JSON.stringify(changes[name]));
+    if (entries.hasOwnProperty(name)) {
+      obsoleteKeys.push(this.getKey_(name, entries[name]));
+    }
+    entries[name] = version;
+  }, this);
+  removedNames.forEach(function(name) {
+    if (entries.hasOwnProperty(name)) {
+      obsoleteKeys.push(this.getKey_(name, entries[name]));
+      delete entries[name];
+    }
+  }, this);
+  var manifest = {version: version, entries: entries};
+  this.backend_.put(this.MANIFEST_KEY_, JSON.stringify(manifest));
+  this.manifest_ = manifest;
+  obsoleteKeys.forEach(function(key) {
+    this.backend_.remove(key);
+  }, this);
+};
+
+/**
+ * @param {string} name The name of an entry.
+ * @param {number} version
+ * @return {string} The backend key of the entry at the version.
  * @private
  */
-ReportState.prototype.throwDuplicateFileException_ = function() {
-  throw 'Multiple files named ' + this.getFileName_() + ' detected. Please ' +
-      'ensure there is only one file named ' + this.getFileName_() +
-      ' and try again.';
+StateStore.prototype.getKey_ = function(name, version) {
+  return name + '.' + version;
 };
 
 /**
- * Throws an exception for when no file is found for the given name.
+ * Saves each key as a JSON file in the Drive root folder.
  *
+ * @param {string} prefix Prefix of the file names, to tell them apart from
+ *     other files.
+ * @constructor
+ */
+function DriveStateBackend(prefix) {
+  this.prefix_ = prefix;
+  this.folder_ = DriveApp.getRootFolder();
+}
+
+/**
+ * @param {string} key
+ * @return {?string} The value, or null if it is not set.
+ */
+DriveStateBackend.prototype.get = function(key) {
+  var file = this.getFile_(key);
+  return file ? file.getBlob().getDataAsString() : null;
+};
+
+/**
+ * @param {string} key
+ * @param {string} value
+ */
+DriveStateBackend.prototype.put = function(key, value) {
+  var file = this.getFile_(key);
+  if (file) {
+    file.setContent(value);
+  } else {
+    this.folder_.createFile(this.getFilename_(key), value);
+  }
+};
+
+/**
+ * @param {string} key
+ */
+DriveStateBackend.prototype.remove = function(key) {
+  var files = this.folder_.getFilesByName(this.getFilename_(key));
+  while (files.hasNext()) {
+    files.next().setTrashed(true);
+  }
+};
+
+/**
+ * @return {!Array.<string>} All keys.
+ */
+DriveStateBackend.prototype.list = function() {
+  var keys = [];
+  var files = this.folder_.searchFiles(
+      'title contains \'' + this.prefix_ + '\' and trashed = false');
+  while (files.hasNext()) {
+    var name = files.next().getName();
+    if (name.indexOf(this.prefix_) === 0 && /\.json$/.test(name)) {
+      keys.push(name.substring(this.prefix_.length, name.length - 5));
+    }
+  }
+  return keys;
+};
+
+/**
+ * Finds the file of a key. Should a key have several files, e.g. after being
+ * copied by hand, the most recently updated one is used.
+ *
+ * @param {string} key
+ * @return {File} The file, or null if there is none.
  * @private
  */
-ReportState.prototype.throwNoReportFileFoundException_ = function() {
-  throw 'Could not find the file named ' + this.getFileName_() +
-      ' to save the to.';
+DriveStateBackend.prototype.getFile_ = function(key) {
+  var latest = null;
+  var files = this.folder_.getFilesByName(this.getFilename_(key));
+  while (files.hasNext()) {
+    var file = files.next();
+    if (!file.isTrashed() && (!latest ||
+        file.getLastUpdated() > latest.getLastUpdated())) {
+      latest = file;
+    }
+  }
+  return latest;
+};
+
+/**
+ * @param {string} key
+ * @return {string} The name of the file holding the key.
+ * @private
+ */
+DriveStateBackend.prototype.getFilename_ = function(key) {
+  return this.prefix_ + key + '.json';
+};
+
+/**
+ * Saves each key as a row of a hidden sheet, with the key in the first column
+ * and the value in the second.
+ *
+ * @param {Spreadsheet} spreadsheet
+ * @param {string} sheetName The sheet to use; created if it doesn't exist.
+ * @constructor
+ */
+function SheetStateBackend(spreadsheet, sheetName) {
+  this.sheet_ = spreadsheet.getSheetByName(sheetName);
+  if (!this.sheet_) {
+    this.sheet_ = spreadsheet.insertSheet(sheetName);
+    this.sheet_.hideSheet();
+  }
+  // Read all rows once; this backend is the only writer during a run.
+  this.keys_ = [];
+  this.values_ = {};
+  if (this.sheet_.getLastRow() > 0) {
+    this.sheet_.getRange(1, 1, this.sheet_.getLastRow(), 2).getValues()
+        .forEach(function(row) {
+          var key = String(row[0]);
+          this.keys_.push(key);
+          this.values_[key] = String(row[1]);
+        }, this);
+  }
+}
+
+/**
+ * @param {string} key
+ * @return {?string} The value, or null if it is not set.
+ */
+SheetStateBackend.prototype.get = function(key) {
+  return this.values_.hasOwnProperty(key) ? this.values_[key] : null;
+};
+
+/**
+ * @param {string} key
+ * @param {string} value
+ */
+SheetStateBackend.prototype.put = function(key, value) {
+  var index = this.keys_.indexOf(key);
+  if (index === -1) {
+    this.keys_.push(key);
+    index = this.keys_.length - 1;
+  }
+  this.sheet_.getRange(index + 1, 1, 1, 2).setNumberFormat('@')
+      .setValues([[key, value]]);
+  this.values_[key] = value;
+};
+
+/**
+ * @param {string} key
+ */
+SheetStateBackend.prototype.remove = function(key) {
+  var index = this.keys_.indexOf(key);
+  if (index > -1) {
+    this.sheet_.deleteRow(index + 1);
+    this.keys_.splice(index, 1);
+    delete this.values_[key];
+  }
+};
+
+/**
+ * @return {!Array.<string>} All keys.
+ */
+SheetStateBackend.prototype.list = function() {
+  return this.keys_.slice();
+};
+
+/**
+ * Keeps keys in memory only, for testing. The values are shared by all
+ * instances, so that they last for the whole execution of the script.
+ *
+ * @constructor
+ */
+function MemoryStateBackend() {
+  this.values_ = MemoryStateBackend.values_;
+}
+
+/**
+ * The values of all instances, by key.
+ *
+ * @private
+ */
+MemoryStateBackend.values_ = {};
+
+/**
+ * @param {string} key
+ * @return {?string} The value, or null if it is not set.
+ */
+MemoryStateBackend.prototype.get = function(key) {
+  return this.values_.hasOwnProperty(key) ? this.values_[key] : null;
+};
+
+/**
+ * @param {string} key
+ * @param {string} value
+ */
+MemoryStateBackend.prototype.put = function(key, value) {
+  this.values_[key] = value;
+};
+
+/**
+ * @param {string} key
+ */
+MemoryStateBackend.prototype.remove = function(key) {
+  delete this.values_[key];
+};
+
+/**
+ * @return {!Array.<string>} All keys.
+ */
+MemoryStateBackend.prototype.list = function() {
+  return Object.keys(this.values_);
+};
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {string} currencyCode The currency converted from.
+ * @property {string} date The date of the rate, in YYYYMMDD format.
+ * @property {number} rate The value of one unit of the currency in
+ *     REPORT_CURRENCY.
+ * @property {string} source Where the rate comes from.
+ */
+
+/**
+ * Exchange rates to REPORT_CURRENCY by currency and date, as kept in the
+ * RATES_SHEET_NAME tab.
+ *
+ * @param {Array.<Array.<*>>} values The rows of the tab, without headings:
+ *     date, currency code, rate and source.
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @constructor
+ */
+function ExchangeRates(values, timeZone) {
+  this.rates_ = {};
+  values.forEach(function(row, i) {
+    if (!(row[0] instanceof Date) || !row[1]) {
+      return;
+    }
+    if (typeof row[2] != 'number' || row[2] <= 0) {
+      throw new Error('Invalid exchange rate in row ' + (i + 2) + ' of the ' +
+          RATES_SHEET_NAME + ' sheet: ' + row[2]);
+    }
+    var currencyCode = String(row[1]).trim().toUpperCase();
+    this.rates_[currencyCode] = this.rates_[currencyCode] || [];
+    this.rates_[currencyCode].push({
+      currencyCode: currencyCode,
+      date: Utilities.formatDate(row[0], timeZone, 'yyyyMMdd'),
+      rate: row[2],
+      source: String(row[3] || '')
+    });
+  }, this);
+  Object.keys(this.rates_).forEach(function(currencyCode) {
+    this.rates_[currencyCode].sort(function(a, b) {
+      return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+    });
+  }, this);
+}
+
+/**
+ * Finds the rate of a currency on a date: the rate of the latest date on or
+ * before it.
+ *
+ * @param {string} currencyCode e.g. 'USD'
+ * @param {string} dateString The date, in YYYYMMDD or YYYY-MM-DD format.
+ * @return {?ExchangeRate} The rate; 1 for REPORT_CURRENCY itself. Null if the
+ *     tab has no rate for the currency on or before the date.
+ */
+ExchangeRates.prototype.findRate = function(currencyCode, dateString) {
+  var date = dateString.replace(/-/g, '');
+  if (currencyCode == REPORT_CURRENCY) {
+    return {currencyCode: currencyCode, date: date, rate: 1, source: ''};
+  }
+  var rates = this.rates_[currencyCode] || [];
+  for (var i = rates.length - 1; i >= 0; i--) {
+    if (rates[i].date <= date) {
+      return rates[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds the rate of a currency on a date, as findRate does.
+ *
+ * @param {string} currencyCode e.g. 'USD'
+ * @param {string} dateString The date, in YYYYMMDD or YYYY-MM-DD format.
+ * @return {ExchangeRate} The rate; 1 for REPORT_CURRENCY itself.
+ * @throws {Error} If the tab has no rate for the currency on or before the
+ *     date.
+ */
+ExchangeRates.prototype.getRate = function(currencyCode, dateString) {
+  var rate = this.findRate(currencyCode, dateString);
+  if (rate) {
+    return rate;
+  }
+  var date = dateString.replace(/-/g, '');
+  throw new Error('No exchange rate from ' + currencyCode + ' to ' +
+      REPORT_CURRENCY + ' on or before ' + separateDateString(date) +
+      '. Please add one to the ' + RATES_SHEET_NAME + ' sheet.');
+};
+
+/**
+ * Converts an amount to REPORT_CURRENCY.
+ *
+ * @param {number} amount
+ * @param {string} currencyCode The currency of the amount.
+ * @param {string} dateString The date of the amount, in YYYYMMDD or
+ *     YYYY-MM-DD format.
+ * @return {number} The amount in REPORT_CURRENCY.
+ */
+ExchangeRates.prototype.convert = function(amount, currencyCode, dateString) {
+  return amount * this.getRate(currencyCode, dateString).rate;
 };
 
 /**
@@ -732,6 +2503,12 @@ function SpreadsheetAccess(spreadsheetUrl, sheetName) {
   this.sheet_ = this.spreadsheet_.getSheetByName(sheetName);
   this.accountTz_ = AdWordsApp.currentAccount().getTimeZone();
   this.spreadsheetTz_ = this.spreadsheet_.getSpreadsheetTimeZone();
+  // Only a new report gets LOCALE, so that a locale chosen afterwards in the
+  // spreadsheet settings is kept.
+  if (this.spreadsheet_.getRangeByName('last_check').getValue().length === 0) {
+    this.spreadsheet_.setSpreadsheetLocale(
+        localeFormat.getSpreadsheetLocale());
+  }
   this.spreadsheet_.getRangeByName('account_id_report')
       .setValue(AdWordsApp.currentAccount().getCustomerId());
 
@@ -811,18 +2588,178 @@ SpreadsheetAccess.prototype.setDateComplete = function() {
 };
 
 /**
- * Writes the next row of report data to the spreadsheet.
+ * Writes the next row of report data to the spreadsheet, formatted according
+ * to LOCALE.
  *
- * @param {Array.<*>} row An array of report values
+ * @param {Array.<*>} row An array of report values: the date, then the value
+ *     of each metric of DISPLAY_FIELDS.
+ * @param {?string} currencyCode The currency of the costs, if the same for
+ *     all accounts.
+ * @param {string=} opt_note A note on the row, e.g. that its data is partial,
+ *     written in the column after the values.
  */
-SpreadsheetAccess.prototype.writeNextEntry = function(row) {
+SpreadsheetAccess.prototype.writeNextEntry = function(
+    row, currencyCode, opt_note) {
   var lastRow = this.sheet_.getDataRange().getLastRow();
   if (lastRow + 1 > this.sheet_.getMaxRows()) {
     this.sheet_.insertRowAfter(lastRow);
   }
-  this.sheet_.getRange(lastRow + 1, this.DATA_COL_, 1, row.length).setValues([
-    row
-  ]);
+  var values = [row[0]];
+  var numberFormats = [localeFormat.getSheetNumberFormat('date')];
+  getDisplayFields().forEach(function(field, i) {
+    values.push(localeFormat.toSheetValue(row[i + 1], field.type));
+    numberFormats.push(
+        localeFormat.getSheetNumberFormat(field.type, currencyCode));
+  });
+  values.push(opt_note || '');
+  numberFormats.push(localeFormat.getSheetNumberFormat('text'));
+  this.sheet_.getRange(lastRow + 1, this.DATA_COL_, 1, values.length)
+      .setValues([values])
+      .setNumberFormats([numberFormats]);
+  if (opt_note) {
+    this.sheet_.getRange(this.DATA_ROW_ - 1, this.getNoteColumn_())
+        .setValue(localeFormat.string('notes'));
+  }
+};
+
+/**
+ * @typedef {Object} AccountRow
+ * @property {string} customerId
+ * @property {string} name
+ * @property {string} currencyCode
+ * @property {ReportRow} row The account's statistics, as returned by the
+ *     report.
+ */
+
+/**
+ * Writes the results of each account for a date to ACCOUNT_SHEET_NAME, which
+ * is created if missing. Dates already in the sheet are not written again.
+ *
+ * @param {Array.<AccountRow>} accountRows
+ * @param {string} dateString The date of the results, in YYYYMMDD format.
+ */
+SpreadsheetAccess.prototype.writeAccountRows = function(
+    accountRows, dateString) {
+  var sheet = this.getAccountSheet_();
+  if (!accountRows.length || this.getAccountRows(dateString).length) {
+    return;
+  }
+  var fields = getAccountFields();
+  var lastRow = sheet.getLastRow();
+  var missingRows = lastRow + accountRows.length - sheet.getMaxRows();
+  if (missingRows > 0) {
+    sheet.insertRowsAfter(lastRow, missingRows);
+  }
+  var values = [];
+  var numberFormats = [];
+  accountRows.forEach(function(accountRow) {
+    values.push([
+      separateDateString(dateString), accountRow.customerId, accountRow.name,
+      accountRow.currencyCode
+    ].concat(fields.map(function(field) {
+      // Values that are not numbers, e.g. ' --', are left blank.
+      var value = localeFormat.parseNumber(accountRow.row[field.name]);
+      return isNaN(value) ? '' : localeFormat.toSheetValue(value, field.type);
+    })));
+    numberFormats.push([localeFormat.getSheetNumberFormat('date'), '@', '@',
+      '@'].concat(fields.map(function(field) {
+      return localeFormat.getSheetNumberFormat(field.type,
+          accountRow.currencyCode);
+    })));
+  });
+  // Formats first, so that customer IDs are kept as text.
+  sheet.getRange(lastRow + 1, 1, values.length, values[0].length)
+      .setNumberFormats(numberFormats)
+      .setValues(values);
+};
+
+/**
+ * Reads the results of each account for a date from ACCOUNT_SHEET_NAME.
+ *
+ * @param {string} dateString The date, in YYYYMMDD or YYYY-MM-DD format.
+ * @return {!Array.<AccountRow>} The accounts' rows; the values of row are
+ *     numbers.
+ */
+SpreadsheetAccess.prototype.getAccountRows = function(dateString) {
+  var date = dateString.replace(/-/g, '');
+  return this.getAccountRowsBetween(date, date)[date] || [];
+};
+
+/**
+ * Reads the results of each account for a range of dates from
+ * ACCOUNT_SHEET_NAME.
+ *
+ * @param {string} startDateString The first date, in YYYYMMDD format.
+ * @param {string} endDateString The last date, in YYYYMMDD format.
+ * @return {!Object.<!Array.<AccountRow>>} The accounts' rows of each date in
+ *     the sheet, keyed by the date in YYYYMMDD format; the values of row are
+ *     numbers.
+ */
+SpreadsheetAccess.prototype.getAccountRowsBetween = function(
+    startDateString, endDateString) {
+  var sheet = this.getAccountSheet_();
+  var fields = getAccountFields();
+  var rowsByDate = {};
+  sheet.getDataRange().getValues().slice(1).forEach(function(values) {
+    if (!(values[0] instanceof Date)) {
+      return;
+    }
+    var date = Utilities.formatDate(values[0], this.spreadsheetTz_, 'yyyyMMdd');
+    if (date < startDateString || date > endDateString) {
+      return;
+    }
+    var row = {};
+    fields.forEach(function(field, i) {
+      row[field.name] = localeFormat.fromSheetValue(values[i + 4], field.type);
+    });
+    rowsByDate[date] = rowsByDate[date] || [];
+    rowsByDate[date].push({
+      customerId: String(values[1]),
+      name: String(values[2]),
+      currencyCode: String(values[3]),
+      row: row
+    });
+  }, this);
+  return rowsByDate;
+};
+
+/**
+ * @return {Sheet} The sheet ACCOUNT_SHEET_NAME, created with its headings if
+ *     missing.
+ * @private
+ */
+SpreadsheetAccess.prototype.getAccountSheet_ = function() {
+  var sheet = this.spreadsheet_.getSheetByName(ACCOUNT_SHEET_NAME);
+  if (!sheet) {
+    sheet = this.spreadsheet_.insertSheet(ACCOUNT_SHEET_NAME);
+    sheet.appendRow(['date', 'customerId', 'account', 'currency']
+        .concat(getAccountFields().map(function(field) {
+          return field.name;
+        })).map(function(key) {
+          return localeFormat.string(key);
+        }));
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+};
+
+/**
+ * Reads the exchange rates from RATES_SHEET_NAME, which is created with its
+ * headings if missing.
+ *
+ * @return {!ExchangeRates}
+ */
+SpreadsheetAccess.prototype.getExchangeRates = function() {
+  var sheet = this.spreadsheet_.getSheetByName(RATES_SHEET_NAME);
+  if (!sheet) {
+    sheet = this.spreadsheet_.insertSheet(RATES_SHEET_NAME);
+    sheet.appendRow(['date', 'currency', 'rate', 'source'].map(function(key) {
+      return localeFormat.string(key);
+    }));
+    sheet.setFrozenRows(1);
+  }
+  return new ExchangeRates(sheet.getDataRange().getValues().slice(1),
+      this.spreadsheetTz_);
 };
 
 /**
@@ -833,17 +2770,114 @@ SpreadsheetAccess.prototype.writeNextEntry = function(row) {
  * @return {Array.<*>} The array data, or null if the index goes out of bounds.
  */
 SpreadsheetAccess.prototype.getPreviousRow = function(daysAgo) {
-  var index = this.sheet_.getDataRange().getLastRow() - daysAgo + 1;
+  var index = this.getPreviousRowIndex_(daysAgo);
   if (index < this.DATA_ROW_) {
     return null;
   }
-  var numColumns = DISPLAY_FIELDS.length;
+  var displayFields = getDisplayFields();
+  var numColumns = displayFields.length;
   var row = this.sheet_.getRange(index, this.DATA_COL_, 1, numColumns + 1)
                 .getValues()[0];
   row[0] = Utilities.formatDate(row[0], this.spreadsheetTz_, 'yyyy-MM-dd');
+  displayFields.forEach(function(field, i) {
+    row[i + 1] = localeFormat.fromSheetValue(row[i + 1], field.type);
+  });
   return row;
 };
 
+/**
+ * Retrieves the note of a previously written row, see writeNextEntry().
+ *
+ * @param {number} daysAgo The reversed index of the row, see getPreviousRow().
+ * @return {string} The note, or an empty string if the row has none or the
+ *     index goes out of bounds.
+ */
+SpreadsheetAccess.prototype.getPreviousNote = function(daysAgo) {
+  var index = this.getPreviousRowIndex_(daysAgo);
+  if (index < this.DATA_ROW_) {
+    return '';
+  }
+  return String(this.sheet_.getRange(index, this.getNoteColumn_()).getValue());
+};
+
+/**
+ * @param {number} daysAgo The reversed index of a row, see getPreviousRow().
+ * @return {number} The row number in the sheet.
+ * @private
+ */
+SpreadsheetAccess.prototype.getPreviousRowIndex_ = function(daysAgo) {
+  return this.sheet_.getDataRange().getLastRow() - daysAgo + 1;
+};
+
+/**
+ * @return {number} The column of the notes, after the values of DISPLAY_FIELDS.
+ * @private
+ */
+SpreadsheetAccess.prototype.getNoteColumn_ = function() {
+  return this.DATA_COL_ + DISPLAY_FIELDS.length + 1;
+};
+
+/**
+ * Reads the daily rows of the report.
+ *
+ * @return {!Object.<{rowNumber: number, values: !Array.<*>}>} For each date in
+ *     YYYYMMDD format, its row in the sheet and the value of each metric of
+ *     DISPLAY_FIELDS, in order.
+ */
+SpreadsheetAccess.prototype.getDailyRows = function() {
+  var displayFields = getDisplayFields();
+  var dailyRows = {};
+  var lastRow = this.sheet_.getDataRange().getLastRow();
+  if (lastRow < this.DATA_ROW_) {
+    return dailyRows;
+  }
+  this.sheet_.getRange(this.DATA_ROW_, this.DATA_COL_,
+      lastRow - this.DATA_ROW_ + 1, displayFields.length + 1).getValues()
+      .forEach(function(row, i) {
+        if (!(row[0] instanceof Date)) {
+          return;
+        }
+        dailyRows[Utilities.formatDate(row[0], this.spreadsheetTz_,
+            'yyyyMMdd')] = {
+          rowNumber: this.DATA_ROW_ + i,
+          values: displayFields.map(function(field, j) {
+            return localeFormat.fromSheetValue(row[j + 1], field.type);
+          })
+        };
+      }, this);
+  return dailyRows;
+};
+
+/**
+ * Highlights the values of the report that have a note, and clears the
+ * highlights of all other values.
+ *
+ * @param {!Object.<!Array.<string>>} notesByRow For rows of the sheet, keyed
+ *     by row number, the note of each metric of DISPLAY_FIELDS, or '' for
+ *     none. Rows that are left out have no notes.
+ */
+SpreadsheetAccess.prototype.highlightValues = function(notesByRow) {
+  var lastRow = this.sheet_.getDataRange().getLastRow();
+  if (lastRow < this.DATA_ROW_) {
+    return;
+  }
+  var notes = [];
+  for (var row = this.DATA_ROW_; row <= lastRow; row++) {
+    notes.push(notesByRow[row] || DISPLAY_FIELDS.map(function() {
+      return '';
+    }));
+  }
+  anomalyDetector.highlight(this.sheet_.getRange(this.DATA_ROW_,
+      this.DATA_COL_ + 1, notes.length, DISPLAY_FIELDS.length), notes);
+};
+
+/**
+ * @return {Spreadsheet} The spreadsheet of the report.
+ */
+SpreadsheetAccess.prototype.getSpreadsheet = function() {
+  return this.spreadsheet_;
+};
+
 /**
  * Retrieves the email address set in the spreadsheet.
  *
@@ -918,3 +2952,1001 @@ function validateAndGetSpreadsheet(spreadsheeturl) {
   }
   return spreadsheet;
 }
+
+/**
+ * Module for formatting numbers, currencies, percentages and dates according
+ * to LOCALE, and for looking up labels in STRINGS. The same block is used by
+ * relatorio.js and bistro.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var localeFormat = (function() {
+  // Separators and patterns of each supported locale. The currency pattern
+  // places the symbol (¤) relative to the amount (#).
+  var LOCALES = {
+    'pt-BR': {
+      decimalSeparator: ',',
+      groupSeparator: '.',
+      datePattern: 'dd/MM/yyyy',
+      currencyPattern: '¤ #',
+      currencySymbols: {}
+    },
+    'en-US': {
+      decimalSeparator: '.',
+      groupSeparator: ',',
+      datePattern: 'MM/dd/yyyy',
+      currencyPattern: '¤#',
+      currencySymbols: {USD: '$'}
+    },
+    'en-GB': {
+      decimalSeparator: '.',
+      groupSeparator: ',',
+      datePattern: 'dd/MM/yyyy',
+      currencyPattern: '¤#',
+      currencySymbols: {}
+    },
+    'es-ES': {
+      decimalSeparator: ',',
+      groupSeparator: '.',
+      datePattern: 'dd/MM/yyyy',
+      currencyPattern: '# ¤',
+      currencySymbols: {}
+    }
+  };
+
+  // Symbols used for currencies in every locale, unless the locale overrides
+  // them. Other currencies are shown by their code.
+  var CURRENCY_SYMBOLS = {
+    BRL: 'R$',
+    USD: 'US$',
+    EUR: '€',
+    GBP: '£',
+    JPY: '¥'
+  };
+
+  // Number of decimals shown for each value type.
+  var DECIMALS = {
+    integer: 0,
+    decimal: 2,
+    percent: 2,
+    currency: 2,
+    rate: 4
+  };
+
+  /**
+   * @return {object} the conventions of LOCALE
+   */
+  var getLocale = function() {
+    var locale = LOCALES[LOCALE];
+    if (!locale) {
+      throw new Error('Unsupported LOCALE \'' + LOCALE + '\'. Supported ' +
+          'locales are: ' + Object.keys(LOCALES).join(', ') + '.');
+    }
+    return locale;
+  };
+
+  /**
+   * Looks up a label in the STRINGS table of LOCALE, else in a table of the
+   * same language, else in the 'en-US' table. Placeholders {0}, {1}, etc. are
+   * replaced by the extra arguments.
+   *
+   * @param {string} key the label key
+   * @param {...*} var_args values for the placeholders
+   * @return {string} the label, or the key itself if it is not translated
+   */
+  var string = function(key, var_args) {
+    var language = LOCALE.split('-')[0];
+    var tables = [STRINGS[LOCALE]];
+    Object.keys(STRINGS).forEach(function(locale) {
+      if (locale.split('-')[0] == language) {
+        tables.push(STRINGS[locale]);
+      }
+    });
+    tables.push(STRINGS['en-US']);
+    var table = tables.filter(function(candidate) {
+      return candidate && candidate.hasOwnProperty(key);
+    })[0];
+    var args = arguments;
+    var text = table ? table[key] : key;
+    return text.replace(/\{(\d+)\}/g, function(placeholder, index) {
+      var value = args[parseInt(index, 10) + 1];
+      return value === undefined ? placeholder : String(value);
+    });
+  };
+
+  /**
+   * Parses a value as returned by reports, e.g. '1,234.56', '3.20%' or
+   * '< 10%'.
+   *
+   * @param {*} value the value
+   * @return {number} the number, in percent for percentages, or NaN if the
+   *     value is not numeric, e.g. ' --'
+   */
+  var parseNumber = function(value) {
+    if (typeof value == 'number') {
+      return value;
+    }
+    return parseFloat(String(value).replace(/[,%<>\s]/g, ''));
+  };
+
+  /**
+   * Formats a number with the separators of LOCALE.
+   *
+   * @param {number} value the number
+   * @param {number} decimals the number of decimals to show
+   * @return {string} the formatted number
+   */
+  var formatNumber = function(value, decimals) {
+    var locale = getLocale();
+    var parts = Math.abs(value).toFixed(decimals).split('.');
+    var text = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g,
+        locale.groupSeparator);
+    if (parts.length > 1) {
+      text += locale.decimalSeparator + parts[1];
+    }
+    // Don't show values that round to zero as negative.
+    return value < 0 && /[1-9]/.test(text) ? '-' + text : text;
+  };
+
+  /**
+   * @param {string} currencyCode e.g. 'BRL'
+   * @return {string} the symbol of the currency in LOCALE
+   */
+  var getCurrencySymbol = function(currencyCode) {
+    return getLocale().currencySymbols[currencyCode] ||
+        CURRENCY_SYMBOLS[currencyCode] || currencyCode;
+  };
+
+  /**
+   * Formats an amount of money.
+   *
+   * @param {number} value the amount
+   * @param {?string} currencyCode e.g. 'BRL'; if null, e.g. for totals across
+   *     currencies, the amount is formatted as a plain number
+   * @return {string} the formatted amount
+   */
+  var formatCurrency = function(value, currencyCode) {
+    var amount = formatNumber(value, DECIMALS.currency);
+    if (!currencyCode) {
+      return amount;
+    }
+    var isNegative = amount.charAt(0) == '-';
+    var text = getLocale().currencyPattern
+        .replace('¤', getCurrencySymbol(currencyCode))
+        .replace('#', isNegative ? amount.substring(1) : amount);
+    return isNegative ? '-' + text : text;
+  };
+
+  /**
+   * Formats a value by its type.
+   *
+   * @param {*} value the value; values that are not numbers, e.g. 'N/A', are
+   *     shown as they are
+   * @param {string} type 'currency', 'percent' (value in percent), 'integer',
+   *     'decimal', 'rate' (e.g. an exchange rate) or 'text'
+   * @param {?string=} currencyCode the currency of 'currency' values
+   * @return {string} the formatted value
+   */
+  var format = function(value, type, currencyCode) {
+    if (value === null || value === undefined ||
+        (typeof value == 'number' && isNaN(value))) {
+      return '';
+    }
+    if (typeof value != 'number' || !DECIMALS.hasOwnProperty(type)) {
+      return String(value);
+    }
+    if (type == 'currency') {
+      return formatCurrency(value, currencyCode);
+    }
+    return formatNumber(value, DECIMALS[type]) + (type == 'percent' ? '%' : '');
+  };
+
+  /**
+   * Formats a change in a value, always signed, e.g. '+R$ 1,50' or '-2,00%'.
+   *
+   * @param {number} value the change
+   * @param {string} type the type of the value, see format()
+   * @param {?string=} currencyCode the currency of 'currency' values
+   * @return {string} the formatted change
+   */
+  var formatChange = function(value, type, currencyCode) {
+    var text = format(value, type, currencyCode);
+    return text && text.charAt(0) != '-' ? '+' + text : text;
+  };
+
+  /**
+   * Formats a calendar date.
+   *
+   * @param {Date|string} date a Date, or a date as yyyyMMdd or yyyy-MM-dd
+   * @param {string=} timeZone the time zone of a Date; defaults to the
+   *     account's
+   * @return {string} the date in the pattern of LOCALE
+   */
+  var formatDate = function(date, timeZone) {
+    var pattern = getLocale().datePattern;
+    if (date instanceof Date) {
+      return Utilities.formatDate(date,
+          timeZone || AdWordsApp.currentAccount().getTimeZone(), pattern);
+    }
+    var digits = String(date).replace(/-/g, '');
+    return Utilities.formatDate(new Date(Date.UTC(
+        parseInt(digits.substring(0, 4), 10),
+        parseInt(digits.substring(4, 6), 10) - 1,
+        parseInt(digits.substring(6, 8), 10))), 'UTC', pattern);
+  };
+
+  /**
+   * @return {string} LOCALE in the form used by Spreadsheet locales, e.g.
+   *     'pt_BR'
+   */
+  var getSpreadsheetLocale = function() {
+    getLocale();
+    return LOCALE.replace('-', '_');
+  };
+
+  /**
+   * Builds the spreadsheet number format for a type of value. Separators are
+   * applied by Sheets according to the spreadsheet locale.
+   *
+   * @param {string} type the type of the value, see format(), or 'date'
+   * @param {?string=} currencyCode the currency of 'currency' values
+   * @return {string} the number format
+   */
+  var getSheetNumberFormat = function(type, currencyCode) {
+    switch (type) {
+      case 'currency':
+        if (!currencyCode) {
+          return '#,##0.00';
+        }
+        return getLocale().currencyPattern.split('#').map(function(part) {
+          return part ?
+              '"' + part.replace('¤', getCurrencySymbol(currencyCode)) + '"' :
+              '';
+        }).join('#,##0.00');
+      case 'percent':
+        return '0.00%';
+      case 'integer':
+        return '#,##0';
+      case 'decimal':
+        return '#,##0.00';
+      case 'rate':
+        return '#,##0.0000';
+      case 'date':
+        return getLocale().datePattern;
+      default:
+        return '@';
+    }
+  };
+
+  /**
+   * Converts a value for writing to a spreadsheet, where percentages are
+   * stored as fractions.
+   *
+   * @param {*} value the value
+   * @param {string} type the type of the value, see format()
+   * @return {*} the value to write
+   */
+  var toSheetValue = function(value, type) {
+    return type == 'percent' && typeof value == 'number' ? value / 100 : value;
+  };
+
+  /**
+   * Converts a value read from a spreadsheet back, see toSheetValue().
+   *
+   * @param {*} value the value read
+   * @param {string} type the type of the value, see format()
+   * @return {*} the value
+   */
+  var fromSheetValue = function(value, type) {
+    return type == 'percent' && typeof value == 'number' ? value * 100 : value;
+  };
+
+  // Return the external interface.
+  return {
+    string: string,
+    parseNumber: parseNumber,
+    format: format,
+    formatChange: formatChange,
+    formatDate: formatDate,
+    getSpreadsheetLocale: getSpreadsheetLocale,
+    getSheetNumberFormat: getSheetNumberFormat,
+    toSheetValue: toSheetValue,
+    fromSheetValue: fromSheetValue
+  };
+})();
+
+/**
+ * Module for rendering the summary email. Branding, colors and layout are
+ * defined here only; the same block is used by relatorio.js and bistro.js,
+ * keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var reportTemplate = (function() {
+  var STYLE = {
+    width: 800,
+    font: 'verdana, sans-serif',
+    brandColor: '#3c78d8',
+    brandTextColor: 'white',
+    headingColor: '#ddd',
+    poweredByColor: '#666',
+    improvementColor: '#38761d',
+    deteriorationColor: '#cc0000',
+    noteColor: '#b45f06'
+  };
+
+  /**
+   * Wraps the rendered sections in an HTML document.
+   *
+   * @param {Array.<string>} sections HTML of each section, in order
+   * @return {string} the email HTML
+   */
+  var page = function(sections) {
+    return ['<html>', '<body>'].concat(sections, ['</body>', '</html>'])
+        .join('\n');
+  };
+
+  /**
+   * Renders the banner at the top of the email.
+   *
+   * @param {string} title the report title, shown on the left
+   * @param {string} subtitle shown on the right, e.g. the customer ID
+   * @param {string} poweredBy the credit line above the banner
+   * @return {string} HTML of the header
+   */
+  var header = function(title, subtitle, poweredBy) {
+    var bannerStyle = 'font: normal 18pt ' + STYLE.font + '; ' +
+        'padding: 3px 10px; color: ' + STYLE.brandTextColor;
+    return [
+      tableStart(),
+      '<tr>',
+      '<td colspan=2 align=right>',
+      '<div style=\'font: italic normal 10pt Times New Roman, serif; ' +
+          'margin: 0; color: ' + STYLE.poweredByColor + '; ' +
+          'padding-right: 5px;\'>' + poweredBy + '</div>',
+      '</td>',
+      '</tr>',
+      '<tr bgcolor=\'' + STYLE.brandColor + '\'>',
+      '<td width=500>',
+      '<div style=\'' + bannerStyle + '\'>' + title + '</div>',
+      '</td>',
+      '<td align=right>',
+      '<div style=\'' + bannerStyle + '\'>' + subtitle + '</div>',
+      '</td>',
+      '</tr>',
+      '</table>'
+    ].join('\n');
+  };
+
+  /**
+   * Renders a table comparing values across columns, e.g. periods.
+   *
+   * @param {Array.<string>} headings the column headings, after the row
+   *     title column
+   * @param {Array.<string>} rows HTML of each row, as returned by row()
+   * @param {string=} title shown above the row titles, e.g. the name of the
+   *     comparison
+   * @return {string} HTML of the table
+   */
+  var comparisonTable = function(headings, rows, title) {
+    var html = [tableStart(), '<tr bgcolor=\'' + STYLE.headingColor + '\'>',
+        title ? headingCell(title) : '<td></td>'];
+    headings.forEach(function(heading) {
+      html.push(headingCell(heading));
+    });
+    html.push('</tr>');
+    return html.concat(rows, ['</table>']).join('\n');
+  };
+
+  /**
+   * Renders a row of a comparison table.
+   *
+   * @param {string} title the row title, e.g. the metric name
+   * @param {Array.<string>} cells HTML of each cell, as returned by cell()
+   * @return {string} HTML of the row
+   */
+  var row = function(title, cells) {
+    return ['<tr>', '<td style=\'padding: 5px 10px\'>' + title + '</td>']
+        .concat(cells, ['</tr>']).join('\n');
+  };
+
+  /**
+   * Renders a value cell, optionally followed by its change.
+   *
+   * @param {*} value the value to show; null or undefined for an empty cell
+   * @param {string=} delta HTML of the change, as returned by delta()
+   * @return {string} HTML of the cell
+   */
+  var cell = function(value, delta) {
+    if (value === null || value === undefined) {
+      return '<td></td>';
+    }
+    return '<td style=\'padding: 0px 10px\'>' + value + (delta || '') +
+        '</td>';
+  };
+
+  /**
+   * Renders a change next to a value.
+   *
+   * @param {string} text the change, e.g. '+1.50, +3.2%' or '-2.00%'
+   * @param {number} sentiment positive to color it as an improvement,
+   *     negative as a deterioration, 0 to leave it uncolored
+   * @return {string} HTML of the change
+   */
+  var delta = function(text, sentiment) {
+    var style = 'font-size: 8pt';
+    if (sentiment) {
+      style = 'color: ' + (sentiment > 0 ? STYLE.improvementColor :
+          STYLE.deteriorationColor) + '; ' + style;
+    }
+    return '<span style=\'' + style + '\'> (' + text + ')</span>';
+  };
+
+  /**
+   * Renders a note below the tables, e.g. that some data is missing.
+   *
+   * @param {string} text the note
+   * @return {string} HTML of the note
+   */
+  var note = function(text) {
+    return '<p style=\'font: italic 10pt ' + STYLE.font + '; color: ' +
+        STYLE.noteColor + '\'>' + text + '</p>';
+  };
+
+  /**
+   * Renders rows as a plain text table with aligned columns, for email
+   * clients that strip HTML.
+   *
+   * @param {Array.<Array.<*>>} rows the rows, starting with the headings
+   * @return {string} the table as text
+   */
+  var textTable = function(rows) {
+    var widths = [];
+    rows.forEach(function(row) {
+      row.forEach(function(value, i) {
+        widths[i] = Math.max(widths[i] || 0, textValue(value).length);
+      });
+    });
+    return rows.map(function(row) {
+      return row.map(function(value, i) {
+        var text = textValue(value);
+        return i == row.length - 1 ? text :
+            text + new Array(widths[i] - text.length + 1).join(' ');
+      }).join('  ').replace(/\s+$/, '');
+    }).join('\n');
+  };
+
+  /**
+   * Renders rows as CSV, quoting values where needed.
+   *
+   * @param {Array.<Array.<*>>} rows the rows, starting with the headings
+   * @return {string} the CSV content
+   */
+  var csv = function(rows) {
+    return rows.map(function(row) {
+      return row.map(function(value) {
+        var text = textValue(value);
+        if (/[",\r\n]/.test(text)) {
+          text = '"' + text.replace(/"/g, '""') + '"';
+        }
+        return text;
+      }).join(',');
+    }).join('\r\n') + '\r\n';
+  };
+
+  /**
+   * @param {*} value a table value
+   * @return {string} the value as text, empty for null or undefined
+   */
+  var textValue = function(value) {
+    return value === null || value === undefined ? '' : String(value);
+  };
+
+  /**
+   * @param {string} heading
+   * @return {string} HTML of a heading cell of a comparison table
+   */
+  var headingCell = function(heading) {
+    return '<td style=\'font: 12pt ' + STYLE.font + '; ' +
+        'padding: 5px 0px 5px 5px; background-color: ' + STYLE.headingColor +
+        '; text-align: left\'>' + heading + '</td>';
+  };
+
+  /**
+   * @return {string} the opening tag shared by all tables
+   */
+  var tableStart = function() {
+    return '<table width=' + STYLE.width + ' cellpadding=0 border=0 ' +
+        'cellspacing=0>';
+  };
+
+  // Return the external interface.
+  return {
+    page: page,
+    header: header,
+    comparisonTable: comparisonTable,
+    row: row,
+    cell: cell,
+    delta: delta,
+    note: note,
+    textTable: textTable,
+    csv: csv
+  };
+})();
+
+/**
+ * Module for sending a report to the channels listed in NOTIFICATION_CHANNELS.
+ * The same block is used by relatorio.js, bistro.js, kratu.js and
+ * sem_impressoes.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var notifier = (function() {
+  /**
+   * Sends a message through every configured channel. A failing channel is
+   * logged and does not stop the others.
+   *
+   * @param {object} message The message: subject, html, optional text (plain
+   *     text version, derived from html if missing), recipient (email
+   *     address for the 'email' channel), attachments and data (structured
+   *     report content for webhooks).
+   * @return {number} the number of channels the message was sent to
+   */
+  var send = function(message) {
+    if (!message.text) {
+      message.text = htmlToText(message.html || '');
+    }
+    var sent = 0;
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      try {
+        if (sendToChannel(channel, message)) {
+          sent++;
+        }
+      } catch (e) {
+        Logger.log('Failed to send notification to ' + channel.type + ' ' +
+            (channel.url || '') + ': ' + e);
+      }
+    }
+    return sent;
+  };
+
+  /**
+   * Sends a message through one channel.
+   *
+   * @param {object} channel an entry of NOTIFICATION_CHANNELS
+   * @param {object} message the message, see send()
+   * @return {boolean} whether anything was sent
+   */
+  var sendToChannel = function(channel, message) {
+    if (channel.type == 'email') {
+      var recipient = channel.recipient || message.recipient;
+      if (!recipient) {
+        return false;
+      }
+      var options = {htmlBody: message.html};
+      if (message.attachments) {
+        options.attachments = message.attachments;
+      }
+      MailApp.sendEmail(recipient, message.subject, message.text, options);
+    } else if (channel.type == 'webhook') {
+      postJson(channel.url, {
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        data: message.data || null
+      });
+    } else if (channel.type == 'chat') {
+      postJson(channel.url, formatChatMessage(channel.format, message));
+    } else {
+      throw new Error('Unknown notification channel type: ' + channel.type);
+    }
+    return true;
+  };
+
+  /**
+   * Builds the JSON payload for a chat-style incoming webhook.
+   *
+   * @param {string} format 'slack', 'googleChat' or 'teams'
+   * @param {object} message the message, see send()
+   * @return {object} the payload
+   */
+  var formatChatMessage = function(format, message) {
+    if (format == 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.subject,
+        title: message.subject,
+        text: message.text.replace(/\n/g, '\n\n')
+      };
+    } else if (format == 'slack' || format == 'googleChat') {
+      // Both accept a plain text message with *bold* markup.
+      return {text: '*' + message.subject + '*\n' + message.text};
+    }
+    throw new Error('Unknown chat format: ' + format);
+  };
+
+  /**
+   * Posts a JSON payload, throwing if the server does not answer with 2xx.
+   *
+   * @param {string} url the endpoint
+   * @param {object} payload the payload to serialize
+   */
+  var postJson = function(url, payload) {
+    var response = UrlFetchApp.fetch(url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    });
+    var code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      throw new Error('HTTP ' + code + ': ' + response.getContentText());
+    }
+  };
+
+  /**
+   * Converts an HTML report to plain text: table cells are separated by tabs
+   * and rows, paragraphs and line breaks become new lines.
+   *
+   * @param {string} html
+   * @return {string} the plain text
+   */
+  var htmlToText = function(html) {
+    return html
+        .replace(/\s+/g, ' ')
+        .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, '\t')
+        .replace(/<(br|\/tr|\/h\d|\/p|\/div|\/li)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/^ +| +$/gm, '')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+  };
+
+  /**
+   * Returns whether send() would reach any channel, so that scripts can skip
+   * building a report nobody receives.
+   *
+   * @param {string} recipient the email address for the 'email' channel
+   * @return {boolean} true if at least one channel is usable
+   */
+  var hasRecipients = function(recipient) {
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      if (channel.type != 'email' || channel.recipient || recipient) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Return the external interface.
+  return {
+    send: send,
+    hasRecipients: hasRecipients,
+    htmlToText: htmlToText
+  };
+})();
+
+/**
+ * Module for the weekly and monthly tabs, which hold the totals of each ISO
+ * week and calendar month next to the daily rows of the report. The same block
+ * is used by relatorio.js and bistro.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var periodRollup = (function() {
+  var DAY_MILLIS = 24 * 3600 * 1000;
+
+  /**
+   * @param {string} dateString a date as yyyyMMdd
+   * @return {Date} the date at 00:00 UTC
+   */
+  var parseDate = function(dateString) {
+    return new Date(Date.UTC(parseInt(dateString.substring(0, 4), 10),
+        parseInt(dateString.substring(4, 6), 10) - 1,
+        parseInt(dateString.substring(6, 8), 10)));
+  };
+
+  /**
+   * @param {Date} date a date at 00:00 UTC
+   * @param {number} days the days to add; negative to go back
+   * @return {Date} the moved date
+   */
+  var addDays = function(date, days) {
+    return new Date(date.getTime() + days * DAY_MILLIS);
+  };
+
+  /**
+   * @param {string} dateString a date as yyyyMMdd
+   * @return {string} the date as yyyy-MM-dd, which Sheets reads as a date
+   */
+  var toIsoDate = function(dateString) {
+    return dateString.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+  };
+
+  // For each type of period, finds the key, first and last day of the period
+  // containing a day, as UTC dates. Keys sort in chronological order.
+  var PERIOD_TYPES = {
+    // ISO 8601 weeks start on Monday, and belong to the year of their
+    // Thursday.
+    WEEK: function(day) {
+      var start = addDays(day, -((day.getUTCDay() + 6) % 7));
+      var thursday = addDays(start, 3);
+      var year = thursday.getUTCFullYear();
+      var week = Math.floor(
+          (thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MILLIS / 7) + 1;
+      return {
+        key: year + '-W' + (week < 10 ? '0' : '') + week,
+        start: start,
+        end: addDays(start, 6)
+      };
+    },
+    MONTH: function(day) {
+      var year = day.getUTCFullYear();
+      var month = day.getUTCMonth();
+      return {
+        key: Utilities.formatDate(day, 'UTC', 'yyyy-MM'),
+        start: new Date(Date.UTC(year, month, 1)),
+        end: new Date(Date.UTC(year, month + 1, 0))
+      };
+    }
+  };
+
+  /**
+   * Finds the period containing a day.
+   *
+   * @param {string} type the type of period, 'WEEK' or 'MONTH'
+   * @param {string} dateString the day as yyyyMMdd
+   * @return {{key: string, start: string, end: string}} the period: its key,
+   *     e.g. '2017-W09' or '2017-03', and its first and last day as yyyyMMdd
+   */
+  var getPeriod = function(type, dateString) {
+    if (!PERIOD_TYPES.hasOwnProperty(type)) {
+      throw new Error('Unknown period type \'' + type + '\'. Use ' +
+          Object.keys(PERIOD_TYPES).join(' or ') + '.');
+    }
+    var period = PERIOD_TYPES[type](parseDate(dateString));
+    return {
+      key: period.key,
+      start: Utilities.formatDate(period.start, 'UTC', 'yyyyMMdd'),
+      end: Utilities.formatDate(period.end, 'UTC', 'yyyyMMdd')
+    };
+  };
+
+  /**
+   * Finds the periods containing any of a list of days.
+   *
+   * @param {string} type the type of period, see getPeriod()
+   * @param {Array.<string>} dateStrings the days as yyyyMMdd
+   * @return {!Array.<{key: string, start: string, end: string}>} each period
+   *     once, in chronological order
+   */
+  var getPeriods = function(type, dateStrings) {
+    var periods = {};
+    dateStrings.forEach(function(dateString) {
+      var period = getPeriod(type, dateString);
+      periods[period.key] = period;
+    });
+    return Object.keys(periods).sort().map(function(key) {
+      return periods[key];
+    });
+  };
+
+  /**
+   * Writes the rows of periods to a tab, replacing the rows already there for
+   * the same periods and keeping the tab in chronological order. The tab is
+   * created with its headings if missing.
+   *
+   * @param {Spreadsheet} spreadsheet the spreadsheet
+   * @param {string} sheetName the name of the tab
+   * @param {Array.<string>} headings the headings of the value columns
+   * @param {Array.<{period: Object, days: number, values: Array.<*>}>}
+   *     periodRows for each period as returned by getPeriods(), the number of
+   *     days with daily rows and the values to write
+   * @param {Array.<string>} numberFormats the number formats of the values
+   */
+  var writePeriods = function(
+      spreadsheet, sheetName, headings, periodRows, numberFormats) {
+    if (!periodRows.length) {
+      return;
+    }
+    var sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.appendRow(['period', 'start', 'end', 'days'].map(function(key) {
+        return localeFormat.string(key);
+      }).concat(headings));
+      sheet.setFrozenRows(1);
+    }
+    var width = 4 + headings.length;
+    var rows = sheet.getLastRow() > 1 ?
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues() : [];
+    periodRows.forEach(function(periodRow) {
+      var period = periodRow.period;
+      var row = [
+        period.key, toIsoDate(period.start), toIsoDate(period.end),
+        periodRow.days
+      ].concat(periodRow.values);
+      var index = rows.map(function(existingRow) {
+        return String(existingRow[0]);
+      }).indexOf(period.key);
+      if (index > -1) {
+        rows[index] = row;
+      } else {
+        rows.push(row);
+      }
+    });
+    rows.sort(function(rowA, rowB) {
+      return String(rowA[0]) < String(rowB[0]) ? -1 : 1;
+    });
+    var missingRows = rows.length + 1 - sheet.getMaxRows();
+    if (missingRows > 0) {
+      sheet.insertRowsAfter(sheet.getMaxRows(), missingRows);
+    }
+    var dateFormat = localeFormat.getSheetNumberFormat('date');
+    var rowFormats = ['@', dateFormat, dateFormat,
+      localeFormat.getSheetNumberFormat('integer')].concat(numberFormats);
+    // Formats first, so that the keys are kept as text.
+    sheet.getRange(2, 1, rows.length, width)
+        .setNumberFormats(rows.map(function() {
+          return rowFormats;
+        }))
+        .setValues(rows);
+  };
+
+  // Return the external interface.
+  return {
+    getPeriod: getPeriod,
+    getPeriods: getPeriods,
+    writePeriods: writePeriods
+  };
+})();
+
+/**
+ * Module for finding unusual values in a daily time series, by comparing a
+ * day with the median and the median absolute deviation (MAD) of a baseline of
+ * earlier days. The same block is used by relatorio.js and bistro.js; keep the
+ * copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var anomalyDetector = (function() {
+  var DAY_MILLIS = 24 * 3600 * 1000;
+  // Scales the MAD to estimate the standard deviation of normal data.
+  var MAD_SCALE = 1.4826;
+  // The least spread of the expected range, relative to the median, so that a
+  // constant baseline does not flag every small change.
+  var MIN_RELATIVE_SPREAD = 0.01;
+  // Baselines with fewer known values are not used.
+  var MIN_BASELINE_DAYS = 4;
+  var HIGHLIGHT_COLOR = '#fce5cd';
+
+  // For each model, the days of the baseline of a day, as a number of days
+  // before it, given the number of weeks to look back.
+  var MODELS = {
+    // The same weekday of each of the weeks before, e.g. for accounts with
+    // quieter weekends.
+    SAME_WEEKDAY: function(weeks) {
+      var offsets = [];
+      for (var i = 1; i <= weeks; i++) {
+        offsets.push(i * 7);
+      }
+      return offsets;
+    },
+    // Every day of the weeks before.
+    ALL_DAYS: function(weeks) {
+      var offsets = [];
+      for (var i = 1; i <= weeks * 7; i++) {
+        offsets.push(i);
+      }
+      return offsets;
+    }
+  };
+
+  /**
+   * Lists the days of the baseline of a day.
+   *
+   * @param {string} model a key of MODELS
+   * @param {string} dateString the day as yyyyMMdd
+   * @param {number} weeks the number of weeks to look back
+   * @return {!Array.<string>} the days as yyyyMMdd, latest first
+   */
+  var getBaselineDates = function(model, dateString, weeks) {
+    if (!MODELS.hasOwnProperty(model)) {
+      throw new Error('Unknown anomaly model \'' + model + '\'. Use ' +
+          Object.keys(MODELS).join(' or ') + '.');
+    }
+    var day = Date.UTC(parseInt(dateString.substring(0, 4), 10),
+        parseInt(dateString.substring(4, 6), 10) - 1,
+        parseInt(dateString.substring(6, 8), 10));
+    return MODELS[model](weeks).map(function(offset) {
+      return Utilities.formatDate(new Date(day - offset * DAY_MILLIS), 'UTC',
+          'yyyyMMdd');
+    });
+  };
+
+  /**
+   * @param {!Array.<number>} values at least one value
+   * @return {number} the median
+   */
+  var median = function(values) {
+    var sorted = values.slice().sort(function(a, b) {
+      return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] :
+        (sorted[middle - 1] + sorted[middle]) / 2;
+  };
+
+  /**
+   * Compares a value with its baseline.
+   *
+   * @param {*} value the value of the day; not a number if unknown
+   * @param {Array.<*>} baseline the values of the baseline days; those that
+   *     are not numbers are left out
+   * @param {number} sensitivity the number of standard deviations, estimated
+   *     from the MAD, that a value may be from the median
+   * @return {?{value: number, median: number, low: number, high: number,
+   *     isAnomaly: boolean}} the value, the median and the expected range of
+   *     the baseline, and whether the value is outside the range; null if the
+   *     value is unknown or the baseline too short
+   */
+  var detect = function(value, baseline, sensitivity) {
+    var values = baseline.filter(function(baselineValue) {
+      return typeof baselineValue == 'number' && isFinite(baselineValue);
+    });
+    if (typeof value != 'number' || !isFinite(value) ||
+        values.length < MIN_BASELINE_DAYS) {
+      return null;
+    }
+    var center = median(values);
+    var mad = median(values.map(function(baselineValue) {
+      return Math.abs(baselineValue - center);
+    }));
+    var spread = sensitivity *
+        Math.max(MAD_SCALE * mad, MIN_RELATIVE_SPREAD * Math.abs(center));
+    return {
+      value: value,
+      median: center,
+      low: center - spread,
+      high: center + spread,
+      isAnomaly: value < center - spread || value > center + spread
+    };
+  };
+
+  /**
+   * Highlights the flagged cells of a block of a sheet, with notes, and clears
+   * the highlights of the other cells, e.g. those left behind when rows moved
+   * as the sheet was sorted.
+   *
+   * @param {Range} range the block
+   * @param {!Array.<!Array.<string>>} notes for each cell of the block, its
+   *     note if flagged, e.g. the expected range, or '' if not
+   */
+  var highlight = function(range, notes) {
+    range.setBackgrounds(notes.map(function(row) {
+      return row.map(function(note) {
+        return note ? HIGHLIGHT_COLOR : null;
+      });
+    }));
+    range.setNotes(notes);
+  };
+
+  // Return the external interface.
+  return {
+    getBaselineDates: getBaselineDates,
+    detect: detect,
+    highlight: highlight
+  };
+})();
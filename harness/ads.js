@@ -0,0 +1,583 @@
+/**
+ * @fileoverview In-memory stand-ins for AdWordsApp and MccApp: accounts,
+ *     AWQL reports backed by fixture rows, and entity selectors (campaigns,
+ *     ad groups, ads, keywords, ...) with the common condition syntax.
+ */
+
+var dates = require('./dates');
+
+var MILLIS_PER_DAY = 24 * 3600 * 1000;
+
+// Report columns which can be summed when several daily rows are collapsed
+// into one (e.g. for a DURING range without a Date column).
+var ADDITIVE_COLUMNS = ['Cost', 'Impressions', 'Clicks', 'Conversions',
+    'ConversionValue', 'AllConversions', 'AllConversionValue', 'Interactions',
+    'VideoViews', 'Engagements', 'ViewThroughConversions'];
+
+// Stats methods available on entities, mapped to fixture keys.
+var STATS_FIELDS = {
+  getImpressions: 'impressions',
+  getClicks: 'clicks',
+  getCost: 'cost',
+  getConversions: 'conversions',
+  getConversionValue: 'conversionValue',
+  getViewThroughConversions: 'viewThroughConversions'
+};
+
+/**
+ * Adds days to a YYYYMMDD date string.
+ *
+ * @param {string} dateString
+ * @param {number} days
+ * @return {string}
+ */
+function addDays(dateString, days) {
+  var d = new Date(Date.UTC(parseInt(dateString.substr(0, 4), 10),
+      parseInt(dateString.substr(4, 2), 10) - 1,
+      parseInt(dateString.substr(6, 2), 10)) + days * MILLIS_PER_DAY);
+  return dates.formatDate(d, 'UTC', 'yyyyMMdd');
+}
+
+/**
+ * Resolves a date range, either a predefined name such as 'YESTERDAY' or a
+ * pair of YYYYMMDD dates, to inclusive start and end dates.
+ *
+ * @param {string|Object} from A range name, a YYYYMMDD string or a
+ *     {year, month, day} object.
+ * @param {string|Object=} to The end of the range for explicit ranges.
+ * @param {number} now The current time in milliseconds.
+ * @param {string} timeZone The account time zone.
+ * @return {!Object} The start and end as YYYYMMDD strings.
+ */
+function resolveDateRange(from, to, now, timeZone) {
+  var toDateString = function(d) {
+    if (typeof d === 'object') {
+      return String(d.year) + (d.month < 10 ? '0' : '') + d.month +
+          (d.day < 10 ? '0' : '') + d.day;
+    }
+    return String(d).replace(/-/g, '');
+  };
+  if (to !== undefined && to !== null) {
+    return {start: toDateString(from), end: toDateString(to)};
+  }
+  var explicit = /^(\d{8}),\s*(\d{8})$/.exec(String(from));
+  if (explicit) {
+    return {start: explicit[1], end: explicit[2]};
+  }
+  var today = dates.formatDate(new Date(now), timeZone, 'yyyyMMdd');
+  var weekday = dates.getZonedFields(new Date(now), timeZone).weekday;
+  var firstOfMonth = today.substr(0, 6) + '01';
+  switch (from) {
+    case 'TODAY':
+      return {start: today, end: today};
+    case 'YESTERDAY':
+      return {start: addDays(today, -1), end: addDays(today, -1)};
+    case 'LAST_7_DAYS':
+      return {start: addDays(today, -7), end: addDays(today, -1)};
+    case 'LAST_14_DAYS':
+      return {start: addDays(today, -14), end: addDays(today, -1)};
+    case 'LAST_30_DAYS':
+      return {start: addDays(today, -30), end: addDays(today, -1)};
+    case 'THIS_WEEK_MON_TODAY':
+      return {start: addDays(today, -((weekday + 6) % 7)), end: today};
+    case 'LAST_WEEK':
+      var lastMonday = addDays(today, -((weekday + 6) % 7) - 7);
+      return {start: lastMonday, end: addDays(lastMonday, 6)};
+    case 'THIS_MONTH':
+      return {start: firstOfMonth, end: today};
+    case 'LAST_MONTH':
+      var lastOfPrevious = addDays(firstOfMonth, -1);
+      return {start: lastOfPrevious.substr(0, 6) + '01', end: lastOfPrevious};
+    case 'ALL_TIME':
+      return {start: '19700101', end: today};
+    default:
+      throw new Error('Unsupported date range: ' + from);
+  }
+}
+
+/**
+ * Splits a condition such as "Status = ENABLED" or
+ * "LabelNames CONTAINS_ANY ['a', 'b']" into its parts.
+ *
+ * @param {string} condition
+ * @return {!Object} The field, operator and value(s).
+ */
+function parseCondition(condition) {
+  var match = /^\s*([\w.]+)\s+(=|!=|>=|<=|>|<|IN|NOT_IN|CONTAINS_IGNORE_CASE|CONTAINS_ANY|CONTAINS_ALL|CONTAINS_NONE|CONTAINS|DOES_NOT_CONTAIN|STARTS_WITH)\s+(.+?)\s*$/i
+      .exec(condition);
+  if (!match) {
+    throw new Error('Unsupported condition: ' + condition);
+  }
+  var unquote = function(s) {
+    s = s.trim();
+    if (/^(['"]).*\1$/.test(s)) {
+      return s.substring(1, s.length - 1);
+    }
+    return s;
+  };
+  var rawValue = match[3].trim();
+  var value;
+  if (/^[\[(]/.test(rawValue)) {
+    value = rawValue.substring(1, rawValue.length - 1).split(',')
+        .map(unquote)
+        .filter(function(v) {
+          return v !== '';
+        });
+  } else {
+    value = unquote(rawValue);
+  }
+  return {field: match[1], operator: match[2].toUpperCase(), value: value};
+}
+
+/**
+ * Evaluates a parsed condition against a value.
+ *
+ * @param {!Object} condition As returned by parseCondition.
+ * @param {*} actual The entity or row value for the condition's field.
+ * @return {boolean}
+ */
+function matchesCondition(condition, actual) {
+  var expected = condition.value;
+  var asList = Array.isArray(actual) ? actual.map(String) : [String(actual)];
+  var isNumeric = function(v) {
+    return v !== '' && !isNaN(parseFloat(v)) && isFinite(v);
+  };
+  var compare = function(a, b) {
+    a = String(a).replace(/[,%]/g, '');
+    b = String(b).replace(/[,%]/g, '');
+    if (isNumeric(a) && isNumeric(b)) {
+      return parseFloat(a) - parseFloat(b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  };
+  var expectedList = Array.isArray(expected) ? expected : [expected];
+  switch (condition.operator) {
+    case '=':
+      return compare(actual, expected) === 0;
+    case '!=':
+      return compare(actual, expected) !== 0;
+    case '>':
+      return compare(actual, expected) > 0;
+    case '<':
+      return compare(actual, expected) < 0;
+    case '>=':
+      return compare(actual, expected) >= 0;
+    case '<=':
+      return compare(actual, expected) <= 0;
+    case 'IN':
+      return expectedList.some(function(v) {
+        return compare(actual, v) === 0;
+      });
+    case 'NOT_IN':
+      return !expectedList.some(function(v) {
+        return compare(actual, v) === 0;
+      });
+    case 'CONTAINS':
+      return Array.isArray(actual) ? asList.indexOf(expected) > -1 :
+          String(actual).indexOf(expected) > -1;
+    case 'CONTAINS_IGNORE_CASE':
+      return String(actual).toLowerCase().indexOf(
+          String(expected).toLowerCase()) > -1;
+    case 'DOES_NOT_CONTAIN':
+      return Array.isArray(actual) ? asList.indexOf(expected) === -1 :
+          String(actual).indexOf(expected) === -1;
+    case 'STARTS_WITH':
+      return String(actual).indexOf(expected) === 0;
+    case 'CONTAINS_ANY':
+      return expectedList.some(function(v) {
+        return asList.indexOf(v) > -1;
+      });
+    case 'CONTAINS_ALL':
+      return expectedList.every(function(v) {
+        return asList.indexOf(v) > -1;
+      });
+    case 'CONTAINS_NONE':
+      return !expectedList.some(function(v) {
+        return asList.indexOf(v) > -1;
+      });
+  }
+  return false;
+}
+
+/**
+ * Parses the subset of AWQL used by the scripts.
+ *
+ * @param {string} query
+ * @return {!Object} The fields, report name, conditions and DURING clause.
+ */
+function parseQuery(query) {
+  var match = /^\s*SELECT\s+(.+?)\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+DURING\s+(.+?))?\s*$/i
+      .exec(query);
+  if (!match) {
+    throw new Error('Unsupported AWQL query: ' + query);
+  }
+  return {
+    fields: match[1].split(',').map(function(field) {
+      return field.trim();
+    }),
+    reportName: match[2],
+    conditions: match[3] ? match[3].split(/\s+AND\s+/i).map(parseCondition) :
+        [],
+    during: match[4] ? match[4].trim() : null
+  };
+}
+
+/**
+ * @param {*} value A report cell value, possibly formatted ('1,234.5', '3%').
+ * @return {number}
+ */
+function toNumber(value) {
+  var n = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(n) ? 0 : n;
+}
+
+/**
+ * Collapses several fixture rows into a single row, the way the API does when
+ * a query spans several days without selecting a date segment. Additive
+ * metrics are summed and common ratios recomputed; other columns keep the
+ * value of the last row.
+ *
+ * @param {Array.<Object>} rows
+ * @param {Array.<string>} fields The selected fields.
+ * @return {!Object}
+ */
+function collapseRows(rows, fields) {
+  var result = {};
+  var sums = {};
+  var positionSum = 0;
+  rows.forEach(function(row) {
+    Object.keys(row).forEach(function(key) {
+      if (ADDITIVE_COLUMNS.indexOf(key) > -1) {
+        sums[key] = (sums[key] || 0) + toNumber(row[key]);
+      } else {
+        result[key] = row[key];
+      }
+    });
+    positionSum += toNumber(row.AveragePosition) * toNumber(row.Impressions);
+  });
+  Object.keys(sums).forEach(function(key) {
+    result[key] = key === 'Cost' || /Value$/.test(key) ?
+        sums[key].toFixed(2) : String(Math.round(sums[key] * 100) / 100);
+  });
+  var impressions = sums.Impressions || 0;
+  var clicks = sums.Clicks || 0;
+  if (fields.indexOf('Ctr') > -1 && sums.Impressions !== undefined) {
+    result.Ctr = (impressions ? clicks * 100 / impressions : 0).toFixed(2) +
+        '%';
+  }
+  if (fields.indexOf('AverageCpc') > -1 && sums.Cost !== undefined) {
+    result.AverageCpc = (clicks ? sums.Cost / clicks : 0).toFixed(2);
+  }
+  if (fields.indexOf('AveragePosition') > -1 && impressions) {
+    result.AveragePosition = (positionSum / impressions).toFixed(1);
+  }
+  return result;
+}
+
+/**
+ * Runs an AWQL query against an account's report fixtures.
+ *
+ * @param {!Object} account The account fixture.
+ * @param {string} query
+ * @param {number} now The current time in milliseconds.
+ * @return {Array.<Object>} The result rows, with every value as a string.
+ */
+function runReport(account, query, now) {
+  var parsed = parseQuery(query);
+  var source = account.reports;
+  var rows;
+  if (typeof source === 'function') {
+    rows = source(parsed, query) || [];
+  } else {
+    rows = (source && source[parsed.reportName]) || [];
+    if (parsed.during) {
+      var range = resolveDateRange(parsed.during, null, now, account.timeZone);
+      rows = rows.filter(function(row) {
+        if (row.Date === undefined) {
+          return true;
+        }
+        var date = String(row.Date).replace(/-/g, '');
+        return date >= range.start && date <= range.end;
+      });
+    }
+  }
+  rows = rows.filter(function(row) {
+    return parsed.conditions.every(function(condition) {
+      return matchesCondition(condition, row[condition.field]);
+    });
+  });
+
+  if (parsed.fields.indexOf('Date') === -1 && rows.length > 1 &&
+      rows.some(function(row) {
+        return row.Date !== undefined;
+      })) {
+    var keyFields = parsed.fields.filter(function(field) {
+      return ADDITIVE_COLUMNS.indexOf(field) === -1 &&
+          ['Ctr', 'AverageCpc', 'AveragePosition'].indexOf(field) === -1;
+    });
+    var groups = {};
+    var order = [];
+    rows.forEach(function(row) {
+      var key = keyFields.map(function(field) {
+        return row[field];
+      }).join('\u0000');
+      if (!groups[key]) {
+        groups[key] = [];
+        order.push(key);
+      }
+      groups[key].push(row);
+    });
+    rows = order.map(function(key) {
+      return collapseRows(groups[key], parsed.fields);
+    });
+  }
+
+  return rows.map(function(row) {
+    var result = {};
+    parsed.fields.forEach(function(field) {
+      if (!row.hasOwnProperty(field)) {
+        throw new Error('Report fixture for ' + parsed.reportName +
+            ' has no column ' + field);
+      }
+      result[field] = String(row[field]);
+    });
+    return result;
+  });
+}
+
+/**
+ * Creates an iterator in the style used across the Ads Scripts services.
+ *
+ * @param {Array.<*>} items
+ * @return {!Object}
+ */
+function createIterator(items) {
+  var index = 0;
+  return {
+    hasNext: function() {
+      return index < items.length;
+    },
+    next: function() {
+      if (index >= items.length) {
+        throw new Error('No more items in iterator.');
+      }
+      return items[index++];
+    },
+    totalNumEntities: function() {
+      return items.length;
+    }
+  };
+}
+
+/**
+ * Builds a stats object for an entity over a date range from its fixture's
+ * daily stats (keyed by YYYY-MM-DD or YYYYMMDD) or range-named stats (keyed
+ * by e.g. 'YESTERDAY').
+ *
+ * @param {!Object} fixture The entity fixture.
+ * @param {!Object} range Resolved start and end dates.
+ * @param {string=} rangeName The predefined range name, if any.
+ * @return {!Object}
+ */
+function createStats(fixture, range, rangeName) {
+  var stats = fixture.stats || {};
+  var totals = {};
+  var add = function(values) {
+    Object.keys(values).forEach(function(key) {
+      totals[key] = (totals[key] || 0) + values[key];
+    });
+  };
+  if (rangeName && stats.hasOwnProperty(rangeName)) {
+    add(stats[rangeName]);
+  } else {
+    Object.keys(stats).forEach(function(key) {
+      var date = key.replace(/-/g, '');
+      if (/^\d{8}$/.test(date) && date >= range.start && date <= range.end) {
+        add(stats[key]);
+      }
+    });
+  }
+  var result = {};
+  Object.keys(STATS_FIELDS).forEach(function(method) {
+    result[method] = function() {
+      return totals[STATS_FIELDS[method]] || 0;
+    };
+  });
+  result.getCtr = function() {
+    return totals.impressions ? totals.clicks / totals.impressions : 0;
+  };
+  result.getAverageCpc = function() {
+    return totals.clicks ? totals.cost / totals.clicks : 0;
+  };
+  result.getConversionRate = function() {
+    return totals.clicks ? totals.conversions / totals.clicks : 0;
+  };
+  result.getAveragePosition = function() {
+    return totals.averagePosition || 0;
+  };
+  return result;
+}
+
+/**
+ * Wraps an entity fixture in an object exposing the getters the scripts use.
+ * Besides getId / getName / status checks and stats, every key of
+ * fixture.fields is exposed as get<Key>(), e.g. {QualityScore: 3} gives
+ * getQualityScore().
+ *
+ * @param {!Object} fixture
+ * @param {!Object} env Provides now() and timeZone for stats ranges.
+ * @return {!Object}
+ */
+function createEntity(fixture, env) {
+  var status = fixture.status || 'ENABLED';
+  var entity = {
+    getId: function() {
+      return fixture.id;
+    },
+    getName: function() {
+      return fixture.name;
+    },
+    isEnabled: function() {
+      return status === 'ENABLED';
+    },
+    isPaused: function() {
+      return status === 'PAUSED';
+    },
+    isRemoved: function() {
+      return status === 'REMOVED';
+    },
+    getStatsFor: function(from, to) {
+      var range = resolveDateRange(from, to, env.now(), env.timeZone());
+      return createStats(fixture, range, to === undefined ? from : null);
+    },
+    labels: function() {
+      return createSelector((fixture.labels || []).map(function(name) {
+        return {name: name};
+      }), env);
+    },
+    getBudget: function() {
+      return {
+        getAmount: function() {
+          return fixture.budget || 0;
+        }
+      };
+    }
+  };
+  Object.keys(fixture.fields || {}).forEach(function(key) {
+    entity['get' + key] = function() {
+      return fixture.fields[key];
+    };
+  });
+  Object.keys(fixture.methods || {}).forEach(function(key) {
+    entity[key] = fixture.methods[key];
+  });
+  return entity;
+}
+
+/**
+ * Reads a condition's field from an entity fixture. Stats fields (Impressions,
+ * Clicks, Cost, ...) are looked up over the selector's date range.
+ *
+ * @param {!Object} fixture
+ * @param {string} field
+ * @param {Object} range The selector's resolved date range, if any.
+ * @param {string=} rangeName
+ * @return {*}
+ */
+function getConditionValue(fixture, field, range, rangeName) {
+  if (fixture.fields && fixture.fields.hasOwnProperty(field)) {
+    return fixture.fields[field];
+  }
+  switch (field) {
+    case 'Status':
+    case 'CampaignStatus':
+    case 'AdGroupStatus':
+      return fixture.status || 'ENABLED';
+    case 'Name':
+    case 'CampaignName':
+      return fixture.name;
+    case 'Id':
+    case 'CustomerId':
+      return fixture.id || fixture.customerId;
+    case 'LabelNames':
+      return fixture.labels || [];
+  }
+  var stats = createStats(fixture, range || {start: '', end: ''}, rangeName);
+  var getter = 'get' + field;
+  if (stats[getter]) {
+    return stats[getter]();
+  }
+  throw new Error('Unsupported condition field: ' + field);
+}
+
+/**
+ * A selector over a list of entity fixtures, supporting withCondition,
+ * withIds, withLimit, forDateRange, orderBy and get.
+ *
+ * @param {Array.<Object>} fixtures
+ * @param {!Object} env
+ * @param {function(!Object): !Object=} wrap Wraps a fixture for next().
+ * @return {!Object}
+ */
+function createSelector(fixtures, env, wrap) {
+  var conditions = [];
+  var ids = null;
+  var limit = null;
+  var range = null;
+  var rangeName = null;
+  wrap = wrap || function(fixture) {
+    return fixture.name !== undefined && fixture.id === undefined &&
+        !fixture.stats ? {getName: function() { return fixture.name; }} :
+        createEntity(fixture, env);
+  };
+  var selector = {
+    withCondition: function(condition) {
+      conditions.push(parseCondition(condition));
+      return selector;
+    },
+    withIds: function(idList) {
+      ids = idList.map(String);
+      return selector;
+    },
+    withLimit: function(n) {
+      limit = n;
+      return selector;
+    },
+    forDateRange: function(from, to) {
+      range = resolveDateRange(from, to, env.now(), env.timeZone());
+      rangeName = to === undefined ? from : null;
+      return selector;
+    },
+    orderBy: function() {
+      return selector;
+    },
+    get: function() {
+      var matched = fixtures.filter(function(fixture) {
+        if (ids && ids.indexOf(String(fixture.id || fixture.customerId)) ===
+            -1) {
+          return false;
+        }
+        return conditions.every(function(condition) {
+          return matchesCondition(condition, getConditionValue(
+              fixture, condition.field, range, rangeName));
+        });
+      });
+      if (limit !== null) {
+        matched = matched.slice(0, limit);
+      }
+      return createIterator(matched.map(wrap));
+    }
+  };
+  return selector;
+}
+
+module.exports = {
+  createEntity: createEntity,
+  createIterator: createIterator,
+  createSelector: createSelector,
+  matchesCondition: matchesCondition,
+  parseCondition: parseCondition,
+  parseQuery: parseQuery,
+  resolveDateRange: resolveDateRange,
+  runReport: runReport
+};
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Fake clock and time zone aware date formatting, mirroring the
+ *     parts of Utilities.formatDate used by the scripts.
+ */
+
+var MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug',
+    'Sep', 'Oct', 'Nov', 'Dec'];
+var DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * A settable clock. The sandboxed scripts see its time through the Date
+ * constructor returned by createDateClass.
+ *
+ * @param {Date|string|number=} now The initial time. Defaults to the real
+ *     current time.
+ * @constructor
+ */
+function Clock(now) {
+  this.now_ = now === undefined ? Date.now() : new Date(now).getTime();
+}
+
+/**
+ * @param {Date|string|number} now The new current time.
+ */
+Clock.prototype.set = function(now) {
+  this.now_ = new Date(now).getTime();
+};
+
+/**
+ * @param {number} millis Milliseconds to move the clock forward by.
+ */
+Clock.prototype.advance = function(millis) {
+  this.now_ += millis;
+};
+
+/**
+ * @return {number} The current time in milliseconds since the epoch.
+ */
+Clock.prototype.getTime = function() {
+  return this.now_;
+};
+
+/**
+ * Creates a Date class for a sandbox, where calls without arguments and
+ * Date.now() read from the given clock.
+ *
+ * @param {Clock} clock
+ * @return {function} A Date constructor.
+ */
+function createDateClass(clock) {
+  function FakeDate() {
+    var args = Array.prototype.slice.call(arguments);
+    if (!(this instanceof FakeDate)) {
+      return new Date(clock.getTime()).toString();
+    }
+    var date = args.length ?
+        new (Function.prototype.bind.apply(Date, [null].concat(args)))() :
+        new Date(clock.getTime());
+    Object.setPrototypeOf(date, FakeDate.prototype);
+    return date;
+  }
+  FakeDate.prototype = Object.create(Date.prototype);
+  FakeDate.prototype.constructor = FakeDate;
+  FakeDate.now = function() {
+    return clock.getTime();
+  };
+  FakeDate.parse = Date.parse;
+  FakeDate.UTC = Date.UTC;
+  // Dates created outside the sandbox, e.g. read from a fake spreadsheet, are
+  // Dates to the script too.
+  Object.defineProperty(FakeDate, Symbol.hasInstance, {
+    value: function(value) {
+      return value instanceof Date;
+    }
+  });
+  return FakeDate;
+}
+
+/**
+ * Splits a date into its calendar fields as seen in the given time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone An IANA time zone name, e.g. 'America/Sao_Paulo'.
+ * @return {!Object} The year, month (1-12), day, hour, minute, second, weekday
+ *     (0-6) and UTC offset in minutes.
+ */
+function getZonedFields(date, timeZone) {
+  var formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  var fields = {};
+  formatter.formatToParts(date).forEach(function(part) {
+    if (part.type !== 'literal') {
+      fields[part.type] = parseInt(part.value, 10);
+    }
+  });
+  var asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour,
+      fields.minute, fields.second);
+  var millis = date.getTime() - date.getMilliseconds();
+  return {
+    year: fields.year,
+    month: fields.month,
+    day: fields.day,
+    hour: fields.hour,
+    minute: fields.minute,
+    second: fields.second,
+    weekday: new Date(asUtc).getUTCDay(),
+    offsetMinutes: Math.round((asUtc - millis) / 60000)
+  };
+}
+
+/**
+ * @param {number} value
+ * @param {number} width
+ * @return {string} The value left-padded with zeros.
+ */
+function pad(value, width) {
+  var s = String(Math.abs(value));
+  while (s.length < width) {
+    s = '0' + s;
+  }
+  return s;
+}
+
+/**
+ * Formats a date using the subset of the SimpleDateFormat pattern syntax that
+ * Utilities.formatDate understands: y, M, d, H, h, m, s, E, a, Z and quoted
+ * literals.
+ *
+ * @param {Date} date
+ * @param {string} timeZone An IANA time zone name.
+ * @param {string} format The SimpleDateFormat style pattern.
+ * @return {string} The formatted date.
+ */
+function formatDate(date, timeZone, format) {
+  if (!(date instanceof Date) && !(date && date.getTime)) {
+    throw new Error('Utilities.formatDate: invalid date ' + date);
+  }
+  var f = getZonedFields(new Date(date.getTime()), timeZone || 'UTC');
+  var out = '';
+  var i = 0;
+  while (i < format.length) {
+    var c = format.charAt(i);
+    if (c === '\'') {
+      var end = format.indexOf('\'', i + 1);
+      out += end === i + 1 ? '\'' : format.substring(i + 1, end);
+      i = end + 1;
+      continue;
+    }
+    var n = 1;
+    while (format.charAt(i + n) === c) {
+      n++;
+    }
+    switch (c) {
+      case 'y':
+        out += n === 2 ? pad(f.year % 100, 2) : pad(f.year, n);
+        break;
+      case 'M':
+        out += n >= 4 ? new Date(2000, f.month - 1, 1).toLocaleString(
+            'en-US', {month: 'long'}) :
+            n === 3 ? MONTH_NAMES[f.month - 1] : pad(f.month, n);
+        break;
+      case 'd':
+        out += pad(f.day, n);
+        break;
+      case 'H':
+        out += pad(f.hour, n);
+        break;
+      case 'h':
+        out += pad(f.hour % 12 || 12, n);
+        break;
+      case 'm':
+        out += pad(f.minute, n);
+        break;
+      case 's':
+        out += pad(f.second, n);
+        break;
+      case 'E':
+        out += DAY_NAMES[f.weekday];
+        break;
+      case 'u':
+        out += f.weekday || 7;
+        break;
+      case 'a':
+        out += f.hour < 12 ? 'AM' : 'PM';
+        break;
+      case 'Z':
+        out += (f.offsetMinutes < 0 ? '-' : '+') +
+            pad(Math.floor(Math.abs(f.offsetMinutes) / 60), 2) +
+            pad(Math.abs(f.offsetMinutes) % 60, 2);
+        break;
+      default:
+        out += new Array(n + 1).join(c);
+    }
+    i += n;
+  }
+  return out;
+}
+
+/**
+ * Converts a calendar date string in the account's time zone to midnight of
+ * that day, as an absolute Date.
+ *
+ * @param {string} dateString A date in the form YYYYMMDD or YYYY-MM-DD.
+ * @param {string} timeZone An IANA time zone name.
+ * @return {!Date} Midnight of that day in the time zone.
+ */
+function parseDateInTimeZone(dateString, timeZone) {
+  var digits = String(dateString).replace(/-/g, '');
+  var guess = Date.UTC(parseInt(digits.substr(0, 4), 10),
+      parseInt(digits.substr(4, 2), 10) - 1, parseInt(digits.substr(6, 2), 10));
+  var offset = getZonedFields(new Date(guess), timeZone).offsetMinutes;
+  return new Date(guess - offset * 60000);
+}
+
+module.exports = {
+  Clock: Clock,
+  createDateClass: createDateClass,
+  formatDate: formatDate,
+  getZonedFields: getZonedFields,
+  parseDateInTimeZone: parseDateInTimeZone
+};
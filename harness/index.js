@@ -0,0 +1,720 @@
+/**
+ * @fileoverview Offline harness for the AdWords scripts in this repository.
+ *
+ * Loads a script into a Node vm sandbox whose globals are in-memory stand-ins
+ * for AdWordsApp, MccApp, SpreadsheetApp, DriveApp, MailApp, UrlFetchApp,
+ * Utilities and Logger, so that entry points such as main(),
+ * processAccount() or the Kratu managers can be run against fixture data:
+ *
+ *   var harness = require('./harness');
+ *   var script = harness.load('relatorio.js', {
+ *     now: '2026-10-19T12:00:00Z',
+ *     overrides: {SPREADSHEET_URL: 'https://example.com/report'},
+ *     account: {customerId: '123-456-7890', timeZone: 'America/Sao_Paulo',
+ *               reports: {ACCOUNT_PERFORMANCE_REPORT: [...]}},
+ *     spreadsheets: [{url: 'https://example.com/report', sheets: {...},
+ *                     namedRanges: {email: 'Report!C3'}}]
+ *   });
+ *   script.call('main');
+ *   script.mail;  // Emails sent through MailApp.
+ *
+ * See harness/README.md for the fixture format.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var ads = require('./ads');
+var dates = require('./dates');
+var spreadsheet = require('./spreadsheet');
+
+// The maximum number of accounts accepted by executeInParallel.
+var MAX_PARALLEL_ACCOUNTS = 50;
+
+// Execution time limit reported by AdWordsApp.getExecutionInfo(), in seconds.
+var EXECUTION_TIME_LIMIT_SECONDS = 30 * 60;
+
+// Entity selectors exposed on AdWordsApp, mapped to account fixture keys.
+var ENTITY_SELECTORS = ['campaigns', 'adGroups', 'ads', 'keywords',
+    'shoppingCampaigns', 'videoCampaigns', 'budgets', 'labels'];
+
+/**
+ * Normalizes an account fixture, filling in defaults.
+ *
+ * @param {Object} fixture
+ * @return {!Object}
+ */
+function normalizeAccount(fixture) {
+  fixture = fixture || {};
+  fixture.customerId = fixture.customerId || '123-456-7890';
+  fixture.name = fixture.name || 'Account ' + fixture.customerId;
+  fixture.currencyCode = fixture.currencyCode || 'USD';
+  fixture.timeZone = fixture.timeZone || 'America/Los_Angeles';
+  fixture.labels = fixture.labels || [];
+  return fixture;
+}
+
+/**
+ * Substitutes the initializer of top-level `var NAME = ...;` declarations, so
+ * that configuration constants can be replaced before the script runs.
+ *
+ * @param {string} source The script source.
+ * @param {Object} overrides Map of variable name to JSON-serializable value.
+ * @return {string} The rewritten source.
+ */
+function applyOverrides(source, overrides) {
+  Object.keys(overrides || {}).forEach(function(name) {
+    var pattern = new RegExp('^var ' + name + ' =[\\s\\S]*?;[ \\t]*\\r?$', 'm');
+    if (!pattern.test(source)) {
+      throw new Error('No top-level declaration of ' + name + ' to override');
+    }
+    source = source.replace(pattern, function() {
+      return 'var ' + name + ' = ' + JSON.stringify(overrides[name]) + ';';
+    });
+  });
+  return source;
+}
+
+/**
+ * Formats a message the way Logger.log and Utilities.formatString do.
+ *
+ * @param {string} template A template with %s, %d and %f placeholders.
+ * @param {Array.<*>} args
+ * @return {string}
+ */
+function formatString(template, args) {
+  var i = 0;
+  return String(template).replace(/%(\.(\d+))?([sdf%])/g,
+      function(match, precision, digits, type) {
+        if (type === '%') {
+          return '%';
+        }
+        var arg = args[i++];
+        if (type === 'd') {
+          return String(parseInt(arg, 10));
+        }
+        if (type === 'f') {
+          return digits ? Number(arg).toFixed(parseInt(digits, 10)) :
+              String(Number(arg));
+        }
+        return String(arg);
+      });
+}
+
+/**
+ * Parses the subset of Drive search queries the scripts use: clauses such as
+ * `title contains 'x'`, `title = 'x'` and `trashed = false`, joined by `and`.
+ *
+ * @param {string} query
+ * @return {function(!Object): boolean} Whether a fake file matches.
+ */
+function parseDriveQuery(query) {
+  var clauses = query.split(/\s+and\s+/).map(function(clause) {
+    var match = /^\s*(title|trashed)\s+(contains|=)\s+(.+?)\s*$/
+        .exec(clause);
+    if (!match) {
+      throw new Error('Unsupported Drive query: ' + query);
+    }
+    var value = match[3];
+    if (match[1] == 'trashed') {
+      return function(file) {
+        return file.isTrashed() === (value == 'true');
+      };
+    }
+    var text = value.replace(/^'|'$/g, '').replace(/\\'/g, '\'');
+    return function(file) {
+      return match[2] == '=' ? file.getName() === text :
+          file.getName().indexOf(text) > -1;
+    };
+  });
+  return function(file) {
+    return clauses.every(function(clause) {
+      return clause(file);
+    });
+  };
+}
+
+/**
+ * A blob, as returned by Utilities.newBlob or File.getBlob.
+ *
+ * @param {string} data
+ * @param {string=} contentType
+ * @param {string=} name
+ * @constructor
+ */
+function Blob(data, contentType, name) {
+  this.data_ = data === undefined ? '' : String(data);
+  this.contentType_ = contentType || 'text/plain';
+  this.name_ = name || null;
+}
+
+Blob.prototype.getDataAsString = function() {
+  return this.data_;
+};
+
+Blob.prototype.getContentType = function() {
+  return this.contentType_;
+};
+
+Blob.prototype.getName = function() {
+  return this.name_;
+};
+
+Blob.prototype.setName = function(name) {
+  this.name_ = name;
+  return this;
+};
+
+Blob.prototype.getBytes = function() {
+  return Array.prototype.slice.call(Buffer.from(this.data_, 'utf8'));
+};
+
+/**
+ * State shared by a harness and every child execution it forks: the clock,
+ * Drive and spreadsheets, and everything recorded for assertions.
+ *
+ * @param {!Object} options The options passed to load().
+ * @constructor
+ */
+function SharedState(options) {
+  var self = this;
+  this.clock = new dates.Clock(options.now);
+  this.startTime = this.clock.getTime();
+  this.logs = [];
+  this.mail = [];
+  this.requests = [];
+  this.verbose = !!options.verbose;
+  this.reportLatency = options.reportLatency || 0;
+  this.httpHandler = options.http || function() {
+    return {code: 200, body: ''};
+  };
+  this.manager = normalizeAccount(options.account);
+  this.childAccounts = (options.childAccounts || []).map(normalizeAccount);
+
+  this.spreadsheetApp = new spreadsheet.SpreadsheetApp();
+  (options.spreadsheets || []).forEach(function(definition) {
+    self.spreadsheetApp.register(new spreadsheet.Spreadsheet(
+        definition.name || 'Spreadsheet', definition));
+  });
+
+  this.files = [];
+  this.nextFileId = 1;
+  (options.files || []).forEach(function(file) {
+    self.createFile(file.name, file.content);
+  });
+}
+
+/**
+ * Creates a file in the fake Drive root folder.
+ *
+ * @param {string} name
+ * @param {string} content
+ * @return {!Object} The file.
+ */
+SharedState.prototype.createFile = function(name, content) {
+  var state = this;
+  var record = {
+    id: 'file-' + this.nextFileId++,
+    name: name,
+    content: content === undefined ? '' : String(content),
+    trashed: false,
+    updated: this.clock.getTime()
+  };
+  var file = {
+    record_: record,
+    getId: function() {
+      return record.id;
+    },
+    getName: function() {
+      return record.name;
+    },
+    setName: function(newName) {
+      record.name = newName;
+      return file;
+    },
+    getBlob: function() {
+      return new Blob(record.content, 'application/octet-stream', record.name);
+    },
+    setContent: function(newContent) {
+      record.content = String(newContent);
+      record.updated = state.clock.getTime();
+      return file;
+    },
+    getLastUpdated: function() {
+      return new Date(record.updated);
+    },
+    setTrashed: function(trashed) {
+      record.trashed = trashed;
+      return file;
+    },
+    isTrashed: function() {
+      return record.trashed;
+    }
+  };
+  this.files.push(file);
+  return file;
+};
+
+/**
+ * Finds the account fixture with a given customer ID.
+ *
+ * @param {string} customerId
+ * @return {Object} The fixture, or null.
+ */
+SharedState.prototype.findAccount = function(customerId) {
+  var all = [this.manager].concat(this.childAccounts);
+  for (var i = 0; i < all.length; i++) {
+    if (all[i].customerId === customerId) {
+      return all[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the service globals for one sandbox.
+ *
+ * @param {!SharedState} shared
+ * @param {!Object} current Holds the currently selected account fixture, as
+ *     `current.account`.
+ * @param {function(!Object): !Harness} fork Creates a child execution for an
+ *     account, used by executeInParallel.
+ * @param {function(): !Object} getContext Returns the sandbox context, for
+ *     invoking callbacks by name.
+ * @return {!Object} The globals to install in the sandbox.
+ */
+function createServices(shared, current, fork, getContext) {
+  var env = {
+    now: function() {
+      return shared.clock.getTime();
+    },
+    timeZone: function() {
+      return current.account.timeZone;
+    }
+  };
+
+  var wrapAccount = function(fixture) {
+    var account = ads.createEntity(fixture, env);
+    account.getCustomerId = function() {
+      return fixture.customerId;
+    };
+    account.getName = function() {
+      return fixture.name;
+    };
+    account.getCurrencyCode = function() {
+      return fixture.currencyCode;
+    };
+    account.getTimeZone = function() {
+      return fixture.timeZone;
+    };
+    account.fixture_ = fixture;
+    return account;
+  };
+
+  var AdWordsApp = {
+    currentAccount: function() {
+      return wrapAccount(current.account);
+    },
+    report: function(query, options) {
+      var rows = ads.runReport(current.account, query, env.now());
+      shared.clock.advance(shared.reportLatency);
+      return {
+        rows: function() {
+          return ads.createIterator(rows);
+        }
+      };
+    },
+    getExecutionInfo: function() {
+      return {
+        getRemainingTime: function() {
+          return EXECUTION_TIME_LIMIT_SECONDS -
+              Math.floor((env.now() - shared.startTime) / 1000);
+        },
+        isPreview: function() {
+          return false;
+        }
+      };
+    }
+  };
+  ENTITY_SELECTORS.forEach(function(name) {
+    AdWordsApp[name] = function() {
+      return ads.createSelector(current.account[name] || [], env);
+    };
+  });
+
+  var executeInParallel = function(accounts, functionName, callbackName,
+      optionalInput) {
+    if (accounts.length > MAX_PARALLEL_ACCOUNTS) {
+      throw new Error('executeInParallel supports at most ' +
+          MAX_PARALLEL_ACCOUNTS + ' accounts, got ' + accounts.length);
+    }
+    var results = accounts.map(function(fixture) {
+      var child = fork(fixture);
+      var returnValue = null;
+      var error = null;
+      try {
+        returnValue = child.call(functionName, optionalInput);
+        if (returnValue !== undefined && returnValue !== null &&
+            typeof returnValue !== 'string') {
+          throw new Error('Return value of ' + functionName +
+              ' must be a string');
+        }
+      } catch (e) {
+        error = String(e && e.message ? e.message : e);
+      }
+      return {
+        getCustomerId: function() {
+          return fixture.customerId;
+        },
+        getError: function() {
+          return error;
+        },
+        getReturnValue: function() {
+          return error ? null : returnValue === undefined ? null : returnValue;
+        },
+        getStatus: function() {
+          return error ? 'ERROR' : 'OK';
+        }
+      };
+    });
+    if (callbackName) {
+      getContext()[callbackName](results);
+    }
+  };
+
+  var MccApp = {
+    accounts: function() {
+      var selector = ads.createSelector(shared.childAccounts, env, wrapAccount);
+      selector.executeInParallel = function(functionName, callbackName,
+          optionalInput) {
+        var accounts = [];
+        var iterator = selector.get();
+        while (iterator.hasNext()) {
+          accounts.push(iterator.next().fixture_);
+        }
+        executeInParallel(accounts, functionName, callbackName, optionalInput);
+      };
+      return selector;
+    },
+    select: function(account) {
+      var fixture = shared.findAccount(account.getCustomerId());
+      if (!fixture) {
+        throw new Error('Unknown account ' + account.getCustomerId());
+      }
+      current.account = fixture;
+    }
+  };
+
+  var DriveApp = {
+    getRootFolder: function() {
+      return {
+        getName: function() {
+          return 'My Drive';
+        },
+        getFilesByName: DriveApp.getFilesByName,
+        getFiles: DriveApp.getFiles,
+        searchFiles: DriveApp.searchFiles,
+        createFile: DriveApp.createFile
+      };
+    },
+    getFilesByName: function(name) {
+      return ads.createIterator(shared.files.filter(function(file) {
+        return file.getName() === name && !file.isTrashed();
+      }));
+    },
+    getFiles: function() {
+      return ads.createIterator(shared.files.filter(function(file) {
+        return !file.isTrashed();
+      }));
+    },
+    searchFiles: function(query) {
+      var predicate = parseDriveQuery(query);
+      return ads.createIterator(shared.files.filter(predicate));
+    },
+    getFileById: function(id) {
+      for (var i = 0; i < shared.files.length; i++) {
+        if (shared.files[i].getId() === id) {
+          return shared.files[i];
+        }
+      }
+      throw new Error('No file with id ' + id);
+    },
+    createFile: function(name, content) {
+      return shared.createFile(name, content);
+    }
+  };
+
+  var MailApp = {
+    sendEmail: function(recipient, subject, body, options) {
+      var message = typeof recipient === 'object' ? recipient : {
+        to: recipient,
+        subject: subject,
+        body: body,
+        htmlBody: options && options.htmlBody,
+        attachments: options && options.attachments,
+        options: options
+      };
+      shared.mail.push(message);
+    },
+    getRemainingDailyQuota: function() {
+      return 100 - shared.mail.length;
+    }
+  };
+
+  var UrlFetchApp = {
+    fetch: function(url, params) {
+      params = params || {};
+      var request = {
+        url: url,
+        method: (params.method || 'get').toUpperCase(),
+        contentType: params.contentType,
+        headers: params.headers || {},
+        payload: params.payload
+      };
+      shared.requests.push(request);
+      var response = shared.httpHandler(request) || {};
+      var code = response.code || 200;
+      var body = response.body === undefined ? '' :
+          typeof response.body === 'string' ? response.body :
+          JSON.stringify(response.body);
+      if (code >= 400 && !params.muteHttpExceptions) {
+        throw new Error('Request failed for ' + url + ' returned code ' +
+            code + '. Truncated server response: ' + body.substring(0, 100));
+      }
+      return {
+        getResponseCode: function() {
+          return code;
+        },
+        getContentText: function() {
+          return body;
+        },
+        getHeaders: function() {
+          return response.headers || {};
+        }
+      };
+    }
+  };
+
+  var Utilities = {
+    formatDate: dates.formatDate,
+    formatString: function(template) {
+      return formatString(template, Array.prototype.slice.call(arguments, 1));
+    },
+    newBlob: function(data, contentType, name) {
+      return new Blob(data, contentType, name);
+    },
+    sleep: function(millis) {
+      shared.clock.advance(millis);
+    }
+  };
+
+  var Logger = {
+    log: function(message) {
+      var text = arguments.length > 1 ?
+          formatString(message, Array.prototype.slice.call(arguments, 1)) :
+          String(message);
+      shared.logs.push(text);
+      if (shared.verbose) {
+        console.log(text);
+      }
+      return Logger;
+    }
+  };
+
+  return {
+    AdWordsApp: AdWordsApp,
+    MccApp: MccApp,
+    SpreadsheetApp: shared.spreadsheetApp,
+    DriveApp: DriveApp,
+    MailApp: MailApp,
+    UrlFetchApp: UrlFetchApp,
+    Utilities: Utilities,
+    Logger: Logger,
+    Date: dates.createDateClass(shared.clock),
+    console: console
+  };
+}
+
+/**
+ * A script loaded into a sandbox.
+ *
+ * @param {string} source The (already overridden) script source.
+ * @param {string} filename Used in stack traces.
+ * @param {!SharedState} shared
+ * @param {!Object} account The account fixture the execution runs as.
+ * @constructor
+ */
+function Harness(source, filename, shared, account) {
+  var self = this;
+  this.source_ = source;
+  this.filename_ = filename;
+  this.shared_ = shared;
+  this.current_ = {account: account};
+  var services = createServices(shared, this.current_, function(child) {
+    return new Harness(source, filename, shared, child);
+  }, function() {
+    return self.context;
+  });
+  this.context = vm.createContext(services);
+  vm.runInContext(source, this.context, {filename: filename});
+}
+
+/**
+ * Calls a global function of the script.
+ *
+ * @param {string} name The function name, e.g. 'main'.
+ * @param {...*} var_args Arguments for the function.
+ * @return {*} The function's return value.
+ */
+Harness.prototype.call = function(name) {
+  var fn = this.context[name];
+  if (typeof fn !== 'function') {
+    throw new Error(name + ' is not a function in the loaded script');
+  }
+  return fn.apply(this.context, Array.prototype.slice.call(arguments, 1));
+};
+
+/**
+ * Starts a new execution of the script, as a scheduled run would: the globals
+ * are fresh, while the clock, spreadsheets, Drive files and recorded mail are
+ * kept.
+ *
+ * @return {!Harness} The new execution.
+ */
+Harness.prototype.reload = function() {
+  this.shared_.startTime = this.shared_.clock.getTime();
+  return new Harness(this.source_, this.filename_, this.shared_,
+      this.shared_.manager);
+};
+
+/**
+ * Reads a global of the script, e.g. a manager object or config constant.
+ *
+ * @param {string} name
+ * @return {*}
+ */
+Harness.prototype.get = function(name) {
+  return this.context[name];
+};
+
+/**
+ * Evaluates an expression inside the sandbox.
+ *
+ * @param {string} code
+ * @return {*}
+ */
+Harness.prototype.eval = function(code) {
+  return vm.runInContext(code, this.context);
+};
+
+/**
+ * Sets the fake clock.
+ *
+ * @param {Date|string|number} now
+ */
+Harness.prototype.setNow = function(now) {
+  this.shared_.clock.set(now);
+  this.shared_.startTime = this.shared_.clock.getTime();
+};
+
+/**
+ * Moves the fake clock forward.
+ *
+ * @param {number} millis
+ */
+Harness.prototype.advance = function(millis) {
+  this.shared_.clock.advance(millis);
+};
+
+/**
+ * Sets the time zone of the account the script runs as.
+ *
+ * @param {string} timeZone An IANA time zone name.
+ */
+Harness.prototype.setTimeZone = function(timeZone) {
+  this.current_.account.timeZone = timeZone;
+};
+
+/**
+ * Replaces the handler used to answer UrlFetchApp requests, e.g. a local
+ * webhook stub. The handler receives {url, method, contentType, headers,
+ * payload} and returns {code, body, headers}.
+ *
+ * @param {function(!Object): !Object} handler
+ */
+Harness.prototype.setHttpHandler = function(handler) {
+  this.shared_.httpHandler = handler;
+};
+
+/**
+ * @param {string} url
+ * @return {!Object} The fake spreadsheet registered under the URL.
+ */
+Harness.prototype.spreadsheet = function(url) {
+  return this.shared_.spreadsheetApp.openByUrl(url);
+};
+
+/**
+ * @return {Array.<Object>} Every spreadsheet, including copies the script
+ *     made.
+ */
+Harness.prototype.spreadsheets = function() {
+  return this.shared_.spreadsheetApp.getAll();
+};
+
+/**
+ * @param {string} name
+ * @return {Object} The fake Drive file with the given name, or null.
+ */
+Harness.prototype.file = function(name) {
+  var matches = this.shared_.files.filter(function(file) {
+    return file.getName() === name && !file.isTrashed();
+  });
+  return matches.length ? matches[matches.length - 1] : null;
+};
+
+Object.defineProperty(Harness.prototype, 'mail', {
+  get: function() {
+    return this.shared_.mail;
+  }
+});
+
+Object.defineProperty(Harness.prototype, 'logs', {
+  get: function() {
+    return this.shared_.logs;
+  }
+});
+
+Object.defineProperty(Harness.prototype, 'requests', {
+  get: function() {
+    return this.shared_.requests;
+  }
+});
+
+/**
+ * Loads a script into a new sandbox.
+ *
+ * @param {string} script Path to the script, relative to the repository root
+ *     or absolute.
+ * @param {Object=} options now, account, childAccounts, spreadsheets, files,
+ *     overrides, http, reportLatency and verbose. See harness/README.md.
+ * @return {!Harness}
+ */
+function load(script, options) {
+  options = options || {};
+  var filename = path.isAbsolute(script) ? script :
+      path.join(__dirname, '..', script);
+  var source = applyOverrides(fs.readFileSync(filename, 'utf8'),
+      options.overrides);
+  var shared = new SharedState(options);
+  return new Harness(source, filename, shared, shared.manager);
+}
+
+module.exports = {
+  load: load,
+  Harness: Harness,
+  ads: ads,
+  dates: dates,
+  spreadsheet: spreadsheet
+};
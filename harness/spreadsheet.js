@@ -0,0 +1,690 @@
+/**
+ * @fileoverview In-memory stand-ins for SpreadsheetApp, Spreadsheet, Sheet and
+ *     Range. Only the calls made by the scripts in this repository are
+ *     supported; anything else throws so that gaps are noticed.
+ */
+
+var dates = require('./dates');
+
+var nextSpreadsheetId = 1;
+
+/**
+ * Converts A1 notation (e.g. 'B6' or 'A1:C3') to row / column bounds.
+ *
+ * @param {string} a1 The A1 notation.
+ * @return {!Object} The row, column, numRows and numColumns of the range.
+ */
+function parseA1(a1) {
+  var parts = a1.split(':').map(function(cell) {
+    var match = /^([A-Z]+)(\d+)$/.exec(cell.toUpperCase());
+    if (!match) {
+      throw new Error('Unsupported A1 notation: ' + a1);
+    }
+    var column = 0;
+    for (var i = 0; i < match[1].length; i++) {
+      column = column * 26 + match[1].charCodeAt(i) - 64;
+    }
+    return {row: parseInt(match[2], 10), column: column};
+  });
+  var end = parts[1] || parts[0];
+  return {
+    row: parts[0].row,
+    column: parts[0].column,
+    numRows: end.row - parts[0].row + 1,
+    numColumns: end.column - parts[0].column + 1
+  };
+}
+
+/**
+ * Copies a cell value, keeping Date objects as Dates.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+function copyValue(value) {
+  if (value instanceof Date || (value && value.getTime &&
+      typeof value.getTime === 'function')) {
+    return new Date(value.getTime());
+  }
+  return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Interprets a written string the way Sheets interprets typed input: numbers
+ * and percentages become numbers, and YYYY-MM-DD strings become dates in the
+ * spreadsheet time zone.
+ *
+ * @param {*} value
+ * @param {string} timeZone The spreadsheet time zone.
+ * @return {*}
+ */
+function coerceInput(value, timeZone) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  var trimmed = value.trim();
+  if (/^-?\d[\d,]*(\.\d+)?$/.test(trimmed)) {
+    return parseFloat(trimmed.replace(/,/g, ''));
+  }
+  if (/^-?\d[\d,]*(\.\d+)?%$/.test(trimmed)) {
+    return parseFloat(trimmed.replace(/,/g, '')) / 100;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    return dates.parseDateInTimeZone(trimmed, timeZone);
+  }
+  return value;
+}
+
+/**
+ * @param {string} name The sheet name.
+ * @param {Array.<Array.<*>>=} values Initial cell values, row by row.
+ * @param {Spreadsheet} parent The spreadsheet containing the sheet.
+ * @constructor
+ */
+function Sheet(name, values, parent) {
+  this.name_ = name;
+  this.parent_ = parent;
+  this.cells_ = [];
+  this.formats_ = {};
+  this.notes_ = {};
+  this.protections_ = [];
+  this.hidden_ = false;
+  this.maxRows_ = 1000;
+  this.maxColumns_ = 26;
+  (values || []).forEach(function(row, r) {
+    row.forEach(function(value, c) {
+      this.set_(r + 1, c + 1, value);
+    }, this);
+  }, this);
+}
+
+Sheet.prototype.get_ = function(row, column) {
+  var cells = this.cells_[row - 1];
+  return cells && cells[column - 1] !== undefined ?
+      copyValue(cells[column - 1]) : '';
+};
+
+Sheet.prototype.set_ = function(row, column, value) {
+  if (row > this.maxRows_) {
+    this.maxRows_ = row;
+  }
+  if (column > this.maxColumns_) {
+    this.maxColumns_ = column;
+  }
+  while (this.cells_.length < row) {
+    this.cells_.push([]);
+  }
+  this.cells_[row - 1][column - 1] = copyValue(coerceInput(value,
+      this.parent_ ? this.parent_.getSpreadsheetTimeZone() : 'UTC'));
+};
+
+Sheet.prototype.getName = function() {
+  return this.name_;
+};
+
+Sheet.prototype.setName = function(name) {
+  this.name_ = name;
+  return this;
+};
+
+Sheet.prototype.getParent = function() {
+  return this.parent_;
+};
+
+/**
+ * @return {number} The last row containing a non-empty value, or 0.
+ */
+Sheet.prototype.getLastRow = function() {
+  for (var r = this.cells_.length; r > 0; r--) {
+    var cells = this.cells_[r - 1];
+    for (var c = 0; c < cells.length; c++) {
+      if (cells[c] !== undefined && cells[c] !== '') {
+        return r;
+      }
+    }
+  }
+  return 0;
+};
+
+/**
+ * @return {number} The last column containing a non-empty value, or 0.
+ */
+Sheet.prototype.getLastColumn = function() {
+  var last = 0;
+  this.cells_.forEach(function(cells) {
+    for (var c = cells.length; c > last; c--) {
+      if (cells[c - 1] !== undefined && cells[c - 1] !== '') {
+        last = c;
+        break;
+      }
+    }
+  });
+  return last;
+};
+
+Sheet.prototype.getMaxRows = function() {
+  return this.maxRows_;
+};
+
+Sheet.prototype.getMaxColumns = function() {
+  return this.maxColumns_;
+};
+
+Sheet.prototype.getRange = function(rowOrA1, column, numRows, numColumns) {
+  if (typeof rowOrA1 === 'string') {
+    var bounds = parseA1(rowOrA1);
+    return new Range(this, bounds.row, bounds.column, bounds.numRows,
+        bounds.numColumns);
+  }
+  return new Range(this, rowOrA1, column, numRows || 1, numColumns || 1);
+};
+
+Sheet.prototype.getDataRange = function() {
+  return new Range(this, 1, 1, Math.max(this.getLastRow(), 1),
+      Math.max(this.getLastColumn(), 1));
+};
+
+Sheet.prototype.appendRow = function(row) {
+  var target = this.getLastRow() + 1;
+  row.forEach(function(value, c) {
+    this.set_(target, c + 1, value);
+  }, this);
+  return this;
+};
+
+Sheet.prototype.insertRowsAfter = function(afterPosition, howMany) {
+  var blank = [];
+  for (var i = 0; i < howMany; i++) {
+    blank.push([]);
+  }
+  Array.prototype.splice.apply(this.cells_, [afterPosition, 0].concat(blank));
+  this.maxRows_ += howMany;
+  return this;
+};
+
+Sheet.prototype.insertRowAfter = function(afterPosition) {
+  return this.insertRowsAfter(afterPosition, 1);
+};
+
+Sheet.prototype.deleteRows = function(rowPosition, howMany) {
+  this.cells_.splice(rowPosition - 1, howMany);
+  this.maxRows_ = Math.max(this.maxRows_ - howMany, 1);
+};
+
+Sheet.prototype.deleteRow = function(rowPosition) {
+  this.deleteRows(rowPosition, 1);
+};
+
+Sheet.prototype.clear = function() {
+  this.cells_ = [];
+  this.formats_ = {};
+  return this;
+};
+
+Sheet.prototype.clearContents = function() {
+  this.cells_ = [];
+  return this;
+};
+
+Sheet.prototype.clearNotes = function() {
+  this.notes_ = {};
+  return this;
+};
+
+Sheet.prototype.hideSheet = function() {
+  this.hidden_ = true;
+  return this;
+};
+
+Sheet.prototype.showSheet = function() {
+  this.hidden_ = false;
+  return this;
+};
+
+Sheet.prototype.isSheetHidden = function() {
+  return this.hidden_;
+};
+
+Sheet.prototype.setFrozenRows = function(rows) {
+  this.frozenRows_ = rows;
+  return this;
+};
+
+Sheet.prototype.getFrozenRows = function() {
+  return this.frozenRows_ || 0;
+};
+
+Sheet.prototype.protect = function() {
+  var sheet = this;
+  var protection = {
+    setDescription: function() { return protection; },
+    getEditors: function() { return []; },
+    removeEditors: function() { return protection; },
+    canDomainEdit: function() { return false; },
+    setDomainEdit: function() { return protection; },
+    canEdit: function() { return true; },
+    remove: function() {
+      sheet.protections_.splice(sheet.protections_.indexOf(protection), 1);
+    }
+  };
+  this.protections_.push(protection);
+  return protection;
+};
+
+Sheet.prototype.getProtections = function() {
+  return this.protections_.slice();
+};
+
+/**
+ * Test helper: the cell values as a plain 2D array, trimmed to the data range.
+ *
+ * @return {Array.<Array.<*>>}
+ */
+Sheet.prototype.dump = function() {
+  return this.getDataRange().getValues();
+};
+
+/**
+ * Test helper: the formatting attribute last set on a cell.
+ *
+ * @param {number} row
+ * @param {number} column
+ * @param {string} attribute E.g. 'background', 'fontColor' or 'numberFormat'.
+ * @return {*}
+ */
+Sheet.prototype.getFormat = function(row, column, attribute) {
+  var formats = this.formats_[row + ',' + column];
+  return formats ? formats[attribute] : undefined;
+};
+
+/**
+ * @param {Sheet} sheet
+ * @param {number} row
+ * @param {number} column
+ * @param {number} numRows
+ * @param {number} numColumns
+ * @constructor
+ */
+function Range(sheet, row, column, numRows, numColumns) {
+  if (numRows < 1 || numColumns < 1) {
+    throw new Error('The number of rows and columns in the range must be at ' +
+        'least 1.');
+  }
+  this.sheet_ = sheet;
+  this.row_ = row;
+  this.column_ = column;
+  this.numRows_ = numRows;
+  this.numColumns_ = numColumns;
+}
+
+Range.prototype.getSheet = function() {
+  return this.sheet_;
+};
+
+Range.prototype.getRow = function() {
+  return this.row_;
+};
+
+Range.prototype.getColumn = function() {
+  return this.column_;
+};
+
+Range.prototype.getLastRow = function() {
+  return this.row_ + this.numRows_ - 1;
+};
+
+Range.prototype.getLastColumn = function() {
+  return this.column_ + this.numColumns_ - 1;
+};
+
+Range.prototype.getNumRows = function() {
+  return this.numRows_;
+};
+
+Range.prototype.getNumColumns = function() {
+  return this.numColumns_;
+};
+
+Range.prototype.getCell = function(row, column) {
+  return new Range(this.sheet_, this.row_ + row - 1, this.column_ + column - 1,
+      1, 1);
+};
+
+Range.prototype.getValues = function() {
+  var values = [];
+  for (var r = 0; r < this.numRows_; r++) {
+    var row = [];
+    for (var c = 0; c < this.numColumns_; c++) {
+      row.push(this.sheet_.get_(this.row_ + r, this.column_ + c));
+    }
+    values.push(row);
+  }
+  return values;
+};
+
+Range.prototype.getValue = function() {
+  return this.sheet_.get_(this.row_, this.column_);
+};
+
+Range.prototype.getDisplayValue = function() {
+  return String(this.getValue());
+};
+
+Range.prototype.setValues = function(values) {
+  if (values.length !== this.numRows_ ||
+      values.some(function(row) {
+        return row.length !== this.numColumns_;
+      }, this)) {
+    throw new Error('The number of rows or columns in the data does not ' +
+        'match the range.');
+  }
+  values.forEach(function(row, r) {
+    row.forEach(function(value, c) {
+      this.sheet_.set_(this.row_ + r, this.column_ + c, value);
+    }, this);
+  }, this);
+  return this;
+};
+
+Range.prototype.setValue = function(value) {
+  for (var r = 0; r < this.numRows_; r++) {
+    for (var c = 0; c < this.numColumns_; c++) {
+      this.sheet_.set_(this.row_ + r, this.column_ + c, value);
+    }
+  }
+  return this;
+};
+
+Range.prototype.clearContent = function() {
+  return this.setValue('');
+};
+
+Range.prototype.setFormats_ = function(attribute, values) {
+  for (var r = 0; r < this.numRows_; r++) {
+    for (var c = 0; c < this.numColumns_; c++) {
+      var key = (this.row_ + r) + ',' + (this.column_ + c);
+      var formats = this.sheet_.formats_[key] || {};
+      formats[attribute] = Array.isArray(values) ?
+          (values[r] || [])[c] : values;
+      this.sheet_.formats_[key] = formats;
+    }
+  }
+  return this;
+};
+
+Range.prototype.getFormat_ = function(attribute) {
+  return this.sheet_.getFormat(this.row_, this.column_, attribute);
+};
+
+Range.prototype.clearFormat = function() {
+  for (var r = 0; r < this.numRows_; r++) {
+    for (var c = 0; c < this.numColumns_; c++) {
+      delete this.sheet_.formats_[(this.row_ + r) + ',' + (this.column_ + c)];
+    }
+  }
+  return this;
+};
+
+Range.prototype.setBackground = function(color) {
+  return this.setFormats_('background', color);
+};
+
+Range.prototype.setBackgrounds = function(colors) {
+  return this.setFormats_('background', colors);
+};
+
+Range.prototype.setBackgroundColors = Range.prototype.setBackgrounds;
+
+Range.prototype.getBackground = function() {
+  return this.getFormat_('background') || '#ffffff';
+};
+
+Range.prototype.setFontColor = function(color) {
+  return this.setFormats_('fontColor', color);
+};
+
+Range.prototype.setFontColors = function(colors) {
+  return this.setFormats_('fontColor', colors);
+};
+
+Range.prototype.setFontWeight = function(weight) {
+  return this.setFormats_('fontWeight', weight);
+};
+
+Range.prototype.setNumberFormat = function(format) {
+  return this.setFormats_('numberFormat', format);
+};
+
+Range.prototype.setNumberFormats = function(formats) {
+  return this.setFormats_('numberFormat', formats);
+};
+
+Range.prototype.setNote = function(note) {
+  return this.setNotes_(note);
+};
+
+Range.prototype.setNotes = function(notes) {
+  return this.setNotes_(notes);
+};
+
+/**
+ * Sets the note of every cell, from a 2D array or a single value for all.
+ *
+ * @param {*} notes
+ * @return {!Range}
+ * @private
+ */
+Range.prototype.setNotes_ = function(notes) {
+  for (var r = 0; r < this.numRows_; r++) {
+    for (var c = 0; c < this.numColumns_; c++) {
+      var note = Array.isArray(notes) ? (notes[r] || [])[c] : notes;
+      var key = (this.row_ + r) + ',' + (this.column_ + c);
+      if (note) {
+        this.sheet_.notes_[key] = String(note);
+      } else {
+        delete this.sheet_.notes_[key];
+      }
+    }
+  }
+  return this;
+};
+
+Range.prototype.getNote = function() {
+  return this.sheet_.notes_[this.row_ + ',' + this.column_] || '';
+};
+
+/**
+ * @param {string} name
+ * @param {Object=} definition The spreadsheet fixture: sheets (name -> 2D
+ *     values), namedRanges (name -> A1 notation on a sheet, e.g.
+ *     'Report!C2'), timeZone and locale.
+ * @constructor
+ */
+function Spreadsheet(name, definition) {
+  definition = definition || {};
+  this.id_ = 'spreadsheet-' + nextSpreadsheetId++;
+  this.url_ = definition.url ||
+      'https://docs.google.com/spreadsheets/d/' + this.id_ + '/edit';
+  this.name_ = name;
+  this.timeZone_ = definition.timeZone || 'America/Los_Angeles';
+  this.locale_ = definition.locale || 'en_US';
+  this.sheets_ = [];
+  this.namedRanges_ = {};
+  var sheets = definition.sheets || {};
+  Object.keys(sheets).forEach(function(sheetName) {
+    this.sheets_.push(new Sheet(sheetName, sheets[sheetName], this));
+  }, this);
+  var namedRanges = definition.namedRanges || {};
+  Object.keys(namedRanges).forEach(function(rangeName) {
+    var parts = namedRanges[rangeName].split('!');
+    this.setNamedRange(rangeName,
+        this.getSheetByName(parts[0]).getRange(parts[1]));
+  }, this);
+}
+
+Spreadsheet.prototype.getId = function() {
+  return this.id_;
+};
+
+Spreadsheet.prototype.getUrl = function() {
+  return this.url_;
+};
+
+Spreadsheet.prototype.getName = function() {
+  return this.name_;
+};
+
+Spreadsheet.prototype.getSpreadsheetTimeZone = function() {
+  return this.timeZone_;
+};
+
+Spreadsheet.prototype.setSpreadsheetTimeZone = function(timeZone) {
+  this.timeZone_ = timeZone;
+};
+
+Spreadsheet.prototype.getSpreadsheetLocale = function() {
+  return this.locale_;
+};
+
+Spreadsheet.prototype.setSpreadsheetLocale = function(locale) {
+  this.locale_ = locale;
+};
+
+Spreadsheet.prototype.getSheets = function() {
+  return this.sheets_.slice();
+};
+
+Spreadsheet.prototype.getSheetByName = function(name) {
+  for (var i = 0; i < this.sheets_.length; i++) {
+    if (this.sheets_[i].getName() === name) {
+      return this.sheets_[i];
+    }
+  }
+  return null;
+};
+
+Spreadsheet.prototype.insertSheet = function(name) {
+  if (this.getSheetByName(name)) {
+    throw new Error('A sheet with the name "' + name + '" already exists.');
+  }
+  var sheet = new Sheet(name || 'Sheet' + (this.sheets_.length + 1), [], this);
+  this.sheets_.push(sheet);
+  return sheet;
+};
+
+Spreadsheet.prototype.deleteSheet = function(sheet) {
+  var index = this.sheets_.indexOf(sheet);
+  if (index > -1) {
+    this.sheets_.splice(index, 1);
+  }
+};
+
+Spreadsheet.prototype.getRangeByName = function(name) {
+  var bounds = this.namedRanges_[name];
+  if (!bounds || this.sheets_.indexOf(bounds.sheet) === -1) {
+    return null;
+  }
+  return new Range(bounds.sheet, bounds.row, bounds.column, bounds.numRows,
+      bounds.numColumns);
+};
+
+Spreadsheet.prototype.setNamedRange = function(name, range) {
+  this.namedRanges_[name] = {
+    sheet: range.getSheet(),
+    row: range.getRow(),
+    column: range.getColumn(),
+    numRows: range.getNumRows(),
+    numColumns: range.getNumColumns()
+  };
+};
+
+/**
+ * Creates a deep copy of the spreadsheet, registered with the same
+ * SpreadsheetApp so that it can be reopened by URL.
+ *
+ * @param {string} name The name of the copy.
+ * @return {Spreadsheet}
+ */
+Spreadsheet.prototype.copy = function(name) {
+  var copy = new Spreadsheet(name, {
+    timeZone: this.timeZone_,
+    locale: this.locale_
+  });
+  this.sheets_.forEach(function(sheet) {
+    var sheetCopy = new Sheet(sheet.getName(), sheet.cells_, copy);
+    sheetCopy.formats_ = JSON.parse(JSON.stringify(sheet.formats_));
+    copy.sheets_.push(sheetCopy);
+  });
+  Object.keys(this.namedRanges_).forEach(function(rangeName) {
+    var bounds = this.namedRanges_[rangeName];
+    copy.setNamedRange(rangeName, copy.getSheetByName(bounds.sheet.getName())
+        .getRange(bounds.row, bounds.column, bounds.numRows,
+            bounds.numColumns));
+  }, this);
+  if (this.app_) {
+    this.app_.register(copy);
+  }
+  return copy;
+};
+
+/**
+ * The SpreadsheetApp service, holding every spreadsheet known to a harness.
+ *
+ * @constructor
+ */
+function SpreadsheetApp() {
+  this.spreadsheets_ = {};
+  this.ProtectionType = {RANGE: 'RANGE', SHEET: 'SHEET'};
+}
+
+/**
+ * Registers a spreadsheet so that openByUrl / openById can find it.
+ *
+ * @param {Spreadsheet} spreadsheet
+ * @return {Spreadsheet}
+ */
+SpreadsheetApp.prototype.register = function(spreadsheet) {
+  spreadsheet.app_ = this;
+  this.spreadsheets_[spreadsheet.getUrl()] = spreadsheet;
+  return spreadsheet;
+};
+
+SpreadsheetApp.prototype.openByUrl = function(url) {
+  if (!this.spreadsheets_.hasOwnProperty(url)) {
+    throw new Error('No spreadsheet fixture for URL ' + url);
+  }
+  return this.spreadsheets_[url];
+};
+
+SpreadsheetApp.prototype.openById = function(id) {
+  var urls = Object.keys(this.spreadsheets_);
+  for (var i = 0; i < urls.length; i++) {
+    if (this.spreadsheets_[urls[i]].getId() === id) {
+      return this.spreadsheets_[urls[i]];
+    }
+  }
+  throw new Error('No spreadsheet fixture with id ' + id);
+};
+
+SpreadsheetApp.prototype.create = function(name) {
+  return this.register(new Spreadsheet(name, {sheets: {Sheet1: []}}));
+};
+
+/**
+ * @return {Array.<Spreadsheet>} Every registered spreadsheet, including
+ *     copies created by the scripts.
+ */
+SpreadsheetApp.prototype.getAll = function() {
+  var spreadsheets = this.spreadsheets_;
+  return Object.keys(spreadsheets).map(function(url) {
+    return spreadsheets[url];
+  });
+};
+
+module.exports = {
+  Range: Range,
+  Sheet: Sheet,
+  Spreadsheet: Spreadsheet,
+  SpreadsheetApp: SpreadsheetApp,
+  parseA1: parseA1
+};
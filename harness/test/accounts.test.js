@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Tests of the drill-down of bistro.js by managed account: the
+ * daily rows of each account in the Accounts sheet, and the accounts that
+ * contributed most to the change of the manager account totals in the email.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * @param {string} customerId
+ * @param {number} cost The cost of yesterday; 100 on the days before.
+ * @param {number} clicks The clicks of yesterday; 50 on the days before.
+ * @return {!Object} A child account with 30 days of rows.
+ */
+function account(customerId, cost, clicks) {
+  return fixtures.childAccount(customerId, {
+    reports: {
+      ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(30, function(row, date) {
+        var isYesterday = date == fixtures.YESTERDAY;
+        row.Cost = (isYesterday ? cost : 100).toFixed(2);
+        row.Clicks = String(isYesterday ? clicks : 50);
+      })
+    }
+  });
+}
+
+/**
+ * Runs the report of three accounts, the first unchanged since the day
+ * before, the second spending 60 more and the third 40 less.
+ *
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {!Object} The script after its run.
+ */
+function runReport(opt_overrides) {
+  var script = fixtures.loadBistro({
+    overrides: fixtures.merge({LOCALE: 'en-US'}, opt_overrides),
+    childAccounts: [
+      account('1', 100, 50), account('2', 160, 80), account('3', 60, 40)
+    ],
+    spreadsheet: fixtures.reportSpreadsheet({},
+        new Date('2026-10-15T03:00:00Z'))
+  });
+  script.call('main');
+  return script;
+}
+
+/**
+ * @param {!Object} script The script after its run.
+ * @return {!Array.<!Array.<string>>} The sections of the plain text email
+ *     whose title starts with 'Biggest contributors', as lines.
+ */
+function contributorSections(script) {
+  return script.mail[0].body.split('\n\n').filter(function(section) {
+    return /^Biggest contributors/.test(section);
+  }).map(function(section) {
+    return section.split('\n');
+  });
+}
+
+test('the Accounts sheet has the rows of each account and day', function() {
+  var script = runReport();
+
+  var sheet = script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Accounts');
+  var values = fixtures.plain(sheet.getDataRange().getValues());
+  assert.deepStrictEqual(values[0], ['Date', 'Customer ID', 'Account',
+      'Currency', 'Cost', 'Impressions', 'Clicks', 'Avg. Pos.']);
+  assert.strictEqual(sheet.getFrozenRows(), 1);
+  assert.deepStrictEqual(values.slice(1).map(function(row) {
+    return [row[0].substring(0, 10), String(row[1]), row[2], row[3], row[4],
+        row[6]];
+  }), [
+    ['2026-10-16', '1', 'Client 1', 'BRL', 100, 50],
+    ['2026-10-16', '2', 'Client 2', 'BRL', 100, 50],
+    ['2026-10-16', '3', 'Client 3', 'BRL', 100, 50],
+    ['2026-10-17', '1', 'Client 1', 'BRL', 100, 50],
+    ['2026-10-17', '2', 'Client 2', 'BRL', 100, 50],
+    ['2026-10-17', '3', 'Client 3', 'BRL', 100, 50],
+    ['2026-10-18', '1', 'Client 1', 'BRL', 100, 50],
+    ['2026-10-18', '2', 'Client 2', 'BRL', 160, 80],
+    ['2026-10-18', '3', 'Client 3', 'BRL', 60, 40]
+  ]);
+  assert.strictEqual(sheet.getFormat(2, 5, 'numberFormat'),
+      '"R$"#,##0.00');
+});
+
+test('the Accounts sheet gets each day only once', function() {
+  var script = runReport();
+  script.advance(3600 * 1000);
+  script = script.reload();
+
+  script.call('main');
+
+  assert.strictEqual(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Accounts').getLastRow(), 10);
+});
+
+test('contributors are ordered by the size of their change', function() {
+  var sections = contributorSections(runReport());
+
+  assert.deepStrictEqual(sections.map(function(lines) {
+    return lines[0];
+  }), [
+    'Biggest contributors to change: Cost',
+    'Biggest contributors to change: Clicks'
+  ]);
+  // Unchanged accounts are not contributors.
+  assert.deepStrictEqual(sections[0].slice(1).map(function(line) {
+    return line.split(/  +/);
+  }), [
+    ['Account', '10/18/2026', '10/17/2026', 'Change', 'Contribution'],
+    ['Client 2 (2)', 'R$160.00', 'R$100.00', '+R$60.00', '300.00%'],
+    ['Client 3 (3)', 'R$60.00', 'R$100.00', '-R$40.00', '-200.00%']
+  ]);
+  assert.deepStrictEqual(sections[1].slice(2).map(function(line) {
+    return line.split(/  +/);
+  }), [
+    ['Client 2 (2)', '80', '50', '+30', '150.00%'],
+    ['Client 3 (3)', '40', '50', '-10', '-50.00%']
+  ]);
+});
+
+test('contributors are limited to CONTRIBUTORS_COUNT accounts', function() {
+  var script = runReport({CONTRIBUTORS_COUNT: 1});
+
+  assert.deepStrictEqual(contributorSections(script).map(function(lines) {
+    return lines.slice(2).map(function(line) {
+      return line.split(/  +/)[0];
+    });
+  }), [['Client 2 (2)'], ['Client 2 (2)']]);
+  assert.match(script.mail[0].htmlBody,
+      /Biggest contributors to change: Cost/);
+});
+
+test('a CONTRIBUTORS_COUNT of 0 leaves the contributors out', function() {
+  var script = runReport({CONTRIBUTORS_COUNT: 0});
+
+  assert.deepStrictEqual(contributorSections(script), []);
+  assert.doesNotMatch(script.mail[0].htmlBody, /Biggest contributors/);
+});
+
+test('contributor fields must be query fields', function() {
+  assert.throws(function() {
+    runReport({CONTRIBUTOR_FIELDS: ['Cost', 'Conversions']});
+  }, /CONTRIBUTOR_FIELDS contains Conversions, which is not in QUERY_FIELDS/);
+});
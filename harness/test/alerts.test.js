@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Tests of the campaign alerts of sem_impressoes.js, in a single
+ * account and over the child accounts of a manager account.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var harness = require('..');
+var fixtures = require('./fixtures');
+
+/**
+ * @param {number} count The number of days up to yesterday.
+ * @param {function(number): !Object} fn Builds the stats of a day from the
+ *     number of days before yesterday.
+ * @return {!Object} Daily stats, by date.
+ */
+function dailyStats(count, fn) {
+  var stats = {};
+  fixtures.days(count, fixtures.YESTERDAY, function(date, i) {
+    stats[date] = fn(i);
+  });
+  return stats;
+}
+
+/**
+ * @param {string} name
+ * @param {Object=} opt_yesterday Stats of yesterday replacing the usual
+ *     ones, e.g. {impressions: 0}.
+ * @return {!Object} An enabled campaign with 100 impressions, 10 clicks, a
+ *     cost of 5 and 1 conversion a day over 30 days.
+ */
+function campaign(name, opt_yesterday) {
+  return {
+    id: name,
+    name: name,
+    stats: dailyStats(30, function(i) {
+      var stats = {impressions: 100, clicks: 10, cost: 5, conversions: 1};
+      Object.keys(i == 0 && opt_yesterday || {}).forEach(function(metric) {
+        stats[metric] = opt_yesterday[metric];
+      });
+      return stats;
+    })
+  };
+}
+
+/**
+ * @param {string} customerId
+ * @param {!Array.<string>} labels
+ * @param {!Array.<!Object>} campaigns
+ * @return {!Object} A child account of a manager account.
+ */
+function childAccount(customerId, labels, campaigns) {
+  return {
+    customerId: customerId,
+    name: 'Client ' + customerId,
+    labels: labels,
+    timeZone: 'America/Sao_Paulo',
+    campaigns: campaigns
+  };
+}
+
+/**
+ * @param {!Object} options Harness options; `overrides` add to the email
+ *     address.
+ * @return {!Object} The loaded sem_impressoes.js.
+ */
+function loadAlerts(options) {
+  var overrides = {yourEmail: 'me@example.com'};
+  Object.keys(options.overrides || {}).forEach(function(name) {
+    overrides[name] = options.overrides[name];
+  });
+  return harness.load('sem_impressoes.js', {
+    now: fixtures.NOW,
+    overrides: overrides,
+    account: options.account,
+    childAccounts: options.childAccounts
+  });
+}
+
+/**
+ * Loads sem_impressoes.js for a single account.
+ *
+ * @param {!Array.<!Object>} campaigns
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {!Object} The loaded script.
+ */
+function loadAccount(campaigns, opt_overrides) {
+  return loadAlerts({
+    overrides: opt_overrides,
+    account: {timeZone: 'America/Sao_Paulo', campaigns: campaigns}
+  });
+}
+
+/**
+ * Loads sem_impressoes.js in manager account mode.
+ *
+ * @param {!Array.<!Object>} childAccounts
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {!Object} The loaded script.
+ */
+function loadManager(childAccounts, opt_overrides) {
+  var overrides = {MANAGER_ACCOUNT_MODE: true};
+  Object.keys(opt_overrides || {}).forEach(function(name) {
+    overrides[name] = opt_overrides[name];
+  });
+  return loadAlerts({
+    overrides: overrides,
+    account: {customerId: '999-999-9999', name: 'Manager'},
+    childAccounts: childAccounts
+  });
+}
+
+/**
+ * @param {string} name
+ * @return {!Object} A campaign whose stats cannot be read.
+ */
+function brokenCampaign(name) {
+  var stats = {};
+  Object.defineProperty(stats, fixtures.YESTERDAY, {
+    enumerable: true,
+    get: function() {
+      throw new Error('Stats unavailable');
+    }
+  });
+  return {id: name, name: name, stats: stats};
+}
+
+test('the zero rule alerts campaigns without impressions', function() {
+  var script = loadAccount([
+    campaign('A', {impressions: 0}),
+    campaign('B'),
+    campaign('C', {impressions: 0})
+  ]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 1);
+  assert.strictEqual(script.mail[0].subject,
+      'Alerta: nome da conta – 2 Campanhas com alertas');
+  assert.strictEqual(script.mail[0].htmlBody,
+      'Ontem estas campanhas dispararam alertas:<br>\n' +
+      '<h3>Sem impressões</h3>\n<ul>\n<li>A: 0</li>\n<li>C: 0</li>\n</ul>');
+});
+
+test('below average rules compare with the days before yesterday',
+    function() {
+  var script = loadAccount([
+    campaign('A', {clicks: 4}),
+    campaign('B', {clicks: 5}),
+    campaign('C', {conversions: 0})
+  ]);
+
+  script.call('main');
+
+  var html = script.mail[0].htmlBody;
+  assert.strictEqual(script.mail[0].subject,
+      'Alerta: nome da conta – 2 Campanhas com alertas');
+  assert.match(html, /<li>A: 4 \(referência: 10\)<\/li>/);
+  assert.doesNotMatch(html, /<li>B: /);
+  assert.match(html, new RegExp('<h3>Conversões abaixo de 50% da média ' +
+      'de 28 dias</h3>\n<ul>\n<li>C: 0 \\(referência: 1\\)</li>'));
+});
+
+test('below average rules skip campaigns without history', function() {
+  var script = loadAccount([
+    {id: 'A', name: 'A', stats: dailyStats(1, function() {
+      return {impressions: 100, clicks: 0, cost: 0, conversions: 0};
+    })}
+  ]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 0);
+});
+
+test('cap rules alert the listed campaigns above the cap', function() {
+  var script = loadAccount([
+    campaign('A', {cost: 150}),
+    campaign('B', {cost: 150}),
+    campaign('C', {cost: 100})
+  ], {RULES: [
+    {name: 'Custo acima de 100', metric: 'cost', type: 'aboveCap', cap: 100,
+     campaigns: ['A', 'C']}
+  ]});
+
+  script.call('main');
+
+  assert.strictEqual(script.mail[0].subject,
+      'Alerta: nome da conta – 1 Campanhas com alertas');
+  assert.match(script.mail[0].htmlBody, /<li>A: 150 \(referência: 100\)/);
+  assert.doesNotMatch(script.mail[0].htmlBody, /<li>[BC]: /);
+});
+
+test('paused campaigns are not checked', function() {
+  var paused = campaign('A', {impressions: 0});
+  paused.status = 'PAUSED';
+  var script = loadAccount([paused, campaign('B')]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 0);
+});
+
+test('incomplete rules throw before anything is checked', function() {
+  [
+    [{name: 'R', metric: 'views', type: 'zero'}, /Unknown metric "views"/],
+    [{name: 'R', metric: 'clicks', type: 'belowAverage', days: 7},
+     /Rule "R" needs a percent and a number of days/],
+    [{name: 'R', metric: 'cost', type: 'aboveCap'}, /Rule "R" needs a cap/],
+    [{name: 'R', metric: 'cost', type: 'above'}, /Unknown type "above"/]
+  ].forEach(function(entry) {
+    var script = loadAccount([campaign('A', {impressions: 0})],
+        {RULES: [entry[0]]});
+
+    assert.throws(function() {
+      script.call('main');
+    }, entry[1]);
+    assert.strictEqual(script.mail.length, 0);
+  });
+});
+
+test('manager mode sends one email grouped by child account', function() {
+  var script = loadManager([
+    childAccount('1', [], [campaign('A', {impressions: 0}), campaign('B')]),
+    childAccount('2', [], [campaign('C')]),
+    childAccount('3', [], [campaign('D', {impressions: 0})])
+  ]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 1);
+  var message = script.mail[0];
+  assert.strictEqual(message.subject,
+      'Alerta: 2 Contas com campanhas em alerta');
+  assert.match(message.htmlBody, /<h2>1 – Client 1<\/h2>/);
+  assert.match(message.htmlBody, /<h2>3 – Client 3<\/h2>/);
+  assert.doesNotMatch(message.htmlBody, /Client 2/);
+  assert.match(message.htmlBody, /<li>A: 0<\/li>/);
+  assert.doesNotMatch(message.htmlBody, /<li>B: /);
+});
+
+test('manager mode checks only the accounts with ACCOUNT_LABEL', function() {
+  var script = loadManager([
+    childAccount('1', ['Alerts'], [campaign('A', {impressions: 0})]),
+    childAccount('2', [], [campaign('B', {impressions: 0})])
+  ], {ACCOUNT_LABEL: 'Alerts'});
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 1);
+  assert.strictEqual(script.mail[0].subject,
+      'Alerta: 1 Contas com campanhas em alerta');
+  assert.match(script.mail[0].htmlBody, /<h2>1 – Client 1<\/h2>/);
+  assert.doesNotMatch(script.mail[0].htmlBody, /Client 2/);
+});
+
+test('manager mode lists the accounts it could not check', function() {
+  var script = loadManager([
+    childAccount('1', [], [campaign('A')]),
+    childAccount('2', [], [brokenCampaign('B')])
+  ]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 1);
+  assert.strictEqual(script.mail[0].subject,
+      'Alerta: 0 Contas com campanhas em alerta');
+  assert.match(script.mail[0].htmlBody,
+      /<h2>Contas não verificadas<\/h2>\n<ul>\n<li>2: .*Stats unavailable/);
+});
+
+test('manager mode sends nothing without alerts', function() {
+  var script = loadManager([
+    childAccount('1', [], [campaign('A')]),
+    childAccount('2', [], [campaign('B')])
+  ]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 0);
+});
+
+test('manager mode refuses more accounts than it can run in parallel',
+    function() {
+  var childAccounts = [];
+  for (var i = 1; i <= 3; i++) {
+    childAccounts.push(childAccount(String(i), [], [campaign('A')]));
+  }
+  var script = loadManager(childAccounts, {MAX_PARALLEL_ACCOUNTS: 2});
+
+  assert.throws(function() {
+    script.call('main');
+  }, /more than 2 accounts to check/);
+  assert.strictEqual(script.mail.length, 0);
+});
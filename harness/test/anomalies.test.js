@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Tests of the anomaly detection of relatorio.js and bistro.js:
+ * the baselines and expected ranges of the anomalyDetector module, and the
+ * unusual values of yesterday listed in the email and highlighted in the
+ * Report sheet.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Calls a function of the anomalyDetector module of relatorio.js.
+ *
+ * @param {string} name The function name.
+ * @param {...*} var_args Its arguments, as JSON values.
+ * @return {*} What it returns, as a plain value.
+ */
+function detector(name, var_args) {
+  var args = Array.prototype.slice.call(arguments, 1).map(function(arg) {
+    return JSON.stringify(arg);
+  });
+  return fixtures.plain(fixtures.loadRelatorio().eval(
+      'anomalyDetector.' + name + '(' + args.join(', ') + ')'));
+}
+
+test('relatorio.js and bistro.js have the same anomalyDetector', function() {
+  var blocks = ['relatorio.js', 'bistro.js'].map(function(script) {
+    var source = fs.readFileSync(
+        path.join(__dirname, '..', '..', script), 'utf8');
+    var start = source.indexOf('var anomalyDetector = (function() {');
+    assert.notStrictEqual(start, -1, script);
+    return source.substring(start, source.indexOf('})();', start))
+        .replace(/\r\n/g, '\n');
+  });
+  assert.strictEqual(blocks[1], blocks[0]);
+});
+
+test('baselines are the same weekday or every day of the weeks before',
+    function() {
+  assert.deepStrictEqual(
+      detector('getBaselineDates', 'SAME_WEEKDAY', '20261018', 3),
+      ['20261011', '20261004', '20260927']);
+  assert.deepStrictEqual(detector('getBaselineDates', 'ALL_DAYS', '20261001',
+      1), ['20260930', '20260929', '20260928', '20260927', '20260926',
+        '20260925', '20260924']);
+  assert.throws(function() {
+    detector('getBaselineDates', 'SAME_MONTH', '20261018', 3);
+  }, /Unknown anomaly model 'SAME_MONTH'. Use SAME_WEEKDAY or ALL_DAYS\./);
+});
+
+test('values far from the median of the baseline are anomalies', function() {
+  // A median of 12 and a median absolute deviation of 1.
+  var baseline = [10, 11, 12, 13, 14];
+  var spread = 3 * 1.4826;
+
+  assert.deepStrictEqual(detector('detect', 20, baseline, 3), {
+    value: 20, median: 12, low: 12 - spread, high: 12 + spread,
+    isAnomaly: true
+  });
+  assert.strictEqual(detector('detect', 16, baseline, 3).isAnomaly, false);
+  assert.strictEqual(detector('detect', 7, baseline, 3).isAnomaly, true);
+  assert.strictEqual(detector('detect', 7, baseline, 4).isAnomaly, false);
+});
+
+test('constant baselines allow a change of 1% per deviation', function() {
+  var baseline = [100, 100, 100, 100];
+
+  assert.strictEqual(detector('detect', 103, baseline, 3).isAnomaly, false);
+  assert.strictEqual(detector('detect', 104, baseline, 3).isAnomaly, true);
+});
+
+test('unknown values and short baselines are not compared', function() {
+  assert.strictEqual(detector('detect', 5, [1, 2, 3], 3), null);
+  assert.strictEqual(detector('detect', 5, [1, 2, 3, '', 'N/A'], 3), null);
+  assert.strictEqual(detector('detect', 'N/A', [1, 2, 3, 4], 3), null);
+  assert.strictEqual(detector('detect', 50, [1, 2, 3, '', 4], 3).median, 2.5);
+});
+
+/**
+ * Runs relatorio.js reporting since August, with a jump in cost and a drop in
+ * clicks yesterday.
+ *
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {!Object} The script after its run.
+ */
+function runRelatorio(opt_overrides) {
+  var script = fixtures.loadRelatorio({
+    overrides: fixtures.merge({LOCALE: 'en-US'}, opt_overrides),
+    reports: {
+      ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(90, function(row, date) {
+        if (date == fixtures.YESTERDAY) {
+          row.Cost = '400.00';
+          row.Clicks = '10';
+        }
+      })
+    },
+    spreadsheet: fixtures.reportSpreadsheet({},
+        new Date('2026-08-01T03:00:00Z'))
+  });
+  script.call('main');
+  return script;
+}
+
+/**
+ * @param {!Object} script The script after its run.
+ * @param {boolean=} opt_all Whether to look at every day, not only yesterday.
+ * @return {!Object.<string>} The notes of the highlighted cells of the Report
+ *     sheet, by A1 notation, e.g. 'C80'.
+ */
+function highlights(script, opt_all) {
+  var sheet = script.spreadsheet(fixtures.REPORT_URL).getSheetByName('Report');
+  var notes = {};
+  var lastRow = sheet.getLastRow();
+  for (var row = opt_all ? 6 : lastRow; row <= lastRow; row++) {
+    for (var column = 3; column <= sheet.getLastColumn(); column++) {
+      var range = sheet.getRange(row, column);
+      if (range.getBackground() != '#ffffff') {
+        assert.strictEqual(range.getBackground(), '#fce5cd');
+        notes[String.fromCharCode(64 + column) + row] = range.getNote();
+      }
+    }
+  }
+  return notes;
+}
+
+test('relatorio.js lists the unusual values of yesterday', function() {
+  var script = runRelatorio();
+
+  var body = script.mail[0].body;
+  var section = body.substring(body.indexOf('Unusual values')).split('\n');
+  assert.deepStrictEqual(section.map(function(line) {
+    return line.split(/  +/);
+  }), [
+    ['Unusual values on 10/18/2026'],
+    ['Metric', 'Value', 'Median', 'Expected range'],
+    ['Cost', 'R$400.00', 'R$78.00', 'R$71.33 – R$84.67'],
+    ['Clicks', '10', '52', '48 – 56']
+  ]);
+  assert.match(script.mail[0].htmlBody, /Unusual values on 10\/18\/2026/);
+});
+
+test('relatorio.js highlights the unusual values in the Report sheet',
+    function() {
+  var script = runRelatorio();
+
+  var lastRow = script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getLastRow();
+  var expected = {};
+  expected['C' + lastRow] = 'Expected range: R$71.33 – R$84.67';
+  expected['M' + lastRow] = 'Expected range: 48 – 56';
+  assert.deepStrictEqual(highlights(script), expected);
+});
+
+test('an ANOMALY_SENSITIVITY of 0 leaves the check out', function() {
+  var script = runRelatorio({ANOMALY_SENSITIVITY: 0});
+
+  assert.doesNotMatch(script.mail[0].body, /Unusual values/);
+  assert.deepStrictEqual(highlights(script, true), {});
+});
+
+test('bistro.js checks the totals of the manager account', function() {
+  var account = function(customerId) {
+    return fixtures.childAccount(customerId, {
+      reports: {
+        ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(90,
+            function(row, date) {
+              if (date == fixtures.YESTERDAY) {
+                row.Cost = '500.00';
+              }
+            })
+      }
+    });
+  };
+  var script = fixtures.loadBistro({
+    overrides: {LOCALE: 'en-US'},
+    childAccounts: [account('1'), account('2')],
+    spreadsheet: fixtures.reportSpreadsheet({},
+        new Date('2026-08-10T03:00:00Z'))
+  });
+
+  script.call('main');
+
+  var body = script.mail[0].body;
+  assert.deepStrictEqual(body.substring(body.indexOf('Unusual values'))
+      .split('\n').slice(2), [
+    'Cost      R$1,000.00  R$156.00  R$142.66 – R$169.34',
+    'Avg. CPC  R$10.00     R$1.50    R$1.46 – R$1.54'
+  ]);
+  var lastRow = script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getLastRow();
+  var expected = {};
+  expected['C' + lastRow] = 'Expected range: R$142.66 – R$169.34';
+  expected['D' + lastRow] = 'Expected range: R$1.46 – R$1.54';
+  assert.deepStrictEqual(highlights(script), expected);
+});
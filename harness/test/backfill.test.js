@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Tests of the backfill mode of relatorio.js: the days between
+ * the backfill_start and backfill_end named ranges filled after the daily
+ * update, in chunks and over as many runs as the execution time needs.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Loads relatorio.js for an account with 120 days of rows and a backfill
+ * range.
+ *
+ * @param {*} start The value of backfill_start.
+ * @param {*} end The value of backfill_end.
+ * @param {Object=} opt_options `overrides`, `reportLatency`, and `change` to
+ *     change the row of a day, as for fixtures.accountRows.
+ * @return {!Object} The loaded script.
+ */
+function loadBackfill(start, end, opt_options) {
+  var options = opt_options || {};
+  return fixtures.loadRelatorio({
+    overrides: options.overrides,
+    reportLatency: options.reportLatency,
+    reports: {
+      ACCOUNT_PERFORMANCE_REPORT:
+          fixtures.accountRows(120, options.change)
+    },
+    spreadsheet: fixtures.reportSpreadsheet(
+        {backfill_start: start, backfill_end: end})
+  });
+}
+
+/**
+ * @param {!Object} script The script after a run.
+ * @return {!Array.<string>} The days of the Report sheet, as YYYY-MM-DD.
+ */
+function reportDates(script) {
+  var values = fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getDataRange().getValues());
+  return values.slice(5).map(function(row) {
+    return new Date(new Date(row[1]).getTime() - 3 * 3600 * 1000)
+        .toISOString().substring(0, 10);
+  });
+}
+
+/**
+ * @param {!Object} script The script after a run.
+ * @return {!Array.<*>} The values of backfill_start and backfill_end.
+ */
+function backfillRange(script) {
+  var spreadsheet = script.spreadsheet(fixtures.REPORT_URL);
+  return ['backfill_start', 'backfill_end'].map(function(name) {
+    return spreadsheet.getRangeByName(name).getValue();
+  });
+}
+
+test('a backfill fills the missing days and clears its range', function() {
+  var script = loadBackfill('2026-08-01', '2026-08-31');
+
+  script.call('main');
+
+  var august = fixtures.days(31, '2026-08-31', function(date) {
+    return date;
+  });
+  assert.deepStrictEqual(reportDates(script), august.concat(['2026-10-18']));
+  assert.deepStrictEqual(backfillRange(script), ['', '']);
+  assert.deepStrictEqual(script.logs.slice(-2), [
+    'Backfill 20260801-20260831: filled 31 days, 0 remaining.',
+    'Backfill complete.'
+  ]);
+});
+
+test('a backfill skips the days already in the report and ends yesterday',
+    function() {
+  var script = loadBackfill('20261010', '2026-12-01');
+
+  script.call('main');
+
+  assert.deepStrictEqual(reportDates(script),
+      fixtures.days(9, fixtures.YESTERDAY, function(date) {
+        return date;
+      }));
+  assert.match(script.logs.join('\n'),
+      /Backfill 20261010-20261018: filled 8 days, 0 remaining\./);
+});
+
+test('a backfill resumes on the next runs until it is complete', function() {
+  // Each day takes 40 seconds of reports, about 40 days a run.
+  var script = loadBackfill(new Date('2026-06-21T03:00:00Z'), '2026-10-17',
+      {reportLatency: 20000});
+
+  script.call('main');
+
+  var firstRun = reportDates(script).length;
+  assert.ok(firstRun > 1 && firstRun < 120, String(firstRun));
+  assert.notDeepStrictEqual(backfillRange(script), ['', '']);
+  assert.match(script.logs.join('\n'), new RegExp('Backfill ' +
+      '20260621-20261017: filled ' + (firstRun - 1) + ' days, ' +
+      (120 - firstRun) + ' remaining\\.'));
+
+  for (var run = 0; run < 5 && backfillRange(script)[0] !== ''; run++) {
+    script = script.reload();
+    script.call('main');
+  }
+
+  assert.ok(run > 1, String(run));
+  assert.deepStrictEqual(backfillRange(script), ['', '']);
+  assert.deepStrictEqual(reportDates(script),
+      fixtures.days(120, fixtures.YESTERDAY, function(date) {
+        return date;
+      }));
+});
+
+test('a failing backfill keeps the chunks written before', function() {
+  var script = loadBackfill('2026-08-01', '2026-08-31', {
+    overrides: {BACKFILL_CHUNK_DAYS: 4},
+    change: function(row, date) {
+      if (date == '2026-08-10') {
+        Object.defineProperty(row, 'Cost', {
+          enumerable: true,
+          get: function() {
+            throw new Error('Report failed');
+          }
+        });
+      }
+    }
+  });
+
+  assert.throws(function() {
+    script.call('main');
+  }, /Report failed/);
+
+  assert.deepStrictEqual(reportDates(script), [
+    '2026-08-01', '2026-08-02', '2026-08-03', '2026-08-04', '2026-08-05',
+    '2026-08-06', '2026-08-07', '2026-08-08', '2026-10-18'
+  ]);
+  // The range is kept for the next run, as dates.
+  assert.deepStrictEqual(fixtures.plain(backfillRange(script)),
+      ['2026-08-01T03:00:00.000Z', '2026-08-31T03:00:00.000Z']);
+});
+
+test('invalid backfill ranges throw', function() {
+  [
+    [['2026-09-01', '2026-08-01'],
+     /backfill_start date in the spreadsheet must not be after backfill_end/],
+    [['2026-11-01', '2026-12-01'],
+     /must not be after backfill_end or yesterday/],
+    [['soon', '2026-08-01'],
+     /Invalid date 'soon' in the backfill_start range of the spreadsheet/]
+  ].forEach(function(entry) {
+    var script = loadBackfill(entry[0][0], entry[0][1]);
+
+    assert.throws(function() {
+      script.call('main');
+    }, entry[1]);
+  });
+});
+
+test('a backfill needs both dates', function() {
+  var script = loadBackfill('2026-08-01', '');
+
+  script.call('main');
+
+  assert.deepStrictEqual(reportDates(script), [fixtures.YESTERDAY]);
+  assert.doesNotMatch(script.logs.join('\n'), /Backfill/);
+});
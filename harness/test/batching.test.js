@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Tests of the batching of bistro.js over the runs it takes to
+ * report every managed account: MAX_PARALLEL_ACCOUNTS accounts a run, each
+ * asked for all its missing dates at once, and the logged estimate of when
+ * the backlog will be done.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Loads bistro.js with five child accounts, two a run, and three days to
+ * report since the last check.
+ *
+ * @return {!Object} The loaded script.
+ */
+function loadBacklog() {
+  return fixtures.loadBistro({
+    overrides: {LOCALE: 'en-US', MAX_PARALLEL_ACCOUNTS: 2},
+    childAccounts: ['1', '2', '3', '4', '5'].map(function(customerId) {
+      return fixtures.childAccount(customerId);
+    }),
+    spreadsheet: fixtures.reportSpreadsheet({},
+        new Date('2026-10-15T03:00:00Z'))
+  });
+}
+
+/**
+ * Runs the script, then moves on to its next hourly run.
+ *
+ * @param {!Object} script
+ * @return {!Object} The script of the next run.
+ */
+function runHourly(script) {
+  script.call('main');
+  script.advance(3600 * 1000);
+  return script.reload();
+}
+
+/**
+ * @param {!Object} script
+ * @return {!Array.<!Array>} The dates and costs of the Report sheet.
+ */
+function reportRows(script) {
+  return fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getDataRange().getValues())
+      .slice(5).map(function(row) {
+        return [row[1].substring(0, 10), row[2]];
+      });
+}
+
+test('the days are reported once every account has run', function() {
+  var script = loadBacklog();
+
+  script = runHourly(script);
+  script = runHourly(script);
+  assert.deepStrictEqual(reportRows(script), []);
+  assert.strictEqual(script.mail.length, 0);
+
+  // Every account reports all three days in the run it is processed in.
+  script = runHourly(script);
+  assert.deepStrictEqual(reportRows(script), [
+    ['2026-10-16', 5 * 78],
+    ['2026-10-17', 5 * 76.5],
+    ['2026-10-18', 5 * 75]
+  ]);
+  assert.strictEqual(script.mail.length, 1);
+  assert.strictEqual(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Accounts').getLastRow(), 1 + 3 * 5);
+
+  script = runHourly(script);
+  assert.strictEqual(reportRows(script).length, 3);
+  assert.strictEqual(script.mail.length, 1);
+});
+
+test('each run logs the backlog and when it will be done', function() {
+  var script = loadBacklog();
+
+  script = runHourly(script);
+  assert.deepStrictEqual(script.logs, ['Backlog: 3 of 5 accounts still to ' +
+      'report for 20261016 to 20261018. Not enough runs yet to estimate ' +
+      'when it will be done.']);
+
+  // Two accounts an hour since 09:00 in the account's time zone.
+  script = runHourly(script);
+  assert.strictEqual(script.logs[1], 'Backlog: 1 of 5 accounts still to ' +
+      'report for 20261016 to 20261018. Estimated to be done by ' +
+      '2026-10-19 11:00.');
+
+  script = runHourly(script);
+  assert.strictEqual(script.logs.length, 2);
+});
+
+test('accounts missing the oldest day are processed first', function() {
+  var script = loadBacklog();
+  script = runHourly(script);
+  script = runHourly(script);
+
+  // The next day, the first four accounts miss only the new day.
+  script.setNow('2026-10-20T12:00:00Z');
+  script = script.reload();
+  assert.deepStrictEqual(fixtures.plain(script.eval(
+      'spreadsheetAccess = new SpreadsheetAccess(SPREADSHEET_URL, ' +
+      '\'Report\');' +
+      'reportState = new ReportState();' +
+      'reportState.addDatesToQueue(spreadsheetAccess.getNextDates());' +
+      'reportState.getNextAccounts()')), ['5', '1']);
+});
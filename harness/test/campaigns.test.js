@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Tests of the campaign breakdown of relatorio.js: the daily
+ * rows of each campaign in the Campanhas sheet, and the campaigns that moved
+ * the account totals most in the summary email.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * @param {string} date The day, as YYYY-MM-DD.
+ * @param {string} id The campaign ID.
+ * @param {string} name The campaign name.
+ * @param {!Object} values The values of the day other than 0, as strings.
+ * @return {!Object} A CAMPAIGN_PERFORMANCE_REPORT row.
+ */
+function campaignRow(date, id, name, values) {
+  var row = {
+    Date: date,
+    CampaignId: id,
+    CampaignName: name,
+    Cost: '0.00',
+    AverageCpc: '0.00',
+    Ctr: '0.00%',
+    AveragePosition: '0.0',
+    Impressions: '0',
+    Conversions: '0',
+    InteractionRate: '0.00%',
+    InteractionTypes: '',
+    ValuePerAllConversion: '0.00',
+    ValuePerConversion: '0.00',
+    Clicks: '0'
+  };
+  Object.keys(values).forEach(function(column) {
+    row[column] = values[column];
+  });
+  return row;
+}
+
+/**
+ * The campaigns of the day before yesterday and of yesterday: one unchanged,
+ * one growing, one new, one stopped and one with a conversion but no
+ * impressions.
+ */
+var CAMPAIGN_ROWS = [
+  campaignRow('2026-10-17', '1', 'Marca',
+      {Cost: '100.00', Clicks: '50', Impressions: '1000'}),
+  campaignRow('2026-10-18', '1', 'Marca',
+      {Cost: '100.00', Clicks: '50', Impressions: '1000'}),
+  campaignRow('2026-10-17', '2', 'Genérica',
+      {Cost: '40.00', Clicks: '20', Impressions: '500'}),
+  campaignRow('2026-10-18', '2', 'Genérica',
+      {Cost: '100.00', Clicks: '50', Impressions: '900'}),
+  campaignRow('2026-10-18', '3', 'Nova',
+      {Cost: '30.00', Clicks: '10', Impressions: '200', Conversions: '2'}),
+  campaignRow('2026-10-17', '4', 'Pausada',
+      {Cost: '50.00', Clicks: '25', Impressions: '400'}),
+  campaignRow('2026-10-18', '4', 'Pausada', {}),
+  campaignRow('2026-10-18', '5', 'Sem impressões', {Conversions: '1'})
+];
+
+/**
+ * Runs the report of an account with CAMPAIGN_ROWS.
+ *
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {!Object} The script after its run.
+ */
+function runReport(opt_overrides) {
+  var overrides = {LOCALE: 'en-US'};
+  Object.keys(opt_overrides || {}).forEach(function(name) {
+    overrides[name] = opt_overrides[name];
+  });
+  var script = fixtures.loadRelatorio({
+    overrides: overrides,
+    reports: {
+      ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(60),
+      CAMPAIGN_PERFORMANCE_REPORT: CAMPAIGN_ROWS
+    }
+  });
+  script.call('main');
+  return script;
+}
+
+/**
+ * @param {!Object} script The script after its run.
+ * @return {!Array.<string>} The sections of the plain text email whose title
+ *     starts with 'Top movers', as lines.
+ */
+function topMoverSections(script) {
+  return script.mail[0].body.split('\n\n').filter(function(section) {
+    return /^Top movers/.test(section);
+  }).map(function(section) {
+    return section.split('\n');
+  });
+}
+
+test('the campaign sheet has the active campaigns of each day', function() {
+  var script = runReport();
+
+  var values = fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Campanhas').getDataRange().getValues());
+  assert.deepStrictEqual(values[0].slice(0, 5),
+      ['Date', 'Campaign ID', 'Campaign', 'Cost', 'Avg. CPC']);
+  // Stopped campaigns have only zeros yesterday and are left out, but a
+  // conversion without impressions is activity.
+  assert.deepStrictEqual(values.slice(1).map(function(row) {
+    return [row[1], row[2], row[3], row[7], row[8]];
+  }), [
+    [1, 'Marca', 100, 1000, 0],
+    [2, 'Genérica', 100, 900, 0],
+    [3, 'Nova', 30, 200, 2],
+    [5, 'Sem impressões', 0, 0, 1]
+  ]);
+  values.slice(1).forEach(function(row) {
+    assert.strictEqual(row[0], '2026-10-18T03:00:00.000Z');
+  });
+});
+
+test('top movers are ordered by the size of their change', function() {
+  var sections = topMoverSections(runReport());
+
+  assert.deepStrictEqual(sections.map(function(lines) {
+    return lines[0];
+  }), ['Top movers: Cost', 'Top movers: Clicks', 'Top movers: Conversions']);
+  // Unchanged campaigns are not movers.
+  assert.deepStrictEqual(sections[0].slice(2).map(function(line) {
+    return line.split(/  +/);
+  }), [
+    ['Genérica', 'R$100.00', 'R$40.00', '+R$60.00', '150.00%'],
+    ['Pausada', 'R$0.00', 'R$50.00', '-R$50.00', '-125.00%'],
+    ['Nova', 'R$30.00', 'R$0.00', '+R$30.00', '75.00%']
+  ]);
+  assert.deepStrictEqual(sections[2].slice(2).map(function(line) {
+    return line.split(/  +/);
+  }), [
+    ['Nova', '2.00', '0.00', '+2.00', '66.67%'],
+    ['Sem impressões', '1.00', '0.00', '+1.00', '33.33%']
+  ]);
+});
+
+test('top movers are limited to TOP_MOVERS_COUNT campaigns', function() {
+  var script = runReport({TOP_MOVERS_COUNT: 1});
+
+  assert.deepStrictEqual(topMoverSections(script).map(function(lines) {
+    return lines.slice(2).map(function(line) {
+      return line.split(/  +/)[0];
+    });
+  }), [['Genérica'], ['Genérica'], ['Nova']]);
+  assert.match(script.mail[0].htmlBody, /Top movers: Cost/);
+});
+
+test('a TOP_MOVERS_COUNT of 0 leaves the top movers out', function() {
+  var script = runReport({TOP_MOVERS_COUNT: 0});
+
+  assert.deepStrictEqual(topMoverSections(script), []);
+  assert.doesNotMatch(script.mail[0].htmlBody, /Top movers/);
+});
+
+test('contributions are left empty when the total did not change',
+    function() {
+  var script = fixtures.loadRelatorio({overrides: {LOCALE: 'en-US'}});
+
+  assert.strictEqual(script.eval('formatContribution(' +
+      '{totalChange: 0}, {change: 5})'), '');
+  assert.strictEqual(script.eval('formatContribution(' +
+      '{totalChange: -10}, {change: 5})'), '-50.00%');
+});
+
+test('top mover columns must be report fields', function() {
+  var script = fixtures.loadRelatorio({
+    overrides: {TOP_MOVER_COLUMNS: ['Cost', 'Views']},
+    reports: {
+      ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(60),
+      CAMPAIGN_PERFORMANCE_REPORT: CAMPAIGN_ROWS
+    }
+  });
+
+  assert.throws(function() {
+    script.call('main');
+  }, /TOP_MOVER_COLUMNS contains Views, which is not in REPORT_FIELDS/);
+});
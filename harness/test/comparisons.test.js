@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Tests of the comparisons of the account summary email of
+ * relatorio.js: the periods chosen in the spreadsheet and their date ranges,
+ * and the changes between periods, colored by the direction of each metric.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * @param {!Object} script The loaded relatorio.js.
+ * @param {string} key A key of COMPARISON_PERIODS.
+ * @param {string} yesterday As yyyyMMdd.
+ * @return {!Object} The current and previous [start, end] of the period.
+ */
+function ranges(script, key, yesterday) {
+  return fixtures.plain(script.eval('COMPARISON_PERIODS.' + key +
+      '.getRanges(' + JSON.stringify(yesterday) + ')'));
+}
+
+/**
+ * @param {string} value The value of the comparison_periods named range.
+ * @return {!Array.<string>} The comparisons read from the spreadsheet.
+ */
+function readPeriods(value) {
+  var script = fixtures.loadRelatorio({
+    spreadsheet: fixtures.reportSpreadsheet({comparison_periods: value})
+  });
+  return fixtures.plain(script.eval('getComparisonPeriods(' +
+      'SpreadsheetApp.openByUrl(SPREADSHEET_URL))'));
+}
+
+test('comparisons are read from the spreadsheet in order', function() {
+  assert.deepStrictEqual(readPeriods('LAST_7_DAYS; month_to_date,\n' +
+      ' SAME_DAY_LAST_YEAR,'),
+      ['LAST_7_DAYS', 'MONTH_TO_DATE', 'SAME_DAY_LAST_YEAR']);
+});
+
+test('a blank or missing range shows the default comparisons', function() {
+  assert.deepStrictEqual(readPeriods(' '),
+      ['DAY_BEFORE', 'SAME_DAY_LAST_WEEK']);
+  var script = fixtures.loadRelatorio();
+  assert.deepStrictEqual(fixtures.plain(script.eval('getComparisonPeriods(' +
+      'SpreadsheetApp.openByUrl(SPREADSHEET_URL))')),
+      ['DAY_BEFORE', 'SAME_DAY_LAST_WEEK']);
+});
+
+test('unknown comparisons throw and list the valid ones', function() {
+  assert.throws(function() {
+    readPeriods('DAY_BEFORE, LAST_WEEK');
+  }, new RegExp('Unknown comparison period \'LAST_WEEK\' in the ' +
+      'spreadsheet. Valid periods are: DAY_BEFORE, SAME_DAY_LAST_WEEK, '));
+});
+
+test('periods end yesterday and compare with earlier days', function() {
+  var script = fixtures.loadRelatorio();
+
+  assert.deepStrictEqual(ranges(script, 'DAY_BEFORE', '20261018'),
+      {current: ['20261018', '20261018'], previous: ['20261017', '20261017']});
+  assert.deepStrictEqual(ranges(script, 'SAME_DAY_LAST_WEEK', '20261018'),
+      {current: ['20261018', '20261018'], previous: ['20261011', '20261011']});
+  assert.deepStrictEqual(ranges(script, 'LAST_7_DAYS', '20261018'),
+      {current: ['20261012', '20261018'], previous: ['20261005', '20261011']});
+  assert.deepStrictEqual(ranges(script, 'LAST_30_DAYS', '20261018'),
+      {current: ['20260919', '20261018'], previous: ['20260820', '20260918']});
+  assert.deepStrictEqual(ranges(script, 'MONTH_TO_DATE', '20261018'),
+      {current: ['20261001', '20261018'], previous: ['20260901', '20260918']});
+  assert.deepStrictEqual(ranges(script, 'SAME_DAY_LAST_YEAR', '20261018'),
+      {current: ['20261018', '20261018'], previous: ['20251018', '20251018']});
+  assert.deepStrictEqual(
+      ranges(script, 'MONTH_TO_DATE_LAST_YEAR', '20261018'),
+      {current: ['20261001', '20261018'], previous: ['20251001', '20251018']});
+});
+
+test('months and years shorter than yesterday end on their last day',
+    function() {
+  var script = fixtures.loadRelatorio();
+
+  assert.deepStrictEqual(ranges(script, 'MONTH_TO_DATE', '20170331'),
+      {current: ['20170301', '20170331'], previous: ['20170201', '20170228']});
+  assert.deepStrictEqual(ranges(script, 'SAME_DAY_LAST_YEAR', '20160229'),
+      {current: ['20160229', '20160229'], previous: ['20150228', '20150228']});
+  assert.deepStrictEqual(ranges(script, 'DAY_BEFORE', '20170101'),
+      {current: ['20170101', '20170101'], previous: ['20161231', '20161231']});
+});
+
+test('the email shows each chosen comparison with its dates', function() {
+  var script = fixtures.loadRelatorio({
+    overrides: {LOCALE: 'en-US'},
+    reports: {ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(400)},
+    spreadsheet: fixtures.reportSpreadsheet({
+      comparison_periods: 'LAST_7_DAYS, SAME_DAY_LAST_YEAR'
+    })
+  });
+
+  script.call('main');
+
+  var titles = script.mail[0].body.split('\n').filter(function(line) {
+    return / vs\. .*\(/.test(line);
+  });
+  assert.deepStrictEqual(titles, [
+    'Last 7 days vs. the previous 7 days ' +
+        '(10/12/2026 – 10/18/2026 vs. 10/05/2026 – 10/11/2026)',
+    'Yesterday vs. the same day last year (10/18/2026 vs. 10/18/2025)'
+  ]);
+});
+
+/**
+ * @param {!Object} script The loaded relatorio.js or bistro.js.
+ * @param {string} call A call of the script, e.g. 'getChange(1, 2, ...)'.
+ * @return {*} What it returns, as a plain value.
+ */
+function evalPlain(script, call) {
+  return fixtures.plain(script.eval(call));
+}
+
+/**
+ * @param {string} columnName
+ * @return {string} The arguments of relatorio.js for the entry of
+ *     REPORT_FIELDS of the column and the currency USD.
+ */
+function fieldArgs(columnName) {
+  return 'REPORT_FIELDS.filter(function(field) { return field.columnName == ' +
+      JSON.stringify(columnName) + '; })[0], \'USD\'';
+}
+
+test('changes are shown as absolute and percentage values', function() {
+  var script = fixtures.loadRelatorio({overrides: {LOCALE: 'en-US'}});
+  var cost = fieldArgs('Cost');
+
+  assert.deepStrictEqual(evalPlain(script, 'getChange(110, 100, ' + cost +
+      ')'), {value: 10, text: '+$10.00', percent: 10, percentText: '+10.00%'});
+  assert.deepStrictEqual(evalPlain(script, 'getChange(90, 100, ' + cost +
+      ')'), {value: -10, text: '-$10.00', percent: -10,
+        percentText: '-10.00%'});
+  // No percentage of a change from 0, and no change of text values.
+  assert.strictEqual(evalPlain(script, 'getChange(5, 0, ' + cost + ')')
+      .percentText, '');
+  var types = fieldArgs('InteractionTypes');
+  assert.strictEqual(evalPlain(script, 'getChange(\'a\', \'b\', ' + types +
+      ')').text, '');
+  assert.strictEqual(script.eval('formatChangeString(\'a\', \'b\', ' +
+      types + ')'), '');
+});
+
+test('changes are colored by the direction of their metric', function() {
+  [fixtures.loadRelatorio(), fixtures.loadBistro()].forEach(function(script) {
+    var sentiment = function(value, percent, higherIsBetter) {
+      return script.eval('getChangeSentiment({value: ' + value +
+          ', percent: ' + percent + '}, ' + higherIsBetter + ')');
+    };
+
+    assert.strictEqual(sentiment(10, 10, true), 1);
+    assert.strictEqual(sentiment(-10, -10, true), -1);
+    assert.strictEqual(sentiment(10, 10, false), -1);
+    assert.strictEqual(sentiment(-10, -10, false), 1);
+    // Within NEUTRAL_CHANGE_PERCENT, without a direction or no change.
+    assert.strictEqual(sentiment(1, 1.9, true), 0);
+    assert.strictEqual(sentiment(10, 10, undefined), 0);
+    assert.strictEqual(sentiment(0, 0, true), 0);
+    // A rise from 0 has no percentage, but a direction.
+    assert.strictEqual(sentiment(5, NaN, true), 1);
+  });
+});
+
+test('the email colors improvements green and deteriorations red',
+    function() {
+  var script = fixtures.loadRelatorio({overrides: {LOCALE: 'en-US'}});
+
+  assert.strictEqual(script.eval('formatChangeString(110, 100, ' +
+      fieldArgs('Cost') + ')'), '<span style=\'color: #cc0000; ' +
+      'font-size: 8pt\'> (+$10.00, +10.00%)</span>');
+  assert.strictEqual(script.eval('formatChangeString(110, 100, ' +
+      fieldArgs('Clicks') + ')'), '<span style=\'color: #38761d; ' +
+      'font-size: 8pt\'> (+10, +10.00%)</span>');
+  assert.strictEqual(script.eval('formatChangeString(101, 100, ' +
+      fieldArgs('Clicks') + ')'), '<span style=\'font-size: 8pt\'> ' +
+      '(+1, +1.00%)</span>');
+});
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Tests of the currency conversion of bistro.js: the costs of
+ * managed accounts in different currencies converted to REPORT_CURRENCY with
+ * the rates of the Exchange Rates sheet before they are added up.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Rates of the Exchange Rates sheet, with its headings: USD changes on the
+ * day before yesterday.
+ */
+var RATES = [
+  ['Date', 'Currency', 'Rate', 'Source'],
+  ['2026-10-01', 'USD', 5.1, 'ECB'],
+  ['2026-10-17', 'USD', 5.25, 'ECB'],
+  ['2026-10-01', 'EUR', 6, 'BCB']
+];
+
+/**
+ * Loads bistro.js with a BRL, a USD and an EUR account, which spend 78, 76.50
+ * and 75 in their currency on the three days since the last check.
+ *
+ * @param {string} reportCurrency The REPORT_CURRENCY.
+ * @param {Array.<!Array>=} opt_rates The rows of the Exchange Rates sheet,
+ *     none if not given.
+ * @return {!Object} The loaded script.
+ */
+function loadMixed(reportCurrency, opt_rates) {
+  var spreadsheet = fixtures.reportSpreadsheet({},
+      new Date('2026-10-15T03:00:00Z'));
+  if (opt_rates) {
+    spreadsheet.sheets['Exchange Rates'] = opt_rates;
+  }
+  return fixtures.loadBistro({
+    overrides: {LOCALE: 'en-US', REPORT_CURRENCY: reportCurrency},
+    childAccounts: [
+      fixtures.childAccount('1'),
+      fixtures.childAccount('2', {currencyCode: 'USD'}),
+      fixtures.childAccount('3', {currencyCode: 'EUR'})
+    ],
+    spreadsheet: spreadsheet
+  });
+}
+
+/**
+ * @param {!Object} script The script after a run.
+ * @return {!Array.<!Array>} The rows of the Report sheet, from the date.
+ */
+function reportRows(script) {
+  return fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getDataRange().getValues())
+      .slice(5).map(function(row) {
+        return row.slice(1);
+      });
+}
+
+test('costs are converted with the latest rate of each day', function() {
+  var script = loadMixed('BRL', RATES);
+
+  script.call('main');
+
+  var rows = reportRows(script);
+  assert.deepStrictEqual(rows.map(function(row) {
+    return row[0].substring(0, 10);
+  }), ['2026-10-16', '2026-10-17', '2026-10-18']);
+  // 76.50 BRL, 76.50 USD at 5.25 and 76.50 EUR at 6.
+  assert.strictEqual(rows[1][1], 76.5 + 76.5 * 5.25 + 76.5 * 6);
+  assert.strictEqual(rows[2][1], 75 + 75 * 5.25 + 75 * 6);
+  // Avg. CPC from the converted cost.
+  assert.strictEqual(rows[2][2], rows[2][1] / 150);
+  // The rate source and date are kept with each day.
+  assert.strictEqual(rows[0][7], 'Costs converted to BRL: ' +
+      'USD 5.1000 (ECB, 10/01/2026); EUR 6.0000 (BCB, 10/01/2026).');
+  assert.strictEqual(rows[2][7], 'Costs converted to BRL: ' +
+      'USD 5.2500 (ECB, 10/17/2026); EUR 6.0000 (BCB, 10/01/2026).');
+});
+
+test('the email shows converted costs and their rates', function() {
+  var script = loadMixed('BRL', RATES);
+
+  script.call('main');
+
+  var body = script.mail[0].body;
+  assert.match(body, /\nCost +R\$918\.75 +R\$937\.13 +-R\$18\.38 /);
+  assert.match(body, new RegExp('\n10/18/2026: Costs converted to BRL: ' +
+      'USD 5\\.2500 \\(ECB, 10/17/2026\\); ' +
+      'EUR 6\\.0000 \\(BCB, 10/01/2026\\)'));
+  assert.match(body, /\nClient 3 \(3\) +R\$450\.00 +R\$459\.00 +-R\$9\.00 /);
+});
+
+test('a missing exchange rate stops the report until it is added',
+    function() {
+  var script = loadMixed('BRL', RATES.slice(0, 1).concat(RATES.slice(2)));
+
+  assert.throws(function() {
+    script.call('main');
+  }, new RegExp('No exchange rate from USD to BRL on or before 2026-10-16\\. ' +
+      'Please add one to the Exchange Rates sheet\\.'));
+  assert.deepStrictEqual(reportRows(script), []);
+  assert.strictEqual(script.mail.length, 0);
+
+  script.spreadsheet(fixtures.REPORT_URL).getSheetByName('Exchange Rates')
+      .appendRow(['2026-09-30', 'USD', 5, 'ECB']);
+  script.advance(3600 * 1000);
+  script = script.reload();
+  script.call('main');
+
+  var rows = reportRows(script);
+  assert.strictEqual(rows.length, 3);
+  // 78 on 2026-10-16, with the added rate for USD.
+  assert.strictEqual(rows[0][1], 78 + 78 * 5 + 78 * 6);
+  assert.strictEqual(script.mail.length, 1);
+});
+
+test('an empty rates sheet is created with its headings', function() {
+  var script = loadMixed('BRL');
+
+  assert.throws(function() {
+    script.call('main');
+  }, /No exchange rate from USD to BRL/);
+
+  assert.deepStrictEqual(fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Exchange Rates').getDataRange().getValues()),
+      [['Date', 'Currency', 'Rate', 'Source']]);
+});
+
+test('costs of mixed currencies are N/A without REPORT_CURRENCY', function() {
+  var script = loadMixed('', RATES);
+
+  script.call('main');
+
+  var row = reportRows(script)[2];
+  assert.deepStrictEqual([row[1], row[2]], ['N/A', 'N/A']);
+  assert.strictEqual(row[7], undefined);
+  var body = script.mail[0].body;
+  assert.match(body, /\nCost +N\/A +N\/A\n/);
+  assert.doesNotMatch(body, /Biggest contributors to change: Cost/);
+  assert.match(body, /Biggest contributors to change: Clicks/);
+});
+
+test('accounts of a single currency are not converted', function() {
+  var script = fixtures.loadBistro({
+    overrides: {LOCALE: 'en-US', REPORT_CURRENCY: 'USD'}
+  });
+
+  script.call('main');
+
+  assert.strictEqual(reportRows(script)[0][1], 225);
+  assert.match(script.mail[0].body, /\nCost +R\$225\.00\n/);
+  assert.strictEqual(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Exchange Rates'), null);
+});
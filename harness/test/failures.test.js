@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Tests of the failing accounts of bistro.js: retries with a
+ * doubling backoff, and the exclusion of an account from a date after
+ * MAX_ACCOUNT_FAILURES failures, reported as partial data.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Loads bistro.js with three child accounts, the second failing for as long
+ * as the `failing` property of the returned object is set.
+ *
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {{script: !Object, failing: boolean}} The loaded script and
+ *     whether the second account fails.
+ */
+function loadFailing(opt_overrides) {
+  var control = {failing: true};
+  var broken = fixtures.childAccount('2');
+  var rows = broken.reports.ACCOUNT_PERFORMANCE_REPORT;
+  Object.defineProperty(broken.reports, 'ACCOUNT_PERFORMANCE_REPORT', {
+    enumerable: true,
+    get: function() {
+      if (control.failing) {
+        throw new Error('Report unavailable');
+      }
+      return rows;
+    }
+  });
+  control.script = fixtures.loadBistro({
+    overrides: fixtures.merge({LOCALE: 'en-US'}, opt_overrides),
+    childAccounts: [
+      fixtures.childAccount('1'), broken, fixtures.childAccount('3')
+    ]
+  });
+  return control;
+}
+
+/**
+ * Runs the script again at a time of NOW's day.
+ *
+ * @param {!Object} control As returned by loadFailing; its script is
+ *     replaced by the reloaded one.
+ * @param {string} time As HH:mm, in UTC.
+ * @return {number} The number of failures of the second account logged so
+ *     far.
+ */
+function runAt(control, time) {
+  control.script.setNow('2026-10-19T' + time + ':00Z');
+  control.script = control.script.reload();
+  control.script.call('main');
+  return control.script.logs.filter(function(line) {
+    return line == 'Error encountered processing account 2: ' +
+        'Report unavailable';
+  }).length;
+}
+
+/**
+ * @param {!Object} script
+ * @return {!Array} The row of yesterday in the Report sheet, from its date.
+ */
+function reportRow(script) {
+  var values = fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getDataRange().getValues());
+  assert.strictEqual(values.length, 6);
+  return values[5].slice(1);
+}
+
+test('failing accounts are retried after a doubling wait', function() {
+  var control = loadFailing();
+
+  // 1 hour after the first failure, then 2 hours after the second.
+  assert.strictEqual(runAt(control, '12:00'), 1);
+  assert.strictEqual(runAt(control, '12:30'), 1);
+  assert.strictEqual(runAt(control, '13:05'), 2);
+  assert.strictEqual(runAt(control, '14:00'), 2);
+  assert.strictEqual(runAt(control, '15:00'), 2);
+
+  // The day waits for the account meanwhile.
+  assert.strictEqual(control.script.mail.length, 0);
+  assert.strictEqual(control.script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getLastRow(), 5);
+});
+
+test('accounts are excluded after MAX_ACCOUNT_FAILURES failures',
+    function() {
+  var control = loadFailing();
+
+  ['12:00', '13:05', '15:10'].forEach(function(time) {
+    runAt(control, time);
+  });
+
+  var script = control.script;
+  assert.match(script.logs.join('\n'),
+      /Excluding account 2 from 20261018 after 3 failures\./);
+  var row = reportRow(script);
+  assert.strictEqual(row[0], '2026-10-18T03:00:00.000Z');
+  // The cost of the other two accounts.
+  assert.strictEqual(row[1], 150);
+  assert.strictEqual(row[row.length - 1],
+      'Partial data: accounts 2 excluded after repeated failures.');
+  assert.strictEqual(script.mail.length, 1);
+  assert.match(script.mail[0].body, new RegExp('\n10/18/2026: Partial data: ' +
+      'accounts 2 excluded after repeated failures\\.$'));
+  assert.match(script.mail[0].htmlBody,
+      /<p [^>]*>10\/18\/2026: Partial data: accounts 2 excluded/);
+
+  // Excluded accounts are not asked again.
+  assert.strictEqual(runAt(control, '20:00'), 3);
+});
+
+test('accounts that recover complete the day with their data', function() {
+  var control = loadFailing();
+
+  runAt(control, '12:00');
+  control.failing = false;
+  runAt(control, '13:05');
+
+  var row = reportRow(control.script);
+  assert.strictEqual(row[1], 225);
+  assert.doesNotMatch(row.join(','), /Partial data/);
+  assert.strictEqual(control.script.mail.length, 1);
+  assert.doesNotMatch(control.script.mail[0].body, /Partial data/);
+});
+
+test('the backoff and exclusion follow their settings', function() {
+  var control = loadFailing({MAX_ACCOUNT_FAILURES: 2,
+      RETRY_BACKOFF_HOURS: 0.25});
+
+  assert.strictEqual(runAt(control, '12:00'), 1);
+  assert.strictEqual(runAt(control, '12:10'), 1);
+  assert.strictEqual(runAt(control, '12:15'), 2);
+
+  assert.match(control.script.logs.join('\n'),
+      /Excluding account 2 from 20261018 after 2 failures\./);
+  assert.strictEqual(reportRow(control.script)[1], 150);
+});
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Fixtures shared by the harness tests: report rows, the report
+ * spreadsheet template of the summary scripts, Kratu's general spreadsheet
+ * and loaders for each script.
+ */
+
+var harness = require('..');
+
+// Where the clock of every test starts, a Monday.
+var NOW = '2026-10-19T12:00:00Z';
+
+// The last full day before NOW, in the accounts' time zone.
+var YESTERDAY = '2026-10-18';
+
+var TIME_ZONE = 'America/Sao_Paulo';
+
+var REPORT_URL = 'https://example.com/report';
+
+var KRATU_URL = 'https://example.com/kratu';
+
+var SIGNAL_HEADINGS = ['Name', 'Display Name', 'Include in Report', 'Type',
+    'Direction', 'Format', 'Weight', 'Min', 'Max', 'Report', 'Column',
+    'Conditions', 'Aggregation', 'Formula', 'Normalization'];
+
+/**
+ * Builds one value per day, oldest first.
+ *
+ * @param {number} count The number of days.
+ * @param {string} lastDate The last day, as YYYY-MM-DD.
+ * @param {function(string, number): *} fn Builds the value of a day from the
+ *     date and the number of days before lastDate.
+ * @return {!Array} The values.
+ */
+function days(count, lastDate, fn) {
+  var last = new Date(lastDate + 'T00:00:00Z').getTime();
+  var values = [];
+  for (var i = count - 1; i >= 0; i--) {
+    var date = new Date(last - i * 24 * 3600 * 1000);
+    values.push(fn(date.toISOString().substring(0, 10), i));
+  }
+  return values;
+}
+
+/**
+ * @param {string} date The day, as YYYY-MM-DD.
+ * @param {number} i The number of days before the last one, to vary values.
+ * @return {!Object} An ACCOUNT_PERFORMANCE_REPORT row, values as strings.
+ */
+function accountRow(date, i) {
+  var impressions = 1000 + i * 10;
+  var clicks = 50 + i % 5;
+  return {
+    Date: date,
+    Cost: (clicks * 1.5).toFixed(2),
+    AverageCpc: '1.50',
+    Ctr: (clicks * 100 / impressions).toFixed(2) + '%',
+    AveragePosition: '2.1',
+    Impressions: String(impressions),
+    Conversions: String(i % 4),
+    InteractionRate: '5.00%',
+    InteractionTypes: '["Clicks"]',
+    ValuePerAllConversion: '10.00',
+    ValuePerConversion: '12.00',
+    Clicks: String(clicks),
+    ConversionValue: String(i % 4 * 12)
+  };
+}
+
+/**
+ * @param {number} count The number of days.
+ * @param {function(!Object, string, number)=} opt_change Changes the row of a
+ *     day.
+ * @return {!Array.<!Object>} Account report rows up to YESTERDAY.
+ */
+function accountRows(count, opt_change) {
+  return days(count, YESTERDAY, function(date, i) {
+    var row = accountRow(date, i);
+    if (opt_change) {
+      opt_change(row, date, i);
+    }
+    return row;
+  });
+}
+
+/**
+ * The report spreadsheet of relatorio.js and bistro.js: the Report tab with
+ * the account, email and last check cells above the data, which starts on
+ * row 6, and an empty Settings tab for optional named cells.
+ *
+ * @param {Object=} opt_cells Optional named cells, by name, set in the
+ *     Settings tab, e.g. {comparison_periods: 'LAST_7_DAYS'}.
+ * @param {Date=} opt_lastCheck The last day already in the report.
+ * @return {!Object} The spreadsheet definition.
+ */
+function reportSpreadsheet(opt_cells, opt_lastCheck) {
+  var definition = {
+    url: REPORT_URL,
+    timeZone: TIME_ZONE,
+    sheets: {
+      Report: [[], ['', 'Account', ''], ['', 'Email', 'me@example.com'],
+               ['', 'Last check', opt_lastCheck || ''], ['', 'Date']],
+      Settings: [[]]
+    },
+    namedRanges: {
+      account_id_report: 'Report!C2',
+      email: 'Report!C3',
+      last_check: 'Report!C4'
+    }
+  };
+  Object.keys(opt_cells || {}).forEach(function(name, i) {
+    definition.sheets.Settings[0][i] = opt_cells[name];
+    definition.namedRanges[name] =
+        'Settings!' + String.fromCharCode(65 + i) + '1';
+  });
+  return definition;
+}
+
+/**
+ * Loads relatorio.js for an account.
+ *
+ * @param {Object=} opt_options Harness options replacing the defaults: an
+ *     account with 60 days of rows and the report spreadsheet. `reports`
+ *     replaces the account's reports and `overrides` add to SPREADSHEET_URL.
+ * @return {!Object} The loaded script.
+ */
+function loadRelatorio(opt_options) {
+  var options = opt_options || {};
+  return harness.load('relatorio.js', {
+    now: options.now || NOW,
+    overrides: merge({SPREADSHEET_URL: REPORT_URL}, options.overrides),
+    account: {
+      customerId: '111-111-1111',
+      currencyCode: options.currencyCode || 'BRL',
+      timeZone: TIME_ZONE,
+      reports: options.reports ||
+          {ACCOUNT_PERFORMANCE_REPORT: accountRows(60)}
+    },
+    spreadsheets: [options.spreadsheet || reportSpreadsheet()],
+    http: options.http,
+    reportLatency: options.reportLatency
+  });
+}
+
+/**
+ * @param {string} customerId
+ * @param {Object=} opt_options currencyCode, labels and the number of days of
+ *     account rows, 30 by default, or reports.
+ * @return {!Object} A child account of a manager account, for bistro.js.
+ */
+function childAccount(customerId, opt_options) {
+  var options = opt_options || {};
+  return {
+    customerId: customerId,
+    name: 'Client ' + customerId,
+    currencyCode: options.currencyCode || 'BRL',
+    timeZone: TIME_ZONE,
+    labels: options.labels || [],
+    reports: options.reports ||
+        {ACCOUNT_PERFORMANCE_REPORT: accountRows(options.days || 30)}
+  };
+}
+
+/**
+ * Loads bistro.js under a manager account.
+ *
+ * @param {Object=} opt_options Harness options replacing the defaults: three
+ *     child accounts and the report spreadsheet. `overrides` add to
+ *     SPREADSHEET_URL.
+ * @return {!Object} The loaded script.
+ */
+function loadBistro(opt_options) {
+  var options = opt_options || {};
+  return harness.load('bistro.js', {
+    now: options.now || NOW,
+    overrides: merge({SPREADSHEET_URL: REPORT_URL}, options.overrides),
+    account: {customerId: '999-999-9999', timeZone: TIME_ZONE},
+    childAccounts: options.childAccounts ||
+        [childAccount('1'), childAccount('2'), childAccount('3')],
+    files: options.files,
+    spreadsheets: [options.spreadsheet || reportSpreadsheet()],
+    http: options.http,
+    reportLatency: options.reportLatency
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {string} formula
+ * @return {!Array} A row of Kratu's Signals tab for a Formula signal.
+ */
+function formulaSignal(name, formula) {
+  return [name, name, 'Yes', 'Formula', 'High', '0.00', 1, 0, 1, '', '', '',
+      '', formula, ''];
+}
+
+/**
+ * Kratu's general spreadsheet.
+ *
+ * @param {!Array.<!Array>} signals Rows of the Signals tab, without headings.
+ * @param {Array.<!Array>=} opt_settings Rows of the Settings tab, as
+ *     [key, type, value], added to a daily report of up to 10 accounts per
+ *     execution over the last 30 days.
+ * @return {!Object} The spreadsheet definition.
+ */
+function kratuSpreadsheet(signals, opt_settings) {
+  return {
+    url: KRATU_URL,
+    name: 'Kratu',
+    timeZone: TIME_ZONE,
+    sheets: {
+      Accounts: [['CID', 'Processed']],
+      History: [['Start', 'End', 'URL']],
+      Signals: [SIGNAL_HEADINGS].concat(signals),
+      Settings: [
+        ['Setting', 'Type', 'Value'],
+        ['ReportFrequency', 'Number', 1],
+        ['NumAccountsProcess', 'Number', 10],
+        ['ReportPeriod', 'String', 'LAST_30_DAYS']
+      ].concat(opt_settings || []),
+      Template: [[''], ['', 'Account'], ['', 'Date']],
+      Parameters: []
+    },
+    namedRanges: {AccountID: 'Template!C2', Date: 'Template!C3'}
+  };
+}
+
+/**
+ * Loads kratu.js under a manager account.
+ *
+ * @param {!Array.<!Array>} signals Rows of the Signals tab, without headings.
+ * @param {Object=} opt_options settings (rows added to the Settings tab)
+ *     and childAccounts.
+ * @return {!Object} The loaded script.
+ */
+function loadKratu(signals, opt_options) {
+  var options = opt_options || {};
+  return harness.load('kratu.js', {
+    now: options.now || NOW,
+    overrides: {CONFIG: {SPREADSHEET_URL: KRATU_URL}},
+    account: {customerId: '999', timeZone: TIME_ZONE},
+    childAccounts: options.childAccounts || [],
+    spreadsheets: [kratuSpreadsheet(signals, options.settings)]
+  });
+}
+
+/**
+ * Runs Kratu's main() hourly, as scheduled, until the run that the first
+ * execution starts or continues is complete.
+ *
+ * @param {!Object} script The loaded script.
+ * @param {number=} opt_executions The most executions to run, 10 by default.
+ * @return {!Object} The script of the last execution.
+ */
+function runKratu(script, opt_executions) {
+  var history = script.spreadsheet(KRATU_URL).getSheetByName('History');
+  for (var i = 0; i < (opt_executions || 10); i++) {
+    if (i > 0) {
+      script.advance(3600 * 1000);
+      script = script.reload();
+    }
+    script.call('main');
+    if (history.getLastRow() > 1 &&
+        history.getRange(history.getLastRow(), 2).getValue() !== '') {
+      break;
+    }
+  }
+  return script;
+}
+
+/**
+ * @param {!Object} script A script after a Kratu run.
+ * @return {!Object} The Report tab of the last run's spreadsheet.
+ */
+function kratuReport(script) {
+  var spreadsheets = script.spreadsheets();
+  return spreadsheets[spreadsheets.length - 1].getSheetByName('Report');
+}
+
+/**
+ * Copies a value made in a script's sandbox into plain objects of this
+ * context, so that it can be compared with assert.deepStrictEqual.
+ *
+ * @param {*} value
+ * @return {*} The copy.
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @param {!Object} target
+ * @param {Object=} source
+ * @return {!Object} target, with the properties of source.
+ */
+function merge(target, source) {
+  Object.keys(source || {}).forEach(function(key) {
+    target[key] = source[key];
+  });
+  return target;
+}
+
+module.exports = {
+  NOW: NOW,
+  YESTERDAY: YESTERDAY,
+  REPORT_URL: REPORT_URL,
+  KRATU_URL: KRATU_URL,
+  days: days,
+  accountRow: accountRow,
+  accountRows: accountRows,
+  reportSpreadsheet: reportSpreadsheet,
+  loadRelatorio: loadRelatorio,
+  childAccount: childAccount,
+  loadBistro: loadBistro,
+  formulaSignal: formulaSignal,
+  kratuSpreadsheet: kratuSpreadsheet,
+  loadKratu: loadKratu,
+  runKratu: runKratu,
+  kratuReport: kratuReport,
+  merge: merge,
+  plain: plain
+};
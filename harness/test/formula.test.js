@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Tests of the expressions of Kratu's Formula signals: the
+ * formulaParser module and the ordering of formulas by their dependencies.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Parses and evaluates an expression.
+ *
+ * @param {string} text The expression.
+ * @param {Object=} opt_values The values of the signals it uses, by name.
+ * @return {number} The value.
+ */
+function evaluate(text, opt_values) {
+  var formulaParser = fixtures.loadKratu([]).get('formulaParser');
+  return formulaParser.evaluate(formulaParser.parse(text), function(name) {
+    return opt_values[name];
+  });
+}
+
+test('multiplication and division bind tighter than addition', function() {
+  assert.strictEqual(evaluate('2 + 3 * 4'), 14);
+  assert.strictEqual(evaluate('2 * 3 + 4'), 10);
+  assert.strictEqual(evaluate('1 + 6 / 3'), 3);
+  assert.strictEqual(evaluate('(2 + 3) * 4'), 20);
+});
+
+test('operators of the same precedence apply left to right', function() {
+  assert.strictEqual(evaluate('10 - 4 - 3'), 3);
+  assert.strictEqual(evaluate('8 / 4 / 2'), 1);
+  assert.strictEqual(evaluate('8 / 4 * 2'), 4);
+});
+
+test('unary minus negates the following factor', function() {
+  assert.strictEqual(evaluate('-3 + 5'), 2);
+  assert.strictEqual(evaluate('2 * -3'), -6);
+  assert.strictEqual(evaluate('-(1 + 2) * 2'), -6);
+  assert.strictEqual(evaluate('- -2'), 2);
+  assert.strictEqual(evaluate('4 - -1'), 5);
+});
+
+test('names take the values of signals', function() {
+  assert.strictEqual(
+      evaluate('Cost / (Conversions + 1)', {Cost: 30, Conversions: 2}), 10);
+  assert.strictEqual(evaluate('.5 * Ctr', {Ctr: 0.04}), 0.02);
+});
+
+test('division by zero throws', function() {
+  assert.throws(function() {
+    evaluate('Cost / Conversions', {Cost: 30, Conversions: 0});
+  }, /division by zero/);
+  assert.throws(function() {
+    evaluate('1 / (2 - 2)');
+  }, /division by zero/);
+});
+
+test('invalid expressions throw', function() {
+  ['', '1 +', '(1 + 2', '1 2', '2 * * 3', 'Cost % 2'].forEach(function(text) {
+    assert.throws(function() {
+      evaluate(text);
+    }, /Invalid formula/, text);
+  });
+});
+
+test('formulas are ordered after the formulas they use', function() {
+  var script = fixtures.loadKratu([
+    fixtures.formulaSignal('DoubleCpa', '2 * Cpa'),
+    fixtures.formulaSignal('Cpa', 'Cost / Conversions'),
+    ['Cost', 'Cost', 'No', 'Number', '', '', 0, 0, 0],
+    ['Conversions', 'Conversions', 'No', 'Number', '', '', 0, 0, 0]
+  ]);
+  var spreadsheetManager = script.get('spreadsheetManager');
+  spreadsheetManager.readSignalDefinitions();
+
+  var names = spreadsheetManager.getFormulaDefinitions().map(function(def) {
+    return def.name;
+  });
+  assert.deepEqual(names, ['Cpa', 'DoubleCpa']);
+});
+
+test('formulas that depend on themselves throw', function() {
+  var spreadsheetManager = fixtures.loadKratu([
+    fixtures.formulaSignal('A', 'B + 1'),
+    fixtures.formulaSignal('B', '2 * C'),
+    fixtures.formulaSignal('C', 'A - 1')
+  ]).get('spreadsheetManager');
+
+  assert.throws(function() {
+    spreadsheetManager.readSignalDefinitions();
+  }, /The formula of A depends on itself: A -> B -> C -> A/);
+});
+
+test('formulas that use themselves directly throw', function() {
+  var spreadsheetManager = fixtures.loadKratu([
+    fixtures.formulaSignal('A', 'A * 2')
+  ]).get('spreadsheetManager');
+
+  assert.throws(function() {
+    spreadsheetManager.readSignalDefinitions();
+  }, /depends on itself: A -> A/);
+});
+
+test('formulas that use unknown signals throw', function() {
+  var spreadsheetManager = fixtures.loadKratu([
+    fixtures.formulaSignal('A', 'Missing + 1')
+  ]).get('spreadsheetManager');
+
+  assert.throws(function() {
+    spreadsheetManager.readSignalDefinitions();
+  }, /uses the unknown signal Missing/);
+});
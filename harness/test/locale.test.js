@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Tests of the localeFormat module of relatorio.js and
+ * bistro.js: the report labels in each locale they advertise, and numbers,
+ * currencies and dates formatted by locale.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * @param {!Object} script The loaded script.
+ * @return {!Array.<string>} The locales the script accepts in LOCALE.
+ */
+function advertisedLocales(script) {
+  var locales = [];
+  ['pt-BR', 'en-US', 'en-GB', 'es-ES', 'xx-XX'].forEach(function(locale) {
+    script.eval('LOCALE = ' + JSON.stringify(locale));
+    try {
+      script.eval('localeFormat.getSpreadsheetLocale()');
+      locales.push(locale);
+    } catch (e) {
+      // Not a supported locale.
+    }
+  });
+  return locales;
+}
+
+/**
+ * @param {!Object} script The loaded script.
+ * @return {!Array.<string>} The label keys of STRINGS that cannot be read as
+ *     text: in camel case or upper case, and not themselves a label. Finding
+ *     one in a report means it was not translated.
+ */
+function rawKeys(script) {
+  var strings = fixtures.plain(script.get('STRINGS'));
+  var keys = {};
+  var labels = {};
+  Object.keys(strings).forEach(function(locale) {
+    Object.keys(strings[locale]).forEach(function(key) {
+      keys[key] = true;
+      labels[strings[locale][key]] = true;
+    });
+  });
+  return Object.keys(keys).filter(function(key) {
+    return /[A-Z_]/.test(key) && !labels[key];
+  });
+}
+
+/**
+ * @param {!Object} script A script after main().
+ * @return {string} The text of the emails, their attachments and the sheets.
+ */
+function reportText(script) {
+  var texts = [];
+  script.mail.forEach(function(message) {
+    texts.push(message.subject, message.body,
+        String(message.htmlBody || '').replace(/<[^>]*>/g, ' '));
+    (message.attachments || []).forEach(function(attachment) {
+      texts.push(attachment.getName(), attachment.getDataAsString());
+    });
+  });
+  script.spreadsheets().forEach(function(spreadsheet) {
+    spreadsheet.getSheets().forEach(function(sheet) {
+      // The Settings tab holds the named cells the test entered.
+      if (sheet.getName() != 'Settings' && sheet.getLastRow() > 0) {
+        texts.push(sheet.getDataRange().getValues().join('\n'));
+      }
+    });
+  });
+  return texts.join('\n');
+}
+
+/**
+ * Records the labels the script looks up without finding a translation.
+ *
+ * @param {!Object} script The loaded script.
+ * @return {!Array.<string>} The keys of those labels, filled in as the script
+ *     runs.
+ */
+function recordUntranslated(script) {
+  return script.eval('(function() {' +
+      '  var untranslated = [];' +
+      '  var string = localeFormat.string;' +
+      '  localeFormat.string = function(key) {' +
+      '    var text = string.apply(null, arguments);' +
+      '    if (text === key && !STRINGS["en-US"].hasOwnProperty(key)) {' +
+      '      untranslated.push(key);' +
+      '    }' +
+      '    return text;' +
+      '  };' +
+      '  return untranslated;' +
+      '})()');
+}
+
+/**
+ * Asserts that a report has no untranslated labels.
+ *
+ * @param {!Object} script A script after main().
+ * @param {!Array.<string>} untranslated The keys recordUntranslated found.
+ * @param {string} locale
+ */
+function assertTranslated(script, untranslated, locale) {
+  assert.deepStrictEqual(fixtures.plain(untranslated), [], locale);
+  var text = reportText(script);
+  rawKeys(script).forEach(function(key) {
+    assert.ok(!new RegExp('\\b' + key + '\\b').test(text),
+        key + ' is not translated in ' + locale);
+  });
+}
+
+/**
+ * @param {!Object} script The loaded script.
+ * @param {string} locale
+ * @return {!Array.<string>} The keys of the 'en-US' table with no label in
+ *     locale.
+ */
+function missingLabels(script, locale) {
+  script.eval('LOCALE = ' + JSON.stringify(locale));
+  return Object.keys(fixtures.plain(script.get('STRINGS'))['en-US'])
+      .filter(function(key) {
+        return script.eval('localeFormat.string(' + JSON.stringify(key) +
+            ')') === key && key !== script.get('STRINGS')['en-US'][key];
+      });
+}
+
+test('both scripts advertise the same locales', function() {
+  assert.deepStrictEqual(advertisedLocales(fixtures.loadRelatorio()),
+      ['pt-BR', 'en-US', 'en-GB', 'es-ES']);
+  assert.deepStrictEqual(advertisedLocales(fixtures.loadBistro()),
+      ['pt-BR', 'en-US', 'en-GB', 'es-ES']);
+});
+
+test('every advertised locale has every label', function() {
+  [fixtures.loadRelatorio(), fixtures.loadBistro()].forEach(function(script) {
+    advertisedLocales(script).forEach(function(locale) {
+      assert.deepStrictEqual(missingLabels(script, locale), [], locale);
+    });
+  });
+});
+
+test('locales without a table use the labels of their language', function() {
+  var script = fixtures.loadRelatorio({overrides: {LOCALE: 'en-GB'}});
+
+  assert.strictEqual(script.eval('localeFormat.string("subject", "X")'),
+      'AdWords Account X Summary Report');
+});
+
+test('labels missing from a table are taken from en-US', function() {
+  var script = fixtures.loadBistro({overrides: {LOCALE: 'es-ES'}});
+  script.eval('delete STRINGS["es-ES"].notes');
+
+  assert.strictEqual(script.eval('localeFormat.string("notes")'), 'Notes');
+  assert.strictEqual(script.eval('localeFormat.string("unknown")'),
+      'unknown');
+});
+
+['pt-BR', 'en-US', 'en-GB', 'es-ES'].forEach(function(locale) {
+  test('relatorio.js reports in ' + locale + ' show no label keys',
+      function() {
+    var campaignRows = [].concat.apply([], ['1', '2'].map(function(id) {
+      return fixtures.accountRows(10, function(row) {
+        row.CampaignId = id;
+        row.CampaignName = 'Campaign ' + id;
+      });
+    }));
+    var script = fixtures.loadRelatorio({
+      overrides: {LOCALE: locale},
+      reports: {
+        ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(60),
+        CAMPAIGN_PERFORMANCE_REPORT: campaignRows
+      },
+      spreadsheet: fixtures.reportSpreadsheet({
+        comparison_periods: 'DAY_BEFORE, LAST_7_DAYS, MONTH_TO_DATE',
+        monthly_budget: '3000'
+      })
+    });
+    var untranslated = recordUntranslated(script);
+
+    script.call('main');
+
+    assert.strictEqual(script.mail.length, 1);
+    assertTranslated(script, untranslated, locale);
+  });
+
+  test('bistro.js reports in ' + locale + ' show no label keys', function() {
+    var script = fixtures.loadBistro({overrides: {LOCALE: locale}});
+    var untranslated = recordUntranslated(script);
+
+    script.call('main');
+
+    assert.strictEqual(script.mail.length, 1);
+    assertTranslated(script, untranslated, locale);
+  });
+});
+
+/**
+ * @param {string} locale
+ * @param {string} expression Calls of localeFormat.
+ * @return {*} The value of the expression under the locale.
+ */
+function formatIn(locale, expression) {
+  return fixtures.plain(fixtures.loadRelatorio({overrides: {LOCALE: locale}})
+      .eval(expression));
+}
+
+test('numbers, currencies and dates follow the locale', function() {
+  var expression = '[' + [
+    'localeFormat.format(1234567.891, \'currency\', \'BRL\')',
+    'localeFormat.format(-1234.5, \'currency\', \'USD\')',
+    'localeFormat.format(12.5, \'currency\', \'CHF\')',
+    'localeFormat.format(3.2, \'percent\')',
+    'localeFormat.format(1234.5, \'integer\')',
+    'localeFormat.format(1234.5, \'decimal\')',
+    'localeFormat.formatDate(\'20261018\')'
+  ].join(', ') + ']';
+
+  assert.deepStrictEqual(formatIn('pt-BR', expression), ['R$ 1.234.567,89',
+      '-US$ 1.234,50', 'CHF 12,50', '3,20%', '1.235', '1.234,50',
+      '18/10/2026']);
+  assert.deepStrictEqual(formatIn('en-US', expression), ['R$1,234,567.89',
+      '-$1,234.50', 'CHF12.50', '3.20%', '1,235', '1,234.50', '10/18/2026']);
+  assert.deepStrictEqual(formatIn('en-GB', expression), ['R$1,234,567.89',
+      '-US$1,234.50', 'CHF12.50', '3.20%', '1,235', '1,234.50',
+      '18/10/2026']);
+  assert.deepStrictEqual(formatIn('es-ES', expression), ['1.234.567,89 R$',
+      '-1.234,50 US$', '12,50 CHF', '3,20%', '1.235', '1.234,50',
+      '18/10/2026']);
+});
+
+test('changes are signed', function() {
+  assert.deepStrictEqual(formatIn('en-US', '[' +
+      'localeFormat.formatChange(-1234.5, \'currency\', \'EUR\'), ' +
+      'localeFormat.formatChange(2, \'percent\'), ' +
+      'localeFormat.formatChange(0, \'integer\')]'),
+      ['-€1,234.50', '+2.00%', '+0']);
+});
+
+test('sheet number formats place the currency symbol of the locale',
+    function() {
+  var expression = '[localeFormat.getSheetNumberFormat(\'currency\', ' +
+      '\'EUR\'), localeFormat.getSpreadsheetLocale()]';
+
+  assert.deepStrictEqual(formatIn('pt-BR', expression),
+      ['"€ "#,##0.00', 'pt_BR']);
+  assert.deepStrictEqual(formatIn('en-US', expression),
+      ['"€"#,##0.00', 'en_US']);
+  assert.deepStrictEqual(formatIn('es-ES', expression),
+      ['#,##0.00" €"', 'es_ES']);
+});
+
+test('report values are parsed whatever their format', function() {
+  assert.deepStrictEqual(formatIn('pt-BR', '[' +
+      'localeFormat.parseNumber(\'1,234.56\'), ' +
+      'localeFormat.parseNumber(\'3.20%\'), ' +
+      'localeFormat.parseNumber(\'< 10%\'), ' +
+      'localeFormat.parseNumber(7), ' +
+      'isNaN(localeFormat.parseNumber(\' --\'))]'),
+      [1234.56, 3.2, 10, 7, true]);
+});
+
+test('unsupported locales throw and list the supported ones', function() {
+  assert.throws(function() {
+    formatIn('fr-FR', 'localeFormat.format(1, \'decimal\')');
+  }, /Unsupported LOCALE 'fr-FR'. Supported locales are: pt-BR, en-US, /);
+});
+
+test('only a new report gets the locale of the script', function() {
+  var script = fixtures.loadRelatorio({
+    overrides: {LOCALE: 'es-ES'},
+    // Up to today, for the run of tomorrow.
+    reports: {ACCOUNT_PERFORMANCE_REPORT:
+        fixtures.days(61, '2026-10-19', fixtures.accountRow)}
+  });
+  script.call('main');
+  assert.strictEqual(
+      script.spreadsheet(fixtures.REPORT_URL).getSpreadsheetLocale(), 'es_ES');
+
+  // The user picks another locale in the spreadsheet settings.
+  script.spreadsheet(fixtures.REPORT_URL).setSpreadsheetLocale('pt_BR');
+  script.advance(24 * 3600 * 1000);
+  script = script.reload();
+  script.call('main');
+  assert.strictEqual(
+      script.spreadsheet(fixtures.REPORT_URL).getSpreadsheetLocale(), 'pt_BR');
+});
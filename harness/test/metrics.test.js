@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Tests of the METRICS registry of bistro.js: how each
+ * aggregation calculates a metric for the whole manager account, and metrics
+ * added to the report through QUERY_FIELDS and DISPLAY_FIELDS.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Calculates a metric with the aggregateMetric of bistro.js.
+ *
+ * @param {!Object} metric An entry of METRICS.
+ * @param {!Array.<!Object>} accountValues The values of each account; null
+ *     stands for the NaN of a value that is not a number, e.g. ' --'.
+ * @return {number} The value of the metric.
+ */
+function aggregate(metric, accountValues) {
+  return fixtures.loadBistro().eval('aggregateMetric(' +
+      JSON.stringify(metric) + ', ' +
+      JSON.stringify(accountValues).replace(/null/g, 'NaN') + ')');
+}
+
+test('sums add up the column of every account', function() {
+  assert.strictEqual(aggregate({aggregation: 'sum', column: 'Clicks'},
+      [{Clicks: 10}, {Clicks: 5}, {Clicks: null}]), 15);
+});
+
+test('ratios divide the sums of their columns', function() {
+  var values = [
+    {Clicks: 10, Impressions: 100},
+    {Clicks: 30, Impressions: 100}
+  ];
+
+  // Not the average of the accounts' ratios, 0.2.
+  assert.strictEqual(aggregate({aggregation: 'ratio', numerator: 'Clicks',
+    denominator: 'Impressions', type: 'decimal'}, values), 0.2);
+  assert.strictEqual(aggregate({aggregation: 'ratio', numerator: 'Clicks',
+    denominator: 'Impressions', type: 'percent'}, values), 20);
+  assert.strictEqual(aggregate({aggregation: 'ratio', numerator: 'Clicks',
+    denominator: 'Impressions', type: 'percent'}, [
+    {Clicks: 0, Impressions: 0}
+  ]), 0);
+});
+
+test('weighted averages leave out the accounts without a value',
+    function() {
+  var metric = {aggregation: 'weightedAverage', column: 'AveragePosition',
+    weight: 'Impressions'};
+
+  assert.strictEqual(aggregate(metric, [
+    {AveragePosition: 1, Impressions: 300},
+    {AveragePosition: 3, Impressions: 100},
+    {AveragePosition: null, Impressions: 600}
+  ]), 1.5);
+});
+
+test('shares are estimated from the weight of each account', function() {
+  var metric = {aggregation: 'share', column: 'SearchImpressionShare',
+    weight: 'Impressions', type: 'percent'};
+
+  // 1000 impressions of 2000 possible, and 2000 of 20000.
+  assert.strictEqual(aggregate(metric, [
+    {SearchImpressionShare: 0.5, Impressions: 1000},
+    {SearchImpressionShare: 0.1, Impressions: 2000},
+    {SearchImpressionShare: 0, Impressions: 3000},
+    {SearchImpressionShare: null, Impressions: 4000}
+  ]), 3000 / 22000);
+});
+
+test('unknown aggregations throw', function() {
+  assert.throws(function() {
+    aggregate({name: 'Cpm', aggregation: 'median', column: 'Cost'}, []);
+  }, /Unknown aggregation 'median' for the metric Cpm\./);
+});
+
+test('displayed metrics must be known and have their columns', function() {
+  [
+    [{DISPLAY_FIELDS: ['Cost', 'Cpm']},
+     /DISPLAY_FIELDS contains Cpm, which is not in METRICS\./],
+    [{DISPLAY_FIELDS: ['Cost', 'Cpa']},
+     /The metric Cpa is calculated from Conversions, which is not in /]
+  ].forEach(function(entry) {
+    var script = fixtures.loadBistro({overrides: entry[0]});
+
+    assert.throws(function() {
+      script.call('main');
+    }, entry[1]);
+    assert.strictEqual(script.mail.length, 0);
+  });
+});
+
+/**
+ * @param {string} customerId
+ * @param {string} share The SearchImpressionShare of every day.
+ * @param {string=} opt_currencyCode
+ * @return {!Object} A child account with 1000 impressions a day for each
+ *     digit of its customer ID, 5 conversions worth 100, and the share.
+ */
+function account(customerId, share, opt_currencyCode) {
+  return fixtures.childAccount(customerId, {
+    currencyCode: opt_currencyCode,
+    reports: {
+      ACCOUNT_PERFORMANCE_REPORT: fixtures.accountRows(30, function(row) {
+        row.Impressions = String(1000 * Number(customerId));
+        row.Conversions = '5';
+        row.ConversionValue = '100';
+        row.SearchImpressionShare = share;
+      })
+    }
+  });
+}
+
+/**
+ * @param {!Array.<!Object>} childAccounts
+ * @return {!Object} bistro.js after a run reporting conversions, CPA, ROAS and
+ *     the search impression share.
+ */
+function runConversions(childAccounts) {
+  var script = fixtures.loadBistro({
+    overrides: {
+      LOCALE: 'en-US',
+      QUERY_FIELDS: [
+        {name: 'Cost', type: 'currency'},
+        {name: 'Impressions', type: 'integer'},
+        {name: 'Clicks', type: 'integer'},
+        {name: 'Conversions', type: 'decimal'},
+        {name: 'ConversionValue', type: 'currency'},
+        {name: 'SearchImpressionShare', type: 'percent'}
+      ],
+      DISPLAY_FIELDS: [
+        'Cost', 'Ctr', 'Conversions', 'Cpa', 'Roas', 'SearchImpressionShare'
+      ]
+    },
+    childAccounts: childAccounts
+  });
+  script.call('main');
+  return script;
+}
+
+test('metrics are added through QUERY_FIELDS and DISPLAY_FIELDS', function() {
+  var script = runConversions([
+    account('1', '50.00%'), account('2', '< 10%'), account('3', ' --')
+  ]);
+
+  var row = fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getDataRange().getValues())[5].slice(2);
+  assert.deepStrictEqual(row.slice(0, 5), [225, 0.025, 15, 15, 300 / 225]);
+  // '< 10%' counts as 10%, and ' --' is left out.
+  assert.strictEqual(row[5], 3000 / 22000);
+
+  var lines = script.mail[0].body.split('\n');
+  assert.match(lines[3], /^Cost +R\$225\.00$/);
+  assert.match(lines[5], /^Conversions +15\.00$/);
+  assert.match(lines[6], /^CPA +R\$15\.00$/);
+  assert.match(lines[7], /^ROAS +1\.33$/);
+  assert.match(lines[8], /^Search impr\. share +13\.64%$/);
+
+  var accounts = fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Accounts').getDataRange().getValues());
+  assert.deepStrictEqual(accounts[0].slice(4), ['Cost', 'Impressions',
+      'Clicks', 'Conversions', 'Conv. value', 'Search impr. share']);
+  assert.deepStrictEqual(accounts.slice(1).map(function(values) {
+    return values[9];
+  }), [0.5, 0.1, '']);
+});
+
+test('metrics of mixed currencies are N/A', function() {
+  var script = runConversions([
+    account('1', '50.00%'), account('2', '50.00%', 'USD')
+  ]);
+
+  var row = fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Report').getDataRange().getValues())[5].slice(2);
+  // Cost, CPA and ROAS are calculated from costs; CTR and conversions not.
+  assert.deepStrictEqual([row[0], row[3], row[4]], ['N/A', 'N/A', 'N/A']);
+  assert.strictEqual(row[2], 10);
+});
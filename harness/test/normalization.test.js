@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Tests of the automatic normalization of Kratu's signals: the
+ * percentiles (Auto), z-scores (ZScore) and ranks (Rank) calibrated on all
+ * accounts of a report, the scores deferred until then and the Calibration
+ * tab.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var harness = require('..');
+var fixtures = require('./fixtures');
+
+/**
+ * @param {string} name
+ * @param {string} normalization
+ * @param {string=} opt_direction High by default.
+ * @return {!Array} A row of the Signals tab for the impressions of the
+ *     account with a weight of 1, whose fixed min and max are 0 and 100.
+ */
+function impressionsSignal(name, normalization, opt_direction) {
+  return [name, name, 'Yes', 'Number', opt_direction || 'High', '0', 1, 0,
+      100, 'ACCOUNT_PERFORMANCE_REPORT', 'Impressions', '', 'First', '',
+      normalization];
+}
+
+/**
+ * @param {!Array.<?number>} impressions The impressions of each account, or
+ *     null for an empty report.
+ * @return {!Array.<!Object>} Child accounts for Kratu, with the customer ids
+ *     1, 2...
+ */
+function kratuAccounts(impressions) {
+  return impressions.map(function(value, i) {
+    return {
+      customerId: String(i + 1),
+      name: 'Client ' + (i + 1),
+      timeZone: 'America/Sao_Paulo',
+      reports: {
+        ACCOUNT_PERFORMANCE_REPORT:
+            value === null ? [] : [{Impressions: String(value)}]
+      }
+    };
+  });
+}
+
+/**
+ * Runs Kratu over accounts and reads the scores of its report.
+ *
+ * @param {!Array.<!Array>} signals Rows of the Signals tab.
+ * @param {!Array.<?number>} impressions See kratuAccounts().
+ * @param {Array.<!Array>=} opt_settings Rows of the Settings tab.
+ * @return {!Array.<?number>} The score of each account, in the order of
+ *     impressions.
+ */
+function scores(signals, impressions, opt_settings) {
+  var script = fixtures.runKratu(fixtures.loadKratu(signals, {
+    childAccounts: kratuAccounts(impressions),
+    settings: opt_settings
+  }));
+  return reportScores(fixtures.kratuReport(script));
+}
+
+/**
+ * @param {!Object} report The Report tab of a run.
+ * @return {!Array.<?number>} The score of each account by customer id, from
+ *     1, or '' for those left blank.
+ */
+function reportScores(report) {
+  var values = fixtures.plain(report.getDataRange().getValues());
+  var headings = values[3];
+  var result = [];
+  values.slice(4).forEach(function(row) {
+    result[row[headings.indexOf('Customer ID')] - 1] =
+        row[headings.indexOf('Score')];
+  });
+  return result;
+}
+
+/**
+ * @param {!Array.<number>} actual
+ * @param {!Array.<number>} expected
+ */
+function assertClose(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  actual.forEach(function(value, i) {
+    assert.ok(Math.abs(value - expected[i]) < 1e-6,
+        value + ' is not close to ' + expected[i]);
+  });
+}
+
+var IMPRESSIONS = [0, 10, 20, 30, 40];
+
+test('Auto maps the P5 and P95 of all accounts to 0 and 1', function() {
+  // P5 interpolates 2 between 0 and 10, P95 38 between 30 and 40.
+  assertClose(scores([impressionsSignal('Impressions', 'Auto')], IMPRESSIONS),
+      [0, 8 / 36, 18 / 36, 28 / 36, 1]);
+  assertClose(
+      scores([impressionsSignal('Impressions', 'Auto', 'Low')], IMPRESSIONS),
+      [1, 28 / 36, 18 / 36, 8 / 36, 0]);
+});
+
+test('the percentiles of Auto are settings', function() {
+  assertClose(scores([impressionsSignal('Impressions', 'Auto')], IMPRESSIONS, [
+    ['AutoLowerPercentile', 'Number', 0],
+    ['AutoUpperPercentile', 'Number', 50]
+  ]), [0, 0.5, 1, 1, 1]);
+});
+
+test('ZScore scores the normal distribution of the z-scores', function() {
+  // The mean is 20 and the standard deviation 10 * sqrt(2).
+  assertClose(scores([impressionsSignal('Impressions', 'ZScore')],
+      IMPRESSIONS), [0.0786496, 0.2397501, 0.5, 0.7602499, 0.9213504]);
+});
+
+test('Rank scores the position among all accounts', function() {
+  assertClose(scores([impressionsSignal('Impressions', 'Rank')], IMPRESSIONS),
+      [0, 0.25, 0.5, 0.75, 1]);
+  // Equal values share the middle of their ranks.
+  assertClose(scores([impressionsSignal('Impressions', 'Rank')],
+      [0, 10, 20, 20, 40]), [0, 0.25, 0.625, 0.625, 1]);
+});
+
+test('a single account or equal values score the middle', function() {
+  ['ZScore', 'Rank'].forEach(function(normalization) {
+    assertClose(scores([impressionsSignal('Impressions', normalization)],
+        [20]), [0.5]);
+    assertClose(scores([impressionsSignal('Impressions', normalization)],
+        [20, 20]), [0.5, 0.5]);
+  });
+});
+
+test('Fixed and automatic normalization score together', function() {
+  assertClose(scores([
+    impressionsSignal('Fixed', ''),
+    impressionsSignal('Rank', 'Rank')
+  ], IMPRESSIONS), [0, 0.175, 0.35, 0.525, 0.7]);
+});
+
+test('accounts without a value are left out of the calibration', function() {
+  assertClose(scores([impressionsSignal('Impressions', 'Rank')],
+      [10, null, 30]).filter(function(score, i) {
+        return i != 1;
+      }), [0, 1]);
+
+  // A signal no account has a value of leaves the score to the others.
+  assertClose(scores([
+    impressionsSignal('Impressions', 'Rank'),
+    ['Missing', 'Missing', 'Yes', 'Number', 'High', '0', 1, 0, 100,
+     'CAMPAIGN_PERFORMANCE_REPORT', 'Cost', '', 'First', '', 'Auto']
+  ], [10, 30]), [0, 1]);
+});
+
+test('scores are left blank until all accounts are processed', function() {
+  var spreadsheet = fixtures.kratuSpreadsheet(
+      [impressionsSignal('Impressions', 'Auto')]);
+  spreadsheet.sheets.Settings[2][2] = 2;
+  var script = harness.load('kratu.js', {
+    now: fixtures.NOW,
+    overrides: {CONFIG: {SPREADSHEET_URL: fixtures.KRATU_URL}},
+    account: {customerId: '999', timeZone: 'America/Sao_Paulo'},
+    childAccounts: kratuAccounts(IMPRESSIONS),
+    spreadsheets: [spreadsheet]
+  });
+
+  // The first execution starts the run, the second processes 2 accounts.
+  script = fixtures.runKratu(script, 2);
+  var run = script.spreadsheets()[script.spreadsheets().length - 1];
+  assert.deepStrictEqual(reportScores(run.getSheetByName('Report')),
+      ['', '']);
+  assert.strictEqual(run.getSheetByName('Calibration'), null);
+
+  script.advance(3600 * 1000);
+  script = fixtures.runKratu(script.reload());
+  assertClose(reportScores(run.getSheetByName('Report')),
+      [0, 8 / 36, 18 / 36, 28 / 36, 1]);
+});
+
+test('the calibrations are recorded in the Calibration tab', function() {
+  var script = fixtures.runKratu(fixtures.loadKratu([
+    impressionsSignal('Fixed', ''),
+    impressionsSignal('Auto', 'Auto'),
+    impressionsSignal('Rank', 'Rank')
+  ], {
+    childAccounts: kratuAccounts(IMPRESSIONS),
+    settings: [['AutoLowerPercentile', 'Number', 10]]
+  }));
+  var spreadsheets = script.spreadsheets();
+  var calibration = spreadsheets[spreadsheets.length - 1]
+      .getSheetByName('Calibration');
+
+  assert.deepStrictEqual(
+      fixtures.plain(calibration.getDataRange().getValues()), [
+        ['Signal', 'Normalization', 'Accounts', 'P10', 'P95', 'Mean',
+         'Std. deviation'],
+        ['Auto', 'Auto', 5, 4, 38, 20, Math.sqrt(200)],
+        ['Rank', 'Rank', 5, 4, 38, 20, Math.sqrt(200)]
+      ]);
+});
+
+test('an unknown normalization throws', function() {
+  assert.throws(function() {
+    scores([impressionsSignal('Impressions', 'Median')], IMPRESSIONS);
+  }, /Unknown normalization 'Median' of the signal Impressions. Use Fixed, /);
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Tests of the notifier module shared by the report scripts:
+ * the email, webhook and chat channels of NOTIFICATION_CHANNELS.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+var SCRIPTS = ['relatorio.js', 'bistro.js', 'kratu.js', 'sem_impressoes.js'];
+
+var MESSAGE = {
+  recipient: 'me@example.com',
+  subject: 'Report',
+  html: '<h1>Title</h1><table><tr><th>A</th><th>B</th></tr>' +
+      '<tr><td>1 &amp; 2</td><td>3</td></tr></table>',
+  data: {rows: 1}
+};
+
+/**
+ * Loads relatorio.js, whose notifier is the same as the other scripts', with
+ * channels that post to example.com. Posts to a URL containing 'fail' are
+ * answered with HTTP 500.
+ *
+ * @param {!Array.<!Object>} channels The NOTIFICATION_CHANNELS.
+ * @return {!Object} The loaded script.
+ */
+function loadNotifier(channels) {
+  return fixtures.loadRelatorio({
+    overrides: {NOTIFICATION_CHANNELS: channels},
+    http: function(request) {
+      return request.url.indexOf('fail') != -1 ?
+          {code: 500, body: 'boom'} : {code: 200, body: 'ok'};
+    }
+  });
+}
+
+/**
+ * Sends MESSAGE through the notifier of a script.
+ *
+ * @param {!Object} script The loaded script.
+ * @return {number} The number of channels it was sent to.
+ */
+function send(script) {
+  return script.eval('notifier.send(' + JSON.stringify(MESSAGE) + ')');
+}
+
+/**
+ * @param {!Object} script
+ * @return {!Array.<!Object>} The URL and the parsed payload of each request.
+ */
+function posts(script) {
+  return script.requests.map(function(request) {
+    return {url: request.url, payload: JSON.parse(request.payload)};
+  });
+}
+
+test('every script has the same notifier', function() {
+  var blocks = SCRIPTS.map(function(script) {
+    var source = fs.readFileSync(
+        path.join(__dirname, '..', '..', script), 'utf8');
+    var start = source.indexOf('var notifier = (function() {');
+    return source.substring(start, source.indexOf('})();', start))
+        .replace(/\r\n/g, '\n');
+  });
+  blocks.forEach(function(block, i) {
+    assert.strictEqual(block, blocks[0], SCRIPTS[i]);
+  });
+});
+
+test('the email channel sends the html with a plain text body', function() {
+  var script = loadNotifier([{type: 'email'}]);
+
+  assert.strictEqual(send(script), 1);
+
+  assert.strictEqual(script.mail.length, 1);
+  assert.strictEqual(script.mail[0].to, 'me@example.com');
+  assert.strictEqual(script.mail[0].subject, 'Report');
+  assert.strictEqual(script.mail[0].htmlBody, MESSAGE.html);
+  assert.strictEqual(script.mail[0].body, 'Title\nA\tB\n1 & 2\t3');
+});
+
+test('email channels can have their own recipient', function() {
+  var script = loadNotifier([
+    {type: 'email'},
+    {type: 'email', recipient: 'team@example.com'}
+  ]);
+
+  send(script);
+
+  assert.deepStrictEqual(script.mail.map(function(message) {
+    return message.to;
+  }), ['me@example.com', 'team@example.com']);
+});
+
+test('the webhook channel posts the report and its data', function() {
+  var script = loadNotifier([
+    {type: 'webhook', url: 'https://example.com/hook'}
+  ]);
+
+  assert.strictEqual(send(script), 1);
+
+  assert.strictEqual(script.mail.length, 0);
+  assert.deepStrictEqual(posts(script), [{
+    url: 'https://example.com/hook',
+    payload: {
+      subject: 'Report',
+      text: 'Title\nA\tB\n1 & 2\t3',
+      html: MESSAGE.html,
+      data: {rows: 1}
+    }
+  }]);
+});
+
+test('chat channels post in the format of each service', function() {
+  var script = loadNotifier([
+    {type: 'chat', format: 'slack', url: 'https://example.com/slack'},
+    {type: 'chat', format: 'googleChat', url: 'https://example.com/chat'},
+    {type: 'chat', format: 'teams', url: 'https://example.com/teams'}
+  ]);
+
+  assert.strictEqual(send(script), 3);
+
+  var payloads = posts(script).map(function(post) {
+    return post.payload;
+  });
+  assert.deepStrictEqual(payloads[0],
+      {text: '*Report*\nTitle\nA\tB\n1 & 2\t3'});
+  assert.deepStrictEqual(payloads[1], payloads[0]);
+  assert.deepStrictEqual(payloads[2], {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: 'Report',
+    title: 'Report',
+    text: 'Title\n\nA\tB\n\n1 & 2\t3'
+  });
+});
+
+test('a failing channel is logged and does not stop the others', function() {
+  var script = loadNotifier([
+    {type: 'webhook', url: 'https://example.com/fail'},
+    {type: 'chat', format: 'irc', url: 'https://example.com/irc'},
+    {type: 'pager'},
+    {type: 'email'}
+  ]);
+
+  assert.strictEqual(send(script), 1);
+
+  assert.strictEqual(script.mail.length, 1);
+  var logs = script.logs.join('\n');
+  assert.match(logs, /webhook https:\/\/example.com\/fail: .*HTTP 500: boom/);
+  assert.match(logs, /Unknown chat format: irc/);
+  assert.match(logs, /Unknown notification channel type: pager/);
+});
+
+test('only email channels need a recipient', function() {
+  assert.strictEqual(loadNotifier([{type: 'email'}])
+      .eval('notifier.hasRecipients("")'), false);
+  assert.strictEqual(loadNotifier([{type: 'email'}])
+      .eval('notifier.hasRecipients("me@example.com")'), true);
+  assert.strictEqual(loadNotifier([
+    {type: 'email'},
+    {type: 'webhook', url: 'https://example.com/hook'}
+  ]).eval('notifier.hasRecipients("")'), true);
+});
+
+test('reports are sent through every channel', function() {
+  var script = loadNotifier([
+    {type: 'email'},
+    {type: 'webhook', url: 'https://example.com/hook'}
+  ]);
+
+  script.call('main');
+
+  assert.strictEqual(script.mail.length, 1);
+  var payload = posts(script)[0].payload;
+  assert.strictEqual(payload.subject, script.mail[0].subject);
+  assert.strictEqual(payload.text, script.mail[0].body);
+  assert.strictEqual(payload.data.customerId, '111-111-1111');
+  assert.strictEqual(payload.data.comparisons.length, 2);
+});
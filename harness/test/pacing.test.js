@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests of the month-end pacing of relatorio.js: projections of
+ * the month from its run rate and their pace against the spreadsheet targets.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Runs the report of an account that spends 100 on weekdays and 50 on
+ * weekends.
+ *
+ * @param {!Object} targets The targets, by named range, e.g.
+ *     {monthly_budget: 3000}.
+ * @return {!Object.<string, !Array>} The rows of the Pacing sheet of
+ *     yesterday, by metric: target, expected, actual, projection and pace.
+ */
+function runPacing(targets) {
+  var rows = fixtures.accountRows(60, function(row, date) {
+    var weekday = new Date(date + 'T12:00:00Z').getUTCDay();
+    row.Cost = weekday == 0 || weekday == 6 ? '50.00' : '100.00';
+  });
+  var script = fixtures.loadRelatorio({
+    overrides: {LOCALE: 'en-US'},
+    reports: {ACCOUNT_PERFORMANCE_REPORT: rows},
+    // Reported since September, for the weekday weights and the month.
+    spreadsheet: fixtures.reportSpreadsheet(targets,
+        new Date('2026-09-01T03:00:00Z'))
+  });
+
+  script.call('main');
+
+  var values = fixtures.plain(script.spreadsheet(fixtures.REPORT_URL)
+      .getSheetByName('Pacing').getDataRange().getValues());
+  var pacing = {};
+  values.slice(1).forEach(function(row) {
+    pacing[row[1]] = row.slice(2);
+  });
+  return pacing;
+}
+
+test('projections follow the weekday run rate of the month', function() {
+  var pacing = runPacing({monthly_budget: 3000});
+
+  var cost = pacing.Cost;
+  assert.strictEqual(cost[0], 3000);
+  // By the 18th, 12 weekdays and 6 weekend days at half the weight, of the
+  // 22 weekdays and 9 weekend days of October.
+  assert.strictEqual(cost[2], 1500);
+  assert.strictEqual(Math.round(cost[1]), Math.round(3000 * 15 / 26.5));
+  assert.strictEqual(Math.round(cost[3]), Math.round(1500 * 26.5 / 15));
+  assert.strictEqual(cost[4], 'Under pace');
+});
+
+test('projections are on track within the tolerance of the target',
+    function() {
+  assert.strictEqual(runPacing({monthly_budget: 2700}).Cost[4], 'On track');
+  assert.strictEqual(runPacing({monthly_budget: 2000}).Cost[4], 'Over pace');
+});
+
+test('metrics without a target are projected without a pace', function() {
+  var pacing = runPacing({monthly_budget: 3000});
+
+  assert.strictEqual(pacing.Conversions[0], '');
+  assert.strictEqual(pacing.Conversions[1], '');
+  assert.ok(pacing.Conversions[3] > 0);
+  assert.strictEqual(pacing.Conversions[4], '');
+});
+
+test('targets of 0 or less count as not set', function() {
+  var pacing = runPacing({monthly_budget: 0, monthly_conversions: '-5'});
+
+  ['Cost', 'Conversions'].forEach(function(metric) {
+    assert.deepStrictEqual(
+        [pacing[metric][0], pacing[metric][1], pacing[metric][4]],
+        ['', '', ''], metric);
+    assert.ok(pacing[metric][3] > 0, metric);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Tests of the weekly and monthly rollups of relatorio.js and
+ * bistro.js: the ISO weeks and calendar months of the periodRollup module,
+ * and the tabs kept in step with the daily rows, including late ones.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * @param {!Object} script The script after a run.
+ * @param {string} name The name of a tab.
+ * @return {!Array.<!Array>} Its values, with dates as YYYY-MM-DD.
+ */
+function tabValues(script, name) {
+  var sheet = script.spreadsheet(fixtures.REPORT_URL).getSheetByName(name);
+  assert.ok(sheet, name);
+  return fixtures.plain(sheet.getDataRange().getValues()).map(function(row) {
+    return row.map(function(value) {
+      return /^\d{4}-\d\d-\d\dT03:00:00.000Z$/.test(value) ?
+          value.substring(0, 10) : value;
+    });
+  });
+}
+
+/**
+ * @param {number} count The number of days.
+ * @param {string} lastDate The last one, as YYYY-MM-DD.
+ * @return {{cost: number, clicks: number, impressions: number,
+ *     clicksByCtr: number}} The totals of fixtures.accountRow over the days
+ *     ending on lastDate; clicksByCtr adds up the CTR of each day times its
+ *     impressions.
+ */
+function totals(count, lastDate) {
+  var result = {cost: 0, clicks: 0, impressions: 0, clicksByCtr: 0};
+  var before = (new Date(fixtures.YESTERDAY) - new Date(lastDate)) /
+      (24 * 3600 * 1000);
+  fixtures.days(count, lastDate, function(date, i) {
+    var row = fixtures.accountRow(date, before + i);
+    result.cost += Number(row.Cost);
+    result.clicks += Number(row.Clicks);
+    result.impressions += Number(row.Impressions);
+    result.clicksByCtr += parseFloat(row.Ctr) / 100 * Number(row.Impressions);
+  });
+  return result;
+}
+
+test('relatorio.js and bistro.js have the same periodRollup', function() {
+  var blocks = ['relatorio.js', 'bistro.js'].map(function(script) {
+    var source = fs.readFileSync(
+        path.join(__dirname, '..', '..', script), 'utf8');
+    var start = source.indexOf('var periodRollup = (function() {');
+    assert.notStrictEqual(start, -1, script);
+    return source.substring(start, source.indexOf('})();', start))
+        .replace(/\r\n/g, '\n');
+  });
+  assert.strictEqual(blocks[1], blocks[0]);
+});
+
+test('weeks are ISO weeks and months calendar months', function() {
+  var script = fixtures.loadRelatorio();
+  var period = function(type, date) {
+    return fixtures.plain(script.eval('periodRollup.getPeriod(' +
+        JSON.stringify(type) + ', ' + JSON.stringify(date) + ')'));
+  };
+
+  assert.deepStrictEqual(period('WEEK', '20261018'),
+      {key: '2026-W42', start: '20261012', end: '20261018'});
+  // Weeks belong to the year of their Thursday.
+  assert.deepStrictEqual(period('WEEK', '20270101'),
+      {key: '2026-W53', start: '20261228', end: '20270103'});
+  assert.deepStrictEqual(period('WEEK', '20251229'),
+      {key: '2026-W01', start: '20251229', end: '20260104'});
+  assert.deepStrictEqual(period('MONTH', '20280215'),
+      {key: '2028-02', start: '20280201', end: '20280229'});
+  assert.throws(function() {
+    period('YEAR', '20261018');
+  }, /Unknown period type 'YEAR'. Use WEEK or MONTH\./);
+  assert.deepStrictEqual(fixtures.plain(script.eval(
+      'periodRollup.getPeriods(\'WEEK\', ' +
+      '[\'20261018\', \'20261005\', \'20261012\'])')).map(function(p) {
+    return p.key;
+  }), ['2026-W41', '2026-W42']);
+});
+
+/**
+ * Runs relatorio.js reporting the days since 2026-10-09.
+ *
+ * @param {Object=} opt_cells More named cells of the spreadsheet.
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {!Object} The script after its run.
+ */
+function runRelatorio(opt_cells, opt_overrides) {
+  var script = fixtures.loadRelatorio({
+    overrides: fixtures.merge({LOCALE: 'en-US'}, opt_overrides),
+    spreadsheet: fixtures.reportSpreadsheet(opt_cells,
+        new Date('2026-10-08T03:00:00Z'))
+  });
+  script.call('main');
+  return script;
+}
+
+test('relatorio.js sums each week and month of the Report sheet',
+    function() {
+  var script = runRelatorio();
+
+  var weeks = tabValues(script, 'Semanal');
+  assert.deepStrictEqual(weeks[0].slice(0, 7),
+      ['Period', 'Start', 'End', 'Days', 'Cost', 'Avg. CPC', 'CTR']);
+  assert.deepStrictEqual(weeks.slice(1).map(function(row) {
+    return row.slice(0, 4);
+  }), [
+    ['2026-W41', '2026-10-05', '2026-10-11', 3],
+    ['2026-W42', '2026-10-12', '2026-10-18', 7]
+  ]);
+  var week = totals(7, '2026-10-18');
+  var row = weeks[2];
+  assert.strictEqual(row[4], week.cost);
+  // Ratios of the summed components, not averages of the daily ratios: the
+  // CTR of the report rows, rounded, weighted by impressions.
+  assert.strictEqual(row[5], week.cost / week.clicks);
+  assert.ok(Math.abs(row[6] - week.clicksByCtr / week.impressions) < 1e-12);
+  assert.strictEqual(row[8], week.impressions);
+
+  var months = tabValues(script, 'Mensal');
+  var month = totals(10, '2026-10-18');
+  assert.deepStrictEqual(months.slice(1).map(function(values) {
+    return values.slice(0, 5);
+  }), [['2026-10', '2026-10-01', '2026-10-31', 10, month.cost]]);
+});
+
+test('late days rebuild their week and month', function() {
+  var script = runRelatorio(
+      {backfill_start: '2026-10-04', backfill_end: '2026-10-06'});
+
+  assert.deepStrictEqual(tabValues(script, 'Semanal').slice(1).map(
+      function(row) {
+        return [row[0], row[3], row[4]];
+      }), [
+    ['2026-W40', 1, totals(1, '2026-10-04').cost],
+    ['2026-W41', 5, totals(7, '2026-10-11').cost -
+        totals(1, '2026-10-07').cost - totals(1, '2026-10-08').cost],
+    ['2026-W42', 7, totals(7, '2026-10-18').cost]
+  ]);
+  var month = tabValues(script, 'Mensal')[1];
+  assert.deepStrictEqual([month[0], month[3]], ['2026-10', 13]);
+});
+
+test('ROLLUP_SHEETS chooses the tabs', function() {
+  var script = runRelatorio({}, {ROLLUP_SHEETS: {MONTH: 'Mês'}});
+
+  var spreadsheet = script.spreadsheet(fixtures.REPORT_URL);
+  assert.strictEqual(spreadsheet.getSheetByName('Semanal'), null);
+  assert.strictEqual(tabValues(script, 'Mês')[1][0], '2026-10');
+});
+
+/**
+ * Runs bistro.js for a BRL and a second account reporting since 2026-10-16.
+ *
+ * @param {string} currencyCode The currency of the second account.
+ * @param {Object=} opt_overrides More configuration overrides.
+ * @return {!Object} The script after its run.
+ */
+function runBistro(currencyCode, opt_overrides) {
+  var spreadsheet = fixtures.reportSpreadsheet({},
+      new Date('2026-10-15T03:00:00Z'));
+  spreadsheet.sheets['Exchange Rates'] = [
+    ['Date', 'Currency', 'Rate', 'Source'],
+    ['2026-10-01', 'USD', 5, 'ECB']
+  ];
+  var script = fixtures.loadBistro({
+    overrides: fixtures.merge({LOCALE: 'en-US'}, opt_overrides),
+    childAccounts: [
+      fixtures.childAccount('1'),
+      fixtures.childAccount('2', {currencyCode: currencyCode})
+    ],
+    spreadsheet: spreadsheet
+  });
+  script.call('main');
+  return script;
+}
+
+test('bistro.js rolls up the accounts of each period', function() {
+  var script = runBistro('BRL');
+
+  var days = totals(3, '2026-10-18');
+  var weeks = tabValues(script, 'Weekly');
+  assert.deepStrictEqual(weeks[0], ['Period', 'Start', 'End', 'Days', 'Cost',
+      'Avg. CPC', 'CTR', 'Avg. Pos.', 'Impressions', 'Clicks']);
+  assert.deepStrictEqual(weeks.slice(1).map(function(row) {
+    return row.slice(0, 6).concat(row.slice(8));
+  }), [['2026-W42', '2026-10-12', '2026-10-18', 3, 2 * days.cost, 1.5,
+        2 * days.impressions, 2 * days.clicks]]);
+  assert.deepStrictEqual(tabValues(script, 'Monthly')[1].slice(0, 5),
+      ['2026-10', '2026-10-01', '2026-10-31', 3, 2 * days.cost]);
+});
+
+test('bistro.js rollups convert costs like the daily rows', function() {
+  var days = totals(3, '2026-10-18');
+
+  var mixed = tabValues(runBistro('USD'), 'Weekly')[1];
+  assert.deepStrictEqual(mixed.slice(4, 6), ['N/A', 'N/A']);
+  assert.strictEqual(mixed[9], 2 * days.clicks);
+
+  var converted = tabValues(runBistro('USD', {REPORT_CURRENCY: 'BRL'}),
+      'Weekly')[1];
+  assert.strictEqual(converted[4], days.cost * 6);
+  assert.strictEqual(converted[5], days.cost * 6 / (2 * days.clicks));
+});
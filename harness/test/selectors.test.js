@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Tests of Kratu's Selector signals: counts of the entities of
+ * each account matching conditions, or lacking child entities, scored like
+ * any Number signal.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var ads = require('../ads');
+var fixtures = require('./fixtures');
+
+/**
+ * @param {string} name
+ * @param {string} entities The selector, e.g. 'keywords'.
+ * @param {string} without The child entities to lack, if any.
+ * @param {string} conditions
+ * @param {number} max The count that normalizes to 0.
+ * @return {!Array} A row of the Signals tab for a Selector signal where fewer
+ *     is better, with a weight of 1.
+ */
+function selectorSignal(name, entities, without, conditions, max) {
+  return [name, name, 'Yes', 'Selector', 'Low', '0', 1, 0, max, entities,
+      without, conditions, '', '', ''];
+}
+
+/**
+ * @param {number} id
+ * @param {string} status
+ * @param {!Array.<string>} adStatuses The status of each of its ads.
+ * @return {!Object} A campaign fixture whose ads() selects its ads.
+ */
+function campaign(id, status, adStatuses) {
+  var adFixtures = adStatuses.map(function(adStatus, i) {
+    return {id: id * 10 + i, status: adStatus};
+  });
+  return {
+    id: id,
+    name: 'Campaign ' + id,
+    status: status,
+    methods: {
+      ads: function() {
+        return ads.createSelector(adFixtures, {
+          now: function() {
+            return new Date(fixtures.NOW).getTime();
+          },
+          timeZone: function() {
+            return 'America/Sao_Paulo';
+          }
+        });
+      }
+    }
+  };
+}
+
+/**
+ * @param {string} customerId
+ * @param {!Object} entities Entity fixtures by selector, e.g. keywords.
+ * @return {!Object} A child account for Kratu.
+ */
+function kratuAccount(customerId, entities) {
+  return fixtures.merge({
+    customerId: customerId,
+    name: 'Client ' + customerId,
+    timeZone: 'America/Sao_Paulo'
+  }, entities);
+}
+
+/**
+ * Runs Kratu over accounts and reads its report.
+ *
+ * @param {!Array.<!Array>} signals Rows of the Signals tab.
+ * @param {!Array.<!Object>} childAccounts
+ * @return {!Object.<string, !Array>} The signals and score of each account,
+ *     by customer id.
+ */
+function runReport(signals, childAccounts) {
+  var script = fixtures.runKratu(
+      fixtures.loadKratu(signals, {childAccounts: childAccounts}));
+  var rows = {};
+  fixtures.plain(fixtures.kratuReport(script).getDataRange().getValues())
+      .slice(4).forEach(function(row) {
+        rows[row[row.length - 1]] = row.slice(1, signals.length + 2);
+      });
+  return rows;
+}
+
+test('selectors count the entities matching their conditions', function() {
+  var keywords = function(scores) {
+    return scores.map(function(score, i) {
+      return {id: i, fields: {QualityScore: score}};
+    });
+  };
+
+  var rows = runReport([
+    selectorSignal('LowQuality', 'keywords', '', 'QualityScore < 4', 4)
+  ], [
+    kratuAccount('1', {keywords: keywords([3, 2, 7, 8])}),
+    kratuAccount('2', {keywords: keywords([9, 3])}),
+    kratuAccount('3', {keywords: []})
+  ]);
+
+  // The count and the score, from 4 entities or more to none.
+  assert.deepStrictEqual(rows[1], [2, 0.5]);
+  assert.deepStrictEqual(rows[2], [1, 0.75]);
+  assert.deepStrictEqual(rows[3], [0, 1]);
+});
+
+test('selectors can count the entities without child entities', function() {
+  var rows = runReport([
+    selectorSignal('NoAds', 'campaigns', 'ads WHERE Status = ENABLED',
+        'Status = ENABLED', 2)
+  ], [
+    kratuAccount('1', {campaigns: [
+      campaign(1, 'ENABLED', ['ENABLED', 'PAUSED']),
+      campaign(2, 'ENABLED', ['PAUSED']),
+      campaign(3, 'ENABLED', []),
+      campaign(4, 'PAUSED', [])
+    ]})
+  ]);
+
+  assert.deepStrictEqual(rows[1], [2, 0]);
+});
+
+test('conditions on stats cover the report period', function() {
+  var rows = runReport([
+    selectorSignal('Idle', 'campaigns', '', 'Impressions = 0', 3)
+  ], [
+    kratuAccount('1', {campaigns: [
+      {id: 1, name: 'Active', stats: {'2026-10-18': {impressions: 5}}},
+      {id: 2, name: 'Stale', stats: {'2026-08-01': {impressions: 5}}},
+      {id: 3, name: 'New'}
+    ]})
+  ]);
+
+  assert.strictEqual(rows[1][0], 2);
+});
+
+test('quoted values may contain AND and WHERE', function() {
+  var rows = runReport([
+    selectorSignal('Offers', 'campaigns', '',
+        'Name = \'Sales AND Offers\' AND Status = ENABLED', 2),
+    selectorSignal('Where', 'campaigns', '', 'Name = "Look WHERE"', 2)
+  ], [
+    kratuAccount('1', {campaigns: [
+      {id: 1, name: 'Sales AND Offers'},
+      {id: 2, name: 'Sales AND Offers', status: 'PAUSED'},
+      {id: 3, name: 'Look WHERE'},
+      {id: 4, name: 'Offers'}
+    ]})
+  ]);
+
+  assert.deepStrictEqual(rows[1].slice(0, 2), [1, 1]);
+});
+
+test('invalid selectors throw', function() {
+  [
+    [selectorSignal('Widgets', 'widgets', '', '', 1),
+     /Unknown entity selector 'widgets'. Use e.g. campaigns, adGroups/],
+    [selectorSignal('Twice', 'campaigns WHERE Status = ENABLED', '',
+        'Name = A', 1),
+     /Entity selector 'campaigns WHERE Status = ENABLED WHERE Name = A' has /]
+  ].forEach(function(entry) {
+    assert.throws(function() {
+      runReport([entry[0]], [kratuAccount('1', {campaigns: []})]);
+    }, entry[1]);
+  });
+});
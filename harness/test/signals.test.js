@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tests of Kratu's report signals: signals read from any report,
+ * with conditions and an aggregation of the rows.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * @param {string} name
+ * @param {string} report
+ * @param {string} column
+ * @param {string} conditions
+ * @param {string} aggregation
+ * @param {number} max The value that normalizes to 1.
+ * @return {!Array} A row of the Signals tab for a Number signal with a weight
+ *     of 1.
+ */
+function reportSignal(name, report, column, conditions, aggregation, max) {
+  return [name, name, 'Yes', 'Number', 'High', '0.00', 1, 0, max, report,
+      column, conditions, aggregation];
+}
+
+/**
+ * @param {string} customerId
+ * @param {!Object} reports Report rows by report name.
+ * @return {!Object} A child account for Kratu.
+ */
+function kratuAccount(customerId, reports) {
+  return {
+    customerId: customerId,
+    name: 'Client ' + customerId,
+    timeZone: 'America/Sao_Paulo',
+    reports: reports
+  };
+}
+
+/**
+ * Runs Kratu over accounts and reads its report.
+ *
+ * @param {!Array.<!Array>} signals Rows of the Signals tab.
+ * @param {!Array.<!Object>} childAccounts
+ * @return {!Object.<string, !Object>} The report rows as objects keyed by
+ *     heading, by customer id.
+ */
+function runReport(signals, childAccounts) {
+  var script = fixtures.runKratu(
+      fixtures.loadKratu(signals, {childAccounts: childAccounts}));
+  var values = fixtures.plain(
+      fixtures.kratuReport(script).getDataRange().getValues());
+  var headings = values[3];
+  var rows = {};
+  values.slice(4).forEach(function(row) {
+    var record = {};
+    headings.forEach(function(heading, i) {
+      if (heading) {
+        record[heading] = row[i];
+      }
+    });
+    rows[record['Customer ID']] = record;
+  });
+  return rows;
+}
+
+test('aggregations of the rows matching the conditions', function() {
+  var campaigns = [
+    {CampaignId: '1', AdvertisingChannelType: 'SEARCH', Cost: '1,200.00'},
+    {CampaignId: '2', AdvertisingChannelType: 'DISPLAY', Cost: '300.00'},
+    {CampaignId: '3', AdvertisingChannelType: 'SEARCH', Cost: ' --'}
+  ];
+  var report = 'CAMPAIGN_PERFORMANCE_REPORT';
+
+  var rows = runReport([
+    reportSignal('Search', report, 'CampaignId',
+        'AdvertisingChannelType = SEARCH', 'Count', 10),
+    reportSignal('SearchShare', report, 'Cost',
+        'AdvertisingChannelType = SEARCH', 'Share', 1),
+    reportSignal('TotalCost', report, 'Cost', '', 'Sum', 10000),
+    reportSignal('AverageCost', report, 'Cost', '', 'Average', 10000),
+    reportSignal('MaxCost', report, 'Cost', '', 'Max', 10000),
+    reportSignal('MinCost', report, 'Cost', '', 'Min', 10000)
+  ], [kratuAccount('1', {CAMPAIGN_PERFORMANCE_REPORT: campaigns})]);
+
+  assert.strictEqual(rows[1].Search, 2);
+  assert.strictEqual(rows[1].SearchShare, 0.8);
+  assert.strictEqual(rows[1].TotalCost, 1500);
+  assert.strictEqual(rows[1].AverageCost, 750);
+  assert.strictEqual(rows[1].MaxCost, 1200);
+  assert.strictEqual(rows[1].MinCost, 300);
+});
+
+test('First of an empty report leaves the signal out of the score',
+    function() {
+  var signals = [
+    reportSignal('Cost', 'ACCOUNT_PERFORMANCE_REPORT', 'Cost', '', 'First',
+        100),
+    reportSignal('Campaigns', 'CAMPAIGN_PERFORMANCE_REPORT', 'CampaignId', '',
+        'Count', 4)
+  ];
+
+  var rows = runReport(signals, [
+    kratuAccount('1', {
+      ACCOUNT_PERFORMANCE_REPORT: [{Cost: '50.00'}],
+      CAMPAIGN_PERFORMANCE_REPORT: [{CampaignId: '1'}, {CampaignId: '2'}]
+    }),
+    kratuAccount('2', {
+      ACCOUNT_PERFORMANCE_REPORT: [],
+      CAMPAIGN_PERFORMANCE_REPORT: [{CampaignId: '1'}]
+    })
+  ]);
+
+  assert.strictEqual(rows[1].Score, 0.5);
+  assert.strictEqual(rows[2].Cost, '');
+  assert.strictEqual(rows[2].Campaigns, 1);
+  assert.strictEqual(rows[2].Score, 0.25);
+});
+
+test('First of a value that is not a number leaves the signal blank',
+    function() {
+  var rows = runReport([
+    reportSignal('Share', 'ACCOUNT_PERFORMANCE_REPORT',
+        'SearchImpressionShare', '', 'First', 1)
+  ], [
+    kratuAccount('1', {ACCOUNT_PERFORMANCE_REPORT: [
+      {SearchImpressionShare: ' --'}
+    ]})
+  ]);
+
+  assert.strictEqual(rows[1].Share, '');
+  assert.strictEqual(rows[1].Score, 0);
+});
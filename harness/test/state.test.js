@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Tests of Bistro's report state persistence: the versioned
+ * StateStore, its backends and the migration of the state file of earlier
+ * versions.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+var MANAGER_CUSTOMER_ID = '999-999-9999';
+
+/**
+ * @param {!Array.<string>} customerIds
+ * @return {!Array.<!Object>} Child accounts with the given customer ids.
+ */
+function childAccounts(customerIds) {
+  return customerIds.map(function(customerId) {
+    return fixtures.childAccount(customerId);
+  });
+}
+
+/**
+ * @param {!Object} script The loaded script.
+ * @return {!Object} A StateStore over a MemoryStateBackend, and the backend.
+ *     Memory backends of the same script share their values.
+ */
+function createMemoryStore(script) {
+  var store = script.eval('new StateStore(new MemoryStateBackend())');
+  return {store: store, backend: store.backend_};
+}
+
+/**
+ * @param {!Object} backend
+ * @return {!Array.<string>} The keys of the backend, sorted.
+ */
+function sortedKeys(backend) {
+  return backend.list().slice().sort();
+}
+
+test('load returns null before anything is committed', function() {
+  var memory = createMemoryStore(fixtures.loadBistro());
+
+  assert.strictEqual(memory.store.load(), null);
+});
+
+test('commits write changed entries under a new version', function() {
+  var memory = createMemoryStore(fixtures.loadBistro());
+  memory.store.commit({queue: ['20261017'], 'account-1': {records: {}}}, []);
+
+  assert.deepEqual(sortedKeys(memory.backend),
+      ['account-1.1', 'manifest', 'queue.1']);
+  assert.deepEqual(JSON.parse(memory.backend.get('manifest')),
+      {version: 1, entries: {queue: 1, 'account-1': 1}});
+
+  memory.store.commit({queue: []}, []);
+
+  assert.deepEqual(sortedKeys(memory.backend),
+      ['account-1.1', 'manifest', 'queue.2']);
+  assert.deepEqual(JSON.parse(memory.backend.get('manifest')),
+      {version: 2, entries: {queue: 2, 'account-1': 1}});
+});
+
+test('commits delete removed entries', function() {
+  var memory = createMemoryStore(fixtures.loadBistro());
+  memory.store.commit({queue: [], 'account-1': {}, 'account-2': {}}, []);
+  memory.store.commit({}, ['account-2']);
+
+  assert.deepEqual(sortedKeys(memory.backend),
+      ['account-1.1', 'manifest', 'queue.1']);
+  assert.deepEqual(JSON.parse(memory.backend.get('manifest')).entries,
+      {queue: 1, 'account-1': 1});
+});
+
+test('load returns the last committed entries', function() {
+  var script = fixtures.loadBistro();
+  var memory = createMemoryStore(script);
+  memory.store.commit({queue: ['20261017'], 'account-1': {name: 'A'}}, []);
+  memory.store.commit({'account-1': {name: 'B'}}, []);
+
+  var entries = createMemoryStore(script).store.load();
+
+  assert.deepEqual(JSON.parse(JSON.stringify(entries)),
+      {queue: ['20261017'], 'account-1': {name: 'B'}});
+});
+
+test('load deletes what an interrupted commit left behind', function() {
+  var script = fixtures.loadBistro();
+  var memory = createMemoryStore(script);
+  memory.store.commit({queue: ['20261017']}, []);
+  // A commit that wrote its entries but stopped before the manifest.
+  memory.backend.put('queue.2', '[]');
+  memory.backend.put('account-1.2', '{}');
+
+  var entries = createMemoryStore(script).store.load();
+
+  assert.deepEqual(JSON.parse(JSON.stringify(entries)),
+      {queue: ['20261017']});
+  assert.deepEqual(sortedKeys(memory.backend), ['manifest', 'queue.1']);
+});
+
+test('load throws if a committed entry is missing', function() {
+  var script = fixtures.loadBistro();
+  var memory = createMemoryStore(script);
+  memory.store.commit({queue: []}, []);
+  memory.backend.remove('queue.1');
+
+  assert.throws(function() {
+    createMemoryStore(script).store.load();
+  }, /missing queue\.1/);
+});
+
+test('the next version follows the loaded manifest', function() {
+  var script = fixtures.loadBistro();
+  var memory = createMemoryStore(script);
+  memory.store.commit({queue: []}, []);
+  memory.store.commit({queue: ['20261017']}, []);
+
+  var store = createMemoryStore(script).store;
+  store.load();
+  store.commit({queue: ['20261018']}, []);
+
+  assert.deepEqual(JSON.parse(memory.backend.get('manifest')),
+      {version: 3, entries: {queue: 3}});
+  assert.deepEqual(sortedKeys(memory.backend), ['manifest', 'queue.3']);
+});
+
+test('the sheet backend keeps keys across executions', function() {
+  var script = fixtures.loadBistro();
+  var backend = script.eval('new SheetStateBackend(' +
+      'SpreadsheetApp.openByUrl(SPREADSHEET_URL), STATE_SHEET_NAME)');
+  backend.put('manifest', '{"version":1}');
+  backend.put('queue.1', '["20261017"]');
+  backend.put('account-1.1', '{}');
+  backend.remove('queue.1');
+  backend.put('manifest', '{"version":2}');
+
+  script = script.reload();
+  backend = script.eval('new SheetStateBackend(' +
+      'SpreadsheetApp.openByUrl(SPREADSHEET_URL), STATE_SHEET_NAME)');
+
+  assert.deepEqual(backend.list().slice(), ['manifest', 'account-1.1']);
+  assert.strictEqual(backend.get('manifest'), '{"version":2}');
+  assert.strictEqual(backend.get('queue.1'), null);
+  var sheet = script.spreadsheet(fixtures.REPORT_URL).getSheetByName(
+      'Report State');
+  assert.ok(sheet.isSheetHidden());
+});
+
+test('the drive backend saves keys as files named after the account',
+    function() {
+  var script = fixtures.loadBistro({childAccounts: childAccounts(['1'])});
+  script.eval('STATE_STORE = \'drive\'; new ReportState()');
+
+  var prefix = MANAGER_CUSTOMER_ID + '-account-state.';
+  var manifest = script.file(prefix + 'manifest.json');
+  assert.ok(manifest);
+  assert.deepEqual(JSON.parse(manifest.getBlob().getDataAsString()).entries,
+      {queue: 1, progress: 1, 'account-1': 1});
+  assert.ok(script.file(prefix + 'account-1.1.json'));
+});
+
+test('the state file of earlier versions is migrated and trashed', function() {
+  var legacyFilename = MANAGER_CUSTOMER_ID + '-account-report.json';
+  var legacyState = {
+    dateQueue: ['20261017'],
+    accounts: {
+      '1': {records: {'20261017': {Date: '2026-10-17', Cost: '5'}},
+            name: 'Client 1', currencyCode: 'BRL'},
+      // No longer under the manager account.
+      '4': {records: {}, name: 'Client 4', currencyCode: 'BRL'}
+    }
+  };
+  var script = fixtures.loadBistro({
+    childAccounts: childAccounts(['1', '2']),
+    files: [{name: legacyFilename, content: JSON.stringify(legacyState)}]
+  });
+
+  script.eval('STATE_STORE = \'memory\'; new ReportState()');
+
+  assert.strictEqual(script.file(legacyFilename), null);
+  var values = script.eval('MemoryStateBackend.values_');
+  var manifest = JSON.parse(values.manifest);
+  assert.deepEqual(manifest.entries,
+      {queue: 1, progress: 1, 'account-1': 1, 'account-2': 1});
+  assert.deepEqual(JSON.parse(values['queue.1']), ['20261017']);
+  assert.deepEqual(JSON.parse(values['account-1.1']).records,
+      legacyState.accounts['1'].records);
+  assert.deepEqual(JSON.parse(values['account-2.1']).records, {});
+
+  // Later executions load the store, not the trashed file.
+  script.eval('new ReportState()');
+  assert.strictEqual(JSON.parse(values.manifest).version, 1);
+});
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Tests of the reportTemplate module shared by relatorio.js and
+ * bistro.js, which renders the summary emails, their plain text version and
+ * their CSV attachment.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+
+var fixtures = require('./fixtures');
+
+/**
+ * Calls a function of the reportTemplate module of relatorio.js.
+ *
+ * @param {string} name The function name.
+ * @param {...*} var_args Its arguments, as JSON values.
+ * @return {*} What it returns.
+ */
+function render(name, var_args) {
+  var args = Array.prototype.slice.call(arguments, 1).map(function(arg) {
+    return JSON.stringify(arg);
+  });
+  return fixtures.loadRelatorio().eval(
+      'reportTemplate.' + name + '(' + args.join(', ') + ')');
+}
+
+test('relatorio.js and bistro.js have the same template', function() {
+  var blocks = ['relatorio.js', 'bistro.js'].map(function(script) {
+    var source = fs.readFileSync(
+        path.join(__dirname, '..', '..', script), 'utf8');
+    var start = source.indexOf('var reportTemplate = (function() {');
+    assert.notStrictEqual(start, -1, script);
+    return source.substring(start, source.indexOf('})();', start))
+        .replace(/\r\n/g, '\n');
+  });
+  assert.strictEqual(blocks[1], blocks[0]);
+});
+
+test('pages wrap their sections in order', function() {
+  assert.strictEqual(render('page', ['<p>a</p>', '<p>b</p>']),
+      '<html>\n<body>\n<p>a</p>\n<p>b</p>\n</body>\n</html>');
+});
+
+test('the header shows the title, subtitle and credit line', function() {
+  var html = render('header', 'Summary', '111-111-1111', 'Powered by X');
+
+  assert.match(html, /^<table width=800 /);
+  assert.match(html, />Powered by X<\/div>/);
+  assert.match(html, /<td width=500>\n<div [^>]*>Summary<\/div>/);
+  assert.match(html, /<td align=right>\n<div [^>]*>111-111-1111<\/div>/);
+});
+
+test('comparison tables have a heading row and the given rows', function() {
+  var html = render('comparisonTable', ['Now', 'Before'],
+      ['<tr>1</tr>', '<tr>2</tr>'], 'Metric');
+
+  var lines = html.split('\n');
+  assert.match(lines[0], /^<table /);
+  assert.match(lines[1], /^<tr bgcolor='#ddd'>$/);
+  assert.match(lines[2], />Metric<\/td>$/);
+  assert.match(lines[3], />Now<\/td>$/);
+  assert.match(lines[4], />Before<\/td>$/);
+  assert.deepStrictEqual(lines.slice(5),
+      ['</tr>', '<tr>1</tr>', '<tr>2</tr>', '</table>']);
+  assert.match(render('comparisonTable', ['Now'], []).split('\n')[2],
+      /^<td><\/td>$/);
+});
+
+test('cells show a value and its change, or nothing', function() {
+  assert.strictEqual(render('cell', null), '<td></td>');
+  assert.strictEqual(render('cell', 0),
+      '<td style=\'padding: 0px 10px\'>0</td>');
+  assert.strictEqual(render('cell', '5', ' (x)'),
+      '<td style=\'padding: 0px 10px\'>5 (x)</td>');
+  assert.strictEqual(render('row', 'Cost', ['<td>1</td>']),
+      '<tr>\n<td style=\'padding: 5px 10px\'>Cost</td>\n<td>1</td>\n</tr>');
+});
+
+test('changes are colored by sentiment', function() {
+  assert.strictEqual(render('delta', '+1%', 1),
+      '<span style=\'color: #38761d; font-size: 8pt\'> (+1%)</span>');
+  assert.strictEqual(render('delta', '-1%', -1),
+      '<span style=\'color: #cc0000; font-size: 8pt\'> (-1%)</span>');
+  assert.strictEqual(render('delta', '+0%', 0),
+      '<span style=\'font-size: 8pt\'> (+0%)</span>');
+});
+
+test('reports are rendered through the template', function() {
+  var script = fixtures.loadRelatorio({overrides: {LOCALE: 'en-US'}});
+
+  script.call('main');
+
+  var html = script.mail[0].htmlBody;
+  assert.match(html, /^<html>\n<body>\n<table width=800 /);
+  assert.match(html, /<div [^>]*>Account Summary<\/div>/);
+  assert.match(html, /<td style='padding: 5px 10px'>Cost<\/td>/);
+  assert.match(html, /<\/table>\n<\/body>\n<\/html>$/);
+});
+
+test('text tables align their columns', function() {
+  assert.strictEqual(render('textTable', [
+    ['Metric', 'Now', 'Change'],
+    ['Cost', '1,500.00', null],
+    ['Clicks', 7, '+2']
+  ]), 'Metric  Now       Change\n' +
+      'Cost    1,500.00\n' +
+      'Clicks  7         +2');
+});
+
+test('CSV quotes the values that need it', function() {
+  assert.strictEqual(render('csv', [
+    ['Metric', 'Value'],
+    ['Cost', '1,500.00'],
+    ['Say "hi"', null],
+    ['Two\nlines', 3]
+  ]), 'Metric,Value\r\n' +
+      'Cost,"1,500.00"\r\n' +
+      '"Say ""hi""",\r\n' +
+      '"Two\nlines",3\r\n');
+});
+
+test('relatorio.js emails have a text body and a CSV attachment',
+    function() {
+  var script = fixtures.loadRelatorio({overrides: {LOCALE: 'en-US'}});
+
+  script.call('main');
+
+  var message = script.mail[0];
+  var lines = message.body.split('\n');
+  assert.strictEqual(lines[0], 'Account Summary 111-111-1111');
+  assert.strictEqual(lines[2],
+      'Yesterday vs. the day before (10/18/2026 vs. 10/17/2026)');
+  assert.match(lines[3], /^Metric +Current +Previous +Change +% Change$/);
+  assert.match(lines[4], /^Cost +R\$75\.00 +R\$76\.50 +-R\$1\.50 +-1\.96%$/);
+  assert.doesNotMatch(message.body, /</);
+
+  assert.strictEqual(message.attachments.length, 1);
+  var attachment = message.attachments[0];
+  assert.strictEqual(attachment.getName(),
+      'account-summary-111-111-1111-2026-10-18.csv');
+  var rows = attachment.getDataAsString().split('\r\n');
+  assert.strictEqual(rows[0], 'Comparison,Current period,Previous period,' +
+      'Metric,Current,Previous,Change,% Change');
+  assert.strictEqual(rows[1], 'Yesterday vs. the day before,10/18/2026,' +
+      '10/17/2026,Cost,R$75.00,R$76.50,-R$1.50,-1.96%');
+});
+
+test('bistro.js emails have a text body and a CSV attachment', function() {
+  var script = fixtures.loadBistro({overrides: {LOCALE: 'en-US'}});
+
+  script.call('main');
+
+  var message = script.mail[0];
+  assert.strictEqual(message.body.split('\n')[0],
+      'Account Summary report 999-999-9999');
+  assert.match(message.body, /\nCost +R\$225\.00\n/);
+  assert.doesNotMatch(message.body, /</);
+  var attachment = message.attachments[0];
+  assert.strictEqual(attachment.getName(),
+      'account-summary-999-999-9999-2026-10-18.csv');
+  assert.strictEqual(attachment.getDataAsString().split('\r\n')[1],
+      'Cost,R$225.00,,,,,,');
+});
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Tests of the score trends of Kratu: the score history of the
+ * accounts across runs, the previous score, change and trend of each account
+ * in the report, the sharp drops highlighted and the runs kept.
+ *
+ * Run with: node --test harness/test/*.test.js
+ */
+
+var assert = require('assert');
+var test = require('node:test');
+
+var harness = require('..');
+var fixtures = require('./fixtures');
+
+var DAY = 24 * 3600 * 1000;
+
+/**
+ * @param {string=} opt_normalization Fixed by default.
+ * @return {!Array} A row of the Signals tab for the impressions of the
+ *     account, from 0 to 100, with a weight of 1.
+ */
+function impressionsSignal(opt_normalization) {
+  return ['Impressions', 'Impressions', 'Yes', 'Number', 'High', '0', 1, 0,
+      100, 'ACCOUNT_PERFORMANCE_REPORT', 'Impressions', '', 'First', '',
+      opt_normalization || ''];
+}
+
+/**
+ * @param {!Object.<string, number>} impressions The impressions of each
+ *     account by customer id, read on each run so that they can change.
+ * @return {!Array.<!Object>} Child accounts for Kratu.
+ */
+function kratuAccounts(impressions) {
+  return Object.keys(impressions).map(function(customerId) {
+    return {
+      customerId: customerId,
+      name: 'Client ' + customerId,
+      timeZone: 'America/Sao_Paulo',
+      reports: {
+        ACCOUNT_PERFORMANCE_REPORT: [{
+          get Impressions() {
+            return String(impressions[customerId]);
+          }
+        }]
+      }
+    };
+  });
+}
+
+/**
+ * Loads kratu.js with a Kratu spreadsheet holding tabs of earlier runs.
+ *
+ * @param {!Object} spreadsheet See fixtures.kratuSpreadsheet().
+ * @param {!Object.<string, number>} impressions See kratuAccounts().
+ * @return {!Object} The loaded script.
+ */
+function loadWithTabs(spreadsheet, impressions) {
+  return harness.load('kratu.js', {
+    now: fixtures.NOW,
+    overrides: {CONFIG: {SPREADSHEET_URL: fixtures.KRATU_URL}},
+    account: {customerId: '999', timeZone: 'America/Sao_Paulo'},
+    childAccounts: kratuAccounts(impressions),
+    spreadsheets: [spreadsheet]
+  });
+}
+
+/**
+ * Runs Kratu the next day, as scheduled.
+ *
+ * @param {!Object} script The script of the last run.
+ * @return {!Object} The script of the new run.
+ */
+function nextRun(script) {
+  script.advance(DAY);
+  return fixtures.runKratu(script.reload());
+}
+
+/**
+ * @param {!Object} script A script after a Kratu run.
+ * @return {!Object.<string, !Array>} The score and trend columns of each
+ *     account of the last report, by customer id.
+ */
+function trends(script) {
+  var report = fixtures.kratuReport(script);
+  var values = fixtures.plain(report.getDataRange().getValues());
+  var scoreIndex = values[3].indexOf('Score');
+  var rows = {};
+  values.slice(4).forEach(function(row) {
+    rows[row[scoreIndex + 4]] = row.slice(scoreIndex, scoreIndex + 4);
+  });
+  return rows;
+}
+
+/**
+ * @param {!Object} script A script after a Kratu run.
+ * @return {!Object.<string, string>} The background of the Change column of
+ *     each account of the last report, by customer id.
+ */
+function changeBackgrounds(script) {
+  var report = fixtures.kratuReport(script);
+  var headings = report.getRange(4, 1, 1, report.getLastColumn()).getValues();
+  var column = headings[0].indexOf('Change') + 1;
+  var backgrounds = {};
+  for (var row = 5; row <= report.getLastRow(); row++) {
+    backgrounds[report.getRange(row, column + 2).getValue()] =
+        report.getRange(row, column).getBackground();
+  }
+  return backgrounds;
+}
+
+/**
+ * @param {!Object} script
+ * @param {string} name
+ * @return {!Array.<!Array>} The values of a tab of Kratu's spreadsheet.
+ */
+function kratuTab(script, name) {
+  return fixtures.plain(script.spreadsheet(fixtures.KRATU_URL)
+      .getSheetByName(name).getDataRange().getValues());
+}
+
+test('the first run records the scores without a trend', function() {
+  var script = fixtures.runKratu(fixtures.loadKratu([impressionsSignal()], {
+    childAccounts: kratuAccounts({1: 50, 2: 20})
+  }));
+  var run = new Date(fixtures.NOW).getTime();
+
+  assert.deepStrictEqual(trends(script), {
+    1: [0.5, '', '', ''],
+    2: [0.2, '', '', '']
+  });
+  assert.deepStrictEqual(kratuTab(script, 'Score History'), [
+    ['Run Timestamp', 'Customer ID', 'Signal', 'Value'],
+    [run, 1, 'Impressions', 50],
+    [run, 1, 'Score', 0.5],
+    [run, 2, 'Impressions', 20],
+    [run, 2, 'Score', 0.2]
+  ]);
+  assert.deepStrictEqual(kratuTab(script, 'Latest Scores'), [
+    ['Customer ID', 'Run Timestamp', 'Score', 'Previous Run Timestamp',
+     'Previous Score'],
+    [1, run, 0.5, '', ''],
+    [2, run, 0.2, '', '']
+  ]);
+  var history = kratuTab(script, 'History');
+  assert.deepStrictEqual(history[0].slice(3), ['Accounts', 'Average Score']);
+  assert.deepStrictEqual(history[1].slice(3), [2, 0.35]);
+});
+
+test('the next run compares the scores with the last run', function() {
+  var impressions = {1: 50, 2: 50, 3: 50};
+  var script = fixtures.runKratu(fixtures.loadKratu([impressionsSignal()], {
+    childAccounts: kratuAccounts(impressions)
+  }));
+
+  impressions[1] = 70;
+  impressions[2] = 50.2;
+  impressions[3] = 30;
+  script = nextRun(script);
+
+  var rows = trends(script);
+  assert.deepStrictEqual(rows[1].slice(0, 2), [0.7, 0.5]);
+  assert.ok(Math.abs(rows[1][2] - 0.2) < 1e-9);
+  assert.strictEqual(rows[1][3], '↑');
+  // Changes within half a point are flat.
+  assert.strictEqual(rows[2][3], '→');
+  assert.ok(Math.abs(rows[3][2] + 0.2) < 1e-9);
+  assert.strictEqual(rows[3][3], '↓');
+
+  // Drops of more than 10 points are highlighted.
+  assert.deepStrictEqual(changeBackgrounds(script),
+      {1: '#ffffff', 2: '#ffffff', 3: '#f4cccc'});
+
+  var history = kratuTab(script, 'History');
+  assert.strictEqual(history[2][3], 3);
+  assert.ok(Math.abs(history[2][4] - 1.502 / 3) < 1e-9);
+  var latest = kratuTab(script, 'Latest Scores');
+  assert.deepStrictEqual(latest[3],
+      [3, history[2][0], 0.3, history[1][0], 0.5]);
+  assert.strictEqual(kratuTab(script, 'Score History').length, 13);
+});
+
+test('ScoreDropThreshold and colors set the drops highlighted', function() {
+  var impressions = {1: 50, 2: 50};
+  var script = fixtures.loadKratu([impressionsSignal()], {
+    childAccounts: kratuAccounts(impressions),
+    settings: [
+      ['ScoreDropThreshold', 'Number', 0],
+      ['ScoreDropBgColor', 'Color', '']
+    ]
+  });
+  // Color settings are the backgrounds of their cells.
+  var settings = script.spreadsheet(fixtures.KRATU_URL)
+      .getSheetByName('Settings');
+  settings.getRange(settings.getLastRow(), 3).setBackground('#ffe599');
+  script = fixtures.runKratu(script);
+
+  impressions[1] = 49;
+  impressions[2] = 51;
+  script = nextRun(script);
+
+  assert.deepStrictEqual(changeBackgrounds(script),
+      {1: '#ffe599', 2: '#ffffff'});
+});
+
+test('accounts without an earlier score have no trend', function() {
+  var spreadsheet = fixtures.kratuSpreadsheet([impressionsSignal()]);
+  var earlierRun = new Date(fixtures.NOW).getTime() - 7 * DAY;
+  spreadsheet.sheets['Latest Scores'] = [
+    ['Customer ID', 'Run Timestamp', 'Score', 'Previous Run Timestamp',
+     'Previous Score'],
+    ['1', earlierRun, 0.4, '', '']
+  ];
+  var script = fixtures.runKratu(loadWithTabs(spreadsheet, {1: 50, 2: 50}));
+
+  var rows = trends(script);
+  assert.deepStrictEqual(rows[1].slice(0, 2), [0.5, 0.4]);
+  assert.strictEqual(rows[1][3], '↑');
+  assert.deepStrictEqual(rows[2], [0.5, '', '', '']);
+});
+
+test('calibrated scores are compared once all accounts are scored',
+    function() {
+  var impressions = {1: 10, 2: 20, 3: 30};
+  var script = fixtures.runKratu(fixtures.loadKratu(
+      [impressionsSignal('Rank')],
+      {childAccounts: kratuAccounts(impressions)}));
+
+  impressions[1] = 40;
+  script = nextRun(script);
+
+  assert.deepStrictEqual(trends(script), {
+    1: [1, 0, 1, '↑'],
+    2: [0, 0.5, -0.5, '↓'],
+    3: [0.5, 1, -0.5, '↓']
+  });
+});
+
+test('the score history keeps the last 52 runs', function() {
+  var spreadsheet = fixtures.kratuSpreadsheet([impressionsSignal()]);
+  var now = new Date(fixtures.NOW).getTime();
+  var history = [['Run Timestamp', 'Customer ID', 'Signal', 'Value']];
+  for (var i = 52; i > 0; i--) {
+    history.push([now - i * 7 * DAY, '1', 'Score', 0.5]);
+  }
+  spreadsheet.sheets['Score History'] = history;
+  var script = fixtures.runKratu(loadWithTabs(spreadsheet, {1: 50}));
+
+  var rows = kratuTab(script, 'Score History');
+  assert.strictEqual(rows.length, 1 + 51 + 2);
+  assert.strictEqual(rows[1][0], now - 51 * 7 * DAY);
+  assert.deepStrictEqual(rows[rows.length - 1], [now, 1, 'Score', 0.5]);
+});
@@ -39,6 +39,17 @@ var CONFIG = {
   SPREADSHEET_URL: 'YOUR_SPREADSHEET_URL'
 };
 
+/**
+ * Where to send the report. The 'email' channel sends to the RecipientEmail
+ * setting. Add entries to also post the report as JSON, e.g.
+ *   {type: 'webhook', url: 'https://example.com/adwords-report'}
+ *   {type: 'chat', format: 'slack', url: 'https://hooks.slack.com/...'}
+ * Chat formats are 'slack', 'googleChat' and 'teams'.
+ */
+var NOTIFICATION_CHANNELS = [
+  {type: 'email'}
+];
+
 /**
  * Configuration to be used for running reports.
  */
@@ -98,7 +109,14 @@ function continueUnfinishedReport() {
 
   writeAccountDataToSpreadsheet();
 
-  if (processed > 0 && spreadsheetManager.allAccountsProcessed()) {
+  // Also completes a run whose last execution stopped after processing the
+  // last accounts.
+  if (spreadsheetManager.allAccountsProcessed()) {
+    if (spreadsheetManager.hasAutoNormalization()) {
+      rescoreReport();
+    }
+    spreadsheetManager.recordScoreHistory(spreadsheetManager.readDataRows());
+
     debug('All accounts processed, marking report as complete');
 
     // Remove protection from sheets, allow changes again
@@ -174,17 +192,47 @@ function writeAccountDataToSpreadsheet() {
 }
 
 /**
- * Sends email if an email was provided in the settings.
- * Otherwise does nothing.
+ * Scores all accounts of the report again once they are processed, with the
+ * signals with automatic normalization calibrated on the values of all
+ * accounts. Rewrites the report ordered by the new scores and records the
+ * calibration.
+ */
+function rescoreReport() {
+  var accountInfos = spreadsheetManager.readDataRows();
+  var calibrations = signalManager.calibrate(accountInfos);
+
+  for (var i = 0; i < accountInfos.length; i++) {
+    signalManager.scoreSignals(accountInfos[i], calibrations);
+  }
+  accountInfos.sort(function(a, b) {
+    return b.score - a.score;
+  });
+
+  spreadsheetManager.writeDataRows(accountInfos);
+  spreadsheetManager.writeCalibrations(calibrations);
+
+  debug('Scored ' + accountInfos.length + ' accounts with calibrated ' +
+      'normalization');
+}
+
+/**
+ * Sends the link to the finished report through the configured notification
+ * channels. The email channel is only used if an email was provided in the
+ * settings.
  */
 var sendEmail = function() {
   var recipientEmail = settingsManager.getSetting('RecipientEmail', false);
-
-  if (recipientEmail) {
-    MailApp.sendEmail(recipientEmail,
-      'Kratu Report is ready',
-      spreadsheetManager.getCurrentRunSheet().getUrl());
-    debug('Email sent to ' + recipientEmail);
+  var url = spreadsheetManager.getCurrentRunSheet().getUrl();
+
+  if (notifier.hasRecipients(recipientEmail)) {
+    notifier.send({
+      recipient: recipientEmail,
+      subject: 'Kratu Report is ready',
+      text: url,
+      html: '<a href="' + url + '">' + url + '</a>',
+      data: {url: url}
+    });
+    debug('Report sent to ' + (recipientEmail || 'notification channels'));
   }
 };
 
@@ -208,6 +256,32 @@ function getTimestamp() {
   return new Date().getTime();
 }
 
+/**
+ * Tells whether a signal has a numeric value that is normalized and weighted
+ * into the score: a report column of type "Number", a "Formula" over other
+ * signals or a "Selector" count of entities.
+ *
+ * @param {object} signalDefinition definition of the signal
+ * @return {boolean} true for Number, Formula and Selector signals
+ */
+function isNumberSignal(signalDefinition) {
+  return signalDefinition.type == 'Number' ||
+      signalDefinition.type == 'Formula' ||
+      signalDefinition.type == 'Selector';
+}
+
+/**
+ * Tells whether a signal is normalized against the values of all accounts of
+ * the report (Auto, ZScore or Rank) rather than its fixed min and max.
+ *
+ * @param {object} signalDefinition definition of the signal
+ * @return {boolean} true for numeric signals without Fixed normalization
+ */
+function isAutoNormalized(signalDefinition) {
+  return isNumberSignal(signalDefinition) &&
+      signalDefinition.normalization != 'Fixed';
+}
+
 /**
  * Module for calculating account signals and infos to be shown in the report.
  *
@@ -217,6 +291,12 @@ function getTimestamp() {
 var signalManager = (function() {
   var accountInfos = new Array();
 
+  // Defaults for the AutoLowerPercentile and AutoUpperPercentile settings:
+  // the percentiles of all accounts' values that Auto normalization maps to
+  // 0 and 1.
+  var DEFAULT_AUTO_LOWER_PERCENTILE = 5;
+  var DEFAULT_AUTO_UPPER_PERCENTILE = 95;
+
   /**
    * Processes one account, which in 2 steps adds an accountInfo object
    * to the list.
@@ -230,6 +310,7 @@ var signalManager = (function() {
 
     var accountInfo = {
       account: account,
+      customerId: account.getCustomerId(),
       rawSignals: rawSignals
     };
 
@@ -254,33 +335,159 @@ var signalManager = (function() {
 
   /**
    * Normalizes a raw signal value based in the signal's definition
-   * (min, max values).
+   * (min, max values), or on the calibration of its automatic normalization.
    *
    * @param {object} signalDefinition definition of the signal
    * @param {number} value numeric value of that signal
+   * @param {object} calibration the calibration of the signal across all
+   *                 accounts, for signals without Fixed normalization
    * @return {number} the normalized value
    */
-  var normalize = function(signalDefinition, value) {
-    var min = signalDefinition.min;
-    var max = signalDefinition.max;
+  var normalize = function(signalDefinition, value, calibration) {
+    if (signalDefinition.direction != 'High' &&
+        signalDefinition.direction != 'Low') {
+      return value;
+    }
+
+    var position;
+    if (signalDefinition.normalization == 'ZScore') {
+      position = calibration.deviation ?
+          normalDistribution((value - calibration.mean) /
+              calibration.deviation) : 0.5;
+    } else if (signalDefinition.normalization == 'Rank') {
+      position = getRank(calibration.values, value);
+    } else {
+      var auto = signalDefinition.normalization == 'Auto';
+      var min = auto ? calibration.lower : signalDefinition.min;
+      var max = auto ? calibration.upper : signalDefinition.max;
+
+      if (value >= max) {
+        position = 1;
+      } else if (value <= min) {
+        position = 0;
+      } else {
+        position = (value - min) / (max - min);
+      }
+    }
+
+    return signalDefinition.direction == 'High' ? position : 1 - position;
+  };
+
+  /**
+   * Returns the standard normal cumulative distribution of a z-score, using
+   * the approximation of the error function by Abramowitz and Stegun
+   * (7.1.26).
+   *
+   * @param {number} z the z-score
+   * @return {number} the share of a normal distribution below z, from 0 to 1
+   */
+  var normalDistribution = function(z) {
+    var x = Math.abs(z) / Math.SQRT2;
+    var t = 1 / (1 + 0.3275911 * x);
+    var erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+        t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  };
 
-    if (signalDefinition.direction == 'High') {
-      if (value >= max)
-        return 1;
-      if (value <= min)
-        return 0;
+  /**
+   * Returns the rank of a value among others as a fraction, from 0 for the
+   * lowest to 1 for the highest. Equal values share the same rank.
+   *
+   * @param {object} values sorted array of the values of all accounts
+   * @param {number} value the value to rank
+   * @return {number} the rank
+   */
+  var getRank = function(values, value) {
+    if (values.length < 2) {
+      return 0.5;
+    }
+    var below = 0;
+    var equal = 0;
+    for (var i = 0; i < values.length; i++) {
+      if (values[i] < value) {
+        below++;
+      } else if (values[i] == value) {
+        equal++;
+      }
+    }
+    return (below + Math.max(equal - 1, 0) / 2) / (values.length - 1);
+  };
 
-      return (value - min) / (max - min);
-    } else if (signalDefinition.direction == 'Low') {
-      if (value >= max)
-        return 0;
-      if (value <= min)
-        return 1;
+  /**
+   * Returns a percentile of sorted values, interpolating between them.
+   *
+   * @param {object} values sorted array of numbers, not empty
+   * @param {number} percentile the percentile, from 0 to 100
+   * @return {number} the value at the percentile
+   */
+  var getPercentile = function(values, percentile) {
+    var position = (values.length - 1) * percentile / 100;
+    var index = Math.floor(position);
+    if (index + 1 >= values.length) {
+      return values[values.length - 1];
+    }
+    return values[index] +
+        (values[index + 1] - values[index]) * (position - index);
+  };
 
-      return 1 - ((value - min) / (max - min));
-    } else {
-      return value;
+  /**
+   * Calibrates the signals with automatic normalization on the values of all
+   * accounts of the report: their P5 and P95 (see the AutoLowerPercentile and
+   * AutoUpperPercentile settings) for Auto, their mean and standard deviation
+   * for ZScore and all values for Rank.
+   *
+   * @param {object} accountInfos array of the accountInfo objects of all
+   *                 accounts, with their raw signals
+   * @return {object} the calibrations by signal name, see normalize()
+   */
+  var calibrate = function(accountInfos) {
+    var signalDefinitions = spreadsheetManager.getSignalDefinitions();
+    var lowerPercentile = settingsManager.getSetting('AutoLowerPercentile',
+        false, DEFAULT_AUTO_LOWER_PERCENTILE);
+    var upperPercentile = settingsManager.getSetting('AutoUpperPercentile',
+        false, DEFAULT_AUTO_UPPER_PERCENTILE);
+    var calibrations = {};
+
+    for (var i = 0; i < signalDefinitions.length; i++) {
+      var signalDefinition = signalDefinitions[i];
+      if (!isAutoNormalized(signalDefinition)) {
+        continue;
+      }
+
+      var values = [];
+      var sum = 0;
+      for (var j = 0; j < accountInfos.length; j++) {
+        var value = accountInfos[j].rawSignals[signalDefinition.name];
+        if (value !== null && value !== '' && !isNaN(value)) {
+          values.push(Number(value));
+          sum += Number(value);
+        }
+      }
+      if (!values.length) {
+        continue;
+      }
+      values.sort(function(a, b) {
+        return a - b;
+      });
+
+      var mean = sum / values.length;
+      var squares = 0;
+      for (var j = 0; j < values.length; j++) {
+        squares += (values[j] - mean) * (values[j] - mean);
+      }
+
+      calibrations[signalDefinition.name] = {
+        lowerPercentile: lowerPercentile,
+        upperPercentile: upperPercentile,
+        lower: getPercentile(values, lowerPercentile),
+        upper: getPercentile(values, upperPercentile),
+        mean: mean,
+        deviation: Math.sqrt(squares / values.length),
+        values: values
+      };
     }
+
+    return calibrations;
   };
 
   /**
@@ -290,9 +497,25 @@ var signalManager = (function() {
    *                 (including raw signals)
    */
   var processSignals = function(accountInfo) {
+    calculateFormulaSignals(accountInfo);
+    scoreSignals(accountInfo, null);
+  };
+
+  /**
+   * Normalizes the signals of an account and calculates its score. Until the
+   * signals with automatic normalization are calibrated, they are not
+   * normalized and the score is left blank (null).
+   *
+   * @param {object} accountInfo the object storing all info about that account
+   *                 (including raw signals)
+   * @param {object} calibrations the calibrations by signal name, see
+   *                 calibrate(), or null before all accounts are processed
+   */
+  var scoreSignals = function(accountInfo, calibrations) {
     var signalDefinitions = spreadsheetManager.getSignalDefinitions();
     var sumWeights = spreadsheetManager.getSumWeights();
     var sumScore = 0;
+    var calibrated = true;
 
     accountInfo.signals = {};
 
@@ -307,8 +530,19 @@ var signalManager = (function() {
           displayValue: value
         };
 
-        if (signalDefinition.type == 'Number') {
-          var normalizedValue = normalize(signalDefinition, value);
+        if (!isNumberSignal(signalDefinition)) {
+          continue;
+        }
+        if (isAutoNormalized(signalDefinition) && !calibrations) {
+          calibrated = false;
+        } else if (value === null || (isAutoNormalized(signalDefinition) &&
+            !calibrations[signalDefinition.name])) {
+          // A formula without a value, or a signal no account has a value to
+          // calibrate on, leaves the score to the other signals.
+          sumWeights -= signalDefinition.weight;
+        } else {
+          var normalizedValue = normalize(signalDefinition, value,
+              calibrations && calibrations[signalDefinition.name]);
           var signalScore = normalizedValue * signalDefinition.weight;
           sumScore += signalScore;
 
@@ -321,58 +555,549 @@ var signalManager = (function() {
 
     accountInfo.scoreSum = sumScore;
     accountInfo.scoreWeights = sumWeights;
-    accountInfo.score = sumScore / sumWeights;
+    accountInfo.score = !calibrated ? null :
+        sumWeights ? sumScore / sumWeights : 0;
+  };
+
+  /**
+   * Adds the values of the Formula signals to the raw signals, in the order
+   * of their dependencies. A formula that cannot be calculated for the
+   * account, e.g. because it divides by zero, is left blank (null).
+   *
+   * @param {object} accountInfo the object storing all info about that account
+   *                 (including raw signals)
+   */
+  var calculateFormulaSignals = function(accountInfo) {
+    var rawSignals = accountInfo.rawSignals;
+    var formulaDefinitions = spreadsheetManager.getFormulaDefinitions();
+
+    var getValue = function(name) {
+      var value = rawSignals[name];
+      if (value === null) {
+        throw new Error(name + ' has no value');
+      }
+      var number = parseNumber(value);
+      if (isNaN(number)) {
+        throw new Error(name + ' is not a number: ' + value);
+      }
+      return number;
+    };
+
+    for (var i = 0; i < formulaDefinitions.length; i++) {
+      var signalDefinition = formulaDefinitions[i];
+      try {
+        rawSignals[signalDefinition.name] =
+            formulaParser.evaluate(signalDefinition.formula, getValue);
+      } catch (e) {
+        debug('- Leaving ' + signalDefinition.name + ' blank for ' +
+            accountInfo.account.getCustomerId() + ': ' + e.message);
+        rawSignals[signalDefinition.name] = null;
+      }
+    }
   };
 
   /**
-   * Calculate the raw signals.
+   * Calculate the raw signals. Signals with the same report and conditions
+   * share a query; Selector signals count entities instead. Formula signals
+   * are calculated later, see processSignals().
    *
    * @param {object} account the AdWords account object
    * @return {object} an associative array containing raw signals
    *                  (as name -> value pairs)
    */
   var calculateRawSignals = function(account) {
-    // Use reports for signal creation, dynamically create an AWQL query here
     var signalDefinitions = spreadsheetManager.getSignalDefinitions();
+    var queries = getSignalQueries(signalDefinitions);
+    var period = settingsManager.getSetting('ReportPeriod', true);
+
+    var rowsByQuery = {};
+    for (var key in queries) {
+      rowsByQuery[key] = runQuery(queries[key], period);
+    }
 
-    var signalFields = [];
+    var rawSignals = {};
     for (var i = 0; i < signalDefinitions.length; i++) {
       var signalDefinition = signalDefinitions[i];
-      signalFields.push(signalDefinition.name);
+      if (signalDefinition.type == 'Selector') {
+        rawSignals[signalDefinition.name] =
+            countEntities(signalDefinition, period);
+      } else if (isReportSignal(signalDefinition)) {
+        rawSignals[signalDefinition.name] = aggregate(signalDefinition,
+            rowsByQuery[getQueryKey(signalDefinition.report,
+                signalDefinition.conditions)],
+            rowsByQuery[getQueryKey(signalDefinition.report, '')]);
+      }
     }
 
-    var query = 'SELECT ' + signalFields.join(',') +
-                ' FROM ACCOUNT_PERFORMANCE_REPORT DURING ' +
-                settingsManager.getSetting('ReportPeriod', true);
+    return rawSignals;
+  };
+
+  /**
+   * Groups the columns of the signals into as few report queries as
+   * possible: one per report and conditions.
+   *
+   * @param {object} signalDefinitions array of signal definitions
+   * @return {object} the queries (report, conditions and columns) by key,
+   *                  see getQueryKey()
+   */
+  var getSignalQueries = function(signalDefinitions) {
+    var queries = {};
+    var addColumn = function(report, conditions, column) {
+      var key = getQueryKey(report, conditions);
+      if (!queries[key]) {
+        queries[key] = {report: report, conditions: conditions, columns: []};
+      }
+      if (queries[key].columns.indexOf(column) == -1) {
+        queries[key].columns.push(column);
+      }
+    };
+
+    for (var i = 0; i < signalDefinitions.length; i++) {
+      var signalDefinition = signalDefinitions[i];
+      if (!isReportSignal(signalDefinition)) {
+        continue;
+      }
+      if (!AGGREGATIONS[signalDefinition.aggregation]) {
+        throw new Error('Unknown aggregation \'' +
+            signalDefinition.aggregation + '\' of the signal ' +
+            signalDefinition.name + '. Use ' +
+            Object.keys(AGGREGATIONS).join(', ') + '.');
+      }
+      addColumn(signalDefinition.report, signalDefinition.conditions,
+          signalDefinition.column);
+      // Shares are divided by the total of all rows of the report.
+      if (signalDefinition.aggregation == 'Share') {
+        addColumn(signalDefinition.report, '', signalDefinition.column);
+      }
+    }
+
+    return queries;
+  };
 
-    var report = AdWordsApp.report(query, REPORTING_OPTIONS);
+  /**
+   * @param {object} signalDefinition definition of the signal
+   * @return {boolean} true if the signal is read from a report, i.e. it is
+   *                   neither a Formula nor a Selector signal
+   */
+  var isReportSignal = function(signalDefinition) {
+    return signalDefinition.type != 'Formula' &&
+        signalDefinition.type != 'Selector';
+  };
+
+  /**
+   * Counts the entities of a Selector signal in the account currently
+   * selected, e.g. the keywords with "QualityScore < 4". If the signal names
+   * child entities, only the entities without any are counted, e.g. the
+   * enabled campaigns without "ads WHERE Status = ENABLED". This selects the
+   * children of every entity one by one, which takes time and counts against
+   * the execution limits of the script: name children only of entities few
+   * enough per account, such as campaigns or ad groups, not of keywords.
+   *
+   * @param {object} signalDefinition definition of the signal
+   * @param {string} period the report period, used for conditions on stats
+   * @return {number} the number of entities
+   */
+  var countEntities = function(signalDefinition, period) {
+    var selector = getSelector(AdWordsApp, signalDefinition.entities);
+    if (selector.forDateRange) {
+      selector.forDateRange.apply(selector, period.split(','));
+    }
+    var iterator = selector.get();
+    if (!signalDefinition.without) {
+      return iterator.totalNumEntities();
+    }
+
+    var count = 0;
+    while (iterator.hasNext()) {
+      var entity = iterator.next();
+      if (!getSelector(entity, signalDefinition.without).get().hasNext()) {
+        count++;
+      }
+    }
+    return count;
+  };
+
+  /**
+   * Builds an entity selector from a description such as "campaigns" or
+   * "ads WHERE Status = ENABLED AND Type = EXPANDED_TEXT_AD". Dotted paths
+   * such as "extensions.sitelinks" call one method after the other. The
+   * WHERE and AND keywords are uppercase, as in AWQL, and are not looked for
+   * in quoted values such as "Name CONTAINS 'Sales and Offers'".
+   *
+   * @param {object} parent AdWordsApp, or the entity whose children to select
+   * @param {string} description the selector methods and optional conditions
+   * @return {object} the selector
+   */
+  var getSelector = function(parent, description) {
+    var parts = splitAtKeyword(description, 'WHERE');
+    if (parts.length > 2) {
+      throw new Error('Entity selector \'' + description + '\' has more ' +
+          'than one WHERE. Join its conditions with AND.');
+    }
+    var selector = parent;
+    var methods = parts[0].trim().split('.');
+    for (var i = 0; i < methods.length; i++) {
+      if (typeof selector[methods[i]] != 'function') {
+        throw new Error('Unknown entity selector \'' + parts[0].trim() +
+            '\'. Use e.g. campaigns, adGroups, ads or keywords.');
+      }
+      selector = selector[methods[i]]();
+    }
+    var conditions = parts[1] ? splitAtKeyword(parts[1], 'AND') : [];
+    for (var j = 0; j < conditions.length; j++) {
+      selector = selector.withCondition(conditions[j]);
+    }
+    return selector;
+  };
+
+  /**
+   * Splits a text at a keyword surrounded by spaces, except within single or
+   * double quotes.
+   *
+   * @param {string} text the text to split
+   * @param {string} keyword the keyword, matched case-sensitively
+   * @return {object} array of the trimmed parts
+   */
+  var splitAtKeyword = function(text, keyword) {
+    var parts = [];
+    var start = 0;
+    var quote = null;
+    var separator = new RegExp('^\\s+' + keyword + '\\s+');
+    for (var i = 0; i < text.length; i++) {
+      var character = text.charAt(i);
+      if (quote) {
+        if (character == quote) {
+          quote = null;
+        }
+      } else if (character == '\'' || character == '"') {
+        quote = character;
+      } else if (/\s/.test(character)) {
+        var match = separator.exec(text.substring(i));
+        if (match) {
+          parts.push(text.substring(start, i).trim());
+          start = i + match[0].length;
+          i = start - 1;
+        }
+      }
+    }
+    parts.push(text.substring(start).trim());
+    return parts;
+  };
+
+  /**
+   * @param {string} report the report type
+   * @param {string} conditions the AWQL conditions, or '' for none
+   * @return {string} the key of the query of a report and conditions
+   */
+  var getQueryKey = function(report, conditions) {
+    return report + (conditions ? ' WHERE ' + conditions : '');
+  };
+
+  /**
+   * Runs a report query for the account currently selected.
+   *
+   * @param {object} query the report, conditions and columns to select
+   * @param {string} period the AWQL DURING clause
+   * @return {object} array of the report rows
+   */
+  var runQuery = function(query, period) {
+    var report = AdWordsApp.report('SELECT ' + query.columns.join(',') +
+        ' FROM ' + getQueryKey(query.report, query.conditions) +
+        ' DURING ' + period, REPORTING_OPTIONS);
     var rows = report.rows();
 
-    // analyze the rows (should be only one)
-    var rawSignals = {};
+    var result = [];
     while (rows.hasNext()) {
-      var row = rows.next();
+      result.push(rows.next());
+    }
+    return result;
+  };
 
-      for (var i = 0; i < signalDefinitions.length; i++) {
-        var signalDefinition = signalDefinitions[i];
+  /**
+   * Parses a report value as a number. Percentages are returned as
+   * fractions, e.g. '12.5%' as 0.125.
+   *
+   * @param {string} value the report value, e.g. '1,234.56' or '< 10%'
+   * @return {number} the number, or NaN for values such as ' --'
+   */
+  var parseNumber = function(value) {
+    var text = String(value);
+    var number = parseFloat(text.replace(/[^\d.\-]/g, ''));
+    return text.indexOf('%') > -1 ? number / 100 : number;
+  };
 
-        var value = row[signalDefinition.name];
-        if (value.indexOf('%') > -1) {
-          value = parseFloat(value) / 100.0;
-        }
+  /**
+   * Adds up the column of a signal over report rows, leaving out values that
+   * are not numbers.
+   *
+   * @param {object} signalDefinition definition of the signal
+   * @param {object} rows array of report rows
+   * @return {object} the sum and the number of values added
+   */
+  var sumColumn = function(signalDefinition, rows) {
+    var sum = 0;
+    var count = 0;
+    for (var i = 0; i < rows.length; i++) {
+      var value = parseNumber(rows[i][signalDefinition.column]);
+      if (!isNaN(value)) {
+        sum += value;
+        count++;
+      }
+    }
+    return {sum: sum, count: count};
+  };
 
-        rawSignals[signalDefinition.name] = value;
+  /**
+   * How a signal's value is calculated from the rows of its report:
+   * - First: the value of the first row, e.g. for ACCOUNT_PERFORMANCE_REPORT,
+   *   which has a single row, or null if there are no rows. Numeric signals
+   *   take it as a number, or null for values such as ' --'
+   * - Sum, Average, Min, Max: of the column over all rows
+   * - Count: the number of rows
+   * - Share: the sum of the column over the rows matching the conditions,
+   *   as a fraction of the sum over all rows of the report
+   * Each takes the signal definition, the rows of its report and conditions,
+   * and all rows of its report.
+   */
+  var AGGREGATIONS = {
+    First: function(signalDefinition, rows) {
+      if (!rows.length) {
+        return null;
+      }
+      var value = rows[0][signalDefinition.column];
+      if (!isNumberSignal(signalDefinition)) {
+        return value;
       }
+      var number = parseNumber(value);
+      return isNaN(number) ? null : number;
+    },
+    Sum: function(signalDefinition, rows) {
+      return sumColumn(signalDefinition, rows).sum;
+    },
+    Average: function(signalDefinition, rows) {
+      var total = sumColumn(signalDefinition, rows);
+      return total.count ? total.sum / total.count : 0;
+    },
+    Min: function(signalDefinition, rows) {
+      return extremeValue(signalDefinition, rows, Math.min);
+    },
+    Max: function(signalDefinition, rows) {
+      return extremeValue(signalDefinition, rows, Math.max);
+    },
+    Count: function(signalDefinition, rows) {
+      return rows.length;
+    },
+    Share: function(signalDefinition, rows, allRows) {
+      var total = sumColumn(signalDefinition, allRows).sum;
+      return total ? sumColumn(signalDefinition, rows).sum / total : 0;
+    }
+  };
 
+  /**
+   * @param {object} signalDefinition definition of the signal
+   * @param {object} rows array of report rows
+   * @param {function} pick Math.min or Math.max
+   * @return {number} the least or greatest number in the column, or 0 if
+   *                  there is none
+   */
+  var extremeValue = function(signalDefinition, rows, pick) {
+    var values = [];
+    for (var i = 0; i < rows.length; i++) {
+      var value = parseNumber(rows[i][signalDefinition.column]);
+      if (!isNaN(value)) {
+        values.push(value);
+      }
     }
+    return values.length ? pick.apply(null, values) : 0;
+  };
 
-    return rawSignals;
+  /**
+   * Calculates the raw value of a signal, see AGGREGATIONS.
+   *
+   * @param {object} signalDefinition definition of the signal
+   * @param {object} rows array of the rows of its report and conditions
+   * @param {object} allRows array of all rows of its report, if needed
+   * @return {object} the raw value
+   */
+  var aggregate = function(signalDefinition, rows, allRows) {
+    return AGGREGATIONS[signalDefinition.aggregation](signalDefinition, rows,
+        allRows);
   };
 
   // Return the external interface.
   return {
     processAccount: processAccount,
-    getAccountInfos: getAccountInfos
+    getAccountInfos: getAccountInfos,
+    calibrate: calibrate,
+    scoreSignals: scoreSignals
+  };
+
+})();
+
+/**
+ * Module for the expressions of Formula signals, e.g. "Cost / Conversions".
+ * Expressions combine signal names and numbers with +, -, *, / and
+ * parentheses. They are parsed into a tree and evaluated without eval().
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var formulaParser = (function() {
+  var TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|([A-Za-z_]\w*)|(\S))/g;
+
+  /**
+   * Parses an expression.
+   *
+   * @param {string} text the expression
+   * @return {object} the expression tree, made of number, name, negate and
+   *                  binary (operator, left, right) nodes
+   */
+  var parse = function(text) {
+    var tokens = tokenize(text);
+    var position = 0;
+
+    var fail = function(message) {
+      throw new Error('Invalid formula "' + text + '": ' + message);
+    };
+
+    var peek = function() {
+      return tokens[position];
+    };
+
+    var parseSum = function() {
+      var node = parseProduct();
+      while (peek() && (peek().symbol == '+' || peek().symbol == '-')) {
+        node = {type: 'binary', operator: tokens[position++].symbol,
+                left: node, right: parseProduct()};
+      }
+      return node;
+    };
+
+    var parseProduct = function() {
+      var node = parseFactor();
+      while (peek() && (peek().symbol == '*' || peek().symbol == '/')) {
+        node = {type: 'binary', operator: tokens[position++].symbol,
+                left: node, right: parseFactor()};
+      }
+      return node;
+    };
+
+    var parseFactor = function() {
+      var token = tokens[position++];
+      if (!token) {
+        fail('unexpected end');
+      }
+      if (token.symbol == '-') {
+        return {type: 'negate', operand: parseFactor()};
+      }
+      if (token.symbol == '(') {
+        var node = parseSum();
+        if (!peek() || peek().symbol != ')') {
+          fail('missing )');
+        }
+        position++;
+        return node;
+      }
+      if (token.number !== undefined) {
+        return {type: 'number', value: token.number};
+      }
+      if (token.name) {
+        return {type: 'name', name: token.name};
+      }
+      fail('unexpected "' + token.symbol + '"');
+    };
+
+    if (!tokens.length) {
+      fail('empty');
+    }
+    var tree = parseSum();
+    if (position < tokens.length) {
+      fail('unexpected "' + (tokens[position].symbol ||
+          tokens[position].name || tokens[position].number) + '"');
+    }
+    return tree;
+  };
+
+  /**
+   * Splits an expression into number, name and symbol tokens.
+   *
+   * @param {string} text the expression
+   * @return {object} array of tokens
+   */
+  var tokenize = function(text) {
+    var tokens = [];
+    var match;
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(text))) {
+      if (match[1]) {
+        tokens.push({number: parseFloat(match[1])});
+      } else if (match[2]) {
+        tokens.push({name: match[2]});
+      } else {
+        tokens.push({symbol: match[3]});
+      }
+    }
+    return tokens;
+  };
+
+  /**
+   * Returns the names of the signals an expression uses.
+   *
+   * @param {object} tree the expression tree, see parse()
+   * @return {object} array of signal names
+   */
+  var getNames = function(tree) {
+    switch (tree.type) {
+      case 'name':
+        return [tree.name];
+      case 'negate':
+        return getNames(tree.operand);
+      case 'binary':
+        return getNames(tree.left).concat(getNames(tree.right));
+      default:
+        return [];
+    }
+  };
+
+  /**
+   * Calculates the value of an expression. Throws an error on division by
+   * zero.
+   *
+   * @param {object} tree the expression tree, see parse()
+   * @param {function} getValue returns the value of a signal by name
+   * @return {number} the value
+   */
+  var evaluate = function(tree, getValue) {
+    switch (tree.type) {
+      case 'number':
+        return tree.value;
+      case 'name':
+        return getValue(tree.name);
+      case 'negate':
+        return -evaluate(tree.operand, getValue);
+    }
+    var left = evaluate(tree.left, getValue);
+    var right = evaluate(tree.right, getValue);
+    switch (tree.operator) {
+      case '+':
+        return left + right;
+      case '-':
+        return left - right;
+      case '*':
+        return left * right;
+      case '/':
+        if (right == 0) {
+          throw new Error('division by zero');
+        }
+        return left / right;
+    }
+  };
+
+  // Return the external interface.
+  return {
+    parse: parse,
+    getNames: getNames,
+    evaluate: evaluate
   };
 
 })();
@@ -399,8 +1124,42 @@ var spreadsheetManager = (function() {
   var templateTab = spreadsheet.getSheetByName('Template');
   var processedAccounts = 0;
   var signalDefinitions;
+  var formulaDefinitions;
   var sumWeights;
 
+  // The row of the Report tab below the template and the header row.
+  var FIRST_DATA_ROW = 5;
+
+  // The tab of the general spreadsheet holding the score and signal values
+  // of every account in the last runs, one value per row.
+  var SCORE_HISTORY_TAB = 'Score History';
+
+  // The number of runs kept in the score history, older runs are removed.
+  var MAX_SCORE_HISTORY_RUNS = 52;
+
+  // The tab of the general spreadsheet holding the last two scores of each
+  // account, one row per account, for the trend columns.
+  var LATEST_SCORES_TAB = 'Latest Scores';
+
+  // Score changes smaller than this show as a flat trend.
+  var TREND_TOLERANCE = 0.005;
+
+  // Default for the ScoreDropThreshold setting: accounts whose score dropped
+  // by more than this since the last run are highlighted.
+  var DEFAULT_SCORE_DROP_THRESHOLD = 0.1;
+
+  // Font and background colors of sharp drops, unless set by the
+  // ScoreDropFgColor and ScoreDropBgColor settings.
+  var DEFAULT_SCORE_DROP_COLORS = ['#990000', '#f4cccc'];
+
+  // The columns following the score in the Report tab.
+  var TREND_HEADINGS = ['Previous Score', 'Change', 'Trend', 'Customer ID'];
+  var previousScores = null;
+
+  // How signals are normalized: with their min and max (Fixed), or against
+  // all accounts of the report with percentiles (Auto), z-scores or ranks.
+  var NORMALIZATIONS = ['Fixed', 'Auto', 'ZScore', 'Rank'];
+
   /**
    * Adds protection and notes to all sheets that should not be
    * changed while a report is being processed.
@@ -471,7 +1230,7 @@ var spreadsheetManager = (function() {
   var readSignalDefinitions = function() {
     signalDefinitions = new Array();
 
-    var range = signalsTab.getRange(2, 1, signalsTab.getLastRow(), 9);
+    var range = signalsTab.getRange(2, 1, signalsTab.getLastRow(), 15);
     var values = range.getValues();
     for (var i = 0; i < range.getNumRows(); i++) {
       if (values[i][0] == '')
@@ -486,12 +1245,36 @@ var spreadsheetManager = (function() {
         format: values[i][5],
         weight: values[i][6],
         min: values[i][7],
-        max: values[i][8]
+        max: values[i][8],
+        // Where the signal comes from; by default, the column of the
+        // account report with the signal's name.
+        report: values[i][9] || 'ACCOUNT_PERFORMANCE_REPORT',
+        column: values[i][10] || values[i][0],
+        conditions: String(values[i][11]).trim(),
+        aggregation: values[i][12] || 'First',
+        normalization: values[i][14] || 'Fixed'
       };
+      if (NORMALIZATIONS.indexOf(signalDefinition.normalization) == -1) {
+        throw new Error('Unknown normalization \'' +
+            signalDefinition.normalization + '\' of the signal ' +
+            signalDefinition.name + '. Use ' + NORMALIZATIONS.join(', ') +
+            '.');
+      }
+      if (signalDefinition.type == 'Formula') {
+        signalDefinition.formula = formulaParser.parse(String(values[i][13]));
+      } else if (signalDefinition.type == 'Selector') {
+        // The entities to count, e.g. "keywords WHERE QualityScore < 4", and
+        // optionally the child entities they must lack, e.g. "ads".
+        signalDefinition.entities = values[i][9] +
+            (signalDefinition.conditions ?
+                ' WHERE ' + signalDefinition.conditions : '');
+        signalDefinition.without = String(values[i][10]).trim();
+      }
 
       signalDefinitions.push(signalDefinition);
     }
 
+    orderFormulaDefinitions();
     calculateSumWeights();
 
     debug('Using ' + signalDefinitions.length + ' signals');
@@ -506,6 +1289,55 @@ var spreadsheetManager = (function() {
     return signalDefinitions;
   };
 
+  /**
+   * Returns the Formula signal definitions, ordered so that each formula
+   * comes after the formulas it uses.
+   *
+   * @return {object} array of Formula signal definitions
+   */
+  var getFormulaDefinitions = function() {
+    return formulaDefinitions;
+  };
+
+  /**
+   * Orders the Formula signals by their dependencies. Throws an error if a
+   * formula uses an unknown signal or, through other formulas, itself.
+   */
+  var orderFormulaDefinitions = function() {
+    var definitionsByName = {};
+    for (var i = 0; i < signalDefinitions.length; i++) {
+      definitionsByName[signalDefinitions[i].name] = signalDefinitions[i];
+    }
+
+    formulaDefinitions = [];
+    var visiting = {};
+    var visit = function(signalDefinition, path) {
+      if (signalDefinition.type != 'Formula' ||
+          formulaDefinitions.indexOf(signalDefinition) > -1) {
+        return;
+      }
+      path = path.concat(signalDefinition.name);
+      if (visiting[signalDefinition.name]) {
+        throw new Error('The formula of ' + signalDefinition.name +
+            ' depends on itself: ' + path.join(' -> '));
+      }
+      visiting[signalDefinition.name] = true;
+      var names = formulaParser.getNames(signalDefinition.formula);
+      for (var i = 0; i < names.length; i++) {
+        if (!definitionsByName.hasOwnProperty(names[i])) {
+          throw new Error('The formula of ' + signalDefinition.name +
+              ' uses the unknown signal ' + names[i]);
+        }
+        visit(definitionsByName[names[i]], path);
+      }
+      formulaDefinitions.push(signalDefinition);
+    };
+
+    for (var i = 0; i < signalDefinitions.length; i++) {
+      visit(signalDefinitions[i], []);
+    }
+  };
+
   /**
    * Returns the sum of weights of all signal definitions
    *
@@ -523,7 +1355,7 @@ var spreadsheetManager = (function() {
 
     for (var i = 0; i < signalDefinitions.length; i++) {
       var signalDefinition = signalDefinitions[i];
-      if (signalDefinition.type == 'Number' &&
+      if (isNumberSignal(signalDefinition) &&
           signalDefinition.includeInReport == 'Yes') {
        sumWeights += signalDefinition.weight;
       }
@@ -546,6 +1378,11 @@ var spreadsheetManager = (function() {
     runSpreadsheet.deleteSheet(runSpreadsheet.getSheetByName('History'));
     runSpreadsheet.deleteSheet(runSpreadsheet.getSheetByName('Settings'));
     runSpreadsheet.deleteSheet(runSpreadsheet.getSheetByName('Parameters'));
+    [SCORE_HISTORY_TAB, LATEST_SCORES_TAB].forEach(function(name) {
+      if (runSpreadsheet.getSheetByName(name)) {
+        runSpreadsheet.deleteSheet(runSpreadsheet.getSheetByName(name));
+      }
+    });
     runSpreadsheet.deleteSheet(runSpreadsheet.getSheetByName('Signals'));
     runSpreadsheet.getSheetByName('Template').setName('Report');
     removeSheetProtection(runSpreadsheet.getSheetByName('Report'));
@@ -744,6 +1581,7 @@ var spreadsheetManager = (function() {
       }
     }
     row.push('Score');
+    row = row.concat(TREND_HEADINGS);
 
     var range = reportTab.getRange(4, 1, 1, row.length);
     range.setValues([row]);
@@ -753,6 +1591,288 @@ var spreadsheetManager = (function() {
     range.setFontColor('#fff');
   };
 
+  /**
+   * Tells whether any signal is normalized against all accounts of the
+   * report, so that the report must be scored again once they are processed.
+   *
+   * @return {boolean} whether any signal has automatic normalization
+   */
+  var hasAutoNormalization = function() {
+    return signalDefinitions.some(isAutoNormalized);
+  };
+
+  /**
+   * Reads the signal values of all accounts back from the current run sheet.
+   *
+   * @return {object} array of objects with the customer id, score and raw
+   *                  signals of each account (as name -> value pairs), null
+   *                  for blank values
+   */
+  var readDataRows = function() {
+    var tab = getCurrentRunSheet().getSheetByName('Report');
+    var accountInfos = [];
+    if (tab.getLastRow() < FIRST_DATA_ROW) {
+      return accountInfos;
+    }
+
+    var includedDefinitions = signalDefinitions.filter(function(definition) {
+      return definition.includeInReport == 'Yes';
+    });
+    // The signals are followed by the score and the trend columns.
+    var scoreIndex = includedDefinitions.length;
+    var values = tab.getRange(FIRST_DATA_ROW, 2,
+        tab.getLastRow() - FIRST_DATA_ROW + 1,
+        scoreIndex + 1 + TREND_HEADINGS.length).getValues();
+    for (var i = 0; i < values.length; i++) {
+      var rawSignals = {};
+      for (var j = 0; j < includedDefinitions.length; j++) {
+        rawSignals[includedDefinitions[j].name] =
+            values[i][j] === '' ? null : values[i][j];
+      }
+      accountInfos.push({
+        customerId: String(values[i][scoreIndex + TREND_HEADINGS.length]),
+        score: values[i][scoreIndex] === '' ? null : values[i][scoreIndex],
+        rawSignals: rawSignals
+      });
+    }
+    return accountInfos;
+  };
+
+  /**
+   * Compares the score of an account with its score in the last run.
+   *
+   * @param {object} accountInfo the accountInfo object containing the score
+   * @return {object} the previous score, the change, the trend direction
+   *                  (up, down or flat arrow) and whether the score dropped
+   *                  sharply; blank where there is nothing to compare
+   */
+  var getTrend = function(accountInfo) {
+    var previousScore = getPreviousScores()[accountInfo.customerId];
+    if (previousScore === undefined) {
+      return {previousScore: '', change: '', direction: '', dropped: false};
+    }
+    if (accountInfo.score === null) {
+      return {previousScore: previousScore, change: '', direction: '',
+              dropped: false};
+    }
+
+    var change = accountInfo.score - previousScore;
+    var threshold = settingsManager.getSetting('ScoreDropThreshold', false,
+        DEFAULT_SCORE_DROP_THRESHOLD);
+    return {
+      previousScore: previousScore,
+      change: change,
+      direction: change > TREND_TOLERANCE ? '\u2191' :
+          change < -TREND_TOLERANCE ? '\u2193' : '\u2192',
+      dropped: change < -threshold
+    };
+  };
+
+  /**
+   * Returns the score of each account in the last run before the current
+   * one, read once from the latest scores.
+   *
+   * @return {object} the scores by customer id
+   */
+  var getPreviousScores = function() {
+    if (previousScores) {
+      return previousScores;
+    }
+
+    previousScores = {};
+    var currentRun = getLastReportStartTimestamp();
+    var latestScores = readLatestScores();
+    for (var customerId in latestScores) {
+      var latest = latestScores[customerId];
+      if (latest[0] < currentRun) {
+        previousScores[customerId] = latest[1];
+      } else if (latest[2] !== '') {
+        // The current run is already recorded, its score was the one before.
+        previousScores[customerId] = latest[3];
+      }
+    }
+    return previousScores;
+  };
+
+  /**
+   * Reads the latest scores tab: for each account, the run timestamp and
+   * score of its last recorded run and of the run before.
+   *
+   * @return {object} the [run, score, previous run, previous score] rows by
+   *                  customer id, the previous ones blank if there are none
+   */
+  var readLatestScores = function() {
+    var latestScores = {};
+    var tab = spreadsheet.getSheetByName(LATEST_SCORES_TAB);
+    if (!tab || tab.getLastRow() < 2) {
+      return latestScores;
+    }
+
+    var values = tab.getRange(2, 1, tab.getLastRow() - 1, 5).getValues();
+    for (var i = 0; i < values.length; i++) {
+      latestScores[String(values[i][0])] = values[i].slice(1);
+    }
+    return latestScores;
+  };
+
+  /**
+   * Adds the score and numeric signal values of all accounts of the current
+   * run to the score history, one value per row, and their number and average
+   * score to the run's row in the History tab, as a time series of runs.
+   * Updates the latest scores of the accounts and removes the runs beyond
+   * MAX_SCORE_HISTORY_RUNS from the history. Recording the same run again,
+   * e.g. after an execution stopped before marking it as processed, leaves
+   * the history as it is.
+   *
+   * @param {object} accountInfos array of the accounts of the current run,
+   *                 see readDataRows()
+   */
+  var recordScoreHistory = function(accountInfos) {
+    var run = getLastReportStartTimestamp();
+    var tab = spreadsheet.getSheetByName(SCORE_HISTORY_TAB);
+    if (!tab) {
+      tab = spreadsheet.insertSheet(SCORE_HISTORY_TAB);
+      tab.appendRow(['Run Timestamp', 'Customer ID', 'Signal', 'Value']);
+    }
+    var recorded = tab.getLastRow() > 1 &&
+        tab.getRange(tab.getLastRow(), 1).getValue() == run;
+
+    var rows = [];
+    var latestScores = readLatestScores();
+    var sumScores = 0;
+    var scoredAccounts = 0;
+    for (var i = 0; i < accountInfos.length; i++) {
+      var accountInfo = accountInfos[i];
+      for (var j = 0; j < signalDefinitions.length; j++) {
+        var signalDefinition = signalDefinitions[j];
+        var value = accountInfo.rawSignals[signalDefinition.name];
+        if (isNumberSignal(signalDefinition) &&
+            signalDefinition.includeInReport == 'Yes' && value !== null) {
+          rows.push([run, accountInfo.customerId, signalDefinition.name,
+                     value]);
+        }
+      }
+      if (accountInfo.score !== null) {
+        rows.push([run, accountInfo.customerId, 'Score', accountInfo.score]);
+        sumScores += accountInfo.score;
+        scoredAccounts++;
+
+        var latest = latestScores[accountInfo.customerId];
+        if (!latest) {
+          latest = ['', '', '', ''];
+        } else if (latest[0] != run) {
+          latest = ['', '', latest[0], latest[1]];
+        }
+        latest[0] = run;
+        latest[1] = accountInfo.score;
+        latestScores[accountInfo.customerId] = latest;
+      }
+    }
+    if (rows.length && !recorded) {
+      tab.getRange(tab.getLastRow() + 1, 1, rows.length, 4).setValues(rows);
+    }
+    pruneScoreHistory(tab);
+    writeLatestScores(latestScores);
+
+    historyTab.getRange(1, 4, 1, 2).setValues([['Accounts',
+                                                'Average Score']]);
+    historyTab.getRange(historyTab.getLastRow(), 4, 1, 2).setValues([[
+      accountInfos.length,
+      scoredAccounts ? sumScores / scoredAccounts : ''
+    ]]);
+  };
+
+  /**
+   * Removes the oldest runs from the score history so that it keeps the last
+   * MAX_SCORE_HISTORY_RUNS runs. Runs are recorded in order, so the rows to
+   * remove are at the top.
+   *
+   * @param {object} tab the score history tab
+   */
+  var pruneScoreHistory = function(tab) {
+    if (tab.getLastRow() < 2) {
+      return;
+    }
+
+    var runs = tab.getRange(2, 1, tab.getLastRow() - 1, 1).getValues();
+    var keptRuns = 0;
+    for (var i = runs.length - 1; i >= 0; i--) {
+      if (i == runs.length - 1 || runs[i][0] != runs[i + 1][0]) {
+        keptRuns++;
+      }
+      if (keptRuns > MAX_SCORE_HISTORY_RUNS) {
+        tab.deleteRows(2, i + 1);
+        debug('Removed ' + (i + 1) + ' rows of old runs from the score ' +
+            'history');
+        return;
+      }
+    }
+  };
+
+  /**
+   * Overwrites the latest scores tab, one row per account.
+   *
+   * @param {object} latestScores the rows by customer id, see
+   *                 readLatestScores()
+   */
+  var writeLatestScores = function(latestScores) {
+    var tab = spreadsheet.getSheetByName(LATEST_SCORES_TAB);
+    if (!tab) {
+      tab = spreadsheet.insertSheet(LATEST_SCORES_TAB);
+      tab.appendRow(['Customer ID', 'Run Timestamp', 'Score',
+                     'Previous Run Timestamp', 'Previous Score']);
+    }
+
+    var rows = [];
+    for (var customerId in latestScores) {
+      rows.push([customerId].concat(latestScores[customerId]));
+    }
+    if (rows.length) {
+      tab.getRange(2, 1, rows.length, 5).setValues(rows);
+    }
+  };
+
+  /**
+   * Records how the signals with automatic normalization were calibrated in
+   * a Calibration tab of the current run sheet.
+   *
+   * @param {object} calibrations the calibrations by signal name, see
+   *                 signalManager.calibrate()
+   */
+  var writeCalibrations = function(calibrations) {
+    var sheet = getCurrentRunSheet();
+    var tab = sheet.getSheetByName('Calibration') ||
+        sheet.insertSheet('Calibration');
+    tab.clear();
+
+    var rows = [];
+    for (var i = 0; i < signalDefinitions.length; i++) {
+      var signalDefinition = signalDefinitions[i];
+      var calibration = calibrations[signalDefinition.name];
+      if (!calibration) {
+        continue;
+      }
+      if (!rows.length) {
+        rows.push(['Signal', 'Normalization', 'Accounts',
+                   'P' + calibration.lowerPercentile,
+                   'P' + calibration.upperPercentile, 'Mean',
+                   'Std. deviation']);
+      }
+      rows.push([signalDefinition.displayName, signalDefinition.normalization,
+                 calibration.values.length, calibration.lower,
+                 calibration.upper, calibration.mean, calibration.deviation]);
+    }
+    if (!rows.length) {
+      return;
+    }
+
+    tab.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+    var headerRange = tab.getRange(1, 1, 1, rows[0].length);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#38c');
+    headerRange.setFontColor('#fff');
+  };
+
   /**
    * Writes a row of data (signal values) in the current run sheet.
    *
@@ -760,10 +1880,69 @@ var spreadsheetManager = (function() {
    *                 calculated signals
    */
   var writeDataRow = function(accountInfo) {
-    // prepare the data
     var sheet = getCurrentRunSheet();
     var tab = sheet.getSheetByName('Report');
+    var row = formatDataRow(accountInfo);
+
+    // write it
+    tab.appendRow(row.values);
+
+    // now do the formatting
+    var currentRow = tab.getLastRow();
+    var rowRange = tab.getRange(currentRow, 1, 1, row.values.length);
+    rowRange.clearFormat();
 
+    var dataRange = tab.getRange(currentRow, 2, 1, row.values.length - 1);
+    dataRange.setNumberFormats([row.numberFormats]);
+    dataRange.setFontColors([row.fontColors]);
+    dataRange.setBackgroundColors([row.backgroundColors]);
+  };
+
+  /**
+   * Writes the rows of data of all accounts in the current run sheet over the
+   * rows already there, in a single write, so that an execution stopping
+   * midway leaves every account's row in place.
+   *
+   * @param {object} accountInfos array of the accountInfo objects of all
+   *                 accounts, as many as there are rows
+   */
+  var writeDataRows = function(accountInfos) {
+    if (!accountInfos.length) {
+      return;
+    }
+    var tab = getCurrentRunSheet().getSheetByName('Report');
+
+    var values = [];
+    var numberFormats = [];
+    var fontColors = [];
+    var backgroundColors = [];
+    for (var i = 0; i < accountInfos.length; i++) {
+      var row = formatDataRow(accountInfos[i]);
+      values.push(row.values);
+      numberFormats.push(row.numberFormats);
+      fontColors.push(row.fontColors);
+      backgroundColors.push(row.backgroundColors);
+    }
+
+    tab.getRange(FIRST_DATA_ROW, 1, values.length, values[0].length)
+        .setValues(values);
+    var dataRange = tab.getRange(FIRST_DATA_ROW, 2, values.length,
+        values[0].length - 1);
+    dataRange.setNumberFormats(numberFormats);
+    dataRange.setFontColors(fontColors);
+    dataRange.setBackgroundColors(backgroundColors);
+  };
+
+  /**
+   * Prepares a row of data (signal values) with its formats.
+   *
+   * @param {object} accountInfo the accountInfo object containing the
+   *                 calculated signals
+   * @return {object} the values of the row, and the number formats, font
+   *                  colors and background colors of its cells from the
+   *                  second column on
+   */
+  var formatDataRow = function(accountInfo) {
     var row = [''];
     for (var i = 0; i < signalDefinitions.length; i++) {
       var signalDefinition = signalDefinitions[i];
@@ -776,56 +1955,67 @@ var spreadsheetManager = (function() {
     }
     row.push(accountInfo.score);
 
-    // write it
-    tab.appendRow(row);
-
-    // now do the formatting
-    var currentRow = tab.getLastRow();
-    var rowRange = tab.getRange(currentRow, 1, 1, row.length);
-    rowRange.clearFormat();
+    var trend = getTrend(accountInfo);
+    row.push(trend.previousScore, trend.change, trend.direction,
+             accountInfo.customerId);
 
-    // arrays for number formats and colors, first fill them with values
-    // and later apply to the row
-    var dataRange = tab.getRange(currentRow, 2, 1, row.length - 1);
-    var fontColors = [[]];
-    var backgroundColors = [[]];
-    var numberFormats = [[]];
+    // arrays for number formats and colors of the cells after the first
+    var fontColors = [];
+    var backgroundColors = [];
+    var numberFormats = [];
     var colIndex = 0;
 
     for (var i = 0; i < signalDefinitions.length; i++) {
       var signalDefinition = signalDefinitions[i];
       if (signalDefinition.includeInReport == 'Yes') {
         var value = accountInfo.signals[signalDefinition.name].value;
-        var displayValue =
-              accountInfo.signals[signalDefinition.name].displayValue;
         var normalizedValue =
               accountInfo.signals[signalDefinition.name].normalizedValue;
 
-        var colors = [2];
-        if (signalDefinition.type == 'Number') {
-          numberFormats[0][colIndex] = signalDefinition.format;
+        var colors = [null, null];
+        numberFormats[colIndex] = null;
+        if (isNumberSignal(signalDefinition)) {
+          numberFormats[colIndex] = signalDefinition.format;
           colors = getNumberColors(normalizedValue);
         } else if (signalDefinition.type == 'String') {
           colors = getStringColors(value);
         }
 
-        fontColors[0][colIndex] = colors[0];
-        backgroundColors[0][colIndex] = colors[1];
+        fontColors[colIndex] = colors[0];
+        backgroundColors[colIndex] = colors[1];
 
         colIndex++;
       }
     }
 
-    // formatting for the score (last column)
-    numberFormats[0][colIndex] = '0.00%';
+    // formatting for the score
+    numberFormats[colIndex] = '0.00%';
     var scoreColors = getNumberColors(accountInfo.score);
-    fontColors[0][colIndex] = scoreColors[0];
-    backgroundColors[0][colIndex] = scoreColors[1];
+    fontColors[colIndex] = scoreColors[0];
+    backgroundColors[colIndex] = scoreColors[1];
+
+    // formatting for the trend columns, the change, trend and customer id
+    // highlighted on a sharp drop
+    var dropColors = [null, null];
+    if (trend.dropped) {
+      dropColors = getColors('ScoreDropFgColor', 'ScoreDropBgColor');
+      dropColors[0] = dropColors[0] || DEFAULT_SCORE_DROP_COLORS[0];
+      dropColors[1] = dropColors[1] || DEFAULT_SCORE_DROP_COLORS[1];
+    }
+    var trendFormats = ['0.00%', '+0.00%;-0.00%', '@', '@'];
+    for (var i = 0; i < trendFormats.length; i++) {
+      colIndex++;
+      numberFormats[colIndex] = trendFormats[i];
+      fontColors[colIndex] = i > 0 ? dropColors[0] : null;
+      backgroundColors[colIndex] = i > 0 ? dropColors[1] : null;
+    }
 
-    // now actually apply the formats
-    dataRange.setNumberFormats(numberFormats);
-    dataRange.setFontColors(fontColors);
-    dataRange.setBackgroundColors(backgroundColors);
+    return {
+      values: row,
+      numberFormats: numberFormats,
+      fontColors: fontColors,
+      backgroundColors: backgroundColors
+    };
   };
 
   /**
@@ -898,7 +2088,13 @@ var spreadsheetManager = (function() {
     readSettingRange: readSettingRange,
     readSignalDefinitions: readSignalDefinitions,
     getSignalDefinitions: getSignalDefinitions,
+    getFormulaDefinitions: getFormulaDefinitions,
     getSumWeights: getSumWeights,
+    hasAutoNormalization: hasAutoNormalization,
+    readDataRows: readDataRows,
+    writeDataRows: writeDataRows,
+    writeCalibrations: writeCalibrations,
+    recordScoreHistory: recordScoreHistory,
     addRun: addRun,
     hasUnfinishedRun: hasUnfinishedRun,
     markRunAsProcessed: markRunAsProcessed,
@@ -942,7 +2138,8 @@ var settingsManager = (function() {
        value = settingsRange.getCell(i, 3).getBackground();
       }
 
-      if (!key || !value) {
+      // A Number setting may deliberately be 0.
+      if (!key || (!value && !(type == 'Number' && value === 0))) {
         continue;
       }
 
@@ -964,12 +2161,14 @@ var settingsManager = (function() {
    * @param {string} key the name of the setting
    * @param {boolean} mandatory flag indicating this is a mandatory setting
    *                            (has to return a value)
+   * @param {object=} opt_defaultValue the value to return if the setting is
+   *                  not set, null if not given
    * @return {object} the value of the setting
    */
-  var getSetting = function(key, mandatory) {
+  var getSetting = function(key, mandatory, opt_defaultValue) {
     for (var i = 0; i < settings.length; i++) {
       var setting = settings[i];
-      if (setting.key == key && setting.value)
+      if (setting.key == key)
         return setting.value;
     }
 
@@ -977,7 +2176,7 @@ var settingsManager = (function() {
       throw 'Setting \'' + key + '\' is not set!';
     }
 
-    return null;
+    return opt_defaultValue === undefined ? null : opt_defaultValue;
   };
 
   // Return the external interface.
@@ -1007,4 +2206,164 @@ function validateConfig() {
     throw new Error('Please specify a valid Spreadsheet URL. You can find' +
         ' a link to a template in the associated guide for this script.');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Module for sending a report to the channels listed in NOTIFICATION_CHANNELS.
+ * The same block is used by relatorio.js, bistro.js, kratu.js and
+ * sem_impressoes.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var notifier = (function() {
+  /**
+   * Sends a message through every configured channel. A failing channel is
+   * logged and does not stop the others.
+   *
+   * @param {object} message The message: subject, html, optional text (plain
+   *     text version, derived from html if missing), recipient (email
+   *     address for the 'email' channel), attachments and data (structured
+   *     report content for webhooks).
+   * @return {number} the number of channels the message was sent to
+   */
+  var send = function(message) {
+    if (!message.text) {
+      message.text = htmlToText(message.html || '');
+    }
+    var sent = 0;
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      try {
+        if (sendToChannel(channel, message)) {
+          sent++;
+        }
+      } catch (e) {
+        Logger.log('Failed to send notification to ' + channel.type + ' ' +
+            (channel.url || '') + ': ' + e);
+      }
+    }
+    return sent;
+  };
+
+  /**
+   * Sends a message through one channel.
+   *
+   * @param {object} channel an entry of NOTIFICATION_CHANNELS
+   * @param {object} message the message, see send()
+   * @return {boolean} whether anything was sent
+   */
+  var sendToChannel = function(channel, message) {
+    if (channel.type == 'email') {
+      var recipient = channel.recipient || message.recipient;
+      if (!recipient) {
+        return false;
+      }
+      var options = {htmlBody: message.html};
+      if (message.attachments) {
+        options.attachments = message.attachments;
+      }
+      MailApp.sendEmail(recipient, message.subject, message.text, options);
+    } else if (channel.type == 'webhook') {
+      postJson(channel.url, {
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        data: message.data || null
+      });
+    } else if (channel.type == 'chat') {
+      postJson(channel.url, formatChatMessage(channel.format, message));
+    } else {
+      throw new Error('Unknown notification channel type: ' + channel.type);
+    }
+    return true;
+  };
+
+  /**
+   * Builds the JSON payload for a chat-style incoming webhook.
+   *
+   * @param {string} format 'slack', 'googleChat' or 'teams'
+   * @param {object} message the message, see send()
+   * @return {object} the payload
+   */
+  var formatChatMessage = function(format, message) {
+    if (format == 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.subject,
+        title: message.subject,
+        text: message.text.replace(/\n/g, '\n\n')
+      };
+    } else if (format == 'slack' || format == 'googleChat') {
+      // Both accept a plain text message with *bold* markup.
+      return {text: '*' + message.subject + '*\n' + message.text};
+    }
+    throw new Error('Unknown chat format: ' + format);
+  };
+
+  /**
+   * Posts a JSON payload, throwing if the server does not answer with 2xx.
+   *
+   * @param {string} url the endpoint
+   * @param {object} payload the payload to serialize
+   */
+  var postJson = function(url, payload) {
+    var response = UrlFetchApp.fetch(url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    });
+    var code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      throw new Error('HTTP ' + code + ': ' + response.getContentText());
+    }
+  };
+
+  /**
+   * Converts an HTML report to plain text: table cells are separated by tabs
+   * and rows, paragraphs and line breaks become new lines.
+   *
+   * @param {string} html
+   * @return {string} the plain text
+   */
+  var htmlToText = function(html) {
+    return html
+        .replace(/\s+/g, ' ')
+        .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, '\t')
+        .replace(/<(br|\/tr|\/h\d|\/p|\/div|\/li)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/^ +| +$/gm, '')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+  };
+
+  /**
+   * Returns whether send() would reach any channel, so that scripts can skip
+   * building a report nobody receives.
+   *
+   * @param {string} recipient the email address for the 'email' channel
+   * @return {boolean} true if at least one channel is usable
+   */
+  var hasRecipients = function(recipient) {
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      if (channel.type != 'email' || channel.recipient || recipient) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Return the external interface.
+  return {
+    send: send,
+    hasRecipients: hasRecipients,
+    htmlToText: htmlToText
+  };
+})();
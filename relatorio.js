@@ -51,30 +51,397 @@ var REPORTING_OPTIONS = {
   //apiVersion: 'v201705'
 };
 
+/**
+ * Where to send the report. The 'email' channel sends to the address in the
+ * spreadsheet. Add entries to also post the report as JSON, e.g.
+ *   {type: 'webhook', url: 'https://example.com/adwords-report'}
+ *   {type: 'chat', format: 'slack', url: 'https://hooks.slack.com/...'}
+ * Chat formats are 'slack', 'googleChat' and 'teams'.
+ */
+var NOTIFICATION_CHANNELS = [
+  {type: 'email'}
+];
+
+/**
+ * Language of the report labels, and conventions for numbers, currencies and
+ * dates in the email and the spreadsheet: 'pt-BR', 'en-US', 'en-GB' or
+ * 'es-ES'. 'en-GB' has no labels of its own and uses the 'en-US' ones.
+ */
+var LOCALE = 'pt-BR';
+
 /**
  * To add additional fields to the report, follow the instructions at the link
  * in the header above, and add fields to this variable, taken from the Account
  * Performance Report reference:
  * https://developers.google.com/adwords/api/docs/appendix/reports/account-performance-report
+ * and their labels to STRINGS.
+ *
+ * type is one of 'currency', 'percent', 'integer', 'decimal' or 'text', and
+ * sets how values are formatted.
+ *
+ * higherIsBetter sets how changes are colored in the email: green when the
+ * metric moves in the better direction, red otherwise. Changes of fields
+ * without it are left uncolored.
+ *
+ * sum and weight set how the weekly and monthly totals are calculated from the
+ * daily rows. Fields with sum: true are added up. Ratios set weight to their
+ * divisor, e.g. Clicks for AverageCpc: each day is weighted by it, which
+ * recomputes the ratio from the summed components. Fields with neither, e.g.
+ * because their divisor is not in the report, are left blank.
  */
 var REPORT_FIELDS = [
-  {columnName: 'Cost', displayName: 'Custo'},
-  {columnName: 'AverageCpc', displayName: 'Media CPC'},
-  {columnName: 'Ctr', displayName: 'CTR'},
-  {columnName: 'AveragePosition', displayName: 'Media Posicao'},
-  {columnName: 'Impressions', displayName: 'Impressões'},
-  {columnName: 'Conversions', displayName: 'Conversoes'},
-  {columnName: 'InteractionRate', displayName: 'Taxa de Interação'},
-  {columnName: 'InteractionTypes', displayName: 'Tipos de Interação'},
-  {columnName: 'ValuePerAllConversion', displayName: 'Valor das Conversões'},
-  {columnName: 'ValuePerConversion', displayName: 'Valor por Conversão'},
-  {columnName: 'Clicks', displayName: 'Cliques'}
+  {columnName: 'Cost', type: 'currency', higherIsBetter: false, sum: true},
+  {columnName: 'AverageCpc', type: 'currency', higherIsBetter: false,
+    weight: 'Clicks'},
+  {columnName: 'Ctr', type: 'percent', higherIsBetter: true,
+    weight: 'Impressions'},
+  {columnName: 'AveragePosition', type: 'decimal', higherIsBetter: false,
+    weight: 'Impressions'},
+  {columnName: 'Impressions', type: 'integer', higherIsBetter: true,
+    sum: true},
+  {columnName: 'Conversions', type: 'decimal', higherIsBetter: true,
+    sum: true},
+  {columnName: 'InteractionRate', type: 'percent', higherIsBetter: true,
+    weight: 'Impressions'},
+  {columnName: 'InteractionTypes', type: 'text'},
+  {columnName: 'ValuePerAllConversion', type: 'currency',
+    higherIsBetter: true},
+  {columnName: 'ValuePerConversion', type: 'currency', higherIsBetter: true,
+    weight: 'Conversions'},
+  {columnName: 'Clicks', type: 'integer', higherIsBetter: true, sum: true}
+];
+
+/**
+ * Changes smaller than this percentage of the previous value are considered
+ * insignificant, and are left uncolored in the email.
+ */
+var NEUTRAL_CHANGE_PERCENT = 2;
+
+/**
+ * Sheet with the REPORT_FIELDS of each campaign per day, created if missing.
+ */
+var CAMPAIGN_SHEET_NAME = 'Campanhas';
+
+/**
+ * The email lists, for each of these columns, the campaigns that contributed
+ * most to the change from the day before yesterday to yesterday. Set
+ * TOP_MOVERS_COUNT to 0 to leave the section out.
+ */
+var TOP_MOVER_COLUMNS = ['Cost', 'Clicks', 'Conversions'];
+var TOP_MOVERS_COUNT = 5;
+
+/**
+ * Sheets with the totals of each ISO week (Monday to Sunday) and calendar
+ * month, created if missing. A period is updated whenever one of its days is
+ * added to the Report sheet, also when the day is backfilled later. Remove an
+ * entry to leave its sheet out.
+ */
+var ROLLUP_SHEETS = {WEEK: 'Semanal', MONTH: 'Mensal'};
+
+/**
+ * Month-end projections of REPORT_FIELDS shown in the email and kept in
+ * PACING_SHEET_NAME. Each projection is compared with the monthly target in
+ * the named range targetRange of the spreadsheet, if set. Targets of 0 or
+ * less count as not set: the projection is shown without a pace. Remove all
+ * entries to leave pacing out.
+ *
+ * Projections follow the run rate of the month so far, weighted by how much
+ * each weekday usually weighs in the last PACING_HISTORY_DAYS days, e.g. that
+ * weekends spend less. Projections within PACING_TOLERANCE_PERCENT of the
+ * target are on track.
+ */
+var PACING_FIELDS = [
+  {columnName: 'Cost', targetRange: 'monthly_budget'},
+  {columnName: 'Conversions', targetRange: 'monthly_conversions'}
 ];
+var PACING_SHEET_NAME = 'Pacing';
+var PACING_HISTORY_DAYS = 28;
+var PACING_TOLERANCE_PERCENT = 5;
+
+/**
+ * Values of REPORT_FIELDS that are unusual for the account are listed in the
+ * email and highlighted in the Report sheet, with the expected range in a
+ * note. Each day is compared with the days of the ANOMALY_WEEKS weeks before
+ * it: the same weekday ('SAME_WEEKDAY') or every day ('ALL_DAYS'). Values
+ * more than ANOMALY_SENSITIVITY standard deviations from the median of those
+ * days, estimated from their median absolute deviation, are flagged. Set
+ * ANOMALY_SENSITIVITY to 0 to leave the check out.
+ */
+var ANOMALY_MODEL = 'SAME_WEEKDAY';
+var ANOMALY_WEEKS = 8;
+var ANOMALY_SENSITIVITY = 3;
+
+/**
+ * Backfill mode fills the days missing from the 'Report' sheet between the
+ * dates in the 'backfill_start' and 'backfill_end' named ranges, after the
+ * daily update. Each run stops while BACKFILL_RESERVED_SECONDS of the
+ * execution time are left, and writes the rows every BACKFILL_CHUNK_DAYS
+ * days, so the next scheduled run resumes with the days still missing. Both
+ * ranges are cleared once the backfill is complete.
+ */
+var BACKFILL_CHUNK_DAYS = 30;
+var BACKFILL_RESERVED_SECONDS = 120;
+
+/**
+ * Comparisons available for the summary email, labelled in STRINGS. Each
+ * compares a period ending yesterday with an earlier period; getRanges
+ * receives yesterday as yyyyMMdd and returns the [start, end] of both periods
+ * in the same form.
+ *
+ * The comparisons to show are listed by key in the 'comparison_periods' named
+ * range of the spreadsheet, separated by commas, e.g.
+ * 'SAME_DAY_LAST_WEEK, MONTH_TO_DATE'. DEFAULT_COMPARISON_PERIODS is used
+ * when the range is missing or blank.
+ */
+var COMPARISON_PERIODS = {
+  DAY_BEFORE: {
+    getRanges: function(yesterday) {
+      var dayBefore = shiftDate(yesterday, -1);
+      return {
+        current: [yesterday, yesterday],
+        previous: [dayBefore, dayBefore]
+      };
+    }
+  },
+  SAME_DAY_LAST_WEEK: {
+    getRanges: function(yesterday) {
+      var weekAgo = shiftDate(yesterday, -7);
+      return {
+        current: [yesterday, yesterday],
+        previous: [weekAgo, weekAgo]
+      };
+    }
+  },
+  LAST_7_DAYS: {
+    getRanges: function(yesterday) {
+      return {
+        current: [shiftDate(yesterday, -6), yesterday],
+        previous: [shiftDate(yesterday, -13), shiftDate(yesterday, -7)]
+      };
+    }
+  },
+  LAST_30_DAYS: {
+    getRanges: function(yesterday) {
+      return {
+        current: [shiftDate(yesterday, -29), yesterday],
+        previous: [shiftDate(yesterday, -59), shiftDate(yesterday, -30)]
+      };
+    }
+  },
+  MONTH_TO_DATE: {
+    getRanges: function(yesterday) {
+      var lastMonth = shiftDate(yesterday, 0, -1);
+      return {
+        current: [firstDayOfMonth(yesterday), yesterday],
+        previous: [firstDayOfMonth(lastMonth), lastMonth]
+      };
+    }
+  },
+  SAME_DAY_LAST_YEAR: {
+    getRanges: function(yesterday) {
+      var yearAgo = shiftDate(yesterday, 0, 0, -1);
+      return {
+        current: [yesterday, yesterday],
+        previous: [yearAgo, yearAgo]
+      };
+    }
+  },
+  MONTH_TO_DATE_LAST_YEAR: {
+    getRanges: function(yesterday) {
+      var yearAgo = shiftDate(yesterday, 0, 0, -1);
+      return {
+        current: [firstDayOfMonth(yesterday), yesterday],
+        previous: [firstDayOfMonth(yearAgo), yearAgo]
+      };
+    }
+  }
+};
+
+var DEFAULT_COMPARISON_PERIODS = ['DAY_BEFORE', 'SAME_DAY_LAST_WEEK'];
+
+/**
+ * User-facing labels of the report in each language, keyed by LOCALE. Locales
+ * without a table, such as 'en-GB', use the table of their language, and
+ * labels missing from a table are taken from 'en-US'.
+ */
+var STRINGS = {
+  'pt-BR': {
+    title: 'Resumo da Conta',
+    poweredBy: 'Powered by Sutel',
+    subject: 'Resumo da Conta AdWords {0}',
+    attachmentName: 'resumo-{0}-{1}.csv',
+    metric: 'Métrica',
+    current: 'Atual',
+    previous: 'Anterior',
+    change: 'Variação',
+    percentChange: 'Variação %',
+    comparison: 'Comparação',
+    currentPeriod: 'Período atual',
+    previousPeriod: 'Período anterior',
+    versus: 'x',
+    date: 'Data',
+    campaignId: 'ID da campanha',
+    campaign: 'Campanha',
+    topMovers: 'Campanhas com maior variação: {0}',
+    contribution: 'Contribuição',
+    period: 'Período',
+    start: 'Início',
+    end: 'Fim',
+    days: 'Dias',
+    pacing: 'Ritmo do mês: {0}',
+    target: 'Meta',
+    expectedToDate: 'Esperado até ontem',
+    actualToDate: 'Realizado até ontem',
+    projection: 'Projeção do mês',
+    pace: 'Ritmo',
+    onTrack: 'No ritmo',
+    overPace: 'Acima do ritmo',
+    underPace: 'Abaixo do ritmo',
+    anomalies: 'Valores fora do padrão em {0}',
+    value: 'Valor',
+    median: 'Mediana',
+    expectedRange: 'Faixa esperada',
+    DAY_BEFORE: 'Ontem x dia anterior',
+    SAME_DAY_LAST_WEEK: 'Ontem x mesmo dia da semana passada',
+    LAST_7_DAYS: 'Últimos 7 dias x 7 dias anteriores',
+    LAST_30_DAYS: 'Últimos 30 dias x 30 dias anteriores',
+    MONTH_TO_DATE: 'Mês até ontem x mesmo período do mês passado',
+    SAME_DAY_LAST_YEAR: 'Ontem x mesmo dia do ano passado',
+    MONTH_TO_DATE_LAST_YEAR: 'Mês até ontem x mesmo período do ano passado',
+    Cost: 'Custo',
+    AverageCpc: 'CPC médio',
+    Ctr: 'CTR',
+    AveragePosition: 'Posição média',
+    Impressions: 'Impressões',
+    Conversions: 'Conversões',
+    InteractionRate: 'Taxa de interação',
+    InteractionTypes: 'Tipos de interação',
+    ValuePerAllConversion: 'Valor das conversões',
+    ValuePerConversion: 'Valor por conversão',
+    Clicks: 'Cliques'
+  },
+  'en-US': {
+    title: 'Account Summary',
+    poweredBy: 'Powered by Sutel',
+    subject: 'AdWords Account {0} Summary Report',
+    attachmentName: 'account-summary-{0}-{1}.csv',
+    metric: 'Metric',
+    current: 'Current',
+    previous: 'Previous',
+    change: 'Change',
+    percentChange: '% Change',
+    comparison: 'Comparison',
+    currentPeriod: 'Current period',
+    previousPeriod: 'Previous period',
+    versus: 'vs.',
+    date: 'Date',
+    campaignId: 'Campaign ID',
+    campaign: 'Campaign',
+    topMovers: 'Top movers: {0}',
+    contribution: 'Contribution',
+    period: 'Period',
+    start: 'Start',
+    end: 'End',
+    days: 'Days',
+    pacing: 'Month pacing: {0}',
+    target: 'Target',
+    expectedToDate: 'Expected to date',
+    actualToDate: 'Actual to date',
+    projection: 'Month-end projection',
+    pace: 'Pace',
+    onTrack: 'On track',
+    overPace: 'Over pace',
+    underPace: 'Under pace',
+    anomalies: 'Unusual values on {0}',
+    value: 'Value',
+    median: 'Median',
+    expectedRange: 'Expected range',
+    DAY_BEFORE: 'Yesterday vs. the day before',
+    SAME_DAY_LAST_WEEK: 'Yesterday vs. the same day last week',
+    LAST_7_DAYS: 'Last 7 days vs. the previous 7 days',
+    LAST_30_DAYS: 'Last 30 days vs. the previous 30 days',
+    MONTH_TO_DATE: 'Month to date vs. the same days last month',
+    SAME_DAY_LAST_YEAR: 'Yesterday vs. the same day last year',
+    MONTH_TO_DATE_LAST_YEAR: 'Month to date vs. the same days last year',
+    Cost: 'Cost',
+    AverageCpc: 'Avg. CPC',
+    Ctr: 'CTR',
+    AveragePosition: 'Avg. position',
+    Impressions: 'Impressions',
+    Conversions: 'Conversions',
+    InteractionRate: 'Interaction rate',
+    InteractionTypes: 'Interaction types',
+    ValuePerAllConversion: 'Value / all conv.',
+    ValuePerConversion: 'Value / conv.',
+    Clicks: 'Clicks'
+  },
+  'es-ES': {
+    title: 'Resumen de la Cuenta',
+    poweredBy: 'Powered by Sutel',
+    subject: 'Resumen de la Cuenta AdWords {0}',
+    attachmentName: 'resumen-{0}-{1}.csv',
+    metric: 'Métrica',
+    current: 'Actual',
+    previous: 'Anterior',
+    change: 'Variación',
+    percentChange: 'Variación %',
+    comparison: 'Comparación',
+    currentPeriod: 'Periodo actual',
+    previousPeriod: 'Periodo anterior',
+    versus: 'vs.',
+    date: 'Fecha',
+    campaignId: 'ID de campaña',
+    campaign: 'Campaña',
+    topMovers: 'Campañas con mayor variación: {0}',
+    contribution: 'Contribución',
+    period: 'Periodo',
+    start: 'Inicio',
+    end: 'Fin',
+    days: 'Días',
+    pacing: 'Ritmo del mes: {0}',
+    target: 'Objetivo',
+    expectedToDate: 'Esperado hasta ayer',
+    actualToDate: 'Real hasta ayer',
+    projection: 'Proyección del mes',
+    pace: 'Ritmo',
+    onTrack: 'En ritmo',
+    overPace: 'Por encima del ritmo',
+    underPace: 'Por debajo del ritmo',
+    anomalies: 'Valores inusuales el {0}',
+    value: 'Valor',
+    median: 'Mediana',
+    expectedRange: 'Rango esperado',
+    DAY_BEFORE: 'Ayer vs. el día anterior',
+    SAME_DAY_LAST_WEEK: 'Ayer vs. el mismo día de la semana pasada',
+    LAST_7_DAYS: 'Últimos 7 días vs. los 7 días anteriores',
+    LAST_30_DAYS: 'Últimos 30 días vs. los 30 días anteriores',
+    MONTH_TO_DATE: 'Mes hasta ayer vs. el mismo periodo del mes pasado',
+    SAME_DAY_LAST_YEAR: 'Ayer vs. el mismo día del año pasado',
+    MONTH_TO_DATE_LAST_YEAR: 'Mes hasta ayer vs. mismo periodo del año pasado',
+    Cost: 'Coste',
+    AverageCpc: 'CPC medio',
+    Ctr: 'CTR',
+    AveragePosition: 'Posición media',
+    Impressions: 'Impresiones',
+    Conversions: 'Conversiones',
+    InteractionRate: 'Tasa de interacción',
+    InteractionTypes: 'Tipos de interacción',
+    ValuePerAllConversion: 'Valor de las conversiones',
+    ValuePerConversion: 'Valor por conversión',
+    Clicks: 'Clics'
+  }
+};
 
 function main() {
   Logger.log('Using spreadsheet - %s.', SPREADSHEET_URL);
   var spreadsheet = validateAndGetSpreadsheet();
+  var comparisonPeriods = getComparisonPeriods(spreadsheet);
   spreadsheet.setSpreadsheetTimeZone(AdWordsApp.currentAccount().getTimeZone());
+  // Only a new report gets LOCALE, so that a locale chosen afterwards in the
+  // spreadsheet settings is kept.
+  if (spreadsheet.getRangeByName('last_check').getValue().length == 0) {
+    spreadsheet.setSpreadsheetLocale(localeFormat.getSpreadsheetLocale());
+  }
   spreadsheet.getRangeByName('account_id_report').setValue(
       AdWordsApp.currentAccount().getCustomerId());
 
@@ -82,33 +449,158 @@ function main() {
   var date = getFirstDayToCheck(spreadsheet, yesterday);
 
   var rows = [];
+  var campaignRows = [];
   var existingDates = getExistingDates();
 
   while (date.getTime() <= yesterday.getTime()) {
-    if (!existingDates[date]) {
-      var row = getReportRowForDate(date);
-      rows.push([new Date(date)].concat(REPORT_FIELDS.map(function(field) {
-        return row[field.columnName];
-      })));
+    if (!existingDates[getDateStringInTimeZone('yyyyMMdd', date)]) {
+      addRowsForDate(date, rows, campaignRows);
       spreadsheet.getRangeByName('last_check').setValue(date);
     }
     date.setDate(date.getDate() + 1);
   }
 
   if (rows.length > 0) {
-    writeToSpreadsheet(rows);
+    var anomalies = writeToSpreadsheet(rows);
+    writeCampaignRows(spreadsheet, campaignRows);
+    var pacing = getPacing(spreadsheet);
+    writePacingRows(spreadsheet, pacing);
 
     var email = spreadsheet.getRangeByName('email').getValue();
-    if (email) {
-      sendEmail(email);
+    if (notifier.hasRecipients(email)) {
+      sendReport(email, comparisonPeriods, pacing,
+          anomalies[getDateStringInTimeZone('yyyyMMdd', yesterday)] || []);
+    }
+  }
+
+  var backfillRange = getBackfillRange(spreadsheet);
+  if (backfillRange) {
+    backfill(spreadsheet, backfillRange[0], backfillRange[1]);
+  }
+}
+
+/**
+ * Fetches the account and campaign rows of a day for the spreadsheet.
+ *
+ * @param {Date} date The day, at 00:00 in the account's time zone.
+ * @param {Array.<Array.<*>>} rows The account rows, which the day's row is
+ *     appended to.
+ * @param {Array.<Array.<*>>} campaignRows The campaign rows, which the day's
+ *     rows are appended to.
+ */
+function addRowsForDate(date, rows, campaignRows) {
+  var row = getReportRowForDate(date);
+  rows.push([new Date(date)].concat(toSheetValues(row)));
+  getCampaignRowsForDate(date).forEach(function(campaignRow) {
+    campaignRows.push([
+      new Date(date), campaignRow.CampaignId, campaignRow.CampaignName
+    ].concat(toSheetValues(campaignRow)));
+  });
+}
+
+/**
+ * Reads the backfill range from the spreadsheet.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @return {Array.<string>} The first and last day to fill as yyyyMMdd, the
+ *     last day being yesterday at the latest, or null if no backfill is set.
+ */
+function getBackfillRange(spreadsheet) {
+  var startRange = spreadsheet.getRangeByName('backfill_start');
+  var endRange = spreadsheet.getRangeByName('backfill_end');
+  if (!startRange || !endRange || startRange.getValue() === '' ||
+      endRange.getValue() === '') {
+    return null;
+  }
+  var start = parseSpreadsheetDate(startRange.getValue(), 'backfill_start');
+  var end = parseSpreadsheetDate(endRange.getValue(), 'backfill_end');
+  var yesterday = getDateStringInTimeZone('yyyyMMdd', getYesterday());
+  if (end > yesterday) {
+    end = yesterday;
+  }
+  if (start > end) {
+    throw new Error('The backfill_start date in the spreadsheet must not be ' +
+        'after backfill_end or yesterday.');
+  }
+  return [start, end];
+}
+
+/**
+ * Converts a date entered in the spreadsheet, either as a date or as text in
+ * the form yyyy-MM-dd or yyyyMMdd.
+ *
+ * @param {Date|string} value The cell value.
+ * @param {string} name The name of the range, for error messages.
+ * @return {string} The date as yyyyMMdd.
+ */
+function parseSpreadsheetDate(value, name) {
+  if (value instanceof Date) {
+    return getDateStringInTimeZone('yyyyMMdd', value);
+  }
+  var digits = String(value).trim().replace(/-/g, '');
+  if (!/^\d{8}$/.test(digits)) {
+    throw new Error('Invalid date \'' + value + '\' in the ' + name +
+        ' range of the spreadsheet. Please enter a date, e.g. 2017-01-31.');
+  }
+  return digits;
+}
+
+/**
+ * Fills the days missing from the spreadsheet in a date range, for as long as
+ * the execution time allows. Rows are written in chunks of
+ * BACKFILL_CHUNK_DAYS days so that an interrupted run keeps its progress.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @param {string} start The first day to fill as yyyyMMdd.
+ * @param {string} end The last day to fill as yyyyMMdd.
+ */
+function backfill(spreadsheet, start, end) {
+  var existingDates = getExistingDates();
+  var missingDates = [];
+  for (var date = start; date <= end; date = shiftDate(date, 1)) {
+    if (!existingDates[date]) {
+      missingDates.push(date);
+    }
+  }
+
+  var rows = [];
+  var campaignRows = [];
+  var filled = 0;
+  var flush = function() {
+    if (rows.length) {
+      writeToSpreadsheet(rows);
+      writeCampaignRows(spreadsheet, campaignRows);
+      filled += rows.length;
+      rows = [];
+      campaignRows = [];
+    }
+  };
+  for (var i = 0; i < missingDates.length; i++) {
+    if (AdWordsApp.getExecutionInfo().getRemainingTime() <
+        BACKFILL_RESERVED_SECONDS) {
+      break;
     }
+    addRowsForDate(parseDateString(missingDates[i]), rows, campaignRows);
+    if (rows.length >= BACKFILL_CHUNK_DAYS) {
+      flush();
+    }
+  }
+  flush();
+
+  var remaining = missingDates.length - filled;
+  Logger.log('Backfill %s-%s: filled %s days, %s remaining.', start, end,
+      filled, remaining);
+  if (!remaining) {
+    spreadsheet.getRangeByName('backfill_start').clearContent();
+    spreadsheet.getRangeByName('backfill_end').clearContent();
+    Logger.log('Backfill complete.');
   }
 }
 
 /**
  * Retrieves a lookup of dates for which rows already exist in the spreadsheet.
  *
- * @return {!Object} A lookup of existing dates.
+ * @return {!Object} A lookup of existing dates, as yyyyMMdd.
  */
 function getExistingDates() {
   var spreadsheet = validateAndGetSpreadsheet();
@@ -117,11 +609,35 @@ function getExistingDates() {
   var data = sheet.getDataRange().getValues();
   var existingDates = {};
   data.slice(5).forEach(function(row) {
-    existingDates[row[1]] = true;
+    if (row[1] instanceof Date) {
+      existingDates[getDateStringInTimeZone('yyyyMMdd', row[1])] = true;
+    }
   });
   return existingDates;
 }
 
+/**
+ * @param {Object} row A report row, as returned by getReportRowForDuring.
+ * @return {Array.<*>} The values of REPORT_FIELDS, in order, for writing to
+ *     the spreadsheet.
+ */
+function toSheetValues(row) {
+  return REPORT_FIELDS.map(function(field) {
+    return localeFormat.toSheetValue(row[field.columnName], field.type);
+  });
+}
+
+/**
+ * @param {string} currencyCode The account currency.
+ * @return {Array.<string>} The spreadsheet number formats of REPORT_FIELDS,
+ *     in order.
+ */
+function getSheetNumberFormats(currencyCode) {
+  return REPORT_FIELDS.map(function(field) {
+    return localeFormat.getSheetNumberFormat(field.type, currencyCode);
+  });
+}
+
 /**
  * Sorts the data in the spreadsheet into ascending date order.
  */
@@ -150,92 +666,911 @@ function sortReportRows() {
 }
 
 /**
- * Append the data rows to the spreadsheet.
- *
- * @param {Array<Array<string>>} rows The data rows.
+ * Append the data rows to the spreadsheet, update the weekly and monthly
+ * totals of their days, and highlight the unusual values again now that the
+ * rows are sorted.
+ *
+ * @param {Array<Array<*>>} rows The data rows.
+ * @return {!Object.<!Array.<Anomaly>>} The anomalies of each day, as returned
+ *     by findAnomalies.
+ */
+function writeToSpreadsheet(rows) {
+  var access = new SpreadsheetAccess(SPREADSHEET_URL, 'Report');
+  var emptyRow = access.findEmptyRow(6, 2);
+  if (emptyRow < 0) {
+    access.addRows(rows.length);
+    emptyRow = access.findEmptyRow(6, 2);
+  }
+  var numberFormats = [localeFormat.getSheetNumberFormat('date')].concat(
+      getSheetNumberFormats(AdWordsApp.currentAccount().getCurrencyCode()));
+  access.writeRows(rows, emptyRow, 2, numberFormats);
+  sortReportRows();
+  updateRollups(rows.map(function(row) {
+    return getDateStringInTimeZone('yyyyMMdd', row[0]);
+  }));
+  return findAnomalies(validateAndGetSpreadsheet());
+}
+
+/**
+ * Rewrites the rows of ROLLUP_SHEETS for the periods containing any of the
+ * days, from the daily rows in the Report sheet.
+ *
+ * @param {Array.<string>} dates The days whose rows were written, as yyyyMMdd.
+ */
+function updateRollups(dates) {
+  var spreadsheet = validateAndGetSpreadsheet();
+  var dailyRows = getDailyRows(spreadsheet);
+  var headings = REPORT_FIELDS.map(function(field) {
+    return localeFormat.string(field.columnName);
+  });
+  var numberFormats =
+      getSheetNumberFormats(AdWordsApp.currentAccount().getCurrencyCode());
+  Object.keys(ROLLUP_SHEETS).forEach(function(type) {
+    var periodRows = periodRollup.getPeriods(type, dates).map(function(period) {
+      var days = Object.keys(dailyRows).filter(function(date) {
+        return date >= period.start && date <= period.end;
+      }).map(function(date) {
+        return dailyRows[date];
+      });
+      return {
+        period: period,
+        days: days.length,
+        values: REPORT_FIELDS.map(function(field) {
+          return localeFormat.toSheetValue(
+              getRollupValue(field, days), field.type);
+        })
+      };
+    });
+    periodRollup.writePeriods(spreadsheet, ROLLUP_SHEETS[type], headings,
+        periodRows, numberFormats);
+  });
+}
+
+/**
+ * Reads the daily rows of the Report sheet.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @return {!Object.<Object>} The value of each of REPORT_FIELDS by column
+ *     name, as parsed by parseReportRow, keyed by the day as yyyyMMdd.
+ */
+function getDailyRows(spreadsheet) {
+  var sheet = spreadsheet.getSheetByName('Report');
+  var dailyRows = {};
+  sheet.getDataRange().getValues().slice(5).forEach(function(row) {
+    if (row[1] instanceof Date) {
+      var values = {};
+      REPORT_FIELDS.forEach(function(field, i) {
+        values[field.columnName] =
+            localeFormat.fromSheetValue(row[i + 2], field.type);
+      });
+      dailyRows[getDateStringInTimeZone('yyyyMMdd', row[1])] = values;
+    }
+  });
+  return dailyRows;
+}
+
+/**
+ * Calculates the total of a field over several days, see REPORT_FIELDS.
+ *
+ * @param {Object} field The entry of REPORT_FIELDS.
+ * @param {Array.<Object>} days The daily rows, as returned by getDailyRows.
+ * @return {number|string} The total, or '' if the field has no total.
+ */
+function getRollupValue(field, days) {
+  var sum = function(getValue) {
+    return days.reduce(function(total, values) {
+      var value = getValue(values);
+      return typeof value == 'number' && isFinite(value) ?
+          total + value : total;
+    }, 0);
+  };
+  if (field.sum) {
+    return sum(function(values) {
+      return values[field.columnName];
+    });
+  }
+  if (field.weight) {
+    var totalWeight = sum(function(values) {
+      return typeof values[field.columnName] == 'number' ?
+          values[field.weight] : NaN;
+    });
+    return totalWeight ? sum(function(values) {
+      return values[field.columnName] * values[field.weight];
+    }) / totalWeight : 0;
+  }
+  return '';
+}
+
+/**
+ * Appends campaign rows to the campaign sheet, creating the sheet with its
+ * headings if it doesn't exist yet.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @param {Array.<Array.<*>>} rows The date, campaign ID and name, then the
+ *     values of REPORT_FIELDS, of each campaign and day.
+ */
+function writeCampaignRows(spreadsheet, rows) {
+  var sheet = spreadsheet.getSheetByName(CAMPAIGN_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CAMPAIGN_SHEET_NAME);
+    sheet.appendRow(['date', 'campaignId', 'campaign'].map(function(key) {
+      return localeFormat.string(key);
+    }).concat(REPORT_FIELDS.map(function(field) {
+      return localeFormat.string(field.columnName);
+    })));
+    sheet.setFrozenRows(1);
+  }
+  if (!rows.length) {
+    return;
+  }
+  var access = new SpreadsheetAccess(SPREADSHEET_URL, CAMPAIGN_SHEET_NAME);
+  var startRow = sheet.getLastRow() + 1;
+  var missingRows = startRow + rows.length - 1 - sheet.getMaxRows();
+  if (missingRows > 0) {
+    access.addRows(missingRows);
+  }
+  // Campaign IDs are shown without thousands separators.
+  var numberFormats = [localeFormat.getSheetNumberFormat('date'), '0', '@']
+      .concat(getSheetNumberFormats(
+          AdWordsApp.currentAccount().getCurrencyCode()));
+  access.writeRows(rows, startRow, 1, numberFormats);
+}
+
+/**
+ * Reads the comparisons to show in the summary email from the spreadsheet.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @return {Array.<string>} Keys of COMPARISON_PERIODS, in display order.
+ */
+function getComparisonPeriods(spreadsheet) {
+  var range = spreadsheet.getRangeByName('comparison_periods');
+  var value = range ? String(range.getValue()).trim() : '';
+  if (!value) {
+    return DEFAULT_COMPARISON_PERIODS;
+  }
+  return value.split(/[,;\n]/).map(function(key) {
+    return key.trim().toUpperCase();
+  }).filter(function(key) {
+    return key;
+  }).map(function(key) {
+    if (!COMPARISON_PERIODS[key]) {
+      throw new Error('Unknown comparison period \'' + key + '\' in the ' +
+          'spreadsheet. Valid periods are: ' +
+          Object.keys(COMPARISON_PERIODS).join(', ') + '.');
+    }
+    return key;
+  });
+}
+
+/**
+ * Sends the summary report through the configured notification channels.
+ *
+ * @param {string} email The recipient's email address, if any.
+ * @param {Array.<string>} comparisonPeriods Keys of COMPARISON_PERIODS to
+ *     include, in order.
+ * @param {Pacing} pacing The month-end projections, as returned by getPacing.
+ * @param {Array.<Anomaly>} anomalies The unusual values of yesterday.
+ */
+function sendReport(email, comparisonPeriods, pacing, anomalies) {
+  var yesterday = getDateStringInTimeZone('yyyyMMdd', getYesterday());
+  var reportRows = {};
+  var getRow = function(range) {
+    var during = range.join(',');
+    if (!reportRows[during]) {
+      reportRows[during] = getReportRowForDuring(during);
+    }
+    return reportRows[during];
+  };
+  var comparisons = comparisonPeriods.map(function(key) {
+    var ranges = COMPARISON_PERIODS[key].getRanges(yesterday);
+    return {
+      key: key,
+      name: localeFormat.string(key),
+      current: ranges.current,
+      previous: ranges.previous,
+      currentRow: getRow(ranges.current),
+      previousRow: getRow(ranges.previous)
+    };
+  });
+
+  var dayBefore = shiftDate(yesterday, -1);
+  var topMovers = getTopMovers(yesterday, dayBefore);
+
+  var account = AdWordsApp.currentAccount();
+  var customerId = account.getCustomerId();
+  var currencyCode = account.getCurrencyCode();
+  var title = localeFormat.string('title');
+  var html = reportTemplate.page([
+    reportTemplate.header(title, customerId, localeFormat.string('poweredBy'))
+  ].concat(comparisons.map(function(comparison) {
+    return reportTemplate.comparisonTable([
+      formatDateRange(comparison.current),
+      formatDateRange(comparison.previous)
+    ], REPORT_FIELDS.map(function(field) {
+      return emailRow(field, comparison, currencyCode);
+    }), comparison.name);
+  }), topMovers.map(function(movers) {
+    return reportTemplate.comparisonTable([
+      localeFormat.formatDate(yesterday),
+      localeFormat.formatDate(dayBefore),
+      localeFormat.string('contribution')
+    ], movers.campaigns.map(function(campaign) {
+      return topMoverRow(movers, campaign, currencyCode);
+    }), localeFormat.string('topMovers',
+        localeFormat.string(movers.field.columnName)));
+  }), pacing.fields.length ? [
+    reportTemplate.comparisonTable(getPacingHeadings(),
+        pacing.fields.map(function(pacingField) {
+          return pacingRow(pacingField, currencyCode);
+        }), localeFormat.string('pacing', formatDateRange(pacing.month)))
+  ] : [], anomalies.length ? [
+    reportTemplate.comparisonTable(getAnomalyHeadings(),
+        anomalies.map(function(anomaly) {
+          return anomalyRow(anomaly, currencyCode);
+        }), localeFormat.string('anomalies',
+            localeFormat.formatDate(yesterday)))
+  ] : []));
+
+  // The same comparisons as plain text and as a CSV attachment, for mail
+  // systems that strip HTML.
+  var headings = ['metric', 'current', 'previous', 'change', 'percentChange']
+      .map(function(key) {
+        return localeFormat.string(key);
+      });
+  var text = title + ' ' + customerId + '\n\n' +
+      comparisons.map(function(comparison) {
+        return comparison.name + ' (' + formatDateRange(comparison.current) +
+            ' ' + localeFormat.string('versus') + ' ' +
+            formatDateRange(comparison.previous) + ')\n' +
+            reportTemplate.textTable([headings].concat(
+                REPORT_FIELDS.map(function(field) {
+                  return comparisonRow(field, comparison, currencyCode);
+                })));
+      }).concat(topMovers.map(function(movers) {
+        return localeFormat.string('topMovers',
+            localeFormat.string(movers.field.columnName)) + '\n' +
+            reportTemplate.textTable([[
+              localeFormat.string('campaign'),
+              localeFormat.formatDate(yesterday),
+              localeFormat.formatDate(dayBefore),
+              localeFormat.string('change'),
+              localeFormat.string('contribution')
+            ]].concat(movers.campaigns.map(function(campaign) {
+              return topMoverTextRow(movers, campaign, currencyCode);
+            })));
+      }), pacing.fields.length ? [
+        localeFormat.string('pacing', formatDateRange(pacing.month)) + '\n' +
+            reportTemplate.textTable([
+              [localeFormat.string('metric')].concat(getPacingHeadings())
+            ].concat(pacing.fields.map(function(pacingField) {
+              return pacingTextRow(pacingField, currencyCode);
+            })))
+      ] : [], anomalies.length ? [
+        localeFormat.string('anomalies', localeFormat.formatDate(yesterday)) +
+            '\n' + reportTemplate.textTable([
+              [localeFormat.string('metric')].concat(getAnomalyHeadings())
+            ].concat(anomalies.map(function(anomaly) {
+              return anomalyTextRow(anomaly, currencyCode);
+            })))
+      ] : []).join('\n\n');
+  var table = [[
+    localeFormat.string('comparison'),
+    localeFormat.string('currentPeriod'),
+    localeFormat.string('previousPeriod')
+  ].concat(headings)];
+  comparisons.forEach(function(comparison) {
+    REPORT_FIELDS.forEach(function(field) {
+      table.push([
+        comparison.name,
+        formatDateRange(comparison.current),
+        formatDateRange(comparison.previous)
+      ].concat(comparisonRow(field, comparison, currencyCode)));
+    });
+  });
+  var csvName = localeFormat.string('attachmentName', customerId,
+      getDateStringInTimeZone('yyyy-MM-dd', getYesterday()));
+
+  notifier.send({
+    recipient: email,
+    subject: localeFormat.string('subject', customerId),
+    html: html,
+    text: text,
+    attachments: [
+      Utilities.newBlob(reportTemplate.csv(table), 'text/csv', csvName)
+    ],
+    data: {
+      customerId: customerId,
+      currencyCode: currencyCode,
+      comparisons: comparisons.map(function(comparison) {
+        return {
+          period: comparison.key,
+          current: {
+            start: comparison.current[0],
+            end: comparison.current[1],
+            row: comparison.currentRow
+          },
+          previous: {
+            start: comparison.previous[0],
+            end: comparison.previous[1],
+            row: comparison.previousRow
+          }
+        };
+      }),
+      topMovers: topMovers.map(function(movers) {
+        return {
+          column: movers.field.columnName,
+          current: yesterday,
+          previous: dayBefore,
+          totalChange: movers.totalChange,
+          campaigns: movers.campaigns
+        };
+      }),
+      pacing: {
+        start: pacing.month[0],
+        end: pacing.month[1],
+        fields: pacing.fields.map(function(pacingField) {
+          return {
+            column: pacingField.field.columnName,
+            target: pacingField.target,
+            expected: pacingField.expected,
+            actual: pacingField.actual,
+            projected: pacingField.projected,
+            pace: pacingField.pace
+          };
+        })
+      },
+      anomalies: anomalies.map(function(anomaly) {
+        return {
+          column: anomaly.field.columnName,
+          date: yesterday,
+          value: anomaly.value,
+          median: anomaly.median,
+          low: anomaly.low,
+          high: anomaly.high
+        };
+      })
+    }
+  });
+}
+
+/**
+ * Builds a row of a comparison table in the summary email.
+ *
+ * @param {Object} field An entry of REPORT_FIELDS.
+ * @param {Object} comparison The comparison, with its report rows.
+ * @param {string} currencyCode The account currency.
+ * @return {string} HTML of the row.
+ */
+function emailRow(field, comparison, currencyCode) {
+  var current = comparison.currentRow[field.columnName];
+  var previous = comparison.previousRow[field.columnName];
+  return reportTemplate.row(localeFormat.string(field.columnName), [
+    reportTemplate.cell(localeFormat.format(current, field.type, currencyCode)),
+    reportTemplate.cell(
+        localeFormat.format(previous, field.type, currencyCode),
+        formatChangeString(current, previous, field, currencyCode))
+  ]);
+}
+
+/**
+ * Builds a row of the plain text and CSV versions of the summary.
+ *
+ * @param {Object} field An entry of REPORT_FIELDS.
+ * @param {Object} comparison The comparison, with its report rows.
+ * @param {string} currencyCode The account currency.
+ * @return {Array.<string>} The metric name, both values, and the absolute
+ *     and percentage changes.
+ */
+function comparisonRow(field, comparison, currencyCode) {
+  var current = comparison.currentRow[field.columnName];
+  var previous = comparison.previousRow[field.columnName];
+  var change = getChange(current, previous, field, currencyCode);
+  return [
+    localeFormat.string(field.columnName),
+    localeFormat.format(current, field.type, currencyCode),
+    localeFormat.format(previous, field.type, currencyCode),
+    change.text,
+    change.percentText
+  ];
+}
+
+/**
+ * @typedef {Object} CampaignMover
+ * @property {string} id The campaign ID.
+ * @property {string} name The campaign name.
+ * @property {number} current The value on the later day.
+ * @property {number} previous The value on the earlier day.
+ * @property {number} change The difference between the two.
+ */
+
+/**
+ * Finds the campaigns that contributed most to the change in each of
+ * TOP_MOVER_COLUMNS between two days.
+ *
+ * @param {string} current The later day as yyyyMMdd.
+ * @param {string} previous The earlier day as yyyyMMdd.
+ * @return {Array.<{field: Object, totalChange: number,
+ *     campaigns: Array.<CampaignMover>}>} For each column, its entry of
+ *     REPORT_FIELDS, the change summed over all campaigns, and up to
+ *     TOP_MOVERS_COUNT campaigns ordered by the size of their change.
+ */
+function getTopMovers(current, previous) {
+  if (TOP_MOVERS_COUNT <= 0) {
+    return [];
+  }
+  var campaigns = {};
+  var addRows = function(rows, key) {
+    rows.forEach(function(row) {
+      var campaign = campaigns[row.CampaignId] ||
+          {id: row.CampaignId, name: row.CampaignName, current: {},
+            previous: {}};
+      campaign[key] = row;
+      campaigns[row.CampaignId] = campaign;
+    });
+  };
+  addRows(getCampaignRowsForDuring(current + ',' + current), 'current');
+  addRows(getCampaignRowsForDuring(previous + ',' + previous), 'previous');
+
+  return TOP_MOVER_COLUMNS.map(function(column) {
+    var field = REPORT_FIELDS.filter(function(reportField) {
+      return reportField.columnName == column;
+    })[0];
+    if (!field) {
+      throw new Error('TOP_MOVER_COLUMNS contains ' + column + ', which is ' +
+          'not in REPORT_FIELDS.');
+    }
+    var totalChange = 0;
+    var movers = Object.keys(campaigns).map(function(id) {
+      var campaign = campaigns[id];
+      var currentValue = campaign.current[column] || 0;
+      var previousValue = campaign.previous[column] || 0;
+      totalChange += currentValue - previousValue;
+      return {
+        id: id,
+        name: campaign.name,
+        current: currentValue,
+        previous: previousValue,
+        change: currentValue - previousValue
+      };
+    }).filter(function(mover) {
+      return mover.change != 0;
+    });
+    movers.sort(function(a, b) {
+      return Math.abs(b.change) - Math.abs(a.change);
+    });
+    return {
+      field: field,
+      totalChange: totalChange,
+      campaigns: movers.slice(0, TOP_MOVERS_COUNT)
+    };
+  });
+}
+
+/**
+ * @param {{field: Object, totalChange: number}} movers An entry returned by
+ *     getTopMovers.
+ * @param {CampaignMover} campaign One of its campaigns.
+ * @return {string} The campaign's share of the total change, as a formatted
+ *     percentage, or empty if the total didn't change.
+ */
+function formatContribution(movers, campaign) {
+  if (!movers.totalChange) {
+    return '';
+  }
+  return localeFormat.format(campaign.change / movers.totalChange * 100,
+      'percent');
+}
+
+/**
+ * Builds a row of a top movers table in the summary email.
+ *
+ * @param {{field: Object, totalChange: number}} movers An entry returned by
+ *     getTopMovers.
+ * @param {CampaignMover} campaign One of its campaigns.
+ * @param {string} currencyCode The account currency.
+ * @return {string} HTML of the row.
+ */
+function topMoverRow(movers, campaign, currencyCode) {
+  var field = movers.field;
+  return reportTemplate.row(campaign.name, [
+    reportTemplate.cell(
+        localeFormat.format(campaign.current, field.type, currencyCode)),
+    reportTemplate.cell(
+        localeFormat.format(campaign.previous, field.type, currencyCode),
+        formatChangeString(campaign.current, campaign.previous, field,
+            currencyCode)),
+    reportTemplate.cell(formatContribution(movers, campaign))
+  ]);
+}
+
+/**
+ * Builds a row of a top movers table in the plain text summary.
+ *
+ * @param {{field: Object, totalChange: number}} movers An entry returned by
+ *     getTopMovers.
+ * @param {CampaignMover} campaign One of its campaigns.
+ * @param {string} currencyCode The account currency.
+ * @return {Array.<string>} The campaign name, both values, the change and
+ *     the contribution to the total change.
+ */
+function topMoverTextRow(movers, campaign, currencyCode) {
+  var field = movers.field;
+  return [
+    campaign.name,
+    localeFormat.format(campaign.current, field.type, currencyCode),
+    localeFormat.format(campaign.previous, field.type, currencyCode),
+    localeFormat.formatChange(campaign.change, field.type, currencyCode),
+    formatContribution(movers, campaign)
+  ];
+}
+
+/**
+ * @typedef {Object} PacingField
+ * @property {Object} field The entry of REPORT_FIELDS.
+ * @property {?number} target The monthly target, or null if not set or not
+ *     above 0.
+ * @property {?number} expected The part of the target expected by yesterday,
+ *     or null without a target.
+ * @property {number} actual The total of the month up to yesterday.
+ * @property {number} projected The projected total of the month.
+ * @property {?string} pace 'onTrack', 'overPace' or 'underPace', or null
+ *     without a target.
+ */
+
+/**
+ * @typedef {Object} Pacing
+ * @property {Array.<string>} month The first and last day of the month of
+ *     yesterday, as yyyyMMdd.
+ * @property {string} date Yesterday, as yyyyMMdd.
+ * @property {Array.<PacingField>} fields The projection of each of
+ *     PACING_FIELDS.
+ */
+
+/**
+ * Projects the month-end totals of PACING_FIELDS from the daily rows of the
+ * month up to yesterday, and compares them with their targets.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @return {Pacing}
+ */
+function getPacing(spreadsheet) {
+  var yesterday = getDateStringInTimeZone('yyyyMMdd', getYesterday());
+  var monthStart = firstDayOfMonth(yesterday);
+  var monthEnd = shiftDate(monthStart, -1, 1);
+  var dailyRows = getDailyRows(spreadsheet);
+  var fields = PACING_FIELDS.map(function(pacingField) {
+    var field = REPORT_FIELDS.filter(function(reportField) {
+      return reportField.columnName == pacingField.columnName;
+    })[0];
+    if (!field) {
+      throw new Error('PACING_FIELDS contains ' + pacingField.columnName +
+          ', which is not in REPORT_FIELDS.');
+    }
+    // Days missing from the Report sheet are left out of the run rate.
+    var getValue = function(date) {
+      var value = dailyRows[date] && dailyRows[date][field.columnName];
+      return typeof value == 'number' ? value : null;
+    };
+    var weights = getWeekdayWeights(shiftDate(yesterday,
+        1 - PACING_HISTORY_DAYS), yesterday, getValue);
+    var actual = 0;
+    var reportedWeight = 0;
+    var elapsedWeight = 0;
+    var monthWeight = 0;
+    for (var date = monthStart; date <= monthEnd; date = shiftDate(date, 1)) {
+      var weight = weights[getWeekday(date)];
+      monthWeight += weight;
+      if (date <= yesterday) {
+        elapsedWeight += weight;
+        if (getValue(date) !== null) {
+          actual += getValue(date);
+          reportedWeight += weight;
+        }
+      }
+    }
+    var targetRange = spreadsheet.getRangeByName(pacingField.targetRange);
+    var target = targetRange ?
+        localeFormat.parseNumber(targetRange.getValue()) : NaN;
+    var result = {
+      field: field,
+      target: null,
+      expected: null,
+      actual: actual,
+      projected: reportedWeight ? actual * monthWeight / reportedWeight : 0,
+      pace: null
+    };
+    // Projections cannot be compared with a target of 0 or less.
+    if (target > 0) {
+      result.target = target;
+      result.expected = target * elapsedWeight / monthWeight;
+      var percent = (result.projected - target) / target * 100;
+      result.pace = Math.abs(percent) <= PACING_TOLERANCE_PERCENT ?
+          'onTrack' : (percent > 0 ? 'overPace' : 'underPace');
+    }
+    return result;
+  });
+  return {month: [monthStart, monthEnd], date: yesterday, fields: fields};
+}
+
+/**
+ * Measures how much each weekday usually weighs, relative to the average day.
+ *
+ * @param {string} start The first day of the history, as yyyyMMdd.
+ * @param {string} end The last day of the history, as yyyyMMdd.
+ * @param {function(string): ?number} getValue Returns the value of a day, or
+ *     null if it is unknown.
+ * @return {Array.<number>} The weight of each weekday, from Sunday; 1 for
+ *     weekdays without history.
+ */
+function getWeekdayWeights(start, end, getValue) {
+  var totals = [0, 0, 0, 0, 0, 0, 0];
+  var counts = [0, 0, 0, 0, 0, 0, 0];
+  var total = 0;
+  var count = 0;
+  for (var date = start; date <= end; date = shiftDate(date, 1)) {
+    var weekday = getWeekday(date);
+    var value = getValue(date);
+    if (value === null) {
+      continue;
+    }
+    totals[weekday] += value;
+    counts[weekday]++;
+    total += value;
+    count++;
+  }
+  var average = count ? total / count : 0;
+  return totals.map(function(weekdayTotal, weekday) {
+    return average && counts[weekday] ?
+        weekdayTotal / counts[weekday] / average : 1;
+  });
+}
+
+/**
+ * @param {string} date A date as yyyyMMdd.
+ * @return {number} The day of the week, 0 for Sunday.
+ */
+function getWeekday(date) {
+  return new Date(Date.UTC(parseInt(date.substring(0, 4), 10),
+      parseInt(date.substring(4, 6), 10) - 1,
+      parseInt(date.substring(6, 8), 10))).getUTCDay();
+}
+
+/**
+ * @return {Array.<string>} The headings of the pacing table, after the metric.
+ */
+function getPacingHeadings() {
+  return ['target', 'expectedToDate', 'actualToDate', 'projection', 'pace']
+      .map(function(key) {
+        return localeFormat.string(key);
+      });
+}
+
+/**
+ * Renders the projection of a field as a row of the pacing table of the email.
+ *
+ * @param {PacingField} pacingField
+ * @param {string} currencyCode The account currency.
+ * @return {string} HTML of the row.
+ */
+function pacingRow(pacingField, currencyCode) {
+  var cells = pacingTextRow(pacingField, currencyCode).slice(1);
+  var pace = null;
+  if (pacingField.pace) {
+    // Off-track paces are colored by whether the field should go up or down.
+    var sentiment = pacingField.pace == 'onTrack' ? 0 :
+        (pacingField.pace == 'overPace') ==
+            pacingField.field.higherIsBetter ? 1 : -1;
+    pace = reportTemplate.delta(localeFormat.formatChange(
+        (pacingField.projected - pacingField.target) /
+            (pacingField.target || 1) * 100, 'percent'), sentiment);
+  }
+  return reportTemplate.row(localeFormat.string(
+      pacingField.field.columnName), cells.map(function(value, i) {
+    return reportTemplate.cell(value === '' ? null : value,
+        i == cells.length - 1 ? pace : undefined);
+  }));
+}
+
+/**
+ * @param {PacingField} pacingField
+ * @param {string} currencyCode The account currency.
+ * @return {Array.<string>} The projection of a field as a row of the plain
+ *     text table: the field, target, expected and actual value, projection
+ *     and pace, formatted; empty without a target.
+ */
+function pacingTextRow(pacingField, currencyCode) {
+  var field = pacingField.field;
+  var format = function(value) {
+    return value === null ? '' :
+        localeFormat.format(value, field.type, currencyCode);
+  };
+  return [
+    localeFormat.string(field.columnName),
+    format(pacingField.target),
+    format(pacingField.expected),
+    format(pacingField.actual),
+    format(pacingField.projected),
+    pacingField.pace ? localeFormat.string(pacingField.pace) : ''
+  ];
+}
+
+/**
+ * Appends the projections of a day to PACING_SHEET_NAME, creating the sheet
+ * with its headings if it doesn't exist yet. Days already in the sheet are
+ * not written again.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @param {Pacing} pacing The projections, as returned by getPacing.
+ */
+function writePacingRows(spreadsheet, pacing) {
+  if (!pacing.fields.length) {
+    return;
+  }
+  var sheet = spreadsheet.getSheetByName(PACING_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(PACING_SHEET_NAME);
+    sheet.appendRow([localeFormat.string('date'),
+      localeFormat.string('metric')].concat(getPacingHeadings()));
+    sheet.setFrozenRows(1);
+  }
+  var written = sheet.getDataRange().getValues().slice(1).some(function(row) {
+    return row[0] instanceof Date &&
+        getDateStringInTimeZone('yyyyMMdd', row[0]) == pacing.date;
+  });
+  if (written) {
+    return;
+  }
+  var currencyCode = AdWordsApp.currentAccount().getCurrencyCode();
+  var startRow = sheet.getLastRow() + 1;
+  var missingRows = startRow + pacing.fields.length - 1 - sheet.getMaxRows();
+  if (missingRows > 0) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), missingRows);
+  }
+  var rows = [];
+  var numberFormats = [];
+  pacing.fields.forEach(function(pacingField) {
+    var field = pacingField.field;
+    var value = function(number) {
+      return number === null ? '' : localeFormat.toSheetValue(number,
+          field.type);
+    };
+    var format = localeFormat.getSheetNumberFormat(field.type, currencyCode);
+    rows.push([
+      parseDateString(pacing.date), localeFormat.string(field.columnName),
+      value(pacingField.target), value(pacingField.expected),
+      value(pacingField.actual), value(pacingField.projected),
+      pacingField.pace ? localeFormat.string(pacingField.pace) : ''
+    ]);
+    numberFormats.push([localeFormat.getSheetNumberFormat('date'), '@',
+      format, format, format, format, '@']);
+  });
+  sheet.getRange(startRow, 1, rows.length, rows[0].length)
+      .setValues(rows)
+      .setNumberFormats(numberFormats);
+}
+
+/**
+ * @typedef {Object} Anomaly
+ * @property {Object} field The entry of REPORT_FIELDS.
+ * @property {number} value The value of the day.
+ * @property {number} median The median of the days compared with.
+ * @property {number} low The lowest expected value.
+ * @property {number} high The highest expected value.
+ */
+
+/**
+ * Finds the unusual values of REPORT_FIELDS on each day of the Report sheet,
+ * see ANOMALY_MODEL, and highlights them, clearing the highlights of the
+ * other values. All days are checked, as rows written later, e.g. by a
+ * backfill, change the baselines of the days after them and move the rows
+ * below them.
+ *
+ * @param {Spreadsheet} spreadsheet The export spreadsheet.
+ * @return {!Object.<!Array.<Anomaly>>} The anomalies of each day, keyed by
+ *     the day as yyyyMMdd.
+ */
+function findAnomalies(spreadsheet) {
+  var anomalies = {};
+  if (!ANOMALY_SENSITIVITY) {
+    return anomalies;
+  }
+  var sheet = spreadsheet.getSheetByName('Report');
+  var dailyRows = getDailyRows(spreadsheet);
+  // The notes of the values of each row after the header, '' if usual.
+  var rowIndexes = {};
+  var notes = sheet.getDataRange().getValues().slice(5).map(function(row, i) {
+    if (row[1] instanceof Date) {
+      rowIndexes[getDateStringInTimeZone('yyyyMMdd', row[1])] = i;
+    }
+    return REPORT_FIELDS.map(function() {
+      return '';
+    });
+  });
+  var currencyCode = AdWordsApp.currentAccount().getCurrencyCode();
+  Object.keys(dailyRows).forEach(function(date) {
+    anomalies[date] = [];
+    var baselineDates =
+        anomalyDetector.getBaselineDates(ANOMALY_MODEL, date, ANOMALY_WEEKS);
+    REPORT_FIELDS.forEach(function(field, i) {
+      if (field.type == 'text') {
+        return;
+      }
+      var anomaly = anomalyDetector.detect(dailyRows[date][field.columnName],
+          baselineDates.map(function(baselineDate) {
+            return dailyRows[baselineDate] &&
+                dailyRows[baselineDate][field.columnName];
+          }), ANOMALY_SENSITIVITY);
+      if (anomaly && anomaly.isAnomaly) {
+        anomaly.field = field;
+        anomalies[date].push(anomaly);
+        notes[rowIndexes[date]][i] = localeFormat.string('expectedRange') +
+            ': ' + formatExpectedRange(anomaly, currencyCode);
+      }
+    });
+  });
+  if (notes.length) {
+    anomalyDetector.highlight(
+        sheet.getRange(6, 3, notes.length, REPORT_FIELDS.length), notes);
+  }
+  return anomalies;
+}
+
+/**
+ * @param {Anomaly} anomaly
+ * @param {string} currencyCode The account currency.
+ * @return {string} The expected range, e.g. 'R$ 10,00 – R$ 20,00'.
  */
-function writeToSpreadsheet(rows) {
-  var access = new SpreadsheetAccess(SPREADSHEET_URL, 'Report');
-  var emptyRow = access.findEmptyRow(6, 2);
-  if (emptyRow < 0) {
-    access.addRows(rows.length);
-    emptyRow = access.findEmptyRow(6, 2);
-  }
-  access.writeRows(rows, emptyRow, 2);
-  sortReportRows();
+function formatExpectedRange(anomaly, currencyCode) {
+  var type = anomaly.field.type;
+  return localeFormat.format(anomaly.low, type, currencyCode) + ' – ' +
+      localeFormat.format(anomaly.high, type, currencyCode);
 }
 
-function sendEmail(email) {
-  var day = getYesterday();
-  var yesterdayRow = getReportRowForDate(day);
-  day.setDate(day.getDate() - 1);
-  var twoDaysAgoRow = getReportRowForDate(day);
-  day.setDate(day.getDate() - 5);
-  var weekAgoRow = getReportRowForDate(day);
-
-  var html = [];
-  html.push(
-    '<html>',
-      '<body>',
-        '<table width=800 cellpadding=0 border=0 cellspacing=0>',
-          '<tr>',
-            '<td colspan=2 align=right>',
-              "<div style='font: italic normal 10pt Times New Roman, serif; " +
-                  "margin: 0; color: #666; padding-right: 5px;'>" +
-                  'Powered by Sutel</div>',
-            '</td>',
-          '</tr>',
-          "<tr bgcolor='#3c78d8'>",
-            '<td width=500>',
-              "<div style='font: normal 18pt verdana, sans-serif; " +
-              "padding: 3px 10px; color: white'>Resumo da Conta</div>",
-            '</td>',
-            '<td align=right>',
-              "<div style='font: normal 18pt verdana, sans-serif; " +
-              "padding: 3px 10px; color: white'>",
-               AdWordsApp.currentAccount().getCustomerId(), '</h1>',
-            '</td>',
-            '</tr>',
-          '</table>',
-          '<table width=800 cellpadding=0 border=0 cellspacing=0>',
-            "<tr bgcolor='#ddd'>",
-              '<td></td>',
-              "<td style='font: 12pt verdana, sans-serif; " +
-                  'padding: 5px 0px 5px 5px; background-color: #ddd; ' +
-                  "text-align: left'>Ontem</td>",
-              "<td style='font: 12pt verdana, sans-serif; " +
-                  'padding: 5px 0px 5px 5px; background-color: #ddd; ' +
-                  "text-align: left'>Dois dias atrás</td>",
-              "<td style='font: 12pt verdana, sans-serif; " +
-                  'padding: 5px 0px 5x 5px; background-color: #ddd; ' +
-                  "text-align: left'>Uma semana atrás</td>",
-            '</tr>');
-  REPORT_FIELDS.forEach(function(field) {
-    html.push(emailRow(
-        field.displayName, field.columnName, yesterdayRow, twoDaysAgoRow,
-        weekAgoRow));
+/**
+ * @return {Array.<string>} The headings of the anomaly table, after the
+ *     metric.
+ */
+function getAnomalyHeadings() {
+  return ['value', 'median', 'expectedRange'].map(function(key) {
+    return localeFormat.string(key);
   });
-  html.push('</table>', '</body>', '</html>');
-  MailApp.sendEmail(email, 'AdWords Account ' +
-      AdWordsApp.currentAccount().getCustomerId() + ' Summary Report', '',
-      {htmlBody: html.join('\n')});
 }
 
-function emailRow(title, column, yesterdayRow, twoDaysAgoRow, weekAgoRow) {
-  var html = [];
-  html.push('<tr>',
-      "<td style='padding: 5px 10px'>" + title + '</td>',
-      "<td style='padding: 0px 10px'>" + yesterdayRow[column] + '</td>',
-      "<td style='padding: 0px 10px'>" + twoDaysAgoRow[column] +
-          formatChangeString(yesterdayRow[column], twoDaysAgoRow[column]) +
-          '</td>',
-      "<td style='padding: 0px 10px'>" + weekAgoRow[column] +
-          formatChangeString(yesterdayRow[column], weekAgoRow[column]) +
-          '</td>',
-      '</tr>');
-  return html.join('\n');
+/**
+ * Renders an unusual value as a row of the anomaly table of the email.
+ *
+ * @param {Anomaly} anomaly
+ * @param {string} currencyCode The account currency.
+ * @return {string} HTML of the row.
+ */
+function anomalyRow(anomaly, currencyCode) {
+  var field = anomaly.field;
+  return reportTemplate.row(localeFormat.string(field.columnName), [
+    reportTemplate.cell(
+        localeFormat.format(anomaly.value, field.type, currencyCode),
+        formatChangeString(anomaly.value, anomaly.median, field,
+            currencyCode)),
+    reportTemplate.cell(
+        localeFormat.format(anomaly.median, field.type, currencyCode)),
+    reportTemplate.cell(formatExpectedRange(anomaly, currencyCode))
+  ]);
 }
 
+/**
+ * @param {Anomaly} anomaly
+ * @param {string} currencyCode The account currency.
+ * @return {Array.<string>} An unusual value as a row of the plain text table:
+ *     the field, value, median and expected range, formatted.
+ */
+function anomalyTextRow(anomaly, currencyCode) {
+  var field = anomaly.field;
+  return [
+    localeFormat.string(field.columnName),
+    localeFormat.format(anomaly.value, field.type, currencyCode),
+    localeFormat.format(anomaly.median, field.type, currencyCode),
+    formatExpectedRange(anomaly, currencyCode)
+  ];
+}
 
 function getReportRowForDate(date) {
   var timeZone = AdWordsApp.currentAccount().getTimeZone();
@@ -243,6 +1578,13 @@ function getReportRowForDate(date) {
   return getReportRowForDuring(dateString + ',' + dateString);
 }
 
+/**
+ * Retrieves the account totals for a date range.
+ *
+ * @param {string} during The AWQL DURING clause, e.g. '20170301,20170307'.
+ * @return {Object} The value of each of REPORT_FIELDS by column name, parsed
+ *     by parseReportRow.
+ */
 function getReportRowForDuring(during) {
   var report = AdWordsApp.report(
       'SELECT ' +
@@ -254,30 +1596,159 @@ function getReportRowForDuring(during) {
           ' FROM ACCOUNT_PERFORMANCE_REPORT ' +
           'DURING ' + during,
       REPORTING_OPTIONS);
-  return report.rows().next();
+  return parseReportRow(report.rows().next());
+}
+
+/**
+ * @param {Date} date The day, at 00:00 in the account's time zone.
+ * @return {Array.<Object>} The rows of getCampaignRowsForDuring for the day.
+ */
+function getCampaignRowsForDate(date) {
+  var dateString = getDateStringInTimeZone('yyyyMMdd', date);
+  return getCampaignRowsForDuring(dateString + ',' + dateString);
+}
+
+/**
+ * Retrieves the totals of each campaign with activity in a date range:
+ * impressions, or any other metric such as costs or conversions, which a day
+ * without impressions can still have. AWQL has no OR to select these, so the
+ * report includes zero-impression rows and the all-zero ones are skipped.
+ *
+ * @param {string} during The AWQL DURING clause, e.g. '20170301,20170307'.
+ * @return {Array.<Object>} For each campaign, its CampaignId, CampaignName
+ *     and the values of REPORT_FIELDS, parsed as by getReportRowForDuring.
+ */
+function getCampaignRowsForDuring(during) {
+  var report = AdWordsApp.report(
+      'SELECT CampaignId, CampaignName, ' +
+          REPORT_FIELDS
+              .map(function(field) {
+                return field.columnName;
+              })
+              .join(',') +
+          ' FROM CAMPAIGN_PERFORMANCE_REPORT ' +
+          'DURING ' + during,
+      getReportingOptions({includeZeroImpressions: true}));
+  var campaignRows = [];
+  var rows = report.rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var campaignRow = parseReportRow(row);
+    var hasActivity = REPORT_FIELDS.some(function(field) {
+      var value = campaignRow[field.columnName];
+      return typeof value == 'number' && value !== 0;
+    });
+    if (!hasActivity) {
+      continue;
+    }
+    campaignRow.CampaignId = row.CampaignId;
+    campaignRow.CampaignName = row.CampaignName;
+    campaignRows.push(campaignRow);
+  }
+  return campaignRows;
+}
+
+/**
+ * @param {Object} options Report options to add to REPORTING_OPTIONS.
+ * @return {Object} REPORTING_OPTIONS with the given options.
+ */
+function getReportingOptions(options) {
+  var reportingOptions = {};
+  Object.keys(REPORTING_OPTIONS).forEach(function(key) {
+    reportingOptions[key] = REPORTING_OPTIONS[key];
+  });
+  Object.keys(options).forEach(function(key) {
+    reportingOptions[key] = options[key];
+  });
+  return reportingOptions;
+}
+
+/**
+ * Parses the REPORT_FIELDS of a report row.
+ *
+ * @param {Object} row The report row.
+ * @return {Object} The value of each of REPORT_FIELDS by column name; numeric
+ *     values are parsed into numbers, with percentages in percent.
+ */
+function parseReportRow(row) {
+  var values = {};
+  REPORT_FIELDS.forEach(function(field) {
+    var value = row[field.columnName];
+    var number = localeFormat.parseNumber(value);
+    values[field.columnName] =
+        field.type == 'text' || isNaN(number) ? value : number;
+  });
+  return values;
 }
 
-function formatChangeString(newValue,  oldValue) {
-  var x = newValue.indexOf('%');
-  if (x != -1) {
-    newValue = newValue.substring(0, x);
-    var y = oldValue.indexOf('%');
-    oldValue = oldValue.substring(0, y);
+/**
+ * Calculates the change between two report values.
+ *
+ * @param {number|string} newValue
+ * @param {number|string} oldValue
+ * @param {Object} field The entry of REPORT_FIELDS the values belong to.
+ * @param {string} currencyCode The account currency.
+ * @return {{value: number, text: string, percent: number,
+ *     percentText: string}} The absolute and relative change, each with its
+ *     signed display text; the texts are empty if the change can't be
+ *     calculated, e.g. for values that aren't numbers or the relative change
+ *     from zero.
+ */
+function getChange(newValue, oldValue, field, currencyCode) {
+  if (field.type == 'text' || typeof newValue != 'number' ||
+      typeof oldValue != 'number') {
+    return {value: NaN, text: '', percent: NaN, percentText: ''};
   }
+  var change = newValue - oldValue;
+  var percent = oldValue != 0 ? change / Math.abs(oldValue) * 100 : NaN;
+  return {
+    value: change,
+    text: localeFormat.formatChange(change, field.type, currencyCode),
+    percent: percent,
+    percentText: isNaN(percent) ? '' :
+        localeFormat.formatChange(percent, 'percent')
+  };
+}
 
-  var change = parseFloat(newValue - oldValue).toFixed(2);
-  var changeString = change;
-  if (x != -1) {
-    changeString = change + '%';
+/**
+ * Formats the change from an old to a new value for the email, colored by
+ * whether it is an improvement.
+ *
+ * @param {number|string} newValue
+ * @param {number|string} oldValue
+ * @param {Object} field The entry of REPORT_FIELDS the values belong to. Its
+ *     changes are colored if it has higherIsBetter.
+ * @param {string} currencyCode The account currency.
+ * @return {string} HTML of the absolute and percentage change, or empty if it
+ *     can't be calculated.
+ */
+function formatChangeString(newValue, oldValue, field, currencyCode) {
+  var change = getChange(newValue, oldValue, field, currencyCode);
+  if (!change.text) {
+    return '';
+  }
+  var text = change.text;
+  if (change.percentText) {
+    text += ', ' + change.percentText;
   }
+  return reportTemplate.delta(text,
+      getChangeSentiment(change, field.higherIsBetter));
+}
 
-  if (change >= 0) {
-    return "<span style='color: #38761d; font-size: 8pt'> (+" +
-        changeString + ')</span>';
-  } else {
-    return "<span style='color: #cc0000; font-size: 8pt'> (" +
-        changeString + ')</span>';
+/**
+ * Classifies a change as good, bad or insignificant.
+ *
+ * @param {{value: number, percent: number}} change As returned by getChange.
+ * @param {boolean=} higherIsBetter Whether an increase is an improvement.
+ * @return {number} 1 for an improvement, -1 for a deterioration and 0 if the
+ *     change is within NEUTRAL_CHANGE_PERCENT or has no direction.
+ */
+function getChangeSentiment(change, higherIsBetter) {
+  if (higherIsBetter === undefined || change.value == 0 ||
+      Math.abs(change.percent) < NEUTRAL_CHANGE_PERCENT) {
+    return 0;
   }
+  return (change.value > 0) == higherIsBetter ? 1 : -1;
 }
 
 function SpreadsheetAccess(spreadsheetUrl, sheetName) {
@@ -298,9 +1769,15 @@ function SpreadsheetAccess(spreadsheetUrl, sheetName) {
   this.addRows = function(howMany) {
     this.sheet.insertRowsAfter(this.sheet.getMaxRows(), howMany);
   };
-  this.writeRows = function(rows, startRow, startColumn) {
-    this.sheet.getRange(startRow, startColumn, rows.length, rows[0].length).
-        setValues(rows);
+  this.writeRows = function(rows, startRow, startColumn, numberFormats) {
+    var range = this.sheet.getRange(startRow, startColumn, rows.length,
+        rows[0].length);
+    range.setValues(rows);
+    if (numberFormats) {
+      range.setNumberFormats(rows.map(function() {
+        return numberFormats;
+      }));
+    }
   };
 }
 
@@ -337,6 +1814,65 @@ function getFirstDayToCheck(spreadsheet, yesterday) {
   return date;
 }
 
+/**
+ * Moves a date by whole days, months and years. Moving by months or years
+ * keeps the day of the month where possible, or falls back to the last day of
+ * the target month, e.g. 20170331 minus one month is 20170228.
+ *
+ * @param {string} date The date as yyyyMMdd.
+ * @param {number} days Days to add; negative to go back.
+ * @param {number=} months Months to add.
+ * @param {number=} years Years to add.
+ * @return {string} The resulting date as yyyyMMdd.
+ */
+function shiftDate(date, days, months, years) {
+  var year = parseInt(date.substring(0, 4), 10) + (years || 0);
+  var month = parseInt(date.substring(4, 6), 10) - 1 + (months || 0);
+  var day = parseInt(date.substring(6, 8), 10);
+  var lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  var shifted = new Date(Date.UTC(year, month,
+      Math.min(day, lastDayOfMonth) + days));
+  return Utilities.formatDate(shifted, 'UTC', 'yyyyMMdd');
+}
+
+/**
+ * Converts a date string to a Date object, as getYesterday does.
+ *
+ * @param {string} date A date as yyyyMMdd.
+ * @return {Date} A date object that is equivalent to 00:00 on that day in the
+ *     account's time zone.
+ */
+function parseDateString(date) {
+  var noon = new Date(Date.UTC(parseInt(date.substring(0, 4), 10),
+      parseInt(date.substring(4, 6), 10) - 1,
+      parseInt(date.substring(6, 8), 10), 12));
+  return new Date(Utilities.formatDate(noon, 'UTC', 'MMM dd, yyyy') +
+      ' 00:00:00 ' + getDateStringInTimeZone('Z', noon));
+}
+
+/**
+ * @param {string} date A date as yyyyMMdd.
+ * @return {string} The first day of its month as yyyyMMdd.
+ */
+function firstDayOfMonth(date) {
+  return date.substring(0, 6) + '01';
+}
+
+/**
+ * Formats a date range for display, e.g. '01/03/2017 – 07/03/2017', or a
+ * single date if the range is one day long.
+ *
+ * @param {Array.<string>} range The start and end dates as yyyyMMdd.
+ * @return {string} The range in the date format of LOCALE.
+ */
+function formatDateRange(range) {
+  if (range[0] == range[1]) {
+    return localeFormat.formatDate(range[0]);
+  }
+  return localeFormat.formatDate(range[0]) + ' – ' +
+      localeFormat.formatDate(range[1]);
+}
+
 /**
  * Produces a formatted string representing a given date in a given time zone.
  *
@@ -371,3 +1907,1001 @@ function validateAndGetSpreadsheet() {
   }
   return spreadsheet;
 }
+
+/**
+ * Module for formatting numbers, currencies, percentages and dates according
+ * to LOCALE, and for looking up labels in STRINGS. The same block is used by
+ * relatorio.js and bistro.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var localeFormat = (function() {
+  // Separators and patterns of each supported locale. The currency pattern
+  // places the symbol (¤) relative to the amount (#).
+  var LOCALES = {
+    'pt-BR': {
+      decimalSeparator: ',',
+      groupSeparator: '.',
+      datePattern: 'dd/MM/yyyy',
+      currencyPattern: '¤ #',
+      currencySymbols: {}
+    },
+    'en-US': {
+      decimalSeparator: '.',
+      groupSeparator: ',',
+      datePattern: 'MM/dd/yyyy',
+      currencyPattern: '¤#',
+      currencySymbols: {USD: '$'}
+    },
+    'en-GB': {
+      decimalSeparator: '.',
+      groupSeparator: ',',
+      datePattern: 'dd/MM/yyyy',
+      currencyPattern: '¤#',
+      currencySymbols: {}
+    },
+    'es-ES': {
+      decimalSeparator: ',',
+      groupSeparator: '.',
+      datePattern: 'dd/MM/yyyy',
+      currencyPattern: '# ¤',
+      currencySymbols: {}
+    }
+  };
+
+  // Symbols used for currencies in every locale, unless the locale overrides
+  // them. Other currencies are shown by their code.
+  var CURRENCY_SYMBOLS = {
+    BRL: 'R$',
+    USD: 'US$',
+    EUR: '€',
+    GBP: '£',
+    JPY: '¥'
+  };
+
+  // Number of decimals shown for each value type.
+  var DECIMALS = {
+    integer: 0,
+    decimal: 2,
+    percent: 2,
+    currency: 2,
+    rate: 4
+  };
+
+  /**
+   * @return {object} the conventions of LOCALE
+   */
+  var getLocale = function() {
+    var locale = LOCALES[LOCALE];
+    if (!locale) {
+      throw new Error('Unsupported LOCALE \'' + LOCALE + '\'. Supported ' +
+          'locales are: ' + Object.keys(LOCALES).join(', ') + '.');
+    }
+    return locale;
+  };
+
+  /**
+   * Looks up a label in the STRINGS table of LOCALE, else in a table of the
+   * same language, else in the 'en-US' table. Placeholders {0}, {1}, etc. are
+   * replaced by the extra arguments.
+   *
+   * @param {string} key the label key
+   * @param {...*} var_args values for the placeholders
+   * @return {string} the label, or the key itself if it is not translated
+   */
+  var string = function(key, var_args) {
+    var language = LOCALE.split('-')[0];
+    var tables = [STRINGS[LOCALE]];
+    Object.keys(STRINGS).forEach(function(locale) {
+      if (locale.split('-')[0] == language) {
+        tables.push(STRINGS[locale]);
+      }
+    });
+    tables.push(STRINGS['en-US']);
+    var table = tables.filter(function(candidate) {
+      return candidate && candidate.hasOwnProperty(key);
+    })[0];
+    var args = arguments;
+    var text = table ? table[key] : key;
+    return text.replace(/\{(\d+)\}/g, function(placeholder, index) {
+      var value = args[parseInt(index, 10) + 1];
+      return value === undefined ? placeholder : String(value);
+    });
+  };
+
+  /**
+   * Parses a value as returned by reports, e.g. '1,234.56', '3.20%' or
+   * '< 10%'.
+   *
+   * @param {*} value the value
+   * @return {number} the number, in percent for percentages, or NaN if the
+   *     value is not numeric, e.g. ' --'
+   */
+  var parseNumber = function(value) {
+    if (typeof value == 'number') {
+      return value;
+    }
+    return parseFloat(String(value).replace(/[,%<>\s]/g, ''));
+  };
+
+  /**
+   * Formats a number with the separators of LOCALE.
+   *
+   * @param {number} value the number
+   * @param {number} decimals the number of decimals to show
+   * @return {string} the formatted number
+   */
+  var formatNumber = function(value, decimals) {
+    var locale = getLocale();
+    var parts = Math.abs(value).toFixed(decimals).split('.');
+    var text = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g,
+        locale.groupSeparator);
+    if (parts.length > 1) {
+      text += locale.decimalSeparator + parts[1];
+    }
+    // Don't show values that round to zero as negative.
+    return value < 0 && /[1-9]/.test(text) ? '-' + text : text;
+  };
+
+  /**
+   * @param {string} currencyCode e.g. 'BRL'
+   * @return {string} the symbol of the currency in LOCALE
+   */
+  var getCurrencySymbol = function(currencyCode) {
+    return getLocale().currencySymbols[currencyCode] ||
+        CURRENCY_SYMBOLS[currencyCode] || currencyCode;
+  };
+
+  /**
+   * Formats an amount of money.
+   *
+   * @param {number} value the amount
+   * @param {?string} currencyCode e.g. 'BRL'; if null, e.g. for totals across
+   *     currencies, the amount is formatted as a plain number
+   * @return {string} the formatted amount
+   */
+  var formatCurrency = function(value, currencyCode) {
+    var amount = formatNumber(value, DECIMALS.currency);
+    if (!currencyCode) {
+      return amount;
+    }
+    var isNegative = amount.charAt(0) == '-';
+    var text = getLocale().currencyPattern
+        .replace('¤', getCurrencySymbol(currencyCode))
+        .replace('#', isNegative ? amount.substring(1) : amount);
+    return isNegative ? '-' + text : text;
+  };
+
+  /**
+   * Formats a value by its type.
+   *
+   * @param {*} value the value; values that are not numbers, e.g. 'N/A', are
+   *     shown as they are
+   * @param {string} type 'currency', 'percent' (value in percent), 'integer',
+   *     'decimal', 'rate' (e.g. an exchange rate) or 'text'
+   * @param {?string=} currencyCode the currency of 'currency' values
+   * @return {string} the formatted value
+   */
+  var format = function(value, type, currencyCode) {
+    if (value === null || value === undefined ||
+        (typeof value == 'number' && isNaN(value))) {
+      return '';
+    }
+    if (typeof value != 'number' || !DECIMALS.hasOwnProperty(type)) {
+      return String(value);
+    }
+    if (type == 'currency') {
+      return formatCurrency(value, currencyCode);
+    }
+    return formatNumber(value, DECIMALS[type]) + (type == 'percent' ? '%' : '');
+  };
+
+  /**
+   * Formats a change in a value, always signed, e.g. '+R$ 1,50' or '-2,00%'.
+   *
+   * @param {number} value the change
+   * @param {string} type the type of the value, see format()
+   * @param {?string=} currencyCode the currency of 'currency' values
+   * @return {string} the formatted change
+   */
+  var formatChange = function(value, type, currencyCode) {
+    var text = format(value, type, currencyCode);
+    return text && text.charAt(0) != '-' ? '+' + text : text;
+  };
+
+  /**
+   * Formats a calendar date.
+   *
+   * @param {Date|string} date a Date, or a date as yyyyMMdd or yyyy-MM-dd
+   * @param {string=} timeZone the time zone of a Date; defaults to the
+   *     account's
+   * @return {string} the date in the pattern of LOCALE
+   */
+  var formatDate = function(date, timeZone) {
+    var pattern = getLocale().datePattern;
+    if (date instanceof Date) {
+      return Utilities.formatDate(date,
+          timeZone || AdWordsApp.currentAccount().getTimeZone(), pattern);
+    }
+    var digits = String(date).replace(/-/g, '');
+    return Utilities.formatDate(new Date(Date.UTC(
+        parseInt(digits.substring(0, 4), 10),
+        parseInt(digits.substring(4, 6), 10) - 1,
+        parseInt(digits.substring(6, 8), 10))), 'UTC', pattern);
+  };
+
+  /**
+   * @return {string} LOCALE in the form used by Spreadsheet locales, e.g.
+   *     'pt_BR'
+   */
+  var getSpreadsheetLocale = function() {
+    getLocale();
+    return LOCALE.replace('-', '_');
+  };
+
+  /**
+   * Builds the spreadsheet number format for a type of value. Separators are
+   * applied by Sheets according to the spreadsheet locale.
+   *
+   * @param {string} type the type of the value, see format(), or 'date'
+   * @param {?string=} currencyCode the currency of 'currency' values
+   * @return {string} the number format
+   */
+  var getSheetNumberFormat = function(type, currencyCode) {
+    switch (type) {
+      case 'currency':
+        if (!currencyCode) {
+          return '#,##0.00';
+        }
+        return getLocale().currencyPattern.split('#').map(function(part) {
+          return part ?
+              '"' + part.replace('¤', getCurrencySymbol(currencyCode)) + '"' :
+              '';
+        }).join('#,##0.00');
+      case 'percent':
+        return '0.00%';
+      case 'integer':
+        return '#,##0';
+      case 'decimal':
+        return '#,##0.00';
+      case 'rate':
+        return '#,##0.0000';
+      case 'date':
+        return getLocale().datePattern;
+      default:
+        return '@';
+    }
+  };
+
+  /**
+   * Converts a value for writing to a spreadsheet, where percentages are
+   * stored as fractions.
+   *
+   * @param {*} value the value
+   * @param {string} type the type of the value, see format()
+   * @return {*} the value to write
+   */
+  var toSheetValue = function(value, type) {
+    return type == 'percent' && typeof value == 'number' ? value / 100 : value;
+  };
+
+  /**
+   * Converts a value read from a spreadsheet back, see toSheetValue().
+   *
+   * @param {*} value the value read
+   * @param {string} type the type of the value, see format()
+   * @return {*} the value
+   */
+  var fromSheetValue = function(value, type) {
+    return type == 'percent' && typeof value == 'number' ? value * 100 : value;
+  };
+
+  // Return the external interface.
+  return {
+    string: string,
+    parseNumber: parseNumber,
+    format: format,
+    formatChange: formatChange,
+    formatDate: formatDate,
+    getSpreadsheetLocale: getSpreadsheetLocale,
+    getSheetNumberFormat: getSheetNumberFormat,
+    toSheetValue: toSheetValue,
+    fromSheetValue: fromSheetValue
+  };
+})();
+
+/**
+ * Module for rendering the summary email. Branding, colors and layout are
+ * defined here only; the same block is used by relatorio.js and bistro.js,
+ * keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var reportTemplate = (function() {
+  var STYLE = {
+    width: 800,
+    font: 'verdana, sans-serif',
+    brandColor: '#3c78d8',
+    brandTextColor: 'white',
+    headingColor: '#ddd',
+    poweredByColor: '#666',
+    improvementColor: '#38761d',
+    deteriorationColor: '#cc0000',
+    noteColor: '#b45f06'
+  };
+
+  /**
+   * Wraps the rendered sections in an HTML document.
+   *
+   * @param {Array.<string>} sections HTML of each section, in order
+   * @return {string} the email HTML
+   */
+  var page = function(sections) {
+    return ['<html>', '<body>'].concat(sections, ['</body>', '</html>'])
+        .join('\n');
+  };
+
+  /**
+   * Renders the banner at the top of the email.
+   *
+   * @param {string} title the report title, shown on the left
+   * @param {string} subtitle shown on the right, e.g. the customer ID
+   * @param {string} poweredBy the credit line above the banner
+   * @return {string} HTML of the header
+   */
+  var header = function(title, subtitle, poweredBy) {
+    var bannerStyle = 'font: normal 18pt ' + STYLE.font + '; ' +
+        'padding: 3px 10px; color: ' + STYLE.brandTextColor;
+    return [
+      tableStart(),
+      '<tr>',
+      '<td colspan=2 align=right>',
+      '<div style=\'font: italic normal 10pt Times New Roman, serif; ' +
+          'margin: 0; color: ' + STYLE.poweredByColor + '; ' +
+          'padding-right: 5px;\'>' + poweredBy + '</div>',
+      '</td>',
+      '</tr>',
+      '<tr bgcolor=\'' + STYLE.brandColor + '\'>',
+      '<td width=500>',
+      '<div style=\'' + bannerStyle + '\'>' + title + '</div>',
+      '</td>',
+      '<td align=right>',
+      '<div style=\'' + bannerStyle + '\'>' + subtitle + '</div>',
+      '</td>',
+      '</tr>',
+      '</table>'
+    ].join('\n');
+  };
+
+  /**
+   * Renders a table comparing values across columns, e.g. periods.
+   *
+   * @param {Array.<string>} headings the column headings, after the row
+   *     title column
+   * @param {Array.<string>} rows HTML of each row, as returned by row()
+   * @param {string=} title shown above the row titles, e.g. the name of the
+   *     comparison
+   * @return {string} HTML of the table
+   */
+  var comparisonTable = function(headings, rows, title) {
+    var html = [tableStart(), '<tr bgcolor=\'' + STYLE.headingColor + '\'>',
+        title ? headingCell(title) : '<td></td>'];
+    headings.forEach(function(heading) {
+      html.push(headingCell(heading));
+    });
+    html.push('</tr>');
+    return html.concat(rows, ['</table>']).join('\n');
+  };
+
+  /**
+   * Renders a row of a comparison table.
+   *
+   * @param {string} title the row title, e.g. the metric name
+   * @param {Array.<string>} cells HTML of each cell, as returned by cell()
+   * @return {string} HTML of the row
+   */
+  var row = function(title, cells) {
+    return ['<tr>', '<td style=\'padding: 5px 10px\'>' + title + '</td>']
+        .concat(cells, ['</tr>']).join('\n');
+  };
+
+  /**
+   * Renders a value cell, optionally followed by its change.
+   *
+   * @param {*} value the value to show; null or undefined for an empty cell
+   * @param {string=} delta HTML of the change, as returned by delta()
+   * @return {string} HTML of the cell
+   */
+  var cell = function(value, delta) {
+    if (value === null || value === undefined) {
+      return '<td></td>';
+    }
+    return '<td style=\'padding: 0px 10px\'>' + value + (delta || '') +
+        '</td>';
+  };
+
+  /**
+   * Renders a change next to a value.
+   *
+   * @param {string} text the change, e.g. '+1.50, +3.2%' or '-2.00%'
+   * @param {number} sentiment positive to color it as an improvement,
+   *     negative as a deterioration, 0 to leave it uncolored
+   * @return {string} HTML of the change
+   */
+  var delta = function(text, sentiment) {
+    var style = 'font-size: 8pt';
+    if (sentiment) {
+      style = 'color: ' + (sentiment > 0 ? STYLE.improvementColor :
+          STYLE.deteriorationColor) + '; ' + style;
+    }
+    return '<span style=\'' + style + '\'> (' + text + ')</span>';
+  };
+
+  /**
+   * Renders a note below the tables, e.g. that some data is missing.
+   *
+   * @param {string} text the note
+   * @return {string} HTML of the note
+   */
+  var note = function(text) {
+    return '<p style=\'font: italic 10pt ' + STYLE.font + '; color: ' +
+        STYLE.noteColor + '\'>' + text + '</p>';
+  };
+
+  /**
+   * Renders rows as a plain text table with aligned columns, for email
+   * clients that strip HTML.
+   *
+   * @param {Array.<Array.<*>>} rows the rows, starting with the headings
+   * @return {string} the table as text
+   */
+  var textTable = function(rows) {
+    var widths = [];
+    rows.forEach(function(row) {
+      row.forEach(function(value, i) {
+        widths[i] = Math.max(widths[i] || 0, textValue(value).length);
+      });
+    });
+    return rows.map(function(row) {
+      return row.map(function(value, i) {
+        var text = textValue(value);
+        return i == row.length - 1 ? text :
+            text + new Array(widths[i] - text.length + 1).join(' ');
+      }).join('  ').replace(/\s+$/, '');
+    }).join('\n');
+  };
+
+  /**
+   * Renders rows as CSV, quoting values where needed.
+   *
+   * @param {Array.<Array.<*>>} rows the rows, starting with the headings
+   * @return {string} the CSV content
+   */
+  var csv = function(rows) {
+    return rows.map(function(row) {
+      return row.map(function(value) {
+        var text = textValue(value);
+        if (/[",\r\n]/.test(text)) {
+          text = '"' + text.replace(/"/g, '""') + '"';
+        }
+        return text;
+      }).join(',');
+    }).join('\r\n') + '\r\n';
+  };
+
+  /**
+   * @param {*} value a table value
+   * @return {string} the value as text, empty for null or undefined
+   */
+  var textValue = function(value) {
+    return value === null || value === undefined ? '' : String(value);
+  };
+
+  /**
+   * @param {string} heading
+   * @return {string} HTML of a heading cell of a comparison table
+   */
+  var headingCell = function(heading) {
+    return '<td style=\'font: 12pt ' + STYLE.font + '; ' +
+        'padding: 5px 0px 5px 5px; background-color: ' + STYLE.headingColor +
+        '; text-align: left\'>' + heading + '</td>';
+  };
+
+  /**
+   * @return {string} the opening tag shared by all tables
+   */
+  var tableStart = function() {
+    return '<table width=' + STYLE.width + ' cellpadding=0 border=0 ' +
+        'cellspacing=0>';
+  };
+
+  // Return the external interface.
+  return {
+    page: page,
+    header: header,
+    comparisonTable: comparisonTable,
+    row: row,
+    cell: cell,
+    delta: delta,
+    note: note,
+    textTable: textTable,
+    csv: csv
+  };
+})();
+
+/**
+ * Module for sending a report to the channels listed in NOTIFICATION_CHANNELS.
+ * The same block is used by relatorio.js, bistro.js, kratu.js and
+ * sem_impressoes.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var notifier = (function() {
+  /**
+   * Sends a message through every configured channel. A failing channel is
+   * logged and does not stop the others.
+   *
+   * @param {object} message The message: subject, html, optional text (plain
+   *     text version, derived from html if missing), recipient (email
+   *     address for the 'email' channel), attachments and data (structured
+   *     report content for webhooks).
+   * @return {number} the number of channels the message was sent to
+   */
+  var send = function(message) {
+    if (!message.text) {
+      message.text = htmlToText(message.html || '');
+    }
+    var sent = 0;
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      try {
+        if (sendToChannel(channel, message)) {
+          sent++;
+        }
+      } catch (e) {
+        Logger.log('Failed to send notification to ' + channel.type + ' ' +
+            (channel.url || '') + ': ' + e);
+      }
+    }
+    return sent;
+  };
+
+  /**
+   * Sends a message through one channel.
+   *
+   * @param {object} channel an entry of NOTIFICATION_CHANNELS
+   * @param {object} message the message, see send()
+   * @return {boolean} whether anything was sent
+   */
+  var sendToChannel = function(channel, message) {
+    if (channel.type == 'email') {
+      var recipient = channel.recipient || message.recipient;
+      if (!recipient) {
+        return false;
+      }
+      var options = {htmlBody: message.html};
+      if (message.attachments) {
+        options.attachments = message.attachments;
+      }
+      MailApp.sendEmail(recipient, message.subject, message.text, options);
+    } else if (channel.type == 'webhook') {
+      postJson(channel.url, {
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        data: message.data || null
+      });
+    } else if (channel.type == 'chat') {
+      postJson(channel.url, formatChatMessage(channel.format, message));
+    } else {
+      throw new Error('Unknown notification channel type: ' + channel.type);
+    }
+    return true;
+  };
+
+  /**
+   * Builds the JSON payload for a chat-style incoming webhook.
+   *
+   * @param {string} format 'slack', 'googleChat' or 'teams'
+   * @param {object} message the message, see send()
+   * @return {object} the payload
+   */
+  var formatChatMessage = function(format, message) {
+    if (format == 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.subject,
+        title: message.subject,
+        text: message.text.replace(/\n/g, '\n\n')
+      };
+    } else if (format == 'slack' || format == 'googleChat') {
+      // Both accept a plain text message with *bold* markup.
+      return {text: '*' + message.subject + '*\n' + message.text};
+    }
+    throw new Error('Unknown chat format: ' + format);
+  };
+
+  /**
+   * Posts a JSON payload, throwing if the server does not answer with 2xx.
+   *
+   * @param {string} url the endpoint
+   * @param {object} payload the payload to serialize
+   */
+  var postJson = function(url, payload) {
+    var response = UrlFetchApp.fetch(url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    });
+    var code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      throw new Error('HTTP ' + code + ': ' + response.getContentText());
+    }
+  };
+
+  /**
+   * Converts an HTML report to plain text: table cells are separated by tabs
+   * and rows, paragraphs and line breaks become new lines.
+   *
+   * @param {string} html
+   * @return {string} the plain text
+   */
+  var htmlToText = function(html) {
+    return html
+        .replace(/\s+/g, ' ')
+        .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, '\t')
+        .replace(/<(br|\/tr|\/h\d|\/p|\/div|\/li)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/^ +| +$/gm, '')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+  };
+
+  /**
+   * Returns whether send() would reach any channel, so that scripts can skip
+   * building a report nobody receives.
+   *
+   * @param {string} recipient the email address for the 'email' channel
+   * @return {boolean} true if at least one channel is usable
+   */
+  var hasRecipients = function(recipient) {
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      if (channel.type != 'email' || channel.recipient || recipient) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Return the external interface.
+  return {
+    send: send,
+    hasRecipients: hasRecipients,
+    htmlToText: htmlToText
+  };
+})();
+
+/**
+ * Module for the weekly and monthly tabs, which hold the totals of each ISO
+ * week and calendar month next to the daily rows of the report. The same block
+ * is used by relatorio.js and bistro.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var periodRollup = (function() {
+  var DAY_MILLIS = 24 * 3600 * 1000;
+
+  /**
+   * @param {string} dateString a date as yyyyMMdd
+   * @return {Date} the date at 00:00 UTC
+   */
+  var parseDate = function(dateString) {
+    return new Date(Date.UTC(parseInt(dateString.substring(0, 4), 10),
+        parseInt(dateString.substring(4, 6), 10) - 1,
+        parseInt(dateString.substring(6, 8), 10)));
+  };
+
+  /**
+   * @param {Date} date a date at 00:00 UTC
+   * @param {number} days the days to add; negative to go back
+   * @return {Date} the moved date
+   */
+  var addDays = function(date, days) {
+    return new Date(date.getTime() + days * DAY_MILLIS);
+  };
+
+  /**
+   * @param {string} dateString a date as yyyyMMdd
+   * @return {string} the date as yyyy-MM-dd, which Sheets reads as a date
+   */
+  var toIsoDate = function(dateString) {
+    return dateString.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+  };
+
+  // For each type of period, finds the key, first and last day of the period
+  // containing a day, as UTC dates. Keys sort in chronological order.
+  var PERIOD_TYPES = {
+    // ISO 8601 weeks start on Monday, and belong to the year of their
+    // Thursday.
+    WEEK: function(day) {
+      var start = addDays(day, -((day.getUTCDay() + 6) % 7));
+      var thursday = addDays(start, 3);
+      var year = thursday.getUTCFullYear();
+      var week = Math.floor(
+          (thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MILLIS / 7) + 1;
+      return {
+        key: year + '-W' + (week < 10 ? '0' : '') + week,
+        start: start,
+        end: addDays(start, 6)
+      };
+    },
+    MONTH: function(day) {
+      var year = day.getUTCFullYear();
+      var month = day.getUTCMonth();
+      return {
+        key: Utilities.formatDate(day, 'UTC', 'yyyy-MM'),
+        start: new Date(Date.UTC(year, month, 1)),
+        end: new Date(Date.UTC(year, month + 1, 0))
+      };
+    }
+  };
+
+  /**
+   * Finds the period containing a day.
+   *
+   * @param {string} type the type of period, 'WEEK' or 'MONTH'
+   * @param {string} dateString the day as yyyyMMdd
+   * @return {{key: string, start: string, end: string}} the period: its key,
+   *     e.g. '2017-W09' or '2017-03', and its first and last day as yyyyMMdd
+   */
+  var getPeriod = function(type, dateString) {
+    if (!PERIOD_TYPES.hasOwnProperty(type)) {
+      throw new Error('Unknown period type \'' + type + '\'. Use ' +
+          Object.keys(PERIOD_TYPES).join(' or ') + '.');
+    }
+    var period = PERIOD_TYPES[type](parseDate(dateString));
+    return {
+      key: period.key,
+      start: Utilities.formatDate(period.start, 'UTC', 'yyyyMMdd'),
+      end: Utilities.formatDate(period.end, 'UTC', 'yyyyMMdd')
+    };
+  };
+
+  /**
+   * Finds the periods containing any of a list of days.
+   *
+   * @param {string} type the type of period, see getPeriod()
+   * @param {Array.<string>} dateStrings the days as yyyyMMdd
+   * @return {!Array.<{key: string, start: string, end: string}>} each period
+   *     once, in chronological order
+   */
+  var getPeriods = function(type, dateStrings) {
+    var periods = {};
+    dateStrings.forEach(function(dateString) {
+      var period = getPeriod(type, dateString);
+      periods[period.key] = period;
+    });
+    return Object.keys(periods).sort().map(function(key) {
+      return periods[key];
+    });
+  };
+
+  /**
+   * Writes the rows of periods to a tab, replacing the rows already there for
+   * the same periods and keeping the tab in chronological order. The tab is
+   * created with its headings if missing.
+   *
+   * @param {Spreadsheet} spreadsheet the spreadsheet
+   * @param {string} sheetName the name of the tab
+   * @param {Array.<string>} headings the headings of the value columns
+   * @param {Array.<{period: Object, days: number, values: Array.<*>}>}
+   *     periodRows for each period as returned by getPeriods(), the number of
+   *     days with daily rows and the values to write
+   * @param {Array.<string>} numberFormats the number formats of the values
+   */
+  var writePeriods = function(
+      spreadsheet, sheetName, headings, periodRows, numberFormats) {
+    if (!periodRows.length) {
+      return;
+    }
+    var sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.appendRow(['period', 'start', 'end', 'days'].map(function(key) {
+        return localeFormat.string(key);
+      }).concat(headings));
+      sheet.setFrozenRows(1);
+    }
+    var width = 4 + headings.length;
+    var rows = sheet.getLastRow() > 1 ?
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues() : [];
+    periodRows.forEach(function(periodRow) {
+      var period = periodRow.period;
+      var row = [
+        period.key, toIsoDate(period.start), toIsoDate(period.end),
+        periodRow.days
+      ].concat(periodRow.values);
+      var index = rows.map(function(existingRow) {
+        return String(existingRow[0]);
+      }).indexOf(period.key);
+      if (index > -1) {
+        rows[index] = row;
+      } else {
+        rows.push(row);
+      }
+    });
+    rows.sort(function(rowA, rowB) {
+      return String(rowA[0]) < String(rowB[0]) ? -1 : 1;
+    });
+    var missingRows = rows.length + 1 - sheet.getMaxRows();
+    if (missingRows > 0) {
+      sheet.insertRowsAfter(sheet.getMaxRows(), missingRows);
+    }
+    var dateFormat = localeFormat.getSheetNumberFormat('date');
+    var rowFormats = ['@', dateFormat, dateFormat,
+      localeFormat.getSheetNumberFormat('integer')].concat(numberFormats);
+    // Formats first, so that the keys are kept as text.
+    sheet.getRange(2, 1, rows.length, width)
+        .setNumberFormats(rows.map(function() {
+          return rowFormats;
+        }))
+        .setValues(rows);
+  };
+
+  // Return the external interface.
+  return {
+    getPeriod: getPeriod,
+    getPeriods: getPeriods,
+    writePeriods: writePeriods
+  };
+})();
+
+/**
+ * Module for finding unusual values in a daily time series, by comparing a
+ * day with the median and the median absolute deviation (MAD) of a baseline of
+ * earlier days. The same block is used by relatorio.js and bistro.js; keep the
+ * copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var anomalyDetector = (function() {
+  var DAY_MILLIS = 24 * 3600 * 1000;
+  // Scales the MAD to estimate the standard deviation of normal data.
+  var MAD_SCALE = 1.4826;
+  // The least spread of the expected range, relative to the median, so that a
+  // constant baseline does not flag every small change.
+  var MIN_RELATIVE_SPREAD = 0.01;
+  // Baselines with fewer known values are not used.
+  var MIN_BASELINE_DAYS = 4;
+  var HIGHLIGHT_COLOR = '#fce5cd';
+
+  // For each model, the days of the baseline of a day, as a number of days
+  // before it, given the number of weeks to look back.
+  var MODELS = {
+    // The same weekday of each of the weeks before, e.g. for accounts with
+    // quieter weekends.
+    SAME_WEEKDAY: function(weeks) {
+      var offsets = [];
+      for (var i = 1; i <= weeks; i++) {
+        offsets.push(i * 7);
+      }
+      return offsets;
+    },
+    // Every day of the weeks before.
+    ALL_DAYS: function(weeks) {
+      var offsets = [];
+      for (var i = 1; i <= weeks * 7; i++) {
+        offsets.push(i);
+      }
+      return offsets;
+    }
+  };
+
+  /**
+   * Lists the days of the baseline of a day.
+   *
+   * @param {string} model a key of MODELS
+   * @param {string} dateString the day as yyyyMMdd
+   * @param {number} weeks the number of weeks to look back
+   * @return {!Array.<string>} the days as yyyyMMdd, latest first
+   */
+  var getBaselineDates = function(model, dateString, weeks) {
+    if (!MODELS.hasOwnProperty(model)) {
+      throw new Error('Unknown anomaly model \'' + model + '\'. Use ' +
+          Object.keys(MODELS).join(' or ') + '.');
+    }
+    var day = Date.UTC(parseInt(dateString.substring(0, 4), 10),
+        parseInt(dateString.substring(4, 6), 10) - 1,
+        parseInt(dateString.substring(6, 8), 10));
+    return MODELS[model](weeks).map(function(offset) {
+      return Utilities.formatDate(new Date(day - offset * DAY_MILLIS), 'UTC',
+          'yyyyMMdd');
+    });
+  };
+
+  /**
+   * @param {!Array.<number>} values at least one value
+   * @return {number} the median
+   */
+  var median = function(values) {
+    var sorted = values.slice().sort(function(a, b) {
+      return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] :
+        (sorted[middle - 1] + sorted[middle]) / 2;
+  };
+
+  /**
+   * Compares a value with its baseline.
+   *
+   * @param {*} value the value of the day; not a number if unknown
+   * @param {Array.<*>} baseline the values of the baseline days; those that
+   *     are not numbers are left out
+   * @param {number} sensitivity the number of standard deviations, estimated
+   *     from the MAD, that a value may be from the median
+   * @return {?{value: number, median: number, low: number, high: number,
+   *     isAnomaly: boolean}} the value, the median and the expected range of
+   *     the baseline, and whether the value is outside the range; null if the
+   *     value is unknown or the baseline too short
+   */
+  var detect = function(value, baseline, sensitivity) {
+    var values = baseline.filter(function(baselineValue) {
+      return typeof baselineValue == 'number' && isFinite(baselineValue);
+    });
+    if (typeof value != 'number' || !isFinite(value) ||
+        values.length < MIN_BASELINE_DAYS) {
+      return null;
+    }
+    var center = median(values);
+    var mad = median(values.map(function(baselineValue) {
+      return Math.abs(baselineValue - center);
+    }));
+    var spread = sensitivity *
+        Math.max(MAD_SCALE * mad, MIN_RELATIVE_SPREAD * Math.abs(center));
+    return {
+      value: value,
+      median: center,
+      low: center - spread,
+      high: center + spread,
+      isAnomaly: value < center - spread || value > center + spread
+    };
+  };
+
+  /**
+   * Highlights the flagged cells of a block of a sheet, with notes, and clears
+   * the highlights of the other cells, e.g. those left behind when rows moved
+   * as the sheet was sorted.
+   *
+   * @param {Range} range the block
+   * @param {!Array.<!Array.<string>>} notes for each cell of the block, its
+   *     note if flagged, e.g. the expected range, or '' if not
+   */
+  var highlight = function(range, notes) {
+    range.setBackgrounds(notes.map(function(row) {
+      return row.map(function(note) {
+        return note ? HIGHLIGHT_COLOR : null;
+      });
+    }));
+    range.setNotes(notes);
+  };
+
+  // Return the external interface.
+  return {
+    getBaselineDates: getBaselineDates,
+    detect: detect,
+    highlight: highlight
+  };
+})();
@@ -1,37 +1,505 @@
-function main() {
+/**
+ * @name Alerta de campanhas
+ *
+ * @overview Verifica as campanhas ativas da conta com as regras em RULES e
+ *     envia um único email agrupado por regra com as campanhas que dispararam
+ *     algum alerta ontem. Em uma conta de administrador (MCC), com
+ *     MANAGER_ACCOUNT_MODE, verifica todas as contas filhas em paralelo e
+ *     agrupa o email por conta.
+ */
 
 // Enter your account name and email here:
 
-var accountName = “nome da conta";
+var accountName = 'nome da conta';
+
+var yourEmail = 'seu email';
+
+// Set to true to run from a manager account (MCC) and check every child
+// account in parallel, sending one consolidated email. Optionally restrict the
+// check to child accounts with the label ACCOUNT_LABEL.
+var MANAGER_ACCOUNT_MODE = false;
+
+var ACCOUNT_LABEL = '';
+
+// The maximum number of accounts executeInParallel can process in one run.
+var MAX_PARALLEL_ACCOUNTS = 50;
+
+/**
+ * Where to send the report. The 'email' channel sends to yourEmail. Add
+ * entries to also post the report as JSON, e.g.
+ *   {type: 'webhook', url: 'https://example.com/adwords-report'}
+ *   {type: 'chat', format: 'slack', url: 'https://hooks.slack.com/...'}
+ * Chat formats are 'slack', 'googleChat' and 'teams'.
+ */
+var NOTIFICATION_CHANNELS = [
+  {type: 'email'}
+];
 
-var yourEmail = “seu email”;
+var MILLIS_PER_DAY = 24 * 3600 * 1000;
 
-var emailBody=”Ontem estas campanhas não tiveram impressões:<br>”;
+/**
+ * Rules evaluated for every enabled campaign, using yesterday's statistics.
+ * Each rule has a name (used as the heading in the email), a metric
+ * ('impressions', 'clicks', 'cost' or 'conversions') and a type:
+ * - 'zero': the metric was exactly 0.
+ * - 'belowAverage': the metric fell below `percent`% of its daily average over
+ *   the `days` days (7 or 28) before yesterday.
+ * - 'aboveCap': the metric went above `cap`, e.g. for spend.
+ * Optionally, `campaigns` restricts a rule to a list of campaign names.
+ */
+var RULES = [
+  {name: 'Sem impressões', metric: 'impressions', type: 'zero'},
+  {
+    name: 'Cliques abaixo de 50% da média de 7 dias',
+    metric: 'clicks',
+    type: 'belowAverage',
+    percent: 50,
+    days: 7
+  },
+  {
+    name: 'Conversões abaixo de 50% da média de 28 dias',
+    metric: 'conversions',
+    type: 'belowAverage',
+    percent: 50,
+    days: 28
+  }
+  // {name: 'Custo acima de 100', metric: 'cost', type: 'aboveCap', cap: 100}
+];
 
-var noImpCamp=0;
+var METRIC_GETTERS = {
+  impressions: 'getImpressions',
+  clicks: 'getClicks',
+  cost: 'getCost',
+  conversions: 'getConversions'
+};
+
+function main() {
+  validateRules();
+  if (MANAGER_ACCOUNT_MODE) {
+    var accountSelector = MccApp.accounts();
+    if (ACCOUNT_LABEL) {
+      accountSelector.withCondition(
+          "LabelNames CONTAINS '" + ACCOUNT_LABEL + "'");
+    }
+    if (accountSelector.get().totalNumEntities() > MAX_PARALLEL_ACCOUNTS) {
+      throw new Error('There are more than ' + MAX_PARALLEL_ACCOUNTS +
+          ' accounts to check. Please use ACCOUNT_LABEL to select fewer ' +
+          'accounts.');
+    }
+    accountSelector.executeInParallel('processAccount', 'processResults');
+    return;
+  }
+
+  var alerts = checkCampaigns();
+  var numCampaigns = countAlertedCampaigns(alerts);
+  if (numCampaigns > 0) {
+    notifier.send({
+      recipient: yourEmail,
+      subject: 'Alerta: ' + accountName + ' – ' + numCampaigns +
+          ' Campanhas com alertas',
+      html: 'Ontem estas campanhas dispararam alertas:<br>\n' +
+          buildDigest(alerts),
+      data: {accountName: accountName, alerts: describeAlerts(alerts)}
+    });
+  }
+}
+
+/**
+ * Runs in each child account in manager account mode.
+ *
+ * @return {string} JSON of the account name and the alerts raised for each
+ *     rule, as returned by checkCampaigns.
+ */
+function processAccount() {
+  validateRules();
+  return JSON.stringify({
+    accountName: AdWordsApp.currentAccount().getName(),
+    alerts: checkCampaigns()
+  });
+}
 
-var campaignsIterator = AdWordsApp.campaigns().get();
+/**
+ * Callback for executeInParallel in manager account mode: sends one email with
+ * the alerts of every child account, grouped by customer ID and account name.
+ *
+ * @param {Array.<MccApp.ExecutionResult>} executionResultsList
+ */
+function processResults(executionResultsList) {
+  var html = ['Ontem estas campanhas dispararam alertas:<br>'];
+  var numAccounts = 0;
+  var errors = [];
+  var accountAlerts = [];
+  for (var i = 0; i < executionResultsList.length; i++) {
+    var executionResult = executionResultsList[i];
+    var customerId = executionResult.getCustomerId();
+    var error = executionResult.getError();
+    if (error) {
+      Logger.log('Error encountered processing account ' + customerId + ': ' +
+          error);
+      errors.push(customerId + ': ' + error);
+      continue;
+    }
+    var result = JSON.parse(executionResult.getReturnValue());
+    var alerts = result.alerts;
+    if (countAlertedCampaigns(alerts) > 0) {
+      numAccounts++;
+      accountAlerts.push({
+        customerId: customerId,
+        accountName: result.accountName,
+        alerts: describeAlerts(alerts)
+      });
+      html.push('<h2>' + customerId + ' – ' + result.accountName + '</h2>',
+          buildDigest(alerts));
+    }
+  }
+  if (errors.length) {
+    html.push('<h2>Contas não verificadas</h2>', '<ul>');
+    errors.forEach(function(error) {
+      html.push('<li>' + error + '</li>');
+    });
+    html.push('</ul>');
+  }
 
-while (campaignsIterator.hasNext()) {
+  if (numAccounts > 0 || errors.length) {
+    notifier.send({
+      recipient: yourEmail,
+      subject: 'Alerta: ' + numAccounts + ' Contas com campanhas em alerta',
+      html: html.join('\n'),
+      data: {accounts: accountAlerts, errors: errors}
+    });
+  }
+}
 
-var campaign = campaignsIterator.next();
+/**
+ * Evaluates RULES for every enabled campaign of the current account.
+ *
+ * @return {Array.<Array.<Object>>} The alerts raised for each rule, in the
+ *     same order as RULES.
+ */
+function checkCampaigns() {
+  var alerts = RULES.map(function() {
+    return [];
+  });
 
-var stats = campaign.getStatsFor(‘YESTERDAY’);
+  var campaignsIterator =
+      AdWordsApp.campaigns().withCondition('Status = ENABLED').get();
+  while (campaignsIterator.hasNext()) {
+    var campaign = campaignsIterator.next();
+    var stats = campaign.getStatsFor('YESTERDAY');
+    var trailingStats = {};
 
-if ((stats.getImpressions() == 0)&&(campaign.isEnabled())) {
+    for (var i = 0; i < RULES.length; i++) {
+      var rule = RULES[i];
+      if (rule.campaigns && rule.campaigns.indexOf(campaign.getName()) == -1) {
+        continue;
+      }
+      if (rule.days && !trailingStats[rule.days]) {
+        trailingStats[rule.days] = getTrailingStats(campaign, rule.days);
+      }
+      var alert = evaluateRule(rule, stats, trailingStats[rule.days]);
+      if (alert) {
+        alert.campaignName = campaign.getName();
+        alerts[i].push(alert);
+      }
+    }
+  }
+  return alerts;
+}
 
-emailBody = emailBody + campaign.getName() + “<br>”;
+/**
+ * @param {Array.<Array.<Object>>} alerts The alerts raised for each rule.
+ * @return {number} The number of distinct campaigns with at least one alert.
+ */
+function countAlertedCampaigns(alerts) {
+  var campaigns = {};
+  alerts.forEach(function(ruleAlerts) {
+    ruleAlerts.forEach(function(alert) {
+      campaigns[alert.campaignName] = true;
+    });
+  });
+  return Object.keys(campaigns).length;
+}
 
-noImpCamp++;
+/**
+ * Checks one rule against a campaign's statistics for yesterday.
+ *
+ * @param {Object} rule An entry of RULES.
+ * @param {Stats} stats The campaign's statistics for yesterday.
+ * @param {Stats} trailingStats The campaign's statistics over the rule's
+ *     trailing period, for 'belowAverage' rules.
+ * @return {Object} The value and, for comparisons, the reference it was
+ *     compared with; or null if the rule did not fire.
+ */
+function evaluateRule(rule, stats, trailingStats) {
+  var value = stats[METRIC_GETTERS[rule.metric]]();
+  if (rule.type == 'zero') {
+    return value == 0 ? {value: value} : null;
+  } else if (rule.type == 'belowAverage') {
+    var average = trailingStats[METRIC_GETTERS[rule.metric]]() / rule.days;
+    if (average > 0 && value < average * rule.percent / 100) {
+      return {value: value, reference: average};
+    }
+  } else if (rule.type == 'aboveCap') {
+    if (value > rule.cap) {
+      return {value: value, reference: rule.cap};
+    }
+  }
+  return null;
+}
 
+/**
+ * Retrieves a campaign's statistics for the given number of days before
+ * yesterday, in the account's time zone.
+ *
+ * @param {Campaign} campaign
+ * @param {number} days The length of the trailing period.
+ * @return {Stats}
+ */
+function getTrailingStats(campaign, days) {
+  var timeZone = AdWordsApp.currentAccount().getTimeZone();
+  var now = new Date().getTime();
+  var from = Utilities.formatDate(
+      new Date(now - (days + 1) * MILLIS_PER_DAY), timeZone, 'yyyyMMdd');
+  var to = Utilities.formatDate(
+      new Date(now - 2 * MILLIS_PER_DAY), timeZone, 'yyyyMMdd');
+  return campaign.getStatsFor(from, to);
 }
 
+/**
+ * Lists the alerts with the name of the rule that raised them, for webhook
+ * payloads.
+ *
+ * @param {Array.<Array.<Object>>} alerts The alerts raised for each rule, in
+ *     the same order as RULES.
+ * @return {Array.<Object>} One entry per rule that fired.
+ */
+function describeAlerts(alerts) {
+  var described = [];
+  for (var i = 0; i < RULES.length; i++) {
+    if (alerts[i].length) {
+      described.push({rule: RULES[i].name, campaigns: alerts[i]});
+    }
+  }
+  return described;
 }
 
-if (noImpCamp > 0) {
+/**
+ * Builds the alerts part of the email body, with one section per rule that
+ * fired.
+ *
+ * @param {Array.<Array.<Object>>} alerts The alerts raised for each rule, in
+ *     the same order as RULES.
+ * @return {string} The HTML for the alerts.
+ */
+function buildDigest(alerts) {
+  var html = [];
+  for (var i = 0; i < RULES.length; i++) {
+    if (alerts[i].length == 0) {
+      continue;
+    }
+    html.push('<h3>' + RULES[i].name + '</h3>', '<ul>');
+    alerts[i].forEach(function(alert) {
+      var line = alert.campaignName + ': ' + formatValue(alert.value);
+      if (alert.reference !== undefined) {
+        line += ' (referência: ' + formatValue(alert.reference) + ')';
+      }
+      html.push('<li>' + line + '</li>');
+    });
+    html.push('</ul>');
+  }
+  return html.join('\n');
+}
 
-MailApp.sendEmail(yourEmail,”Alerta: ” + accountName + ” – ” + noImpCamp + ” Campanhas sem impressões”,””,{htmlBody: emailBody})
+/**
+ * @param {number} value
+ * @return {string} The value, with at most two decimal places.
+ */
+function formatValue(value) {
+  return String(Math.round(value * 100) / 100);
+}
 
+/**
+ * Checks that every rule in RULES is complete, so that a typo in the
+ * configuration fails loudly rather than silently never alerting.
+ */
+function validateRules() {
+  RULES.forEach(function(rule) {
+    if (!METRIC_GETTERS.hasOwnProperty(rule.metric)) {
+      throw new Error('Unknown metric "' + rule.metric + '" in rule "' +
+          rule.name + '".');
+    }
+    if (rule.type == 'belowAverage') {
+      if (!(rule.percent > 0) || !(rule.days > 0)) {
+        throw new Error('Rule "' + rule.name + '" needs a percent and a ' +
+            'number of days.');
+      }
+    } else if (rule.type == 'aboveCap') {
+      if (typeof rule.cap != 'number') {
+        throw new Error('Rule "' + rule.name + '" needs a cap.');
+      }
+    } else if (rule.type != 'zero') {
+      throw new Error('Unknown type "' + rule.type + '" in rule "' +
+          rule.name + '".');
+    }
+  });
 }
 
-}
\ No newline at end of file
+/**
+ * Module for sending a report to the channels listed in NOTIFICATION_CHANNELS.
+ * The same block is used by relatorio.js, bistro.js, kratu.js and
+ * sem_impressoes.js; keep the copies in sync.
+ *
+ * @return {object} callable functions corresponding to the available
+ * actions
+ */
+var notifier = (function() {
+  /**
+   * Sends a message through every configured channel. A failing channel is
+   * logged and does not stop the others.
+   *
+   * @param {object} message The message: subject, html, optional text (plain
+   *     text version, derived from html if missing), recipient (email
+   *     address for the 'email' channel), attachments and data (structured
+   *     report content for webhooks).
+   * @return {number} the number of channels the message was sent to
+   */
+  var send = function(message) {
+    if (!message.text) {
+      message.text = htmlToText(message.html || '');
+    }
+    var sent = 0;
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      try {
+        if (sendToChannel(channel, message)) {
+          sent++;
+        }
+      } catch (e) {
+        Logger.log('Failed to send notification to ' + channel.type + ' ' +
+            (channel.url || '') + ': ' + e);
+      }
+    }
+    return sent;
+  };
+
+  /**
+   * Sends a message through one channel.
+   *
+   * @param {object} channel an entry of NOTIFICATION_CHANNELS
+   * @param {object} message the message, see send()
+   * @return {boolean} whether anything was sent
+   */
+  var sendToChannel = function(channel, message) {
+    if (channel.type == 'email') {
+      var recipient = channel.recipient || message.recipient;
+      if (!recipient) {
+        return false;
+      }
+      var options = {htmlBody: message.html};
+      if (message.attachments) {
+        options.attachments = message.attachments;
+      }
+      MailApp.sendEmail(recipient, message.subject, message.text, options);
+    } else if (channel.type == 'webhook') {
+      postJson(channel.url, {
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        data: message.data || null
+      });
+    } else if (channel.type == 'chat') {
+      postJson(channel.url, formatChatMessage(channel.format, message));
+    } else {
+      throw new Error('Unknown notification channel type: ' + channel.type);
+    }
+    return true;
+  };
+
+  /**
+   * Builds the JSON payload for a chat-style incoming webhook.
+   *
+   * @param {string} format 'slack', 'googleChat' or 'teams'
+   * @param {object} message the message, see send()
+   * @return {object} the payload
+   */
+  var formatChatMessage = function(format, message) {
+    if (format == 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.subject,
+        title: message.subject,
+        text: message.text.replace(/\n/g, '\n\n')
+      };
+    } else if (format == 'slack' || format == 'googleChat') {
+      // Both accept a plain text message with *bold* markup.
+      return {text: '*' + message.subject + '*\n' + message.text};
+    }
+    throw new Error('Unknown chat format: ' + format);
+  };
+
+  /**
+   * Posts a JSON payload, throwing if the server does not answer with 2xx.
+   *
+   * @param {string} url the endpoint
+   * @param {object} payload the payload to serialize
+   */
+  var postJson = function(url, payload) {
+    var response = UrlFetchApp.fetch(url, {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    });
+    var code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      throw new Error('HTTP ' + code + ': ' + response.getContentText());
+    }
+  };
+
+  /**
+   * Converts an HTML report to plain text: table cells are separated by tabs
+   * and rows, paragraphs and line breaks become new lines.
+   *
+   * @param {string} html
+   * @return {string} the plain text
+   */
+  var htmlToText = function(html) {
+    return html
+        .replace(/\s+/g, ' ')
+        .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, '\t')
+        .replace(/<(br|\/tr|\/h\d|\/p|\/div|\/li)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/^ +| +$/gm, '')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+  };
+
+  /**
+   * Returns whether send() would reach any channel, so that scripts can skip
+   * building a report nobody receives.
+   *
+   * @param {string} recipient the email address for the 'email' channel
+   * @return {boolean} true if at least one channel is usable
+   */
+  var hasRecipients = function(recipient) {
+    for (var i = 0; i < NOTIFICATION_CHANNELS.length; i++) {
+      var channel = NOTIFICATION_CHANNELS[i];
+      if (channel.type != 'email' || channel.recipient || recipient) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Return the external interface.
+  return {
+    send: send,
+    hasRecipients: hasRecipients,
+    htmlToText: htmlToText
+  };
+})();